@@ -0,0 +1,121 @@
+// Grand's Stories API - Authentication Tests
+// Signing in with one-time codes, and the user ids and sessions it hands out
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { userIdForEmail, setTransport, issueToken, conversationIdFor } = require('../lib/auth');
+const { legacyUserIdForEmail, migrateLegacyUsers } = require('../lib/auth/legacy');
+const { MAX_ATTEMPTS, MAX_CODE_REQUESTS } = require('../lib/auth/codes');
+const handleAuth = require('../handlers/auth');
+const { call } = require('./helpers/http');
+
+describe('sign-in', () => {
+  let storage;
+  let sent;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+    sent = [];
+    setTransport({ send: async message => { sent.push(message); } });
+  });
+
+  const request = email => call(handleAuth, null, { email, action: 'request' });
+  const verify = (email, code) => call(handleAuth, null, { email, code, action: 'verify' });
+
+  test('addresses that share a prefix get their own ids, and case does not make a new user', async () => {
+    // The legacy derivation only saw the first 15 or so characters
+    expect(legacyUserIdForEmail('grandpa.benn@gmail.com')).toBe(legacyUserIdForEmail('grandpa.benn@gmail.evil.test'));
+    expect(userIdForEmail('grandpa.benn@gmail.com')).not.toBe(userIdForEmail('grandpa.benn@gmail.evil.test'));
+
+    await request('grandpa.benn@gmail.evil.test');
+    const res = await verify('grandpa.benn@gmail.evil.test', sent[0].code);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.userId).toBe(userIdForEmail('grandpa.benn@gmail.evil.test'));
+    expect(res.body.userId).not.toBe(legacyUserIdForEmail('grandpa.benn@gmail.com'));
+
+    await request('Grandpa@Example.com');
+    const signedIn = await verify('grandpa@example.com', sent[1].code);
+    expect(signedIn.body.userId).toBe(userIdForEmail('Grandpa@Example.com'));
+  });
+
+  test('legacy ids are only migrated for listed addresses they belong to alone', async () => {
+    const legacyId = legacyUserIdForEmail('Martha@example.com');
+    await storage.createConversation({ user_id: legacyId, conversation_id: conversationIdFor(legacyId, 'chat_1') });
+    await storage.insertMessage({ conversation_id: conversationIdFor(legacyId, 'chat_1'), role: 'user', content: 'Hello' });
+    await storage.insertUserMemory({ user_id: legacyId, source_conversation_id: conversationIdFor(legacyId, 'chat_1'), fragment_type: 'fact', content: 'Likes tea' });
+    const shared = legacyUserIdForEmail('grandpa.benn@gmail.com');
+    await storage.createConversation({ user_id: shared, conversation_id: conversationIdFor(shared, 'chat_1') });
+
+    const report = await migrateLegacyUsers(storage, ['Martha@example.com', 'grandpa.benn@gmail.com', 'grandpa.benn@gmail.evil.test']);
+    const userId = userIdForEmail('martha@example.com');
+    expect(report.migrated).toEqual([{ email: 'martha@example.com', from: legacyId, to: userId, conversations: 1 }]);
+    expect(report.skipped.map(s => s.email)).toEqual(['grandpa.benn@gmail.com', 'grandpa.benn@gmail.evil.test']);
+
+    expect(await storage.listConversations(legacyId)).toEqual([]);
+    expect(await storage.countMessages(conversationIdFor(userId, 'chat_1'))).toBe(1);
+    expect(await storage.queryUserMemories({ userId })).toEqual([
+      expect.objectContaining({ content: 'Likes tea', source_conversation_id: conversationIdFor(userId, 'chat_1') })
+    ]);
+    expect(await storage.listConversations(shared)).toHaveLength(1);
+  });
+
+  test('asking for codes again and again is throttled', async () => {
+    expect((await request('grandpa@example.com')).statusCode).toBe(200);
+
+    const res = await request('Grandpa@Example.com');
+    expect(res.statusCode).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(sent).toHaveLength(1);
+
+    // Minutes apart is not enough once an hour's worth of codes have been sent
+    const issuedAgo = minutes => new Date(Date.now() - minutes * 60000).toISOString();
+    for (let minutes = 10; minutes < 10 + 10 * MAX_CODE_REQUESTS; minutes += 10) {
+      await storage.createLoginCode({ email: 'other@example.com', code_hash: 'h', salt: 's', expires_at: issuedAgo(0), created_at: issuedAgo(minutes) });
+    }
+    expect((await request('other@example.com')).statusCode).toBe(429);
+    await storage.deleteLoginCodes('other@example.com', { before: issuedAgo(45) });
+    expect((await request('other@example.com')).statusCode).toBe(200);
+  });
+
+  test('a new code does not bring back the guesses spent on the old one', async () => {
+    await request('grandpa@example.com');
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+      expect((await verify('grandpa@example.com', 'wrong')).statusCode).toBe(401);
+    }
+
+    // Let the next request through the per-minute limit
+    const [old] = await storage.listLoginCodes('grandpa@example.com', { since: new Date(0).toISOString() });
+    await storage.updateLoginCode(old.id, { created_at: new Date(Date.now() - 2 * 60000).toISOString() });
+    expect((await request('grandpa@example.com')).statusCode).toBe(200);
+
+    const res = await verify('grandpa@example.com', sent[1].code);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('Too many attempts');
+  });
+});
+
+describe('session secret', () => {
+  const env = { ...process.env };
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('without AUTH_SECRET, sessions are refused when deployed and only improvised locally', () => {
+    delete process.env.AUTH_SECRET;
+
+    process.env.VERCEL = '1';
+    expect(() => issueToken({ userId: 'user_x', email: 'x@example.com' })).toThrow('AUTH_SECRET');
+
+    delete process.env.VERCEL;
+    process.env.NODE_ENV = 'production';
+    expect(() => issueToken({ userId: 'user_x', email: 'x@example.com' })).toThrow('AUTH_SECRET');
+
+    process.env.NODE_ENV = 'test';
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(issueToken({ userId: 'user_x', email: 'x@example.com' }).token).toEqual(expect.any(String));
+    warn.mockRestore();
+  });
+});
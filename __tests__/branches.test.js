@@ -0,0 +1,202 @@
+// Grand's Stories API - Branching Tests
+// Forking a conversation at a message and navigating the resulting family
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const handleChat = require('../handlers/chat');
+const handleConversations = require('../handlers/chat/conversations');
+const { call } = require('./helpers/http');
+
+const USER = 'user_eeeeeeeeeeeeeeeeeeeeeeee';
+const OTHER = 'user_ffffffffffffffffffffffff';
+
+function conversations(body, userId = USER) {
+  return call(handleConversations, userId, body);
+}
+
+describe('conversation branches', () => {
+  let storage;
+  let turns;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+
+    turns = [];
+    for (const message of ['Tell me about Martha', 'What about the war?', 'And your first computer?']) {
+      const res = await call(handleChat, USER, { chatId: 'chat_root', message });
+      turns.push(res.body.metadata);
+    }
+  });
+
+  async function fork(chatId, messageId) {
+    const res = await conversations({ action: 'fork', chatId, messageId });
+    expect(res.statusCode).toBe(200);
+    return res.body.conversation;
+  }
+
+  test('chat responses carry the ids of the stored messages', async () => {
+    const messages = await storage.listMessages(conversationIdFor(USER, 'chat_root'));
+    expect(turns[0].userMessageId).toBe(messages[0].id);
+    expect(turns[0].messageId).toBe(messages[1].id);
+  });
+
+  test('a fork copies history up to the branch point and records where it came from', async () => {
+    const branch = await fork('chat_root', turns[1].messageId);
+
+    const copied = await storage.listMessages(conversationIdFor(USER, branch.id));
+    expect(copied).toHaveLength(4);
+    expect(copied[2].content).toBe('What about the war?');
+    expect(branch.message_count).toBe(4);
+    expect(branch.branch).toMatchObject({
+      parentId: 'chat_root',
+      rootId: 'chat_root',
+      messageId: turns[1].messageId
+    });
+  });
+
+  test('a fork resumes Benn\'s state as it was at the branch point', async () => {
+    const root = await storage.getConversation(conversationIdFor(USER, 'chat_root'));
+    const messages = await storage.listMessages(root.conversation_id);
+    const snapshot = messages[3].metadata.stateSnapshot;
+
+    const branch = await fork('chat_root', turns[1].messageId);
+    const stored = await storage.getConversation(conversationIdFor(USER, branch.id));
+
+    expect(stored.metadata.personalityVector).toEqual(snapshot.personalityVector);
+    expect(stored.metadata.emotionalTrajectory).toEqual(snapshot.emotionalTrajectory);
+    expect(stored.metadata.emotionalTrajectory).toHaveLength(2);
+    expect(stored.metadata.interactionCount).toBe(2);
+    expect(stored.metadata.summary).toBeNull();
+  });
+
+  test('a fork keeps only the memories formed by the branch point', async () => {
+    const rootId = conversationIdFor(USER, 'chat_root');
+    const [branchPoint] = await storage.listMessages(rootId, { limit: 1 });
+    await storage.insertMemoryFragment({
+      conversation_id: rootId,
+      fragment_type: 'user_fact',
+      content: 'learned earlier',
+      created_at: new Date(Date.parse(branchPoint.created_at) - 60000).toISOString()
+    });
+    await storage.insertMemoryFragment({
+      conversation_id: rootId,
+      fragment_type: 'user_fact',
+      content: 'learned later',
+      created_at: new Date(Date.parse(branchPoint.created_at) + 60000).toISOString()
+    });
+
+    const branch = await fork('chat_root', branchPoint.id);
+    const fragments = await storage.queryMemoryFragments({ conversationId: conversationIdFor(USER, branch.id) });
+
+    expect(fragments.map(f => f.content)).toContain('learned earlier');
+    expect(fragments.map(f => f.content)).not.toContain('learned later');
+  });
+
+  test('a fork keeps the memories of the turns it copies, however late they were stored', async () => {
+    const rootId = conversationIdFor(USER, 'chat_root');
+    const stored = await storage.queryMemoryFragments({ conversationId: rootId });
+    const later = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    for (const fragment of stored) {
+      await storage.updateMemoryFragment(fragment.id, { created_at: later });
+    }
+
+    const branch = await fork('chat_root', turns[1].messageId);
+    const copied = await storage.listMessages(conversationIdFor(USER, branch.id), { ascending: true });
+    const fragments = await storage.queryMemoryFragments({ conversationId: conversationIdFor(USER, branch.id) });
+
+    const sourcedFrom = turn => stored.filter(f => [turn.userMessageId, turn.messageId].includes(f.metadata.sourceMessageId));
+    expect(fragments).toHaveLength(sourcedFrom(turns[0]).length + sourcedFrom(turns[1]).length);
+    expect(sourcedFrom(turns[1]).length).toBeGreaterThan(0);
+    expect(fragments.every(f => copied.some(m => m.id === f.metadata.sourceMessageId))).toBe(true);
+  });
+
+  test('a fork keeps archived memories formed by the branch point, as a duplicate does', async () => {
+    const rootId = conversationIdFor(USER, 'chat_root');
+    const [kept] = (await storage.queryMemoryFragments({ conversationId: rootId }))
+      .filter(f => f.metadata.sourceMessageId === turns[0].userMessageId);
+    await storage.updateMemoryFragment(kept.id, { archived_at: new Date().toISOString() });
+
+    const branch = await fork('chat_root', turns[0].messageId);
+    const fragments = await storage.queryMemoryFragments({ conversationId: conversationIdFor(USER, branch.id), includeArchived: true });
+    expect(fragments.find(f => f.content === kept.content).archived_at).toBeTruthy();
+  });
+
+  test('a fork only knows what the user had said and rated by the branch point', async () => {
+    const rootId = conversationIdFor(USER, 'chat_root');
+    const root = await storage.getConversation(rootId);
+    const interests = new Map(root.metadata.userModel.interests);
+    expect(interests.has('war')).toBe(true);
+    await storage.updateConversation(rootId, {
+      metadata: {
+        ...root.metadata,
+        userModel: {
+          ...root.metadata.userModel,
+          interests: [...root.metadata.userModel.interests, ['gardening', { score: 0.9, mentions: 0, source: 'user' }]]
+        }
+      }
+    });
+
+    const branch = await fork('chat_root', turns[0].messageId);
+    const stored = await storage.getConversation(conversationIdFor(USER, branch.id));
+    const branchInterests = new Map(stored.metadata.userModel.interests);
+    expect(branchInterests.has('war')).toBe(false);
+    expect(branchInterests.get('gardening')).toMatchObject({ score: 0.9, source: 'user' });
+  });
+
+  test('older replies without snapshots rebuild the trajectory from their emotions', async () => {
+    const rootId = conversationIdFor(USER, 'chat_legacy');
+    await storage.createConversation({
+      user_id: USER,
+      conversation_id: rootId,
+      metadata: { personalityVector: { wisdom: 0.9, currentEmotion: 'amused' }, emotionalTrajectory: ['amused'] }
+    });
+    await storage.insertMessage({ conversation_id: rootId, role: 'user', content: 'hi' });
+    const reply = await storage.insertMessage({
+      conversation_id: rootId,
+      role: 'benn',
+      content: 'hello',
+      metadata: { emotionalState: 'wistful' }
+    });
+
+    const branch = await fork('chat_legacy', reply.id);
+    const stored = await storage.getConversation(conversationIdFor(USER, branch.id));
+    expect(stored.metadata.personalityVector).toEqual({ wisdom: 0.9, currentEmotion: 'wistful' });
+    expect(stored.metadata.emotionalTrajectory).toEqual(['wistful']);
+  });
+
+  test('branches lists the parent, siblings and children', async () => {
+    const first = await fork('chat_root', turns[0].messageId);
+    const second = await fork('chat_root', turns[1].messageId);
+    const [, firstReply] = await storage.listMessages(conversationIdFor(USER, first.id));
+    const nested = await fork(first.id, firstReply.id);
+
+    expect(nested.branch).toMatchObject({ parentId: first.id, rootId: 'chat_root' });
+
+    let res = await conversations({ action: 'branches', chatId: 'chat_root' });
+    expect(res.body.parent).toBeNull();
+    expect(res.body.children.map(c => c.id)).toEqual([first.id, second.id]);
+
+    res = await conversations({ action: 'branches', chatId: first.id });
+    expect(res.body.parent.id).toBe('chat_root');
+    expect(res.body.siblings.map(c => c.id)).toEqual([second.id]);
+    expect(res.body.children.map(c => c.id)).toEqual([nested.id]);
+
+    res = await conversations({ action: 'branches', chatId: nested.id });
+    expect(res.body.parent.id).toBe(first.id);
+  });
+
+  test('fork rejects missing and foreign messages', async () => {
+    let res = await conversations({ action: 'fork', chatId: 'chat_root' });
+    expect(res.statusCode).toBe(400);
+
+    res = await conversations({ action: 'fork', chatId: 'chat_root', messageId: 'nope' });
+    expect(res.statusCode).toBe(404);
+
+    res = await conversations({ action: 'fork', chatId: 'chat_root', messageId: turns[0].messageId }, OTHER);
+    expect(res.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,141 @@
+// Grand's Stories API - State Concurrency Tests
+// Turns are committed whole, and concurrent writes to a conversation's state are detected
+// and merged rather than lost
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const handleChat = require('../handlers/chat');
+const { AdvancedConversationStateManager } = handleChat;
+const handleConversations = require('../handlers/chat/conversations');
+const { mergeStates } = require('../lib/state');
+const { call } = require('./helpers/http');
+
+const USER = 'user_qqqqqqqqqqqqqqqqqqqqqqqq';
+const CONVERSATION_ID = conversationIdFor(USER, 'chat_race');
+
+describe('mergeStates', () => {
+  const state = overrides => ({
+    interactionCount: 2,
+    emotionalTrajectory: ['curious', 'amused'],
+    personalityVector: { curiosity: 0.5, currentEmotion: 'amused' },
+    topicCoherence: new Map([['war', 1]]),
+    userModel: { interests: new Map(), preferences: new Map(), emotionalResponses: new Map() },
+    pinned: false,
+    ...overrides
+  });
+
+  test('keeps both sides\' turns and changes', () => {
+    const base = state();
+    const theirs = state({
+      interactionCount: 3,
+      emotionalTrajectory: ['curious', 'amused', 'wistful'],
+      personalityVector: { curiosity: 0.6, currentEmotion: 'wistful' },
+      topicCoherence: new Map([['war', 2]]),
+      pinned: true
+    });
+    const mine = state({
+      interactionCount: 3,
+      emotionalTrajectory: ['curious', 'amused', 'pensive'],
+      personalityVector: { curiosity: 0.45, currentEmotion: 'pensive' },
+      topicCoherence: new Map([['war', 1], ['family', 1]])
+    });
+
+    const merged = mergeStates(base, mine, theirs);
+    expect(merged.interactionCount).toBe(4);
+    expect(merged.emotionalTrajectory).toEqual(['curious', 'amused', 'wistful', 'pensive']);
+    expect(merged.personalityVector.curiosity).toBeCloseTo(0.55);
+    expect(merged.personalityVector.currentEmotion).toBe('pensive');
+    expect(merged.topicCoherence).toEqual(new Map([['war', 2], ['family', 1]]));
+    expect(merged.pinned).toBe(true);
+  });
+
+  test('appends past a full trajectory', () => {
+    const full = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'];
+    const merged = mergeStates(
+      state({ emotionalTrajectory: full }),
+      state({ emotionalTrajectory: [...full.slice(1), 'mine'] }),
+      state({ emotionalTrajectory: [...full.slice(1), 'theirs'] })
+    );
+    expect(merged.emotionalTrajectory).toEqual([...full.slice(2), 'theirs', 'mine']);
+  });
+});
+
+describe('concurrent state writes', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+    await call(handleChat, USER, { chatId: 'chat_race', message: 'Tell me about Martha' });
+  });
+
+  async function openState() {
+    const stateManager = new AdvancedConversationStateManager(USER, 'chat_race', storage);
+    await stateManager.loadOrInitialize();
+    return stateManager;
+  }
+
+  test('two turns saved from the same starting point both count', async () => {
+    const first = await openState();
+    const second = await openState();
+
+    await first.storeInteraction('What about the war?', 'Ah, the war.');
+    await second.storeInteraction('And your children?', 'Twenty-two of them.');
+
+    const stored = await storage.getConversation(CONVERSATION_ID);
+    expect(stored.metadata.interactionCount).toBe(3);
+    expect(stored.metadata.emotionalTrajectory).toHaveLength(first.state.emotionalTrajectory.length);
+    expect(stored.revision).toBe(second.revision);
+  });
+
+  test('an organizing write doesn\'t undo a turn saved after the conversation was read', async () => {
+    const conversation = await storage.getConversation(CONVERSATION_ID);
+    const turn = await openState();
+    await turn.storeInteraction('What about the war?', 'Ah, the war.');
+
+    // The pin works from a copy read before the turn was saved
+    let reads = 0;
+    const getConversation = storage.getConversation.bind(storage);
+    storage.getConversation = async id => (reads++ === 0 ? conversation : getConversation(id));
+
+    const res = await call(handleConversations, USER, { action: 'pin', chatId: 'chat_race' });
+    storage.getConversation = getConversation;
+    expect(res.statusCode).toBe(200);
+    expect(reads).toBe(2);
+
+    const stored = await getConversation(CONVERSATION_ID);
+    expect(stored.metadata.pinned).toBe(true);
+    expect(stored.metadata.interactionCount).toBe(2);
+  });
+
+  test('the chat endpoint answers 409, storing nothing, when the state keeps changing underneath it', async () => {
+    const commitTurn = storage.commitTurn.bind(storage);
+    storage.commitTurn = async turn => {
+      // Another writer gets in before every commit
+      const current = await storage.getConversation(CONVERSATION_ID);
+      await storage.updateConversation(CONVERSATION_ID, { metadata: current.metadata });
+      return commitTurn(turn);
+    };
+
+    const res = await call(handleChat, USER, { chatId: 'chat_race', message: 'What about the war?' });
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('STATE_CONFLICT');
+    expect(await storage.countMessages(CONVERSATION_ID)).toBe(2);
+  });
+
+  test('a turn that fails to save is reported and leaves nothing behind', async () => {
+    const fragmentsBefore = (await storage.queryMemoryFragments({ conversationId: CONVERSATION_ID })).length;
+    storage.commitTurn = async () => {
+      throw new Error('connection reset');
+    };
+
+    const res = await call(handleChat, USER, { chatId: 'chat_race', message: 'What about the war?' });
+    expect(res.statusCode).toBe(500);
+    expect(await storage.countMessages(CONVERSATION_ID)).toBe(2);
+    expect(await storage.queryMemoryFragments({ conversationId: CONVERSATION_ID })).toHaveLength(fragmentsBefore);
+    expect((await storage.getConversation(CONVERSATION_ID)).metadata.interactionCount).toBe(1);
+  });
+});
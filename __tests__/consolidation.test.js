@@ -0,0 +1,192 @@
+// Grand's Stories API - Memory Consolidation Tests
+// Merging near-duplicate memories, fading unrecalled ones, archiving the faintest and the nightly job
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const { planConsolidation, consolidateMemories, consolidateAllMemories, ARCHIVE_THRESHOLD } = require('../lib/consolidation');
+const handleChat = require('../handlers/chat');
+const handleMessages = require('../handlers/chat/messages');
+const handleConsolidate = require('../handlers/jobs/consolidate');
+const { call, createResponse } = require('./helpers/http');
+
+const USER = 'user_rrrrrrrrrrrrrrrrrrrrrrrr';
+const CHAT = 'chat_consolidation';
+const CONVERSATION = conversationIdFor(USER, CHAT);
+
+const NOW = new Date('2024-06-01T00:00:00Z');
+const daysAgo = days => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('planning consolidation', () => {
+  const fragment = (id, content, extra = {}) => ({
+    id,
+    fragment_type: 'concept',
+    content,
+    weight: 0.5,
+    accessed_count: 0,
+    created_at: daysAgo(1),
+    metadata: {},
+    tags: [],
+    ...extra
+  });
+
+  test('near-duplicates fold into the strongest, which gains weight and keeps every source', () => {
+    const plan = planConsolidation([
+      fragment('a', 'User interest in: family', { weight: 0.6, metadata: { sourceMessageId: 'm1' } }),
+      fragment('b', 'User interest in: family', { accessed_count: 2, metadata: { sourceMessageId: 'm2' } }),
+      fragment('c', 'User interest in: family, war', { metadata: { sourceMessageId: 'm3' } }),
+      fragment('d', 'User interest in: family', { fragment_type: 'fact' })
+    ], { now: NOW });
+
+    expect(plan.merges).toHaveLength(1);
+    const [{ keep, drop, patch }] = plan.merges;
+    expect(keep.id).toBe('a');
+    expect(drop.map(f => f.id)).toEqual(['b']);
+    expect(patch).toMatchObject({ weight: 0.65, accessed_count: 2 });
+    expect(patch.metadata).toMatchObject({ sourceMessageIds: ['m1', 'm2'], mergedCount: 2 });
+  });
+
+  test('unrecalled memories fade after a grace period and the faintest are archived', () => {
+    const plan = planConsolidation([
+      fragment('fresh', 'Talked about radios', { created_at: daysAgo(3) }),
+      fragment('old', 'Talked about the garden', { created_at: daysAgo(30) }),
+      fragment('recalled', 'Talked about Martha', { created_at: daysAgo(90), accessed_count: 3 }),
+      fragment('faint', 'Talked about the weather', { created_at: daysAgo(90), weight: 0.15 }),
+      fragment('initial', 'Born in 1928', { created_at: daysAgo(365), metadata: { source: 'initial' } })
+    ], { now: NOW });
+
+    expect(plan.decays.map(d => d.fragment.id)).toEqual(['old', 'faint']);
+    expect(plan.decays[0].patch.weight).toBe(0.25);
+    expect(plan.archives.map(a => a.fragment.id)).toEqual(['faint']);
+    expect(plan.archives[0].weight).toBeLessThan(ARCHIVE_THRESHOLD);
+
+    // Fading again the same day changes nothing
+    const again = planConsolidation([{ ...plan.decays[0].fragment, ...plan.decays[0].patch }], { now: NOW });
+    expect(again.decays).toHaveLength(0);
+  });
+});
+
+describe('consolidating stored memories', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+    await storage.createConversation({ user_id: USER, conversation_id: CONVERSATION });
+  });
+
+  afterEach(() => {
+    delete process.env.CRON_SECRET;
+  });
+
+  const insert = (content, extra = {}) => storage.insertMemoryFragment({
+    conversation_id: CONVERSATION,
+    fragment_type: 'concept',
+    content,
+    weight: 0.5,
+    tags: [],
+    created_at: daysAgo(1),
+    ...extra
+  });
+
+  test('a dry run reports without writing, and a real run merges and archives', async () => {
+    await insert('Talked about the old radio');
+    await insert('Talked about the old radio');
+    await insert('Talked about the weather', { weight: 0.12, created_at: daysAgo(60), last_accessed: daysAgo(60) });
+
+    const dryRun = await consolidateMemories(storage, { conversationId: CONVERSATION, dryRun: true, now: NOW });
+    expect(dryRun).toMatchObject({ tier: 'conversation', dryRun: true, examined: 3, merged: 1, archived: 1 });
+    expect(await storage.queryMemoryFragments({ conversationId: CONVERSATION })).toHaveLength(3);
+
+    await consolidateMemories(storage, { conversationId: CONVERSATION, now: NOW });
+    const remaining = await storage.queryMemoryFragments({ conversationId: CONVERSATION });
+    expect(remaining.map(f => f.content)).toEqual(['Talked about the old radio']);
+    expect(remaining[0].weight).toBe(0.55);
+
+    const archived = await storage.queryMemoryFragments({ conversationId: CONVERSATION, includeArchived: true });
+    expect(archived.find(f => f.content === 'Talked about the weather').archived_at).toBe(NOW.toISOString());
+  });
+
+  test('deleting any message a merged memory came from forgets it', async () => {
+    const first = await call(handleChat, USER, { chatId: CHAT, message: 'My daughter is starting college' });
+    const second = await call(handleChat, USER, { chatId: CHAT, message: 'My daughter is starting college' });
+    await consolidateMemories(storage, { userId: USER, now: NOW });
+
+    const learned = (await storage.queryUserMemories({ userId: USER })).filter(m => m.content === 'User interest in: family');
+    expect(learned).toHaveLength(1);
+    expect(learned[0].metadata.sourceMessageIds).toEqual(expect.arrayContaining([
+      first.body.metadata.userMessageId,
+      second.body.metadata.userMessageId
+    ]));
+
+    await call(handleMessages, USER, { chatId: CHAT, action: 'deleteMessage', messageId: second.body.metadata.userMessageId });
+    expect((await storage.queryUserMemories({ userId: USER })).map(m => m.content)).not.toContain('User interest in: family');
+  });
+
+  test('memories a reply drew on are marked as recalled', async () => {
+    const res = await call(handleChat, USER, { chatId: CHAT, message: 'Tell me about Martha' });
+    const sources = res.body.metadata.attribution?.sources || [];
+
+    const memories = [
+      ...await storage.queryMemoryFragments({ conversationId: CONVERSATION }),
+      ...await storage.queryUserMemories({ userId: USER })
+    ];
+    for (const id of sources) {
+      expect(memories.find(m => m.id === id)?.accessed_count).toBeGreaterThan(0);
+    }
+    expect(memories.filter(m => !sources.includes(m.id)).every(m => !m.accessed_count)).toBe(true);
+  });
+
+  test('the nightly job works through conversations a batch at a time, longest waiting first', async () => {
+    const OTHER = 'user_ssssssssssssssssssssssss';
+    const others = [conversationIdFor(OTHER, 'chat_a'), conversationIdFor(OTHER, 'chat_b')];
+    for (const conversationId of others) {
+      await storage.createConversation({ user_id: OTHER, conversation_id: conversationId });
+    }
+    for (const conversationId of [CONVERSATION, ...others]) {
+      await insert('Talked about the old radio', { conversation_id: conversationId });
+      await insert('Talked about the old radio', { conversation_id: conversationId });
+    }
+    const remaining = async () => (await Promise.all([CONVERSATION, ...others].map(conversationId =>
+      storage.queryMemoryFragments({ conversationId })))).map(rows => rows.length);
+
+    const dryRun = await consolidateAllMemories(storage, { dryRun: true, now: NOW, limit: 2 });
+    expect(dryRun).toMatchObject({ conversations: 2, merged: 2 });
+    expect((await storage.getConversation(others[0])).consolidated_at).toBeNull();
+
+    const first = await consolidateAllMemories(storage, { now: NOW, limit: 2 });
+    expect(first).toMatchObject({ conversations: 2, deferred: 0, merged: 2 });
+    expect(await remaining()).toEqual([1, 1, 2]);
+
+    const second = await consolidateAllMemories(storage, { now: NOW, limit: 2 });
+    expect(second.reports[0]).toMatchObject({ tier: 'conversation', scope: others[1], merged: 1 });
+    expect(await remaining()).toEqual([1, 1, 1]);
+    expect((await storage.getConversation(CONVERSATION)).consolidated_at).toBe(NOW.toISOString());
+  });
+
+  test('the nightly job runs only for the cron secret and honours dry runs', async () => {
+    await insert('Talked about the old radio');
+    await insert('Talked about the old radio');
+
+    const run = async (authorization, query = {}) => {
+      const res = createResponse();
+      await handleConsolidate({ method: 'GET', headers: authorization ? { authorization } : {}, query }, res);
+      return res;
+    };
+
+    process.env.CRON_SECRET = 'cron-secret';
+    expect((await run()).statusCode).toBe(401);
+    expect((await run('Bearer wrong')).statusCode).toBe(401);
+
+    const dryRun = await run('Bearer cron-secret', { dryRun: '1' });
+    expect(dryRun.body).toMatchObject({ success: true, dryRun: true, merged: 1 });
+    expect(await storage.queryMemoryFragments({ conversationId: CONVERSATION })).toHaveLength(2);
+
+    const res = await run('Bearer cron-secret');
+    expect(res.body).toMatchObject({ dryRun: false, merged: 1 });
+    expect(res.body.reports[0]).toMatchObject({ tier: 'conversation', scope: CONVERSATION });
+    expect(await storage.queryMemoryFragments({ conversationId: CONVERSATION })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,166 @@
+// Grand's Stories API - Conversation Management Tests
+// rename, pin, archive, tag and duplicate, and how list filters and sorts on them
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const handleConversations = require('../handlers/chat/conversations');
+const { call } = require('./helpers/http');
+
+const USER = 'user_cccccccccccccccccccccccc';
+
+function conversations(body) {
+  return call(handleConversations, USER, body);
+}
+
+async function listIds(body = {}) {
+  const res = await conversations({ action: 'list', ...body });
+  return res.body.conversations.map(c => c.id);
+}
+
+describe('conversation management', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+
+    const chats = [
+      ['chat_a', 'Apples', '2024-01-01T00:00:00.000Z', '2024-03-01T00:00:00.000Z'],
+      ['chat_b', 'Bicycles', '2024-02-01T00:00:00.000Z', '2024-02-01T00:00:00.000Z'],
+      ['chat_c', 'Computers', '2024-03-01T00:00:00.000Z', '2024-01-01T00:00:00.000Z']
+    ];
+    for (const [chatId, title, createdAt, updatedAt] of chats) {
+      await storage.createConversation({
+        user_id: USER,
+        conversation_id: conversationIdFor(USER, chatId),
+        metadata: { title },
+        created_at: createdAt,
+        updated_at: updatedAt
+      });
+    }
+  });
+
+  test('rename sets the title without bumping updated_at', async () => {
+    const res = await conversations({ action: 'rename', chatId: 'chat_b', title: '  Two wheels  ' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.conversation.title).toBe('Two wheels');
+    expect(res.body.conversation.updated_at).toBe('2024-02-01T00:00:00.000Z');
+  });
+
+  test('rename requires a title', async () => {
+    const res = await conversations({ action: 'rename', chatId: 'chat_b', title: ' ' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('list sorts by the requested key with pinned conversations first', async () => {
+    expect(await listIds()).toEqual(['chat_a', 'chat_b', 'chat_c']);
+    expect(await listIds({ sort: 'created' })).toEqual(['chat_c', 'chat_b', 'chat_a']);
+
+    await conversations({ action: 'pin', chatId: 'chat_c' });
+    expect(await listIds()).toEqual(['chat_c', 'chat_a', 'chat_b']);
+    expect(await listIds({ filters: { pinned: true } })).toEqual(['chat_c']);
+
+    await conversations({ action: 'unpin', chatId: 'chat_c' });
+    expect(await listIds()).toEqual(['chat_a', 'chat_b', 'chat_c']);
+  });
+
+  test('list rejects unknown sort keys', async () => {
+    const res = await conversations({ action: 'list', sort: 'random' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('archived conversations are hidden unless asked for', async () => {
+    await conversations({ action: 'archive', chatId: 'chat_a' });
+
+    expect(await listIds()).toEqual(['chat_b', 'chat_c']);
+    expect(await listIds({ filters: { archived: true } })).toEqual(['chat_a']);
+    expect(await listIds({ filters: { archived: 'any' } })).toHaveLength(3);
+
+    await conversations({ action: 'unarchive', chatId: 'chat_a' });
+    expect(await listIds()).toHaveLength(3);
+  });
+
+  test('tag and untag normalize, dedupe and filter', async () => {
+    let res = await conversations({ action: 'tag', chatId: 'chat_a', tags: ['Family', 'family', ' war '] });
+    expect(res.body.conversation.tags).toEqual(['family', 'war']);
+
+    res = await conversations({ action: 'untag', chatId: 'chat_a', tag: 'war' });
+    expect(res.body.conversation.tags).toEqual(['family']);
+
+    expect(await listIds({ filters: { tag: 'Family' } })).toEqual(['chat_a']);
+  });
+
+  test('tag requires at least one tag', async () => {
+    const res = await conversations({ action: 'tag', chatId: 'chat_a', tags: [] });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('duplicate copies messages and memories into a new conversation', async () => {
+    const sourceId = conversationIdFor(USER, 'chat_a');
+    await conversations({ action: 'pin', chatId: 'chat_a' });
+    await storage.insertMessage({ conversation_id: sourceId, role: 'user', content: 'first' });
+    await storage.insertMessage({ conversation_id: sourceId, role: 'benn', content: 'second' });
+    await storage.insertMemoryFragment({ conversation_id: sourceId, fragment_type: 'user_fact', content: 'likes apples' });
+
+    const res = await conversations({ action: 'duplicate', chatId: 'chat_a' });
+    expect(res.statusCode).toBe(200);
+
+    const copy = res.body.conversation;
+    expect(copy.id).not.toBe('chat_a');
+    expect(copy.title).toBe('Apples (copy)');
+    expect(copy.pinned).toBe(false);
+    expect(copy.message_count).toBe(2);
+
+    const copyId = conversationIdFor(USER, copy.id);
+    expect((await storage.listMessages(copyId)).map(m => m.content)).toEqual(['first', 'second']);
+    expect(await storage.queryMemoryFragments({ conversationId: copyId })).toHaveLength(1);
+    expect(await storage.countMessages(sourceId)).toBe(2);
+  });
+
+  test('list pages through conversations with a cursor', async () => {
+    await conversations({ action: 'pin', chatId: 'chat_c' });
+
+    const first = await conversations({ action: 'list', limit: 1 });
+    expect(first.body.conversations.map(c => c.id)).toEqual(['chat_c', 'chat_a']);
+    expect(first.body.hasMore).toBe(true);
+
+    const second = await conversations({ action: 'list', limit: 1, cursor: first.body.nextCursor });
+    expect(second.body.conversations.map(c => c.id)).toEqual(['chat_b']);
+    expect(second.body.hasMore).toBe(false);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  test('list rejects a malformed cursor', async () => {
+    const res = await conversations({ action: 'list', cursor: 'not-a-cursor' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('counts and previews come from the conversation row', async () => {
+    const conversationId = conversationIdFor(USER, 'chat_b');
+    await storage.insertMessage({ conversation_id: conversationId, role: 'user', content: 'hello' });
+    await storage.insertMessage({ conversation_id: conversationId, role: 'benn', content: 'x'.repeat(80) });
+
+    const countMessages = jest.spyOn(storage, 'countMessages');
+    const listMessages = jest.spyOn(storage, 'listMessages');
+
+    const res = await conversations({ action: 'list' });
+    const chat = res.body.conversations.find(c => c.id === 'chat_b');
+    expect(chat.message_count).toBe(2);
+    expect(chat.preview).toBe(`${'x'.repeat(50)}...`);
+    expect(countMessages).not.toHaveBeenCalled();
+    expect(listMessages).not.toHaveBeenCalled();
+  });
+
+  test('actions on unknown conversations return 404', async () => {
+    const res = await conversations({ action: 'pin', chatId: 'chat_missing' });
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('unknown actions are rejected', async () => {
+    const res = await conversations({ action: 'explode', chatId: 'chat_a' });
+    expect(res.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,213 @@
+// Grand's Stories API - Message Deletion Tests
+// Soft delete, restore within the window, permanent delete and the purge job
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const handleChat = require('../handlers/chat');
+const { AdvancedConversationStateManager } = handleChat;
+const handleMessages = require('../handlers/chat/messages');
+const handleConversations = require('../handlers/chat/conversations');
+const handlePurge = require('../handlers/jobs/purge');
+const { searchConversations } = require('../lib/search');
+const { call, createResponse } = require('./helpers/http');
+
+const USER = 'user_iiiiiiiiiiiiiiiiiiiiiiii';
+const OTHER = 'user_jjjjjjjjjjjjjjjjjjjjjjjj';
+const CONVERSATION_ID = conversationIdFor(USER, 'chat_deletion');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function messages(body, userId = USER) {
+  return call(handleMessages, userId, { chatId: 'chat_deletion', ...body });
+}
+
+describe('message deletion', () => {
+  let storage;
+  let turns;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+
+    turns = [];
+    for (const message of ['Tell me about Martha', 'What about the Enigma machine?']) {
+      const res = await call(handleChat, USER, { chatId: 'chat_deletion', message });
+      turns.push(res.body.metadata);
+    }
+  });
+
+  afterEach(() => {
+    delete process.env.MESSAGE_RESTORE_DAYS;
+    delete process.env.CRON_SECRET;
+  });
+
+  // Both tiers: the conversation's own memories and what Benn learned about the user
+  async function memories() {
+    return [
+      ...await storage.queryMemoryFragments({ conversationId: CONVERSATION_ID }),
+      ...await storage.queryUserMemories({ userId: USER })
+    ];
+  }
+
+  async function fragmentsFrom(messageId) {
+    return (await memories()).filter(f => f.metadata?.sourceMessageId === messageId);
+  }
+
+  test('a deleted message disappears from the conversation, Benn\'s recall and search', async () => {
+    const res = await messages({ action: 'deleteMessage', messageId: turns[1].userMessageId });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.deletedIds).toEqual([turns[1].userMessageId]);
+    expect(Date.parse(res.body.restoreUntil) - Date.now()).toBeGreaterThan(29 * DAY_MS);
+
+    const loaded = await messages({ action: 'load' });
+    expect(loaded.body.messages.map(m => m.id)).not.toContain(turns[1].userMessageId);
+    expect(loaded.body.restoreWindowDays).toBe(30);
+
+    const withDeleted = await messages({ action: 'load', includeDeleted: true });
+    expect(withDeleted.body.messages.find(m => m.id === turns[1].userMessageId).deleted_at).toBeTruthy();
+
+    const stateManager = new AdvancedConversationStateManager(USER, 'chat_deletion', storage);
+    await stateManager.loadOrInitialize();
+    expect(stateManager.state.shortTermMemory.map(m => m.id)).not.toContain(turns[1].userMessageId);
+
+    const found = await searchConversations(storage, USER, { query: 'Enigma machine' });
+    expect(found.map(r => r.id)).not.toContain(turns[1].userMessageId);
+
+    expect((await storage.getConversation(CONVERSATION_ID)).message_count).toBe(3);
+  });
+
+  test('deleting takes the message\'s memories and restoring brings them back', async () => {
+    const messageId = turns[1].userMessageId;
+    expect(await fragmentsFrom(messageId)).not.toHaveLength(0);
+
+    await messages({ action: 'deleteMessage', messageId });
+    expect(await fragmentsFrom(messageId)).toHaveLength(0);
+
+    const res = await messages({ action: 'restoreMessage', messageId });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.messages[0].deleted_at).toBeNull();
+    expect((await fragmentsFrom(messageId)).map(f => f.content)).toContain('User interest in: war');
+    expect((await storage.getConversation(CONVERSATION_ID)).message_count).toBe(4);
+  });
+
+  test('deleting takes the message out of the stored short-term memory and restoring puts it back', async () => {
+    const messageId = turns[0].userMessageId;
+    const recent = async () => (await storage.getConversation(CONVERSATION_ID)).metadata.shortTermMemory;
+    expect((await recent()).map(m => m.id)).toContain(messageId);
+
+    await messages({ action: 'deleteMessage', messageId });
+    expect(JSON.stringify(await recent())).not.toContain('Tell me about Martha');
+
+    const listed = await call(handleConversations, USER, { action: 'list' });
+    expect(JSON.stringify(listed.body)).not.toContain('Tell me about Martha');
+
+    await messages({ action: 'restoreMessage', messageId });
+    const restored = await recent();
+    expect(restored.map(m => m.id)).toEqual((await storage.listMessages(CONVERSATION_ID)).map(m => m.id));
+    expect(restored.find(m => m.id === messageId).deleted_at).toBeNull();
+  });
+
+  test('a whole turn can be deleted at once', async () => {
+    const res = await messages({ action: 'deleteMessage', messageIds: [turns[0].userMessageId, turns[0].messageId] });
+    expect(res.statusCode).toBe(200);
+    expect(await fragmentsFrom(turns[0].messageId)).toHaveLength(0);
+    expect(await storage.countMessages(CONVERSATION_ID)).toBe(2);
+  });
+
+  test('a delete or restore that fails to store leaves the messages and their memories', async () => {
+    const messageId = turns[1].userMessageId;
+    const commitTurn = storage.commitTurn.bind(storage);
+    const before = await storage.listMessages(CONVERSATION_ID, { includeDeleted: true });
+    const remembered = await memories();
+    storage.commitTurn = async () => { throw new Error('disk full'); };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect((await messages({ action: 'deleteMessage', messageId })).statusCode).toBe(500);
+    expect((await messages({ action: 'deleteMessage', messageId, permanent: true })).statusCode).toBe(500);
+    expect(await storage.listMessages(CONVERSATION_ID, { includeDeleted: true })).toEqual(before);
+    expect((await memories()).map(m => m.id).sort()).toEqual(remembered.map(m => m.id).sort());
+
+    storage.commitTurn = commitTurn;
+    await messages({ action: 'deleteMessage', messageId });
+    const deleted = await storage.listMessages(CONVERSATION_ID, { includeDeleted: true });
+    storage.commitTurn = async () => { throw new Error('disk full'); };
+
+    expect((await messages({ action: 'restoreMessage', messageId })).statusCode).toBe(500);
+    console.error.mockRestore();
+    expect(await storage.listMessages(CONVERSATION_ID, { includeDeleted: true })).toEqual(deleted);
+    expect(await fragmentsFrom(messageId)).toHaveLength(0);
+  });
+
+  test('messages cannot be restored once the window has passed', async () => {
+    const messageId = turns[0].userMessageId;
+    await storage.updateMessage(messageId, { deleted_at: new Date(Date.now() - 31 * DAY_MS).toISOString() });
+
+    const res = await messages({ action: 'restoreMessage', messageId });
+    expect(res.statusCode).toBe(410);
+
+    const loaded = await messages({ action: 'load', includeDeleted: true });
+    expect(loaded.body.messages.map(m => m.id)).not.toContain(messageId);
+  });
+
+  test('permanent deletes skip the restore window', async () => {
+    const messageId = turns[0].messageId;
+    const res = await messages({ action: 'deleteMessage', messageId, permanent: true });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.permanent).toBe(true);
+
+    const stored = await storage.listMessages(CONVERSATION_ID, { includeDeleted: true });
+    expect(stored.map(m => m.id)).not.toContain(messageId);
+    expect((await messages({ action: 'restoreMessage', messageId })).statusCode).toBe(404);
+  });
+
+  test('unknown and foreign messages are rejected', async () => {
+    expect((await messages({ action: 'deleteMessage' })).statusCode).toBe(400);
+    expect((await messages({ action: 'deleteMessage', messageId: 'nope' })).statusCode).toBe(404);
+    expect((await messages({ action: 'restoreMessage', messageId: turns[0].messageId })).statusCode).toBe(404);
+
+    const res = await messages({ action: 'deleteMessage', messageId: turns[0].messageId }, OTHER);
+    expect(res.statusCode).toBe(404);
+    expect(await storage.countMessages(CONVERSATION_ID)).toBe(4);
+  });
+
+  test('editing discards deleted messages that came after it', async () => {
+    await messages({ action: 'deleteMessage', messageId: turns[1].messageId });
+    await messages({ action: 'edit', messageId: turns[0].userMessageId, content: 'Tell me about the children' });
+
+    const stored = await storage.listMessages(CONVERSATION_ID, { includeDeleted: true });
+    expect(stored.map(m => m.id)).not.toContain(turns[1].messageId);
+    expect(stored).toHaveLength(2);
+  });
+
+  describe('purge job', () => {
+    function purge(authorization) {
+      const res = createResponse();
+      return handlePurge({ method: 'GET', headers: authorization ? { authorization } : {} }, res).then(() => res);
+    }
+
+    test('hard-deletes messages whose restore window has expired', async () => {
+      process.env.CRON_SECRET = 'cron-secret';
+      process.env.MESSAGE_RESTORE_DAYS = '7';
+      await storage.updateMessage(turns[0].userMessageId, { deleted_at: new Date(Date.now() - 8 * DAY_MS).toISOString() });
+      await storage.updateMessage(turns[0].messageId, { deleted_at: new Date(Date.now() - 6 * DAY_MS).toISOString() });
+
+      const res = await purge('Bearer cron-secret');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.purged).toBe(1);
+      expect(res.body.restoreWindowDays).toBe(7);
+
+      const stored = await storage.listMessages(CONVERSATION_ID, { includeDeleted: true });
+      expect(stored.map(m => m.id)).toEqual([turns[0].messageId, turns[1].userMessageId, turns[1].messageId]);
+    });
+
+    test('only runs for the cron secret', async () => {
+      expect((await purge('Bearer cron-secret')).statusCode).toBe(401);
+
+      process.env.CRON_SECRET = 'cron-secret';
+      expect((await purge()).statusCode).toBe(401);
+      expect((await purge('Bearer wrong')).statusCode).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// Grand's Stories API - Self-Disclosure Tests
+// Picking up what users say about themselves, remembering it, and Benn greeting them and their people
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const { extractDisclosures, disclosureMemory, summarizeDisclosures } = require('../lib/disclosures');
+const handleChat = require('../handlers/chat');
+const { QuantumResponseGenerator, QuantumSemanticAnalyzer, AdvancedConversationStateManager } = handleChat;
+const handleMessages = require('../handlers/chat/messages');
+const { call } = require('./helpers/http');
+
+const USER = 'user_uuuuuuuuuuuuuuuuuuuuuuuu';
+
+const described = message => extractDisclosures(message).map(d => disclosureMemory(d).content);
+
+describe('extracting self-disclosures', () => {
+  test('names, but not words that merely follow "I\'m" or "call me"', () => {
+    expect(extractDisclosures("Hi Benn, I'm Sarah")).toEqual([{ type: 'name', name: 'Sarah' }]);
+    expect(described('my name is Walter')).toEqual(["User's name is Walter"]);
+    expect(described('Please call me Walt')).toEqual(["User's name is Walt"]);
+    expect(described('call me maybe')).toEqual([]);
+    expect(described('Call me tomorrow if you can')).toEqual([]);
+    expect(described('my name is not important')).toEqual([]);
+    expect(described("I'm tired today")).toEqual([]);
+    expect(described("I'm Jake's mom")).toEqual([]);
+  });
+
+  test('the people in their life, with what they said about them', () => {
+    expect(extractDisclosures('My son Jake plays trumpet.')).toEqual([
+      { type: 'relationship', relation: 'son', group: 'family', name: 'Jake', detail: 'plays trumpet' }
+    ]);
+    expect(described('my daughter is starting college')).toEqual(["User's daughter is starting college"]);
+    expect(described('My wife Martha and I went dancing')).toEqual(["User's wife Martha"]);
+    expect(described('Lucy is my best friend')).toEqual(["User's best friend Lucy"]);
+  });
+
+  test('places, work, dates, likes and dislikes', () => {
+    expect(described('I grew up in Portland, Oregon')).toEqual(['User grew up in Portland, Oregon']);
+    expect(described("I'm a retired teacher")).toEqual(['User used to work as a teacher']);
+    expect(described('I work as a nurse at the hospital')).toEqual(['User works as a nurse']);
+    expect(described("My son's birthday is march 3rd")).toEqual(["User's son's birthday is March 3rd"]);
+    expect(described('I was born in 1948')).toEqual(['User was born in 1948']);
+    expect(described('I love gardening, but my back hurts')).toEqual(['User likes gardening']);
+    expect(described("I can't stand loud music")).toEqual(['User dislikes loud music']);
+    expect(described('I like it when you tell stories')).toEqual([]);
+  });
+
+  test('people are remembered once, least recently asked after first', () => {
+    const memory = (disclosure, extra) => ({ ...disclosureMemory(disclosure), metadata: { disclosure: { ...disclosure } }, ...extra });
+    const [jake] = extractDisclosures('My son Jake plays trumpet');
+    const [jakeAgain] = extractDisclosures('my son Jake');
+    const [lucy] = extractDisclosures('My friend Lucy');
+    const [name] = extractDisclosures("I'm Sarah");
+
+    const summary = summarizeDisclosures([
+      memory(jake, { id: 'jake', created_at: '2024-01-01', last_accessed: '2024-03-01' }),
+      memory(jakeAgain, { id: 'jake-again', created_at: '2024-02-01', last_accessed: '2024-03-01' }),
+      memory(lucy, { id: 'lucy', created_at: '2024-01-05', last_accessed: '2024-01-05' }),
+      memory(name, { id: 'name', created_at: '2024-01-01' })
+    ]);
+
+    expect(summary.name).toBe('Sarah');
+    expect(summary.people.map(p => p.name)).toEqual(['Lucy', 'Jake']);
+    expect(summary.people[1]).toMatchObject({ memoryId: 'jake-again', detail: 'plays trumpet' });
+  });
+});
+
+describe('remembering and using self-disclosures', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+  });
+
+  const send = (chatId, message) => call(handleChat, USER, { chatId, message });
+  const disclosures = async () => (await storage.queryUserMemories({ userId: USER })).filter(m => m.metadata.disclosure);
+
+  test('what users say about themselves is stored as typed memories, and forgotten with the message', async () => {
+    const introduction = await send('chat_one', "Hi Benn, I'm Sarah");
+    expect(introduction.body.response).toContain('Sarah');
+
+    const res = await send('chat_one', 'My son Jake plays trumpet in the school band');
+    const son = (await disclosures()).find(m => m.fragment_type === 'relationship');
+    expect(son).toMatchObject({
+      content: "User's son Jake plays trumpet in the school band",
+      tags: ['family', 'son', 'jake'],
+      source_conversation_id: conversationIdFor(USER, 'chat_one'),
+      metadata: {
+        sourceMessageId: res.body.metadata.userMessageId,
+        disclosure: { relation: 'son', name: 'Jake', detail: 'plays trumpet in the school band' }
+      }
+    });
+
+    await call(handleMessages, USER, { chatId: 'chat_one', action: 'deleteMessage', messageId: res.body.metadata.userMessageId });
+    expect((await disclosures()).map(m => m.fragment_type)).toEqual(['name']);
+  });
+
+  test('in a later chat Benn greets the user by name and asks after their people', async () => {
+    await send('chat_one', "I'm Sarah");
+    await send('chat_one', 'My son Jake plays trumpet');
+
+    const res = await send('chat_two', 'Hello there');
+    expect(res.body.response).toContain('Sarah');
+    expect(res.body.response).toContain('How is your son Jake doing? Last I heard, Jake plays trumpet.');
+    expect(res.body.metadata.attribution.source).toBe('personal');
+
+    // Asking after Jake counts as recalling him, so someone else comes up next time
+    const [jake] = (await disclosures()).filter(m => m.fragment_type === 'relationship');
+    expect(jake.accessed_count).toBe(1);
+  });
+
+  test('nothing is said about people the user is talking about right now', async () => {
+    await send('chat_one', 'My son Jake plays trumpet');
+
+    const state = new AdvancedConversationStateManager(USER, 'chat_two', storage);
+    await state.loadOrInitialize();
+    const generator = new QuantumResponseGenerator(storage, { conversationId: state.conversationId, userId: USER });
+    const analyzer = new QuantumSemanticAnalyzer();
+
+    const [asked] = await generator.generateFromDisclosures(analyzer.analyzeWithDepth('Good morning'), state);
+    expect(asked.text).toContain('How is your son Jake doing?');
+
+    const candidates = await generator.generateFromDisclosures(analyzer.analyzeWithDepth('My son Jake got into college'), state);
+    expect(candidates.map(c => c.text).join(' ')).not.toContain('How is your son Jake');
+  });
+});
@@ -0,0 +1,189 @@
+// Grand's Stories API - Reply Feedback Tests
+// Rating replies, crediting the patterns behind them, and learning from the scores
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const handleChat = require('../handlers/chat');
+const { QuantumResponseGenerator, QuantumSemanticAnalyzer, AdvancedConversationStateManager } = handleChat;
+const handleFeedback = require('../handlers/chat/feedback');
+const handleMessages = require('../handlers/chat/messages');
+const { successScore, patternKeys, loadSuccessScores, recordUsage, recordRating } = require('../lib/patterns');
+const { call } = require('./helpers/http');
+
+const USER = 'user_llllllllllllllllllllllll';
+const OTHER = 'user_mmmmmmmmmmmmmmmmmmmmmmmm';
+const CONVERSATION_ID = conversationIdFor(USER, 'chat_feedback');
+
+function rate(body, userId = USER) {
+  return call(handleFeedback, userId, { chatId: 'chat_feedback', ...body });
+}
+
+describe('successScore', () => {
+  test('starts neutral and moves gradually with ratings', () => {
+    expect(successScore()).toBe(0.5);
+    expect(successScore({ up: 1 })).toBeCloseTo(0.6);
+    expect(successScore({ down: 1 })).toBeCloseTo(0.4);
+    expect(successScore({ down: 20 })).toBeLessThan(0.1);
+  });
+});
+
+describe('reply feedback', () => {
+  let storage;
+  let reply;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+
+    const res = await call(handleChat, USER, { chatId: 'chat_feedback', message: 'Tell me about Martha' });
+    reply = (await storage.listMessages(CONVERSATION_ID)).find(m => m.id === res.body.metadata.messageId);
+  });
+
+  async function patternsFor(attribution) {
+    const patterns = await storage.listGenerativePatterns();
+    return patterns.filter(p =>
+      (p.pattern_type === 'template' && p.template === attribution.templateId) ||
+      (p.pattern_type === 'grammar' && p.template === attribution.grammarRule) ||
+      (p.pattern_type === 'knowledge' && p.template === attribution.knowledgeId) ||
+      (p.pattern_type === 'memory' && (attribution.sources || []).includes(p.template))
+    );
+  }
+
+  test('replies record the patterns that produced them, and each use is counted', async () => {
+    const { attribution } = reply.metadata;
+    expect(attribution.source).toBeTruthy();
+
+    const counted = patternKeys(attribution).filter(([patternType]) => patternType !== 'memory');
+    const patterns = await storage.findGenerativePatterns(counted);
+    expect(patterns).toHaveLength(counted.length);
+    expect(patterns.every(p => p.usage_count === 1)).toBe(true);
+
+    await recordUsage(storage, { source: 'template', templateId: 't1', grammarRule: 'r1', sources: ['f1'] });
+    await recordUsage(storage, { source: 'template', templateId: 't1', sources: ['f1'] });
+    const [template] = await storage.findGenerativePatterns([['template', 't1']]);
+    const [grammar] = await storage.findGenerativePatterns([['grammar', 'r1']]);
+    expect([template.usage_count, grammar.usage_count]).toEqual([2, 1]);
+  });
+
+  test('recalled memories are not given a pattern row until a reply they produced is rated', async () => {
+    expect(await storage.listGenerativePatterns({ patternType: 'memory' })).toHaveLength(0);
+
+    const attribution = { source: 'memory', sources: ['f1', 'f2'] };
+    await storage.updateMessage(reply.id, { metadata: { ...reply.metadata, attribution } });
+
+    await rate({ messageId: reply.id, rating: 'up' });
+    const rows = await storage.listGenerativePatterns({ patternType: 'memory' });
+    expect(rows.map(p => p.template).sort()).toEqual(['f1', 'f2']);
+    expect(rows.every(p => p.usage_count === 0 && p.metadata.up === 1)).toBe(true);
+  });
+
+  test('ratings made at the same time all count', async () => {
+    const attribution = { source: 'template', templateId: 'together' };
+    await Promise.all([
+      recordRating(storage, attribution, { rating: 'up' }),
+      recordRating(storage, attribution, { rating: 'up' }),
+      recordRating(storage, attribution, { rating: 'down' })
+    ]);
+
+    const [pattern] = await storage.findGenerativePatterns([['template', 'together']]);
+    expect(pattern.metadata).toMatchObject({ up: 2, down: 1 });
+    expect(pattern.success_score).toBeCloseTo(successScore({ up: 2, down: 1 }));
+  });
+
+  test('a rating is stored on the reply and credited to its patterns', async () => {
+    const res = await rate({ messageId: reply.id, rating: 'down', reason: '  Too vague  ' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.feedback).toMatchObject({ rating: 'down', reason: 'Too vague' });
+
+    const [stored] = (await storage.listMessages(CONVERSATION_ID)).filter(m => m.id === reply.id);
+    expect(stored.metadata.feedback.rating).toBe('down');
+
+    for (const pattern of await patternsFor(reply.metadata.attribution)) {
+      expect(pattern.metadata).toMatchObject({ up: 0, down: 1 });
+      expect(pattern.success_score).toBeCloseTo(0.4);
+    }
+  });
+
+  test('changing or clearing a rating does not count twice', async () => {
+    await rate({ messageId: reply.id, rating: 'down' });
+    await rate({ messageId: reply.id, rating: 'down' });
+    await rate({ messageId: reply.id, rating: 'up' });
+
+    let [pattern] = await patternsFor(reply.metadata.attribution);
+    expect(pattern.metadata).toMatchObject({ up: 1, down: 0 });
+
+    const res = await rate({ messageId: reply.id, rating: null });
+    expect(res.body.feedback).toBeNull();
+    [pattern] = await patternsFor(reply.metadata.attribution);
+    expect(pattern.metadata).toMatchObject({ up: 0, down: 0 });
+    expect(pattern.success_score).toBe(0.5);
+  });
+
+  test('each version of a regenerated reply keeps its own rating', async () => {
+    await rate({ messageId: reply.id, rating: 'up' });
+    const userMessage = (await storage.listMessages(CONVERSATION_ID)).find(m => m.role === 'user');
+    const regenerated = await call(handleMessages, USER, { chatId: 'chat_feedback', action: 'regenerate', messageId: userMessage.id });
+    expect(regenerated.body.messages[1].metadata.feedback).toBeNull();
+
+    const res = await call(handleMessages, USER, { chatId: 'chat_feedback', action: 'version', messageId: reply.id, version: 0 });
+    expect(res.body.messages[0].metadata.feedback.rating).toBe('up');
+  });
+
+  test('rejects bad input, user messages and other people\'s replies', async () => {
+    expect((await rate({ rating: 'up' })).statusCode).toBe(400);
+    expect((await rate({ messageId: reply.id, rating: 'meh' })).statusCode).toBe(400);
+    expect((await rate({ messageId: reply.id, rating: 'up', reason: 'x'.repeat(501) })).statusCode).toBe(400);
+
+    const userMessage = (await storage.listMessages(CONVERSATION_ID)).find(m => m.role === 'user');
+    expect((await rate({ messageId: userMessage.id, rating: 'up' })).statusCode).toBe(404);
+    expect((await rate({ messageId: reply.id, rating: 'up' }, OTHER)).statusCode).toBe(404);
+  });
+});
+
+describe('learned candidate selection', () => {
+  let storage;
+  let generator;
+  let analysis;
+  let state;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    generator = new QuantumResponseGenerator(storage);
+    analysis = new QuantumSemanticAnalyzer().analyzeWithDepth('hello there');
+    state = new AdvancedConversationStateManager(USER, 'chat_learning', storage);
+  });
+
+  const candidate = templateId => ({ text: 'Interesting point.', confidence: 0.7, complexity: 0.5, source: 'template', templateId });
+
+  test('candidate scores are finite', () => {
+    const score = generator.calculateCandidateScore(candidate('g1'), analysis, state);
+    expect(Number.isFinite(score)).toBe(true);
+  });
+
+  test('poorly rated templates fade and well rated ones surface', async () => {
+    for (let i = 0; i < 3; i++) {
+      await recordRating(storage, { source: 'template', templateId: 'g1' }, { rating: 'down' });
+      await recordRating(storage, { source: 'template', templateId: 'g2' }, { rating: 'up' });
+    }
+    generator.successScores = await generator.loadSuccessScores([candidate('g1'), candidate('g2'), candidate('q1')]);
+
+    const unrated = generator.calculateCandidateScore(candidate('q1'), analysis, state);
+    expect(generator.calculateCandidateScore(candidate('g1'), analysis, state)).toBeLessThan(unrated);
+    expect(generator.calculateCandidateScore(candidate('g2'), analysis, state)).toBeGreaterThan(unrated);
+
+    const chosen = generator.collapseResponseWaveform([candidate('g1'), candidate('g2')], analysis, state);
+    expect(chosen.templateId).toBe('g2');
+  });
+
+  test('only the scores of the patterns asked about are loaded', async () => {
+    await recordRating(storage, { source: 'template', templateId: 'g1' }, { rating: 'down' });
+    await recordRating(storage, { source: 'template', templateId: 'g2' }, { rating: 'up' });
+    await recordRating(storage, { source: 'knowledge', knowledgeId: 'g2' }, { rating: 'up' });
+
+    const scores = await loadSuccessScores(storage, [['template', 'g2'], ['template', 'unrated']]);
+    expect([...scores.keys()]).toEqual(['template:g2']);
+  });
+});
@@ -0,0 +1,39 @@
+// Grand's Stories API - Test Helpers
+// Calls handlers directly with a signed-in request and a minimal Vercel-style response
+
+const { issueToken } = require('../../lib/auth');
+
+function requestAs(userId, body) {
+  const headers = {};
+  if (userId) {
+    headers.authorization = `Bearer ${issueToken({ userId, email: `${userId}@example.com` }).token}`;
+  }
+  return { method: 'POST', headers, body };
+}
+
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) { res.headers[name.toLowerCase()] = value; },
+    getHeader(name) { return res.headers[name.toLowerCase()]; },
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; },
+    send(body) { res.body = body; return res; },
+    end() { return res; }
+  };
+  return res;
+}
+
+async function call(handler, userId, body) {
+  const res = createResponse();
+  await handler(requestAs(userId, body), res);
+  return res;
+}
+
+module.exports = {
+  requestAs,
+  createResponse,
+  call
+};
@@ -0,0 +1,140 @@
+// Grand's Stories API - Memory Management Tests
+// Listing, filtering, editing, pinning and deleting what Benn remembers, per conversation and per user
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const { consolidateMemories } = require('../lib/consolidation');
+const handleMemories = require('../handlers/chat/memories');
+const { call } = require('./helpers/http');
+
+const USER = 'user_ssssssssssssssssssssssss';
+const OTHER = 'user_tttttttttttttttttttttttt';
+const CHAT = 'chat_memories';
+const CONVERSATION = conversationIdFor(USER, CHAT);
+
+const longAgo = new Date(Date.now() - 120 * 24 * 60 * 60 * 1000).toISOString();
+
+describe('memory management', () => {
+  let storage;
+  let radio;
+  let weather;
+  let daughter;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+    await storage.createConversation({ user_id: USER, conversation_id: CONVERSATION });
+
+    const fragment = (content, extra) => storage.insertMemoryFragment({
+      conversation_id: CONVERSATION, fragment_type: 'concept', content, weight: 0.5, tags: [], ...extra
+    });
+    radio = await fragment('Talked about the old radio', { tags: ['technology'], weight: 0.7, accessed_count: 3 });
+    weather = await fragment('Talked about the weather', {
+      fragment_type: 'emotional_state', weight: 0.15, created_at: longAgo, last_accessed: longAgo
+    });
+    daughter = await storage.insertUserMemory({
+      user_id: USER, fragment_type: 'concept', content: 'User interest in: family', weight: 0.6, tags: ['family']
+    });
+  });
+
+  const memories = (body = {}, userId = USER) => call(handleMemories, userId, { chatId: CHAT, ...body });
+  const userMemories = (body = {}, userId = USER) => call(handleMemories, userId, body);
+
+  test('lists a conversation\'s memories strongest first, with how they are recalled', async () => {
+    const res = await memories();
+    expect(res.statusCode).toBe(200);
+    expect(res.body.tier).toBe('conversation');
+    expect(res.body.memories.map(m => m.id)).toEqual([radio.id, weather.id]);
+    expect(res.body.memories[0]).toMatchObject({
+      type: 'concept', weight: 0.7, accessedCount: 3, tags: ['technology'], pinned: false, archived: false
+    });
+    expect(res.body.memories[0].lastAccessed).toBeTruthy();
+  });
+
+  test('filters by type and tags, and lists the user\'s own memories without a chat', async () => {
+    expect((await memories({ fragmentType: 'emotional_state' })).body.memories.map(m => m.id)).toEqual([weather.id]);
+    expect((await memories({ tags: ['Technology'] })).body.memories.map(m => m.id)).toEqual([radio.id]);
+
+    const res = await userMemories();
+    expect(res.body).toMatchObject({ tier: 'user', chatId: null });
+    expect(res.body.memories.map(m => m.id)).toEqual([daughter.id]);
+  });
+
+  test('edits content, tags and weight', async () => {
+    const res = await userMemories({
+      action: 'update', memoryId: daughter.id, content: '  Has a daughter starting college ', tags: ['Family', 'family', 'school'], weight: 0.9
+    });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.memory).toMatchObject({
+      content: 'Has a daughter starting college', tags: ['family', 'school'], weight: 0.9, edited: true
+    });
+
+    expect((await userMemories({ action: 'update', memoryId: daughter.id })).statusCode).toBe(400);
+    expect((await userMemories({ action: 'update', memoryId: daughter.id, weight: 2 })).statusCode).toBe(400);
+    expect((await userMemories({ action: 'update', memoryId: daughter.id, content: '   ' })).statusCode).toBe(400);
+  });
+
+  test('a pinned memory keeps its weight through consolidation, and pinning brings one back from the archive', async () => {
+    await consolidateMemories(storage, { conversationId: CONVERSATION });
+    expect((await memories()).body.memories.map(m => m.id)).toEqual([radio.id]);
+
+    const res = await memories({ action: 'pin', memoryId: weather.id, weight: 0.4 });
+    expect(res.body.memory).toMatchObject({ pinned: true, archived: false, weight: 0.4 });
+
+    await consolidateMemories(storage, { conversationId: CONVERSATION });
+    const [, pinned] = (await memories()).body.memories;
+    expect(pinned).toMatchObject({ id: weather.id, weight: 0.4, pinned: true });
+
+    expect((await memories({ action: 'unpin', memoryId: weather.id })).body.memory.pinned).toBe(false);
+  });
+
+  test('a duplicate folds into a pinned memory, whatever their weights, and leaves its weight alone', async () => {
+    await storage.insertMemoryFragment({
+      conversation_id: CONVERSATION, fragment_type: 'concept', content: 'Talked about the old radio', weight: 0.9, tags: []
+    });
+    await memories({ action: 'pin', memoryId: radio.id });
+
+    await consolidateMemories(storage, { conversationId: CONVERSATION });
+    const radios = (await memories()).body.memories.filter(m => m.content === 'Talked about the old radio');
+    expect(radios).toEqual([expect.objectContaining({ id: radio.id, weight: 0.7, pinned: true })]);
+  });
+
+  test('deletes memories in the caller\'s scope only', async () => {
+    let res = await memories({ action: 'delete', memoryIds: [radio.id, daughter.id] });
+    expect(res.body.deleted).toEqual([radio.id]);
+    expect(await storage.queryUserMemories({ userId: USER })).toHaveLength(1);
+
+    res = await userMemories({ action: 'delete', memoryId: daughter.id }, OTHER);
+    expect(res.statusCode).toBe(404);
+
+    res = await userMemories({ action: 'delete', memoryId: daughter.id });
+    expect(res.body.deleted).toEqual([daughter.id]);
+    expect(await storage.queryUserMemories({ userId: USER })).toHaveLength(0);
+  });
+
+  test('Benn\'s own story is neither listed nor open to editing or deleting', async () => {
+    const persona = await storage.insertUserMemory({
+      user_id: USER, fragment_type: 'fact', content: 'Married to Martha for 62 years', weight: 0.9, metadata: { source: 'initial' }
+    });
+
+    expect((await userMemories()).body.memories.map(m => m.id)).toEqual([daughter.id]);
+    expect((await userMemories({ action: 'update', memoryId: persona.id, content: 'Never married' })).statusCode).toBe(404);
+    expect((await userMemories({ action: 'pin', memoryId: persona.id })).statusCode).toBe(404);
+    expect((await userMemories({ action: 'delete', memoryIds: [persona.id] })).statusCode).toBe(404);
+
+    const [kept] = await storage.queryUserMemories({ userId: USER, ids: [persona.id] });
+    expect(kept).toMatchObject({ content: 'Married to Martha for 62 years', metadata: { source: 'initial' } });
+  });
+
+  test('rejects bad input and other people\'s conversations', async () => {
+    expect((await memories({ action: 'forget' })).statusCode).toBe(400);
+    expect((await memories({ sort: 'random' })).statusCode).toBe(400);
+    expect((await memories({ tags: 'family' })).statusCode).toBe(400);
+    expect((await memories({ action: 'delete' })).statusCode).toBe(400);
+    expect((await memories({}, OTHER)).statusCode).toBe(404);
+    expect((await memories({ action: 'pin', memoryId: 'missing' })).statusCode).toBe(404);
+  });
+});
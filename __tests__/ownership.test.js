@@ -0,0 +1,135 @@
+// Grand's Stories API - Ownership Tests
+// Cross-user access attempts against the chat, conversations and messages handlers
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor, findOwnedConversation } = require('../lib/auth');
+const handleChat = require('../handlers/chat');
+const { QuantumResponseGenerator } = handleChat;
+const handleConversations = require('../handlers/chat/conversations');
+const handleMessages = require('../handlers/chat/messages');
+const { call } = require('./helpers/http');
+
+const ALICE = 'user_aaaaaaaaaaaaaaaaaaaaaaaa';
+const MALLORY = 'user_bbbbbbbbbbbbbbbbbbbbbbbb';
+
+describe('conversation ownership', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+
+    // Alice has one conversation with a message and a memory
+    await storage.createConversation({
+      user_id: ALICE,
+      conversation_id: conversationIdFor(ALICE, 'chat_1'),
+      metadata: { title: 'Alice only' }
+    });
+    await storage.insertMessage({
+      conversation_id: conversationIdFor(ALICE, 'chat_1'),
+      role: 'user',
+      content: 'My secret is the garden key'
+    });
+    await storage.insertMemoryFragment({
+      conversation_id: conversationIdFor(ALICE, 'chat_1'),
+      fragment_type: 'user_fact',
+      content: 'The garden key is under the mat',
+      tags: ['garden']
+    });
+  });
+
+  test('requests without a token are rejected', async () => {
+    const res = await call(handleMessages, null, { chatId: 'chat_1', action: 'load' });
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('a userId in the body is ignored in favour of the token', async () => {
+    const res = await call(handleConversations, MALLORY, { action: 'list', userId: ALICE });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.userId).toBe(MALLORY);
+    expect(res.body.conversations).toEqual([]);
+  });
+
+  test('owners see chat ids, not storage ids', async () => {
+    const res = await call(handleConversations, ALICE, { action: 'list' });
+    expect(res.body.conversations.map(c => c.id)).toEqual(['chat_1']);
+  });
+
+  test('another user cannot load messages by chat id', async () => {
+    const res = await call(handleMessages, MALLORY, { chatId: 'chat_1', action: 'load' });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.messages).toBeUndefined();
+  });
+
+  test('another user cannot load messages by the full storage id', async () => {
+    const res = await call(handleMessages, MALLORY, {
+      chatId: conversationIdFor(ALICE, 'chat_1'),
+      action: 'load'
+    });
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('another user cannot delete a conversation or its messages', async () => {
+    const res = await call(handleMessages, MALLORY, { chatId: 'chat_1', action: 'delete' });
+    expect(res.statusCode).toBe(404);
+
+    const conversationId = conversationIdFor(ALICE, 'chat_1');
+    expect(await storage.getConversation(conversationId)).not.toBeNull();
+    expect(await storage.countMessages(conversationId)).toBe(1);
+    expect(await storage.queryMemoryFragments({ conversationId })).toHaveLength(1);
+  });
+
+  test('the owner can delete, which removes messages and memories too', async () => {
+    const res = await call(handleMessages, ALICE, { chatId: 'chat_1', action: 'delete' });
+    expect(res.statusCode).toBe(200);
+
+    const conversationId = conversationIdFor(ALICE, 'chat_1');
+    expect(await storage.getConversation(conversationId)).toBeNull();
+    expect(await storage.countMessages(conversationId)).toBe(0);
+    expect(await storage.queryMemoryFragments({ conversationId })).toHaveLength(0);
+  });
+
+  test('chatting with the same chat id opens a separate conversation', async () => {
+    const res = await call(handleChat, MALLORY, { chatId: 'chat_1', message: 'Tell me about the garden' });
+    expect(res.statusCode).toBe(200);
+
+    expect(await storage.countMessages(conversationIdFor(ALICE, 'chat_1'))).toBe(1);
+    expect(await storage.countMessages(conversationIdFor(MALLORY, 'chat_1'))).toBe(2);
+    expect(res.body.response).not.toMatch(/under the mat/);
+  });
+
+  test('chat refuses a conversation row owned by someone else', async () => {
+    // Only reachable through corrupted data, but the handler must not write into it
+    await storage.createConversation({
+      user_id: ALICE,
+      conversation_id: conversationIdFor(MALLORY, 'stolen'),
+      metadata: {}
+    });
+
+    const res = await call(handleChat, MALLORY, { chatId: 'stolen', message: 'hello' });
+    expect(res.statusCode).toBe(404);
+    expect(await storage.countMessages(conversationIdFor(MALLORY, 'stolen'))).toBe(0);
+  });
+
+  test('chat ids must be plain identifiers', async () => {
+    const res = await call(handleChat, ALICE, { chatId: '../chat_1', message: 'hello' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('memory retrieval stays inside the current conversation', async () => {
+    const generator = new QuantumResponseGenerator(storage, {
+      conversationId: conversationIdFor(MALLORY, 'chat_1')
+    });
+
+    expect(await generator.memoryLattice.retrieveByTopics(['garden'])).toEqual([]);
+    expect(await generator.memoryLattice.retrieveRecent()).toEqual([]);
+  });
+
+  test('findOwnedConversation hides other users\' rows', async () => {
+    expect(await findOwnedConversation(storage, ALICE, 'chat_1')).not.toBeNull();
+    expect(await findOwnedConversation(storage, MALLORY, 'chat_1')).toBeNull();
+  });
+});
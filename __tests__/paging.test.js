@@ -0,0 +1,99 @@
+// Grand's Stories API - Message Paging Tests
+// Newest-first pages with before/after cursors over a long conversation
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const handleChat = require('../handlers/chat');
+const { AdvancedConversationStateManager } = handleChat;
+const handleMessages = require('../handlers/chat/messages');
+const { call } = require('./helpers/http');
+
+const USER = 'user_kkkkkkkkkkkkkkkkkkkkkkkk';
+const CONVERSATION_ID = conversationIdFor(USER, 'chat_long');
+
+function load(body = {}) {
+  return call(handleMessages, USER, { chatId: 'chat_long', action: 'load', ...body });
+}
+
+describe('message paging', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+    await storage.createConversation({ user_id: USER, conversation_id: CONVERSATION_ID, metadata: {} });
+
+    // 120 messages a second apart: message 0 is the oldest
+    const start = Date.parse('2024-01-01T00:00:00.000Z');
+    for (let i = 0; i < 120; i++) {
+      await storage.insertMessage({
+        conversation_id: CONVERSATION_ID,
+        role: i % 2 === 0 ? 'user' : 'benn',
+        content: `message ${i}`,
+        created_at: new Date(start + i * 1000).toISOString()
+      });
+    }
+  });
+
+  const contents = res => res.body.messages.map(m => m.content);
+
+  test('the first page is the newest messages, in order', async () => {
+    const res = await load();
+    expect(res.statusCode).toBe(200);
+    expect(res.body.count).toBe(50);
+    expect(res.body.total).toBe(120);
+    expect(contents(res)[0]).toBe('message 70');
+    expect(contents(res)[49]).toBe('message 119');
+    expect(res.body.hasOlder).toBe(true);
+    expect(res.body.hasNewer).toBe(false);
+  });
+
+  test('before walks back through the whole history without gaps or repeats', async () => {
+    const seen = [];
+    let res = await load({ limit: 40 });
+    seen.unshift(...contents(res));
+
+    while (res.body.hasOlder) {
+      res = await load({ limit: 40, before: res.body.cursors.before });
+      expect(res.body.hasNewer).toBe(true);
+      seen.unshift(...contents(res));
+    }
+
+    expect(seen).toEqual(Array.from({ length: 120 }, (_, i) => `message ${i}`));
+  });
+
+  test('after catches up on newer messages', async () => {
+    const first = await load({ limit: 10 });
+    await storage.insertMessage({ conversation_id: CONVERSATION_ID, role: 'user', content: 'message 120' });
+
+    const res = await load({ after: first.body.cursors.after });
+    expect(contents(res)).toEqual(['message 120']);
+    expect(res.body.hasNewer).toBe(false);
+    expect(res.body.hasOlder).toBe(true);
+    expect(res.body.total).toBe(121);
+  });
+
+  test('page sizes are clamped and cursors validated', async () => {
+    expect((await load({ limit: 1000 })).body.count).toBe(120);
+    expect((await load({ limit: 0 })).body.count).toBe(50);
+    expect((await load({ before: 'a', after: 'b' })).statusCode).toBe(400);
+    expect((await load({ before: { id: 1 } })).statusCode).toBe(400);
+
+    const res = await load({ before: 'not-a-message' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.messages).toEqual([]);
+    expect(res.body.hasOlder).toBe(false);
+  });
+
+  test('Benn keeps the most recent messages in mind', async () => {
+    const stateManager = new AdvancedConversationStateManager(USER, 'chat_long', storage);
+    await stateManager.loadOrInitialize();
+
+    const recent = stateManager.state.shortTermMemory.map(m => m.content);
+    expect(recent).toHaveLength(20);
+    expect(recent[19]).toBe('message 119');
+  });
+});
@@ -0,0 +1,132 @@
+// Grand's Stories API - Memory Retrieval Tests
+// Memories are recalled by how like the conversation they are, from indexes kept up to date as they form
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const handleChat = require('../handlers/chat');
+const { MemoryLattice } = handleChat;
+const { MemoryIndex, tokenize, buildQuery, searchIndexes, memoryIndex } = require('../lib/retrieval');
+const { call } = require('./helpers/http');
+
+const USER = 'user_rrrrrrrrrrrrrrrrrrrrrrrr';
+
+const fragment = (id, content, tags = []) => ({ id, content, tags });
+
+describe('retrieval index', () => {
+  test('word forms share terms, and stop words are left out', () => {
+    expect(tokenize('The computers I was programming')).toEqual(['comput', 'program']);
+    expect(tokenize('a computer programmer')).toEqual(['comput', 'program']);
+  });
+
+  test('the best match ranks first, weak matches are dropped, and excluded ids never return', () => {
+    const index = new MemoryIndex();
+    index.add(fragment('relays', 'Built a computer out of telephone relays', ['technology']));
+    index.add(fragment('martha', 'Married to Martha for 62 years', ['family']));
+    index.add(fragment('mood', 'Conversation sentiment: positive', ['sentiment']));
+
+    const results = searchIndexes([index], buildQuery({ message: 'what computers did you build' }));
+    expect(results.map(r => r.id)).toEqual(['relays']);
+    expect(results[0].relevance).toBeGreaterThan(0.5);
+
+    expect(searchIndexes([index], buildQuery({ terms: ['family'] })).map(r => r.id)).toEqual(['martha']);
+    expect(searchIndexes([index], buildQuery({ terms: ['family'] }), { excludeId: 'martha' })).toEqual([]);
+  });
+
+  test('recent context counts, but less than the message being answered', () => {
+    const index = new MemoryIndex();
+    index.add(fragment('garden', 'Grew tomatoes in the garden'));
+    index.add(fragment('war', 'Served in the signal corps during the war'));
+
+    const query = buildQuery({ message: 'tell me about the war', context: ['my tomatoes are ripe'] });
+    expect(searchIndexes([index], query).map(r => r.id)).toEqual(['war', 'garden']);
+  });
+
+  test('adding, editing and deleting fragments updates the index in place', () => {
+    const index = new MemoryIndex();
+    const martha = fragment('martha', 'Married to Martha', ['family']);
+    index.sync([martha, fragment('relays', 'Relay computers')]);
+    expect(index.size).toBe(2);
+
+    // Unchanged rows are not indexed again; edited ones are
+    expect(index.add(martha)).toBe(false);
+    expect(index.add({ ...martha, content: 'Married to Martha in 1948' })).toBe(true);
+    expect(index.documentFrequency.get('1948')).toBe(1);
+
+    index.sync([{ ...martha, content: 'Married to Martha in 1948' }]);
+    expect(index.size).toBe(1);
+    expect(index.documentFrequency.has('comput')).toBe(false);
+    expect(searchIndexes([index], buildQuery({ message: 'computers' }))).toEqual([]);
+  });
+});
+
+describe('memory lattice retrieval', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+  });
+
+  const latticeFor = chatId => new MemoryLattice(storage, { conversationId: conversationIdFor(USER, chatId), userId: USER });
+
+  test('memories are found by what they say, not only how they were tagged, and ranked by likeness', async () => {
+    const conversationId = conversationIdFor(USER, 'chat_recall');
+    await storage.createConversation({ user_id: USER, conversation_id: conversationId });
+    const memory = { fragment_type: 'fact', weight: 0.6, tags: [] };
+    await storage.insertUserMemory({ user_id: USER, ...memory, content: 'Wrote the payroll program for the railway' });
+    await storage.insertMemoryFragment({ conversation_id: conversationId, ...memory, content: 'Talked about the weather', weight: 0.9 });
+
+    const lattice = latticeFor('chat_recall');
+    const found = await lattice.retrieveByTopics(['general'], { message: 'what programs did you write' });
+    expect(found.map(m => m.content)).toEqual(['Wrote the payroll program for the railway']);
+    expect(found[0]).toMatchObject({ tier: 'user' });
+
+    const recalled = await lattice.retrieveRelevantMemories([], 'neutral', 0, { message: 'the railway payroll' });
+    expect(recalled[0].content).toBe('Wrote the payroll program for the railway');
+    expect(recalled.find(m => m.content === 'Talked about the weather').relevance_score).toBe(0);
+  });
+
+  test('a warm index only reads what was written since, and notices edits, archiving and deletions', async () => {
+    const conversationId = conversationIdFor(USER, 'chat_sync');
+    await storage.createConversation({ user_id: USER, conversation_id: conversationId });
+    const memory = { user_id: USER, fragment_type: 'fact', weight: 0.6, tags: [] };
+    const railway = await storage.insertUserMemory({ ...memory, content: 'Wrote the payroll program for the railway' });
+    const radio = await storage.insertUserMemory({ ...memory, content: 'Built a radio from a kit' });
+    const garden = await storage.insertUserMemory({ ...memory, content: 'Grew prize tomatoes in the garden' });
+
+    const lattice = latticeFor('chat_sync');
+    const search = async message => (await lattice.searchMemories(lattice.queryFor([], { message }))).map(m => m.content);
+    expect(await search('railway payroll')).toEqual(['Wrote the payroll program for the railway']);
+
+    const reads = jest.spyOn(storage, 'queryUserMemories');
+    // Written by another server: the warm index has to find these changes in storage
+    await storage.updateUserMemory(radio.id, { content: 'Built a crystal radio with Martha' });
+    await storage.updateUserMemory(garden.id, { archived_at: new Date().toISOString() });
+    await storage.insertUserMemory({ ...memory, content: 'Kept bees behind the railway station' });
+
+    expect(await search('crystal radio')).toEqual(['Built a crystal radio with Martha']);
+    expect(await search('tomatoes garden')).toEqual([]);
+    expect(await search('railway')).toHaveLength(2);
+    expect(reads.mock.calls.every(([query]) => query.updatedSince)).toBe(true);
+
+    await storage.deleteUserMemories({ userId: USER, ids: [railway.id] });
+    expect(await search('railway')).toEqual(['Kept bees behind the railway station']);
+    reads.mockRestore();
+  });
+
+  test('what a chat turn learns is added to the warm index as it is stored', async () => {
+    await call(handleChat, USER, { chatId: 'chat_warm', message: 'Hello there' });
+    const index = memoryIndex(storage, 'user', USER);
+    const size = index.size;
+    expect(size).toBeGreaterThan(0);
+
+    await call(handleChat, USER, { chatId: 'chat_warm', message: 'My granddaughter Lucy plays the violin' });
+    expect(index.size).toBeGreaterThan(size);
+
+    const [lucy] = await storage.queryUserMemories({ userId: USER, keywords: ['Lucy'] });
+    expect(index.docs.has(lucy.id)).toBe(true);
+  });
+});
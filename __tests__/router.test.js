@@ -0,0 +1,179 @@
+// Grand's Stories API - Router Tests
+// Route matching, 404/405, and the CORS and JSON body middleware every /api/* request goes through
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const Router = require('../lib/router');
+const { responseHelpers, cors, jsonBody } = require('../lib/middleware');
+const { routes } = require('../api');
+const { createResponse } = require('./helpers/http');
+
+function request(method, url, { headers = {}, body, raw } = {}) {
+  const req = raw === undefined ? {} : Readable.from([Buffer.from(raw)]);
+  return Object.assign(req, { method, url, headers, body });
+}
+
+async function send(router, req) {
+  const res = createResponse();
+  await router.handle(req, res);
+  return res;
+}
+
+describe('router', () => {
+  let calls;
+  let router;
+
+  beforeEach(() => {
+    calls = [];
+    const record = name => async (req, res) => {
+      calls.push({ name, params: req.params, query: req.query, body: req.body });
+      res.status(200).json({ ok: name });
+    };
+
+    router = new Router()
+      .use(responseHelpers())
+      .use(cors())
+      .use(jsonBody())
+      .post('/api/chat', record('chat'))
+      .post('/api/chat/messages', record('messages'))
+      .get('/api/items/:id', record('item'))
+      .route(['GET', 'POST'], '/api/jobs/purge', record('purge'));
+  });
+
+  test('dispatches on the exact path, ignoring a trailing slash and the query string', async () => {
+    await send(router, request('POST', '/api/chat', { body: {} }));
+    await send(router, request('POST', '/api/chat/messages/?page=2', { body: {} }));
+    await send(router, request('GET', '/api/jobs/purge'));
+    await send(router, request('POST', '/api/jobs/purge', { body: {} }));
+
+    expect(calls.map(c => c.name)).toEqual(['chat', 'messages', 'purge', 'purge']);
+    expect(calls[1].query).toEqual({ page: '2' });
+  });
+
+  test('passes decoded path parameters', async () => {
+    await send(router, request('GET', '/api/items/a%20b'));
+    expect(calls[0].params).toEqual({ id: 'a b' });
+  });
+
+  test('answers 404 for an unknown path without calling a handler', async () => {
+    const res = await send(router, request('POST', '/api/chat/nope', { body: {} }));
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toEqual({ error: 'Not found', path: '/api/chat/nope' });
+    expect(calls).toHaveLength(0);
+  });
+
+  test('answers 405 with an Allow header for a known path and the wrong method', async () => {
+    const res = await send(router, request('GET', '/api/chat'));
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.allow).toBe('POST');
+    expect(calls).toHaveLength(0);
+
+    const put = await send(router, request('PUT', '/api/jobs/purge', { body: {} }));
+    expect(put.statusCode).toBe(405);
+    expect(put.headers.allow).toBe('GET, POST');
+  });
+
+  test('answers 500 when a handler throws', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    router.post('/api/broken', async () => { throw new Error('boom'); });
+
+    const res = await send(router, request('POST', '/api/broken', { body: {} }));
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({ error: 'Internal server error', details: 'boom' });
+    console.error.mockRestore();
+  });
+
+  describe('cors', () => {
+    test('sets the CORS headers on every response, including errors', async () => {
+      const ok = await send(router, request('POST', '/api/chat', { body: {} }));
+      const missing = await send(router, request('POST', '/api/missing', { body: {} }));
+
+      for (const res of [ok, missing]) {
+        expect(res.headers['access-control-allow-origin']).toBe('*');
+        expect(res.headers['access-control-allow-methods']).toContain('POST');
+        expect(res.headers['access-control-allow-headers']).toContain('Authorization');
+      }
+    });
+
+    test('answers a preflight itself, for every route, without calling the handler', async () => {
+      for (const url of ['/api/chat', '/api/chat/messages']) {
+        const res = await send(router, request('OPTIONS', url, {
+          headers: { origin: 'https://example.com', 'access-control-request-method': 'POST' }
+        }));
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['access-control-allow-origin']).toBe('*');
+        expect(res.headers['access-control-allow-headers']).toContain('Content-Type');
+      }
+      expect(calls).toHaveLength(0);
+    });
+  });
+
+  describe('jsonBody', () => {
+    test('parses a streamed JSON body', async () => {
+      await send(router, request('POST', '/api/chat', {
+        headers: { 'content-type': 'application/json' },
+        raw: JSON.stringify({ message: 'hello' })
+      }));
+      expect(calls[0].body).toEqual({ message: 'hello' });
+    });
+
+    test('parses a body a platform handed over as a string', async () => {
+      await send(router, request('POST', '/api/chat', { body: '{"message":"hi"}' }));
+      expect(calls[0].body).toEqual({ message: 'hi' });
+    });
+
+    test('rejects malformed JSON with a 400', async () => {
+      const res = await send(router, request('POST', '/api/chat', {
+        headers: { 'content-type': 'application/json' },
+        raw: '{"message":'
+      }));
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toEqual({ error: 'Invalid JSON body' });
+      expect(calls).toHaveLength(0);
+    });
+
+    test('rejects a body over the limit with a 413', async () => {
+      const small = new Router()
+        .use(responseHelpers())
+        .use(jsonBody({ limit: 10 }))
+        .post('/api/chat', async (req, res) => res.json({}));
+
+      const res = await send(small, request('POST', '/api/chat', { raw: JSON.stringify({ message: 'far too long' }) }));
+      expect(res.statusCode).toBe(413);
+    });
+
+    test('gives a GET an empty body', async () => {
+      await send(router, request('GET', '/api/jobs/purge'));
+      expect(calls[0].body).toEqual({});
+    });
+  });
+});
+
+describe('api entry point', () => {
+  test('is the only function Vercel deploys, so every request goes through the router', () => {
+    const apiDir = path.join(__dirname, '..', 'api');
+    expect(fs.readdirSync(apiDir)).toEqual(['index.js']);
+
+    const vercel = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'vercel.json'), 'utf8'));
+    expect(Object.keys(vercel.functions)).toEqual(['api/index.js']);
+  });
+
+  test('routes every endpoint the client and the crons call', () => {
+    const paths = routes.map(r => r.path);
+    expect(paths).toEqual(expect.arrayContaining([
+      '/api/auth',
+      '/api/chat',
+      '/api/chat/conversations',
+      '/api/chat/messages',
+      '/api/chat/feedback',
+      '/api/chat/export',
+      '/api/chat/import',
+      '/api/chat/user-model',
+      '/api/chat/memories',
+      '/api/jobs/purge',
+      '/api/jobs/consolidate'
+    ]));
+  });
+});
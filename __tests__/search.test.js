@@ -0,0 +1,142 @@
+// Grand's Stories API - Search Tests
+// Ranking, snippets and filters for the conversations `search` action
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const { tokenizeQuery, buildSnippet, findMatches } = require('../lib/search');
+const handleConversations = require('../handlers/chat/conversations');
+const { call } = require('./helpers/http');
+
+const USER = 'user_dddddddddddddddddddddddd';
+const OTHER = 'user_eeeeeeeeeeeeeeeeeeeeeeee';
+
+describe('search helpers', () => {
+  test('tokenizeQuery drops stop words and punctuation', () => {
+    expect(tokenizeQuery("the time Benn talked about Martha's coffee")).toEqual(['time', 'benn', 'martha', 'coffee']);
+    expect(tokenizeQuery('the')).toEqual(['the']);
+  });
+
+  test('findMatches only matches at word starts', () => {
+    const text = 'Enigma machines, not an enigmatic cogenigma';
+    expect(findMatches(text, ['enigma']).map(m => m.start)).toEqual([0, 24]);
+  });
+
+  test('buildSnippet windows long text and offsets highlights', () => {
+    const text = `${'filler '.repeat(30)}the Enigma rotor ${'filler '.repeat(30)}`;
+    const { snippet, highlights } = buildSnippet(text, findMatches(text, ['enigma']));
+
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    const [start, end] = highlights[0];
+    expect(snippet.substring(start, end)).toBe('Enigma');
+  });
+});
+
+describe('search action', () => {
+  let storage;
+
+  async function addConversation(userId, chatId, messages, title) {
+    const conversationId = conversationIdFor(userId, chatId);
+    await storage.createConversation({ user_id: userId, conversation_id: conversationId, metadata: { title } });
+    for (const [role, content, createdAt, topics] of messages) {
+      await storage.insertMessage({
+        conversation_id: conversationId,
+        role,
+        content,
+        created_at: createdAt,
+        metadata: topics ? { analysis: { primaryTopics: topics } } : {}
+      });
+    }
+    return conversationId;
+  }
+
+  function search(body, userId = USER) {
+    return call(handleConversations, userId, { action: 'search', ...body });
+  }
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+
+    const warChat = await addConversation(USER, 'chat_war', [
+      ['user', 'Tell me about Enigma', '2024-01-10T10:00:00.000Z', ['war', 'technology']],
+      ['benn', 'Ah, Enigma. The Enigma rotors kept us up many nights at the Park.', '2024-01-10T10:00:01.000Z'],
+      ['user', 'What did you eat back then?', '2024-01-10T10:01:00.000Z', ['general']]
+    ], 'Bletchley days');
+    await addConversation(USER, 'chat_home', [
+      ['benn', "Martha's coffee could wake the dead.", '2024-03-05T08:00:00.000Z']
+    ], 'Home');
+    await addConversation(OTHER, 'chat_secret', [
+      ['user', 'My Enigma notes are private', '2024-02-01T00:00:00.000Z', ['war']]
+    ], 'Private');
+
+    await storage.insertMemoryFragment({
+      conversation_id: warChat,
+      fragment_type: 'user_fact',
+      content: 'User is curious about Enigma',
+      weight: 0.3,
+      created_at: '2024-01-10T10:02:00.000Z'
+    });
+  });
+
+  test('ranks messages and memories with chat ids, timestamps and snippets', async () => {
+    const res = await search({ query: 'Enigma' });
+    expect(res.statusCode).toBe(200);
+
+    const [top] = res.body.results;
+    expect(top).toMatchObject({ type: 'message', role: 'benn', chatId: 'chat_war', chatTitle: 'Bletchley days' });
+    expect(top.created_at).toBe('2024-01-10T10:00:01.000Z');
+    expect(top.highlights).toHaveLength(2);
+
+    expect(res.body.results.map(r => r.type)).toContain('memory');
+    expect(res.body.results.every(r => r.chatId !== 'chat_secret')).toBe(true);
+  });
+
+  test("finds Martha's coffee", async () => {
+    const res = await search({ query: "Martha's coffee" });
+    expect(res.body.results.map(r => r.chatId)).toEqual(['chat_home']);
+  });
+
+  test('filters by role', async () => {
+    const res = await search({ query: 'Enigma', filters: { role: 'user' } });
+    expect(res.body.results.map(r => r.snippet)).toEqual(['Tell me about Enigma']);
+  });
+
+  test('filters by analyzer topic', async () => {
+    const res = await search({ query: 'eat enigma', filters: { topic: 'general' } });
+    expect(res.body.results.map(r => r.snippet)).toEqual(['What did you eat back then?']);
+  });
+
+  test('filters by date range, treating bare dates as whole days', async () => {
+    let res = await search({ query: 'coffee', filters: { from: '2024-03-05', to: '2024-03-05' } });
+    expect(res.body.results).toHaveLength(1);
+
+    res = await search({ query: 'coffee', filters: { to: '2024-03-04' } });
+    expect(res.body.results).toHaveLength(0);
+  });
+
+  test('an old message that matches best is found under any number of newer ones', async () => {
+    const recent = [];
+    for (let i = 0; i < 250; i++) {
+      recent.push(['user', `Any news on the rotors? (${i})`, new Date(Date.UTC(2024, 5, 1, 0, i)).toISOString()]);
+    }
+    await addConversation(USER, 'chat_recent', recent, 'Lately');
+
+    const res = await search({ query: 'Enigma rotors' });
+    expect(res.body.results[0]).toMatchObject({ chatId: 'chat_war', created_at: '2024-01-10T10:00:01.000Z' });
+  });
+
+  test('another user never sees these results', async () => {
+    const res = await search({ query: 'Enigma' }, OTHER);
+    expect(res.body.results.map(r => r.chatId)).toEqual(['chat_secret']);
+  });
+
+  test('rejects bad input', async () => {
+    expect((await search({ query: 'a' })).statusCode).toBe(400);
+    expect((await search({ query: 'Enigma', filters: { role: 'admin' } })).statusCode).toBe(400);
+    expect((await search({ query: 'Enigma', filters: { from: 'yesterday-ish' } })).statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,116 @@
+// Grand's Stories API - Local Server and CLI Tests
+// server.js answers the page and the API on a real port, and bin/benn.js replays a
+// transcript against in-memory storage
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { createServer } = require('../server');
+const { requestAs } = require('./helpers/http');
+
+const USER = 'user_xxxxxxxxxxxxxxxxxxxxxxxx';
+
+describe('local server', () => {
+  let server;
+  let base;
+
+  beforeAll(async () => {
+    await setStorage(new MemoryStorage());
+    server = createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  test('serves the page for anything outside the API', async () => {
+    for (const url of ['/', '/chat/somewhere']) {
+      const res = await fetch(`${base}${url}`);
+      expect(res.status).toBe(200);
+      expect(res.headers.get('content-type')).toBe('text/html; charset=utf-8');
+      expect(await res.text()).toContain('<html');
+    }
+
+    expect((await fetch(`${base}/`, { method: 'POST' })).status).toBe(405);
+  });
+
+  test('routes the API, with CORS and errors as JSON', async () => {
+    const preflight = await fetch(`${base}/api/chat`, {
+      method: 'OPTIONS',
+      headers: { origin: 'https://example.com', 'access-control-request-method': 'POST' }
+    });
+    expect(preflight.status).toBe(200);
+    expect(preflight.headers.get('access-control-allow-origin')).toBe('*');
+
+    const missing = await fetch(`${base}/api/nope`, { method: 'POST' });
+    expect(missing.status).toBe(404);
+    expect(await missing.json()).toMatchObject({ error: 'Not found' });
+
+    expect((await fetch(`${base}/api/chat`)).status).toBe(405);
+  });
+
+  test('holds a conversation over HTTP', async () => {
+    const { headers } = requestAs(USER, {});
+    const res = await fetch(`${base}/api/chat`, {
+      method: 'POST',
+      headers: { ...headers, 'content-type': 'application/json' },
+      body: JSON.stringify({ chatId: 'chat_server', message: 'Tell me about Martha' })
+    });
+
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.response).toEqual(expect.any(String));
+    expect(body.metadata.chatId).toBe('chat_server');
+  });
+});
+
+describe('terminal chat', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'benn-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function benn(args) {
+    return new Promise(resolve => {
+      execFile(process.execPath, [path.join(__dirname, '..', 'bin', 'benn.js'), ...args], {
+        cwd: dir,
+        timeout: 20000
+      }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+  }
+
+  test('replays a transcript against in-memory storage', async () => {
+    const transcript = path.join(dir, 'transcript.txt');
+    fs.writeFileSync(transcript, [
+      '# a comment',
+      'Tell me about Martha',
+      '{"role": "benn", "content": "skipped"}',
+      '{"role": "user", "content": "What about the war?"}'
+    ].join('\n'));
+
+    const { code, stdout } = await benn(['--storage', 'memory', '--replay', transcript, '--meta']);
+
+    expect(code).toBe(0);
+    expect(stdout.match(/^you> {2}.*$/gm)).toEqual(['you>  Tell me about Martha', 'you>  What about the war?']);
+    expect(stdout.match(/^benn> \S/gm)).toHaveLength(2);
+    expect(stdout.match(/^ {6}topic=/gm)).toHaveLength(2);
+    expect(stdout).not.toContain('skipped');
+  }, 30000);
+
+  test('rejects unknown options with the usage', async () => {
+    const { code, stderr } = await benn(['--bogus']);
+    expect(code).toBe(1);
+    expect(stderr).toContain('Usage: benn [options]');
+  }, 30000);
+});
@@ -0,0 +1,169 @@
+// Grand's Stories API - Streaming Tests
+// The event stream writer and the chat endpoint's streaming mode: event order, a client
+// that goes away mid-reply, and a turn that fails to store
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { EventEmitter } = require('events');
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const { wantsEventStream, createEventStream, chunkText } = require('../lib/sse');
+const handleChat = require('../handlers/chat');
+const { requestAs, createResponse } = require('./helpers/http');
+
+const USER = 'user_wwwwwwwwwwwwwwwwwwwwwwww';
+const CONVERSATION_ID = conversationIdFor(USER, 'chat_stream');
+
+// A response that records what is written to it and can be closed by the "client"
+function createStreamResponse() {
+  const res = Object.assign(new EventEmitter(), createResponse(), {
+    written: [],
+    ended: false,
+    flushHeaders() {},
+    write(chunk) {
+      res.written.push(chunk);
+      res.emit('write', chunk);
+      return true;
+    },
+    end() {
+      res.ended = true;
+      return res;
+    }
+  });
+  return res;
+}
+
+function eventsIn(res) {
+  return res.written.join('').split('\n\n').filter(Boolean).map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+  });
+}
+
+async function stream(body, res = createStreamResponse()) {
+  const req = requestAs(USER, { chatId: 'chat_stream', stream: true, ...body });
+  await handleChat(req, res);
+  return res;
+}
+
+describe('event stream writer', () => {
+  test('streams when asked to in the body or the Accept header', () => {
+    expect(wantsEventStream({ body: { stream: true } })).toBe(true);
+    expect(wantsEventStream({ body: {}, headers: { accept: 'text/event-stream' } })).toBe(true);
+    expect(wantsEventStream({ body: {}, headers: { accept: 'application/json' } })).toBe(false);
+  });
+
+  test('writes named JSON events with headers that stop buffering', () => {
+    const res = createStreamResponse();
+    const events = createEventStream(res);
+
+    expect(res.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+    expect(res.headers['x-accel-buffering']).toBe('no');
+    expect(events.send('chunk', { text: 'Hello ' })).toBe(true);
+    expect(res.written).toEqual(['event: chunk\ndata: {"text":"Hello "}\n\n']);
+  });
+
+  test('stops writing once the client has gone, and ends the response only once', () => {
+    const res = createStreamResponse();
+    const events = createEventStream(res);
+
+    res.emit('close');
+    expect(events.closed).toBe(true);
+    expect(events.send('chunk', { text: 'lost' })).toBe(false);
+    events.close();
+    expect(res.written).toEqual([]);
+    expect(res.ended).toBe(false);
+  });
+
+  test('chunks text without losing any of it', () => {
+    const text = 'In my day  we kept messages short.\nLike a punch card.';
+    const chunks = chunkText(text, 3);
+    expect(chunks.join('')).toBe(text);
+    expect(chunks[0]).toBe('In my day  ');
+  });
+});
+
+describe('streaming chat', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('sends the pipeline stages, then the reply in chunks, then its metadata last', async () => {
+    const res = await stream({ message: 'Tell me about Martha' });
+    const events = eventsIn(res);
+    const kinds = events.map(e => e.event);
+
+    const firstChunk = kinds.indexOf('chunk');
+    expect(kinds.slice(0, firstChunk).every(kind => kind === 'stage')).toBe(true);
+    expect(firstChunk).toBeGreaterThan(0);
+    expect(kinds[kinds.length - 1]).toBe('metadata');
+    expect(kinds.filter(kind => kind === 'metadata')).toHaveLength(1);
+    expect(res.ended).toBe(true);
+
+    const { response, metadata } = events[events.length - 1].data;
+    const streamed = events.filter(e => e.event === 'chunk').map(e => e.data.text).join('');
+    expect(streamed).toBe(response);
+
+    // The metadata names the stored turn
+    const [userMessage, reply] = await storage.listMessages(CONVERSATION_ID);
+    expect(metadata).toMatchObject({ chatId: 'chat_stream', userMessageId: userMessage.id, messageId: reply.id });
+    expect(reply.content).toBe(response);
+  });
+
+  test('stops sending when the client disconnects, but still stores the turn', async () => {
+    const res = createStreamResponse();
+    res.on('write', chunk => {
+      if (chunk.startsWith('event: chunk')) res.emit('close');
+    });
+
+    await stream({ message: 'Tell me about Martha' }, res);
+    const kinds = eventsIn(res).map(e => e.event);
+
+    expect(kinds.filter(kind => kind === 'chunk')).toHaveLength(1);
+    expect(kinds).not.toContain('metadata');
+    expect(res.ended).toBe(false);
+
+    // The reply was generated, so the conversation reads the same when they come back
+    const stored = await storage.listMessages(CONVERSATION_ID);
+    expect(stored.map(m => m.role)).toEqual(['user', 'benn']);
+  });
+
+  test('ends with an error event, storing nothing, when the turn fails to store', async () => {
+    storage.commitTurn = async () => { throw new Error('connection reset'); };
+
+    const res = await stream({ message: 'Tell me about Martha' });
+    const events = eventsIn(res);
+
+    expect(events[events.length - 1]).toMatchObject({ event: 'error', data: { error: 'Internal server error' } });
+    expect(events.map(e => e.event)).not.toContain('metadata');
+    expect(res.ended).toBe(true);
+    expect(await storage.countMessages(CONVERSATION_ID)).toBe(0);
+  });
+
+  test('reports a conflict as such when the state keeps changing underneath it', async () => {
+    const commitTurn = storage.commitTurn.bind(storage);
+    storage.commitTurn = async turn => {
+      // Another writer gets in before every commit
+      const current = await storage.getConversation(CONVERSATION_ID);
+      await storage.updateConversation(CONVERSATION_ID, { metadata: current.metadata });
+      return commitTurn(turn);
+    };
+
+    const res = await stream({ message: 'Tell me about Martha' });
+    const events = eventsIn(res);
+
+    expect(events[events.length - 1]).toMatchObject({ event: 'error', data: { code: 'STATE_CONFLICT' } });
+    expect(res.ended).toBe(true);
+    expect(await storage.countMessages(CONVERSATION_ID)).toBe(0);
+  });
+});
@@ -0,0 +1,119 @@
+// Grand's Stories API - Conversation State Tests
+// Serializing state with Maps intact and migrating older stored shapes
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const { AdvancedConversationStateManager } = require('../handlers/chat');
+const { STATE_VERSION, serializeState, deserializeState } = require('../lib/state');
+
+const USER = 'user_pppppppppppppppppppppppp';
+
+describe('conversation state serialization', () => {
+  let defaults;
+
+  beforeEach(() => {
+    defaults = new AdvancedConversationStateManager(USER, 'chat_state', new MemoryStorage()).state;
+  });
+
+  test('Maps survive a JSON round trip', () => {
+    const state = {
+      ...defaults,
+      topicCoherence: new Map([['war', 0.8]]),
+      userModel: {
+        interests: new Map([['computing', { count: 2 }]]),
+        preferences: new Map([['length', 'short']]),
+        emotionalResponses: new Map()
+      }
+    };
+
+    const stored = JSON.parse(JSON.stringify(serializeState(state)));
+    expect(stored.stateVersion).toBe(STATE_VERSION);
+    expect(stored.topicCoherence).toEqual([['war', 0.8]]);
+
+    const loaded = deserializeState(stored, defaults);
+    expect(loaded.topicCoherence).toEqual(new Map([['war', 0.8]]));
+    expect(loaded.userModel.interests.get('computing')).toEqual({ count: 2 });
+    expect(loaded.userModel.preferences.get('length')).toBe('short');
+    expect(loaded.stateVersion).toBeUndefined();
+  });
+
+  test('unversioned state, where Maps were written as objects, is migrated', () => {
+    const legacy = JSON.parse(JSON.stringify({ ...defaults, title: 'Old chat', summary: 'About Martha.' }));
+    expect(legacy.topicCoherence).toEqual({});
+
+    const loaded = deserializeState(legacy, defaults);
+    expect(loaded.topicCoherence).toBeInstanceOf(Map);
+    expect(loaded.userModel.emotionalResponses).toBeInstanceOf(Map);
+    expect(loaded.title).toBe('Old chat');
+    expect(loaded.summary).toBe('About Martha.');
+  });
+
+  test('sparse or malformed state is filled in from the defaults', () => {
+    const loaded = deserializeState({
+      personalityVector: { curiosity: 0.95 },
+      interactionCount: 'three',
+      emotionalTrajectory: null,
+      userModel: { interests: [['war', 1]] },
+      customField: 'kept'
+    }, defaults);
+
+    expect(loaded.personalityVector.curiosity).toBe(0.95);
+    expect(loaded.personalityVector.currentEmotion).toBe(defaults.personalityVector.currentEmotion);
+    expect(loaded.interactionCount).toBe(0);
+    expect(loaded.emotionalTrajectory).toEqual([]);
+    expect(loaded.userModel.interests.get('war')).toBe(1);
+    expect(loaded.userModel.preferences).toBeInstanceOf(Map);
+    expect(loaded.pinned).toBe(false);
+    expect(loaded.branch).toBeNull();
+    expect(loaded.customField).toBe('kept');
+
+    expect(deserializeState(null, defaults).shortTermMemory).toEqual([]);
+  });
+
+  test('loaded defaults are not shared between conversations', () => {
+    const first = deserializeState({}, defaults);
+    first.emotionalTrajectory.push('amused');
+    first.topicCoherence.set('war', 1);
+
+    expect(defaults.emotionalTrajectory).toEqual([]);
+    expect(deserializeState({}, defaults).topicCoherence.size).toBe(0);
+  });
+});
+
+describe('state persistence', () => {
+  test('a loaded conversation has working Maps', async () => {
+    const storage = new MemoryStorage();
+    const manager = new AdvancedConversationStateManager(USER, 'chat_state', storage);
+    await manager.loadOrInitialize();
+
+    manager.state.topicCoherence.set('war', 0.7);
+    manager.state.userModel.interests.set('computing', 3);
+    await manager.completeTurn();
+
+    const stored = await storage.getConversation(conversationIdFor(USER, 'chat_state'));
+    expect(stored.metadata.stateVersion).toBe(STATE_VERSION);
+
+    const reloaded = new AdvancedConversationStateManager(USER, 'chat_state', storage);
+    await reloaded.loadOrInitialize();
+    expect(reloaded.state.topicCoherence.get('war')).toBe(0.7);
+    expect(reloaded.state.userModel.interests.get('computing')).toBe(3);
+    expect(reloaded.state.interactionCount).toBe(1);
+  });
+
+  test('conversations seeded at sign-in load fully populated', async () => {
+    const storage = new MemoryStorage();
+    await storage.createConversation({
+      user_id: USER,
+      conversation_id: conversationIdFor(USER, 'chat_seeded'),
+      metadata: { personalityVector: { curiosity: 0.9 }, shortTermMemory: [], longTermMemory: [], conversationalDepth: 0, interactionCount: 0 }
+    });
+
+    const manager = new AdvancedConversationStateManager(USER, 'chat_seeded', storage);
+    await manager.loadOrInitialize();
+    expect(manager.state.emotionalTrajectory).toEqual([]);
+    expect(manager.state.topicCoherence).toBeInstanceOf(Map);
+    expect(typeof manager.state.personalityVector.currentEmotion).toBe('string');
+  });
+});
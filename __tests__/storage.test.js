@@ -0,0 +1,452 @@
+// Grand's Stories API - Storage Backend Tests
+// The memory and SQLite backends must page conversations and maintain summaries identically,
+// and the configuration must pick the backend explicitly
+
+const { createStorage: configuredStorage, StorageAdapter } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const SqliteStorage = require('../lib/storage/sqlite');
+const SupabaseStorage = require('../lib/storage/supabase');
+
+let sqliteAvailable = true;
+try {
+  require.resolve('better-sqlite3');
+} catch (error) {
+  sqliteAvailable = false;
+}
+
+const backends = [
+  ['memory', () => new MemoryStorage()],
+  ...(sqliteAvailable ? [['sqlite', () => new SqliteStorage({ filename: ':memory:' })]] : [])
+];
+
+describe.each(backends)('%s storage', (name, createStorage) => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = createStorage();
+    await storage.initialize();
+
+    // Two conversations share an updated_at so the tiebreak matters
+    const rows = [
+      ['u1_a', '2024-01-03T00:00:00.000Z', { pinned: true }],
+      ['u1_b', '2024-01-02T00:00:00.000Z', { tags: ['family'] }],
+      ['u1_c', '2024-01-02T00:00:00.000Z', { archived: true }],
+      ['u1_d', '2024-01-01T00:00:00.000Z', { tags: ['war', 'family'] }]
+    ];
+    for (const [conversationId, timestamp, metadata] of rows) {
+      await storage.createConversation({
+        user_id: 'u1',
+        conversation_id: conversationId,
+        metadata,
+        created_at: timestamp,
+        updated_at: timestamp
+      });
+    }
+    await storage.createConversation({ user_id: 'u2', conversation_id: 'u2_a', metadata: {} });
+  });
+
+  async function ids(options) {
+    return (await storage.listConversations('u1', options)).map(c => c.conversation_id);
+  }
+
+  test('orders by updated_at then conversation_id', async () => {
+    expect(await ids()).toEqual(['u1_a', 'u1_c', 'u1_b', 'u1_d']);
+    expect(await ids({ orderBy: 'created_at', ascending: true })).toEqual(['u1_d', 'u1_b', 'u1_c', 'u1_a']);
+  });
+
+  test('walks pages with a keyset cursor', async () => {
+    const after = { value: '2024-01-02T00:00:00.000Z', conversationId: 'u1_c' };
+    expect(await ids({ after, limit: 1 })).toEqual(['u1_b']);
+    expect(await ids({ after: { ...after, conversationId: 'u1_b' } })).toEqual(['u1_d']);
+  });
+
+  test('filters on archived, pinned and tag', async () => {
+    expect(await ids({ archived: false })).toEqual(['u1_a', 'u1_b', 'u1_d']);
+    expect(await ids({ archived: true })).toEqual(['u1_c']);
+    expect(await ids({ pinned: true })).toEqual(['u1_a']);
+    expect(await ids({ pinned: false, tag: 'family' })).toEqual(['u1_b', 'u1_d']);
+  });
+
+  test('filters on the branch root', async () => {
+    await storage.updateConversation('u1_d', { metadata: { branch: { rootId: 'a', parentId: 'a' } } });
+    await storage.createConversation({ user_id: 'u2', conversation_id: 'u2_b', metadata: { branch: { rootId: 'a' } } });
+
+    expect(await ids({ branchRoot: 'a' })).toEqual(['u1_d']);
+    expect(await ids({ branchRoot: 'b' })).toEqual([]);
+  });
+
+  test('keeps message_count and last_message in step with messages', async () => {
+    await storage.insertMessage({ conversation_id: 'u1_b', role: 'user', content: 'first', created_at: '2024-01-02T00:00:01.000Z' });
+    await storage.insertMessage({ conversation_id: 'u1_b', role: 'benn', content: 'second', created_at: '2024-01-02T00:00:02.000Z' });
+
+    let conversation = await storage.getConversation('u1_b');
+    expect(conversation.message_count).toBe(2);
+    expect(conversation.last_message).toBe('second');
+
+    await storage.deleteMessages('u1_b');
+    conversation = await storage.getConversation('u1_b');
+    expect(conversation.message_count).toBe(0);
+    expect(conversation.last_message).toBeNull();
+  });
+
+  test('updates and deletes individual messages and fragments', async () => {
+    const first = await storage.insertMessage({ conversation_id: 'u1_b', role: 'user', content: 'first', created_at: '2024-01-02T00:00:01.000Z' });
+    const second = await storage.insertMessage({ conversation_id: 'u1_b', role: 'benn', content: 'second', created_at: '2024-01-02T00:00:02.000Z' });
+
+    const updated = await storage.updateMessage(second.id, { content: 'second, reworded', metadata: { activeVersion: 1 } });
+    expect(updated.metadata).toEqual({ activeVersion: 1 });
+    let conversation = await storage.getConversation('u1_b');
+    expect(conversation.message_count).toBe(2);
+    expect(conversation.last_message).toBe('second, reworded');
+
+    await storage.deleteMessages('u1_b', { ids: [second.id] });
+    conversation = await storage.getConversation('u1_b');
+    expect(conversation.message_count).toBe(1);
+    expect(conversation.last_message).toBe('first');
+    expect((await storage.listMessages('u1_b')).map(m => m.id)).toEqual([first.id]);
+
+    const keep = await storage.insertMemoryFragment({ conversation_id: 'u1_b', fragment_type: 'fact', content: 'keep' });
+    const drop = await storage.insertMemoryFragment({ conversation_id: 'u1_b', fragment_type: 'fact', content: 'drop' });
+    await storage.deleteMemoryFragments({ conversationId: 'u1_b', ids: [drop.id] });
+    await storage.deleteMemoryFragments({ conversationId: 'u1_b', ids: [] });
+    expect((await storage.queryMemoryFragments({ conversationId: 'u1_b' })).map(f => f.id)).toEqual([keep.id]);
+  });
+
+  test('hides soft-deleted messages and purges them once expired', async () => {
+    const first = await storage.insertMessage({ conversation_id: 'u1_b', role: 'user', content: 'first enigma', created_at: '2024-01-02T00:00:01.000Z' });
+    const second = await storage.insertMessage({ conversation_id: 'u1_b', role: 'benn', content: 'second enigma', created_at: '2024-01-02T00:00:02.000Z' });
+
+    await storage.updateMessage(second.id, { deleted_at: '2024-02-01T00:00:00.000Z' });
+    let conversation = await storage.getConversation('u1_b');
+    expect(conversation.message_count).toBe(1);
+    expect(conversation.last_message).toBe('first enigma');
+    expect(await storage.countMessages('u1_b')).toBe(1);
+    expect((await storage.listMessages('u1_b')).map(m => m.id)).toEqual([first.id]);
+    expect((await storage.listMessages('u1_b', { includeDeleted: true })).map(m => m.id)).toEqual([first.id, second.id]);
+    expect((await storage.searchMessages({ userId: 'u1', terms: ['enigma'] })).map(m => m.id)).toEqual([first.id]);
+
+    await storage.updateMessage(second.id, { deleted_at: null });
+    conversation = await storage.getConversation('u1_b');
+    expect(conversation.message_count).toBe(2);
+    expect(conversation.last_message).toBe('second enigma');
+
+    await storage.updateMessage(first.id, { deleted_at: '2024-02-01T00:00:00.000Z' });
+    expect(await storage.purgeDeletedMessages('2024-02-01T00:00:00.000Z')).toBe(0);
+    expect(await storage.purgeDeletedMessages('2024-03-01T00:00:00.000Z')).toBe(1);
+    expect((await storage.listMessages('u1_b', { includeDeleted: true })).map(m => m.id)).toEqual([second.id]);
+    expect((await storage.getConversation('u1_b')).message_count).toBe(1);
+  });
+
+  test('advances the revision on metadata writes and guards conditional ones', async () => {
+    expect((await storage.getConversation('u1_a')).revision).toBe(0);
+
+    await storage.insertMessage({ conversation_id: 'u1_a', role: 'user', content: 'Hello' });
+    expect((await storage.getConversation('u1_a')).revision).toBe(0);
+
+    const updated = await storage.updateConversation('u1_a', { metadata: { pinned: false } }, { expectedRevision: 0 });
+    expect(updated.revision).toBe(1);
+
+    expect(await storage.updateConversation('u1_a', { metadata: { pinned: true } }, { expectedRevision: 0 })).toBeNull();
+    expect((await storage.getConversation('u1_a')).metadata).toEqual({ pinned: false });
+    expect(await storage.updateConversation('missing', { metadata: {} }, { expectedRevision: 0 })).toBeNull();
+
+    await storage.updateConversation('u1_a', { updated_at: '2024-02-01T00:00:00.000Z' });
+    expect((await storage.getConversation('u1_a')).revision).toBe(1);
+  });
+
+  test('commits a turn atomically', async () => {
+    const message = { id: 'a7d3c9e0-0000-4000-8000-000000000001', conversation_id: 'u1_a', role: 'user', content: 'Hello' };
+    const fragment = { conversation_id: 'u1_a', fragment_type: 'concept', content: 'Greeting', tags: ['hello'], metadata: { sourceMessageId: message.id } };
+
+    const committed = await storage.commitTurn({
+      conversationId: 'u1_a',
+      messages: [message],
+      fragments: [fragment],
+      userMemories: [{ ...fragment, conversation_id: undefined, user_id: 'u1', source_conversation_id: 'u1_a' }],
+      conversation: { metadata: { interactionCount: 1 }, updated_at: '2024-02-01T00:00:00.000Z' },
+      expectedRevision: 0
+    });
+    expect(committed.messages.map(m => m.id)).toEqual([message.id]);
+    expect(committed.fragments).toEqual([expect.objectContaining({ id: expect.any(String), content: 'Greeting' })]);
+    expect(committed.userMemories).toEqual([expect.objectContaining({ id: expect.any(String), user_id: 'u1' })]);
+    expect(committed.conversation).toMatchObject({ revision: 1, message_count: 1, last_message: 'Hello', metadata: { interactionCount: 1 } });
+    expect((await storage.queryMemoryFragments({ conversationId: 'u1_a' }))[0]).toMatchObject({ content: 'Greeting', tags: ['hello'] });
+    expect(await storage.queryUserMemories({ userId: 'u1' })).toEqual([expect.objectContaining({ content: 'Greeting', source_conversation_id: 'u1_a' })]);
+
+    const stale = await storage.commitTurn({
+      conversationId: 'u1_a',
+      messages: [{ ...message, id: 'a7d3c9e0-0000-4000-8000-000000000002' }],
+      conversation: { metadata: {} },
+      expectedRevision: 0
+    });
+    expect(stale).toBeNull();
+    expect(await storage.countMessages('u1_a')).toBe(1);
+
+    await expect(storage.commitTurn({ conversationId: 'missing', messages: [], conversation: {} })).rejects.toThrow();
+
+    if (name === 'sqlite') {
+      // A row the database rejects takes the rest of the turn with it
+      await expect(storage.commitTurn({
+        conversationId: 'u1_a',
+        messages: [{ ...message, id: 'a7d3c9e0-0000-4000-8000-000000000003' }],
+        fragments: [{ ...fragment, content: null }],
+        conversation: { metadata: { interactionCount: 2 } },
+        expectedRevision: 1
+      })).rejects.toThrow();
+      expect(await storage.countMessages('u1_a')).toBe(1);
+      expect((await storage.getConversation('u1_a')).metadata).toEqual({ interactionCount: 1 });
+    }
+  });
+
+  test('commits a redone turn\'s rewrites and removals with it, or none of them', async () => {
+    const id = n => `a7d3c9e0-0000-4000-8000-00000000001${n}`;
+    const asked = await storage.insertMessage({ id: id(1), conversation_id: 'u1_a', role: 'user', content: 'Hello' });
+    const answered = await storage.insertMessage({ id: id(2), conversation_id: 'u1_a', role: 'benn', content: 'Hi there' });
+    const fragment = await storage.insertMemoryFragment({ conversation_id: 'u1_a', fragment_type: 'fact', content: 'Greeting' });
+    const memory = await storage.insertUserMemory({ user_id: 'u1', fragment_type: 'fact', content: 'Says hello' });
+    const someoneElses = await storage.insertUserMemory({ user_id: 'u2', fragment_type: 'fact', content: 'Says hello' });
+
+    const redo = {
+      conversationId: 'u1_a',
+      messages: [{ id: id(3), conversation_id: 'u1_a', role: 'benn', content: 'Good evening' }],
+      messageUpdates: [{ id: asked.id, content: 'Good evening, Benn' }],
+      deleted: { messageIds: [answered.id], fragmentIds: [fragment.id], userMemoryIds: [memory.id, someoneElses.id] },
+      conversation: {}
+    };
+
+    // An update naming a message the conversation doesn't hold takes the rest with it
+    await expect(storage.commitTurn({
+      ...redo,
+      messageUpdates: [...redo.messageUpdates, { id: id(9), content: 'Nowhere' }]
+    })).rejects.toThrow();
+    expect((await storage.listMessages('u1_a')).map(m => m.content)).toEqual(['Hello', 'Hi there']);
+    expect(await storage.queryMemoryFragments({ conversationId: 'u1_a' })).toHaveLength(1);
+    expect(await storage.queryUserMemories({ userId: 'u1' })).toHaveLength(1);
+
+    const committed = await storage.commitTurn(redo);
+    expect(committed.updatedMessages).toEqual([
+      expect.objectContaining({ id: asked.id, content: 'Good evening, Benn', role: 'user', created_at: asked.created_at })
+    ]);
+    expect(committed.conversation).toMatchObject({ message_count: 2, last_message: 'Good evening' });
+    expect((await storage.listMessages('u1_a')).map(m => m.content)).toEqual(['Good evening, Benn', 'Good evening']);
+    expect(await storage.queryMemoryFragments({ conversationId: 'u1_a' })).toEqual([]);
+    expect(await storage.queryUserMemories({ userId: 'u1' })).toEqual([]);
+    // User memories are only removed from the conversation's owner
+    expect((await storage.queryUserMemories({ userId: 'u2' })).map(m => m.id)).toEqual([someoneElses.id]);
+  });
+
+  test('hands one user\'s conversations and memories to another', async () => {
+    const message = await storage.insertMessage({ conversation_id: 'u1_b', role: 'user', content: 'Hello' });
+    const fragment = await storage.insertMemoryFragment({ conversation_id: 'u1_b', fragment_type: 'fact', content: 'Greeting' });
+    await storage.insertUserMemory({ user_id: 'u1', source_conversation_id: 'u1_b', fragment_type: 'fact', content: 'Says hello' });
+    await storage.createConversation({ user_id: 'u3', conversation_id: 'u3_a' });
+
+    // A rekeyed id that is taken moves nothing
+    await expect(storage.reassignUser('u1', 'u3')).rejects.toThrow();
+    expect(await storage.listConversations('u1')).toHaveLength(4);
+
+    expect(await storage.reassignUser('u1', 'u9')).toBe(4);
+    expect(await storage.listConversations('u1')).toEqual([]);
+    expect((await storage.listConversations('u9')).map(c => c.conversation_id).sort()).toEqual(['u9_a', 'u9_b', 'u9_c', 'u9_d']);
+    expect((await storage.listMessages('u9_b')).map(m => m.id)).toEqual([message.id]);
+    expect((await storage.getConversation('u9_b')).message_count).toBe(1);
+    expect((await storage.queryMemoryFragments({ conversationId: 'u9_b' })).map(f => f.id)).toEqual([fragment.id]);
+    expect(await storage.queryUserMemories({ userId: 'u9' })).toEqual([
+      expect.objectContaining({ content: 'Says hello', source_conversation_id: 'u9_b' })
+    ]);
+  });
+
+  test('keeps user memories per user and drops them with their source conversation', async () => {
+    const seeded = await storage.insertUserMemory({ user_id: 'u1', fragment_type: 'fact', content: 'Served in the Signal Corps' });
+    const learned = await storage.insertUserMemory({
+      user_id: 'u1',
+      source_conversation_id: 'u1_b',
+      fragment_type: 'concept',
+      content: 'User interest in: family',
+      tags: ['family']
+    });
+    await storage.insertUserMemory({ user_id: 'u2', fragment_type: 'concept', content: 'User interest in: family', tags: ['family'] });
+    expect(learned).toMatchObject({ tags: ['family'], weight: 0.5, accessed_count: 0 });
+
+    expect((await storage.queryUserMemories({ userId: 'u1', tags: ['family'] })).map(m => m.id)).toEqual([learned.id]);
+    expect(await storage.queryUserMemories({ userId: 'u1' })).toHaveLength(2);
+
+    await storage.updateUserMemory(seeded.id, { weight: 0.9 });
+    expect((await storage.queryUserMemories({ userId: 'u1', minWeight: 0.8 })).map(m => m.id)).toEqual([seeded.id]);
+
+    await storage.deleteConversation('u1_b');
+    expect((await storage.queryUserMemories({ userId: 'u1' })).map(m => m.id)).toEqual([seeded.id]);
+
+    await storage.deleteUserMemories({ userId: 'u1', ids: [seeded.id] });
+    expect(await storage.queryUserMemories({ userId: 'u1' })).toHaveLength(0);
+    expect(await storage.queryUserMemories({ userId: 'u2' })).toHaveLength(1);
+  });
+
+  test('pages messages with before and after cursors', async () => {
+    // Two pairs share a timestamp, so insertion order has to break the tie
+    const rows = [];
+    for (const [content, created_at] of [
+      ['one', '2024-01-02T00:00:01.000Z'], ['two', '2024-01-02T00:00:01.000Z'],
+      ['three', '2024-01-02T00:00:02.000Z'], ['four', '2024-01-02T00:00:03.000Z'],
+      ['five', '2024-01-02T00:00:03.000Z']
+    ]) {
+      rows.push(await storage.insertMessage({ conversation_id: 'u1_b', role: 'user', content, created_at }));
+    }
+    await storage.updateMessage(rows[2].id, { deleted_at: '2024-02-01T00:00:00.000Z' });
+    const contents = messages => messages.map(m => m.content);
+
+    expect(contents(await storage.listMessages('u1_b', { ascending: false, limit: 2 }))).toEqual(['five', 'four']);
+    expect(contents(await storage.listMessages('u1_b', { ascending: false, before: rows[3].id }))).toEqual(['two', 'one']);
+    expect(contents(await storage.listMessages('u1_b', { ascending: false, before: rows[3].id, includeDeleted: true })))
+      .toEqual(['three', 'two', 'one']);
+    expect(contents(await storage.listMessages('u1_b', { after: rows[0].id, limit: 2 }))).toEqual(['two', 'four']);
+    // A deleted message still works as a cursor
+    expect(contents(await storage.listMessages('u1_b', { after: rows[2].id }))).toEqual(['four', 'five']);
+    expect(await storage.listMessages('u1_b', { before: 'missing' })).toEqual([]);
+    expect(await storage.listMessages('u1_d', { before: rows[3].id })).toEqual([]);
+  });
+
+  test('searches only the owner\'s messages and fragments', async () => {
+    await storage.insertMessage({
+      conversation_id: 'u1_b', role: 'user', content: 'The 100% Enigma_rotor', created_at: '2024-01-02T00:00:01.000Z',
+      metadata: { analysis: { primaryTopics: ['war'] } }
+    });
+    await storage.insertMessage({ conversation_id: 'u1_d', role: 'benn', content: 'enigma again', created_at: '2024-01-02T00:00:02.000Z' });
+    await storage.insertMessage({ conversation_id: 'u2_a', role: 'user', content: 'enigma elsewhere' });
+    await storage.insertMemoryFragment({ conversation_id: 'u1_b', fragment_type: 'user_fact', content: 'Likes Enigma' });
+    await storage.insertMemoryFragment({ conversation_id: 'u2_a', fragment_type: 'user_fact', content: 'Also likes enigma' });
+
+    const contents = rows => rows.map(r => r.content);
+    const query = { userId: 'u1', terms: ['enigma'] };
+
+    expect(contents(await storage.searchMessages(query))).toEqual(['enigma again', 'The 100% Enigma_rotor']);
+    expect(contents(await storage.searchMessages({ ...query, role: 'user' }))).toEqual(['The 100% Enigma_rotor']);
+    expect(contents(await storage.searchMessages({ ...query, topics: ['war'] }))).toEqual(['The 100% Enigma_rotor']);
+    expect(contents(await storage.searchMessages({ ...query, to: '2024-01-02T00:00:01.500Z' }))).toEqual(['The 100% Enigma_rotor']);
+    expect(contents(await storage.searchMessages({ userId: 'u1', terms: ['100%'] }))).toEqual(['The 100% Enigma_rotor']);
+    expect(contents(await storage.searchMessages({ userId: 'u1', terms: ['a_r'] }))).toEqual(['The 100% Enigma_rotor']);
+    expect(contents(await storage.searchMemoryFragments(query))).toEqual(['Likes Enigma']);
+
+    // Pages follow on from each other
+    expect(contents(await storage.searchMessages({ ...query, limit: 1 }))).toEqual(['enigma again']);
+    expect(contents(await storage.searchMessages({ ...query, limit: 1, offset: 1 }))).toEqual(['The 100% Enigma_rotor']);
+    expect(await storage.searchMessages({ ...query, limit: 1, offset: 2 })).toEqual([]);
+  });
+
+  test('finds memories written since a time and counts the unarchived ones', async () => {
+    const since = new Date(Date.now() - 1000).toISOString();
+    const old = new Date(Date.now() - 60000).toISOString();
+    const kept = await storage.insertMemoryFragment({ conversation_id: 'u1_a', fragment_type: 'fact', content: 'old', updated_at: old, created_at: old });
+    await storage.insertMemoryFragment({ conversation_id: 'u1_a', fragment_type: 'fact', content: 'new' });
+    await storage.insertUserMemory({ user_id: 'u1', fragment_type: 'fact', content: 'old', updated_at: old, created_at: old });
+
+    const contents = rows => rows.map(r => r.content).sort();
+    expect(contents(await storage.queryMemoryFragments({ conversationId: 'u1_a', updatedSince: since }))).toEqual(['new']);
+    expect(await storage.queryUserMemories({ userId: 'u1', updatedSince: since })).toEqual([]);
+
+    // Archiving is a write too, so a sync sees the archived row
+    await storage.updateMemoryFragment(kept.id, { archived_at: new Date().toISOString() });
+    expect(contents(await storage.queryMemoryFragments({ conversationId: 'u1_a', updatedSince: since }))).toEqual(['new']);
+    expect(contents(await storage.queryMemoryFragments({ conversationId: 'u1_a', updatedSince: since, includeArchived: true })))
+      .toEqual(['new', 'old']);
+
+    expect(await storage.countMemoryFragments({ conversationId: 'u1_a' })).toBe(1);
+    expect(await storage.countUserMemories({ userId: 'u1' })).toBe(1);
+  });
+
+  test('leaves out memories from an excluded source, before the limit', async () => {
+    await storage.insertUserMemory({ user_id: 'u1', fragment_type: 'fact', content: 'seeded', weight: 0.9, metadata: { source: 'initial' } });
+    await storage.insertUserMemory({ user_id: 'u1', fragment_type: 'fact', content: 'learned', weight: 0.5 });
+    await storage.insertMemoryFragment({ conversation_id: 'u1_a', fragment_type: 'fact', content: 'seeded', metadata: { source: 'initial' } });
+
+    const query = { userId: 'u1', excludeSource: 'initial', orderBy: 'weight', limit: 1 };
+    expect((await storage.queryUserMemories(query)).map(m => m.content)).toEqual(['learned']);
+    expect(await storage.queryMemoryFragments({ conversationId: 'u1_a', excludeSource: 'initial' })).toEqual([]);
+    expect(await storage.queryUserMemories({ userId: 'u1' })).toHaveLength(2);
+  });
+
+  test('tallies generative patterns in place, one row per pattern', async () => {
+    const prior = { score: 0.5, weight: 4 };
+    const keys = [['template', 'g1'], ['grammar', 'g1']];
+
+    await storage.incrementGenerativePatterns(keys, { usage: 1 }, prior);
+    await Promise.all([
+      storage.incrementGenerativePatterns(keys, { usage: 1, up: 1 }, prior),
+      storage.incrementGenerativePatterns([['template', 'g1']], { down: 1 }, prior)
+    ]);
+    await storage.incrementGenerativePatterns([['grammar', 'g1']], { up: -1, down: -1 }, prior);
+
+    expect(await storage.listGenerativePatterns()).toHaveLength(2);
+    const [template] = await storage.findGenerativePatterns([['template', 'g1'], ['template', 'missing']]);
+    expect(template).toMatchObject({ pattern_type: 'template', usage_count: 2, metadata: { up: 1, down: 1 }, success_score: 0.5 });
+
+    const [grammar] = await storage.findGenerativePatterns([['grammar', 'g1']]);
+    expect(grammar).toMatchObject({ usage_count: 2, metadata: { up: 0, down: 0 }, success_score: 0.5 });
+  });
+
+  test('lists and prunes login codes by when they were issued', async () => {
+    const code = (email, created_at) => storage.createLoginCode({ email, code_hash: 'h', salt: 's', expires_at: '2024-01-01T01:00:00.000Z', created_at });
+    await code('a@example.com', '2024-01-01T00:00:00.000Z');
+    await code('a@example.com', '2024-01-01T00:30:00.000Z');
+    await code('b@example.com', '2024-01-01T00:40:00.000Z');
+
+    const issued = rows => rows.map(r => r.created_at);
+    expect(issued(await storage.listLoginCodes('a@example.com', { since: '2024-01-01T00:00:00.000Z' })))
+      .toEqual(['2024-01-01T00:30:00.000Z', '2024-01-01T00:00:00.000Z']);
+
+    await storage.deleteLoginCodes('a@example.com', { before: '2024-01-01T00:10:00.000Z' });
+    expect(issued(await storage.listLoginCodes('a@example.com', { since: '2024-01-01T00:00:00.000Z' })))
+      .toEqual(['2024-01-01T00:30:00.000Z']);
+    expect(await storage.listLoginCodes('b@example.com', { since: '2024-01-01T00:00:00.000Z' })).toHaveLength(1);
+  });
+});
+
+describe('storage selection', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    for (const key of ['STORAGE_DRIVER', 'SUPABASE_URL', 'SUPABASE_ANON_KEY']) {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    }
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  test('never falls back to in-memory storage on its own', () => {
+    expect(() => configuredStorage()).toThrow(/No storage configured/);
+
+    process.env.STORAGE_DRIVER = 'memory';
+    expect(configuredStorage()).toBeInstanceOf(MemoryStorage);
+  });
+
+  test('a named driver wins over a configured Supabase', () => {
+    process.env.SUPABASE_URL = 'http://localhost:54321';
+    process.env.STORAGE_DRIVER = 'memory';
+    expect(configuredStorage().name).toBe('memory');
+
+    delete process.env.STORAGE_DRIVER;
+    expect(configuredStorage({ driver: 'memory' }).name).toBe('memory');
+  });
+
+  test('rejects an unknown driver', () => {
+    expect(() => configuredStorage({ driver: 'postgres' })).toThrow(/Unknown storage driver "postgres"/);
+  });
+
+  test('every backend implements the whole adapter', () => {
+    const methods = Object.getOwnPropertyNames(StorageAdapter.prototype)
+      .filter(m => String(StorageAdapter.prototype[m]).includes('notImplemented'));
+    expect(methods).toContain('commitTurn');
+    for (const Storage of [MemoryStorage, SqliteStorage, SupabaseStorage]) {
+      for (const method of methods) {
+        expect([Storage.name, method, Storage.prototype[method] !== StorageAdapter.prototype[method]])
+          .toEqual([Storage.name, method, true]);
+      }
+    }
+  });
+});
@@ -0,0 +1,125 @@
+// Grand's Stories API - Title and Summary Tests
+// Automatic titles from topics and entities, rolling summaries, and user overrides
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const handleChat = require('../handlers/chat');
+const { ConversationSummarizer, QuantumSemanticAnalyzer } = handleChat;
+const handleConversations = require('../handlers/chat/conversations');
+const { call } = require('./helpers/http');
+
+const USER = 'user_dddddddddddddddddddddddd';
+
+function chat(message, chatId = 'chat_1') {
+  return call(handleChat, USER, { chatId, message });
+}
+
+function conversations(body) {
+  return call(handleConversations, USER, body);
+}
+
+async function listed(chatId = 'chat_1') {
+  const res = await conversations({ action: 'list' });
+  return res.body.conversations.find(c => c.id === chatId);
+}
+
+describe('entity extraction', () => {
+  const analyzer = new QuantumSemanticAnalyzer();
+
+  test('finds known names regardless of case and mid-sentence proper nouns', () => {
+    expect(analyzer.extractEntities('did martha like the enigma stories?')).toEqual(['Martha', 'Enigma']);
+    expect(analyzer.extractEntities('We drove out to Bletchley Park with my friend Walter.'))
+      .toEqual(['Bletchley Park', 'Walter']);
+  });
+
+  test('ignores sentence openers, pronouns and calendar words', () => {
+    expect(analyzer.extractEntities('Yesterday I called on Monday. Then it rained.')).toEqual([]);
+  });
+});
+
+describe('ConversationSummarizer', () => {
+  const summarizer = new ConversationSummarizer();
+  const user = content => ({ role: 'user', content });
+
+  test('titles after the dominant entities and topic', () => {
+    const { title, summary } = summarizer.summarize([
+      user('Tell me about Martha and the children'),
+      { role: 'benn', content: 'Ah, Martha.', metadata: { emotionalState: 'nostalgic' } },
+      user('How did you meet Martha?'),
+      user('Was your family big?')
+    ]);
+
+    expect(title).toBe('Martha — Family');
+    expect(summary).toContain('3 exchanges');
+    expect(summary).toContain('Benn was mostly nostalgic.');
+    expect(summary).toMatch(/Most recently you asked: "Was your family big\?"$/);
+  });
+
+  test('falls back to topic labels, then to the opening words', () => {
+    expect(summarizer.summarize([user('what was the war like'), user('and the code breaking')]).title)
+      .toBe('The War Years & Technology');
+    expect(summarizer.summarize([user('hello there you lovely gentleman how are things')]).title)
+      .toBe('hello there you lovely gentleman how…');
+  });
+});
+
+describe('automatic titles', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+  });
+
+  test('a title and summary appear after the third exchange', async () => {
+    let res = await chat('Tell me about Martha');
+    res = await chat('How did you meet your wife?');
+    expect(res.body.metadata.title).toBeNull();
+
+    res = await chat('What was Martha like when you were young?');
+    expect(res.body.metadata.title).toMatch(/^Martha/);
+    expect(res.body.metadata.summary).toContain('Most recently you asked');
+
+    const conversation = await listed();
+    expect(conversation.title).toBe(res.body.metadata.title);
+    expect(conversation.titleSource).toBe('auto');
+    expect(conversation.summary).toBe(res.body.metadata.summary);
+  });
+
+  test('a renamed conversation keeps its title while the summary rolls on', async () => {
+    for (let i = 0; i < 3; i++) await chat('Tell me about Martha');
+    await conversations({ action: 'rename', chatId: 'chat_1', title: 'Grandma stories' });
+
+    for (let i = 0; i < 3; i++) await chat('What about the war and the Enigma machine?');
+
+    const conversation = await listed();
+    expect(conversation.title).toBe('Grandma stories');
+    expect(conversation.titleSource).toBe('user');
+    expect(conversation.summary).toContain('Enigma');
+  });
+
+  test('retitle regenerates the title and returns it to automatic titling', async () => {
+    for (let i = 0; i < 3; i++) await chat('Tell me about FORTRAN and punch cards');
+    await conversations({ action: 'rename', chatId: 'chat_1', title: 'Mine' });
+
+    const res = await conversations({ action: 'retitle', chatId: 'chat_1' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.conversation.title).toBe('FORTRAN — Technology');
+    expect(res.body.conversation.titleSource).toBe('auto');
+    expect(res.body.conversation.summary).toBeTruthy();
+  });
+
+  test('retitle needs something to work from', async () => {
+    await storage.createConversation({
+      user_id: USER,
+      conversation_id: conversationIdFor(USER, 'chat_empty'),
+      metadata: {}
+    });
+
+    const res = await conversations({ action: 'retitle', chatId: 'chat_empty' });
+    expect(res.statusCode).toBe(400);
+  });
+});
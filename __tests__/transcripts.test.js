@@ -0,0 +1,161 @@
+// Grand's Stories API - Transcript Tests
+// Exporting conversations in each format and importing them back
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const handleChat = require('../handlers/chat');
+const handleConversations = require('../handlers/chat/conversations');
+const { titleFor } = handleConversations;
+const handleExport = require('../handlers/chat/export');
+const handleImport = require('../handlers/chat/import');
+const { FORMATS, parseTranscript } = require('../lib/transcripts');
+const { call } = require('./helpers/http');
+
+const USER = 'user_nnnnnnnnnnnnnnnnnnnnnnnn';
+const OTHER = 'user_oooooooooooooooooooooooo';
+
+describe('transcripts', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+
+    for (const message of ['Tell me about Martha', 'What about <the> Enigma machine?']) {
+      await call(handleChat, USER, { chatId: 'chat_export', message });
+    }
+    await call(handleChat, USER, { chatId: 'chat_other', message: 'Hello Benn' });
+    await call(handleConversations, USER, { action: 'tag', chatId: 'chat_export', tags: ['Family'] });
+  });
+
+  function exportAs(body, userId = USER) {
+    return call(handleExport, userId, { chatId: 'chat_export', ...body });
+  }
+
+  test('renders a conversation in every format as a download', async () => {
+    for (const [format, { extension, contentType }] of Object.entries(FORMATS)) {
+      const res = await exportAs({ format });
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe(contentType);
+      expect(res.headers['content-disposition']).toMatch(new RegExp(`^attachment; filename="benn-.+\\.${extension}"$`));
+      expect(res.body).toContain('Tell me about Martha');
+    }
+  });
+
+  test('HTML transcripts are standalone and escaped', async () => {
+    const { body } = await exportAs({ format: 'html' });
+    expect(body).toMatch(/^<!DOCTYPE html>/);
+    expect(body).toContain('&lt;the&gt; Enigma');
+    expect(body).not.toContain('<the>');
+  });
+
+  test('metadata is only included on request', async () => {
+    const plain = JSON.parse((await exportAs({ format: 'json' })).body);
+    expect(plain.conversations[0].messages[0].metadata).toBeUndefined();
+    expect(plain.conversations[0].tags).toBeUndefined();
+
+    const detailed = JSON.parse((await exportAs({ format: 'json', includeMetadata: true })).body);
+    expect(detailed.conversations[0].tags).toEqual(['family']);
+    expect(detailed.conversations[0].messages[1].metadata.emotionalState).toBeTruthy();
+
+    expect((await exportAs({ format: 'markdown', includeMetadata: true })).body).toContain('Tags: family');
+  });
+
+  test('exports all of a user\'s conversations at once', async () => {
+    const res = await call(handleExport, USER, { all: true, format: 'jsonl' });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-disposition']).toContain('benn-conversations-');
+
+    const conversations = res.body.trim().split('\n').map(line => JSON.parse(line)).filter(r => r.type === 'conversation');
+    expect(conversations.map(c => c.id).sort()).toEqual(['chat_export', 'chat_other']);
+  });
+
+  test('rejects bad formats, missing chats and other people\'s conversations', async () => {
+    expect((await exportAs({ format: 'pdf' })).statusCode).toBe(400);
+    expect((await call(handleExport, USER, { format: 'text' })).statusCode).toBe(400);
+    expect((await exportAs({ format: 'text' }, OTHER)).statusCode).toBe(404);
+  });
+
+  describe('import', () => {
+    async function roundTrip(format) {
+      const exported = await exportAs({ format, includeMetadata: true });
+      return call(handleImport, OTHER, { content: exported.body });
+    }
+
+    test.each(['json', 'jsonl'])('a %s export recreates the conversation as a new chat', async format => {
+      const res = await roundTrip(format);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.count).toBe(1);
+
+      const [conversation] = res.body.conversations;
+      expect(conversation.id).not.toBe('chat_export');
+      expect(conversation.title).toBe(titleFor(await storage.getConversation(conversationIdFor(USER, 'chat_export'))));
+      expect(conversation.tags).toEqual(['family']);
+
+      const original = await storage.listMessages(conversationIdFor(USER, 'chat_export'), { ascending: true });
+      const copied = await storage.listMessages(conversationIdFor(OTHER, conversation.id), { ascending: true });
+      expect(copied.map(m => [m.role, m.content, m.created_at])).toEqual(original.map(m => [m.role, m.content, m.created_at]));
+      expect(copied[0].metadata.analysis).toBeTruthy();
+
+      const stored = await storage.getConversation(conversationIdFor(OTHER, conversation.id));
+      expect(stored.metadata.interactionCount).toBe(2);
+      expect(stored.message_count).toBe(4);
+
+      const fragments = await storage.queryMemoryFragments({ conversationId: conversationIdFor(OTHER, conversation.id) });
+      expect(fragments.some(f => f.metadata?.sourceMessageId === copied[2].id)).toBe(true);
+    });
+
+    test('replay files become one untitled conversation', async () => {
+      const content = [
+        { role: 'user', content: 'Hello Benn' },
+        { role: 'benn', content: 'Well hello there.' }
+      ].map(line => JSON.stringify(line)).join('\n');
+
+      const res = await call(handleImport, USER, { content });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.conversations[0].message_count).toBe(2);
+      expect(res.body.conversations[0].title).toBeTruthy();
+    });
+
+    test('an import that fails partway leaves nothing of it behind', async () => {
+      const exported = await call(handleExport, USER, { all: true, format: 'jsonl' });
+      const commitTurn = storage.commitTurn.bind(storage);
+      let commits = 0;
+      storage.commitTurn = async turn => {
+        if (++commits === 2) throw new Error('disk full');
+        return commitTurn(turn);
+      };
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const res = await call(handleImport, OTHER, { content: exported.body });
+      console.error.mockRestore();
+      expect(res.statusCode).toBe(500);
+
+      expect(await storage.listConversations(OTHER)).toEqual([]);
+      expect(storage.tables.messages.filter(m => m.conversation_id.startsWith(OTHER))).toEqual([]);
+      // Only what Benn knows of everyone from the start remains
+      const memories = await storage.queryUserMemories({ userId: OTHER, includeArchived: true });
+      expect(memories.filter(m => m.metadata?.source !== 'initial')).toEqual([]);
+    });
+
+    test('invalid files are rejected with the problems found', async () => {
+      const content = ['{"role": "user", "content": "Hi"}', 'not json', '{"role": "robot", "content": "Beep"}'].join('\n');
+      const res = await call(handleImport, USER, { content });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.problems).toEqual(['Line 2: not valid JSON']);
+
+      expect(parseTranscript('{"role": "robot", "content": ""}').problems).toEqual([
+        'Line 1: role must be "user" or "benn"',
+        'Line 1: content is required'
+      ]);
+      expect(parseTranscript(JSON.stringify({ role: 'user', content: 'a'.repeat(1001) })).problems).toEqual([
+        'Line 1: content is longer than 1000 characters'
+      ]);
+      expect((await call(handleImport, USER, { content: '' })).statusCode).toBe(400);
+      expect((await call(handleImport, USER, { content: '{"messages": []}' })).body.problems).toEqual(['Conversation: has no messages']);
+    });
+  });
+});
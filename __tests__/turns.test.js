@@ -0,0 +1,235 @@
+// Grand's Stories API - Turn Editing Tests
+// Regenerating replies as versions, edit-and-resend, and rolling back state and memories
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const handleChat = require('../handlers/chat');
+const handleMessages = require('../handlers/chat/messages');
+const { call } = require('./helpers/http');
+
+const USER = 'user_gggggggggggggggggggggggg';
+const OTHER = 'user_hhhhhhhhhhhhhhhhhhhhhhhh';
+const CONVERSATION_ID = conversationIdFor(USER, 'chat_turns');
+
+function messages(body, userId = USER) {
+  return call(handleMessages, userId, { chatId: 'chat_turns', ...body });
+}
+
+describe('turn editing', () => {
+  let storage;
+  let turns;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+
+    turns = [];
+    for (const message of ['Tell me about Martha', 'What about the war?', 'And your first computer?']) {
+      const res = await call(handleChat, USER, { chatId: 'chat_turns', message });
+      turns.push(res.body.metadata);
+    }
+  });
+
+  async function conversation() {
+    return storage.getConversation(CONVERSATION_ID);
+  }
+
+  // Both tiers: the conversation's own memories and what Benn learned about the user
+  async function memories() {
+    return [
+      ...await storage.queryMemoryFragments({ conversationId: CONVERSATION_ID }),
+      ...await storage.queryUserMemories({ userId: USER })
+    ];
+  }
+
+  async function fragmentsFrom(messageId) {
+    return (await memories()).filter(f => f.metadata?.sourceMessageId === messageId);
+  }
+
+  test('memories record the message they came from', async () => {
+    expect(await fragmentsFrom(turns[0].userMessageId)).not.toHaveLength(0);
+  });
+
+  test('regenerating the latest reply keeps the old one as a version', async () => {
+    const before = await storage.listMessages(CONVERSATION_ID);
+    const original = before[5];
+
+    const res = await messages({ action: 'regenerate', messageId: turns[2].userMessageId });
+    expect(res.statusCode).toBe(200);
+
+    const reply = res.body.messages[1];
+    expect(reply.id).toBe(original.id);
+    expect(reply.metadata.versions).toHaveLength(2);
+    expect(reply.metadata.versions[0].content).toBe(original.content);
+    expect(reply.metadata.activeVersion).toBe(1);
+    expect(reply.content).toBe(reply.metadata.versions[1].content);
+    expect(await storage.countMessages(CONVERSATION_ID)).toBe(6);
+
+    // The turn is redone, not added: the state counts it once and follows the new reply
+    const state = (await conversation()).metadata;
+    expect(state.interactionCount).toBe(3);
+    expect(state.personalityVector).toEqual(reply.metadata.stateSnapshot.personalityVector);
+    expect(state.emotionalTrajectory).toEqual(reply.metadata.stateSnapshot.emotionalTrajectory);
+  });
+
+  test('regenerating replaces the memories drawn from the superseded reply', async () => {
+    const [, , , , , reply] = await storage.listMessages(CONVERSATION_ID);
+    await storage.insertMemoryFragment({
+      conversation_id: CONVERSATION_ID,
+      fragment_type: 'fact',
+      content: 'from the old reply',
+      metadata: { sourceMessageId: reply.id }
+    });
+
+    await messages({ action: 'regenerate', messageId: turns[2].userMessageId });
+
+    const contents = (await fragmentsFrom(reply.id)).map(f => f.content);
+    expect(contents).not.toContain('from the old reply');
+  });
+
+  test('a regenerated reply that fails to store leaves the old one and its memories', async () => {
+    const before = await storage.listMessages(CONVERSATION_ID);
+    const remembered = await memories();
+    storage.commitTurn = async () => { throw new Error('disk full'); };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await messages({ action: 'regenerate', messageId: turns[2].userMessageId });
+    console.error.mockRestore();
+    expect(res.statusCode).toBe(500);
+
+    expect(await storage.listMessages(CONVERSATION_ID)).toEqual(before);
+    expect((await memories()).map(m => m.id).sort()).toEqual(remembered.map(m => m.id).sort());
+  });
+
+  test('regenerating an earlier reply leaves the conversation state alone', async () => {
+    const before = (await conversation()).metadata;
+    const [, firstReply] = await storage.listMessages(CONVERSATION_ID);
+
+    const res = await messages({ action: 'regenerate', messageId: turns[0].userMessageId });
+    expect(res.statusCode).toBe(200);
+
+    const reply = res.body.messages[1];
+    expect(reply.id).toBe(firstReply.id);
+    // Generated from the state as it stood then: one mood on the trajectory
+    expect(reply.metadata.stateSnapshot.emotionalTrajectory).toHaveLength(
+      firstReply.metadata.stateSnapshot.emotionalTrajectory.length
+    );
+
+    const after = (await conversation()).metadata;
+    expect(after.interactionCount).toBe(3);
+    expect(after.personalityVector).toEqual(before.personalityVector);
+  });
+
+  test('switching versions restores the reply and Benn\'s mood', async () => {
+    const [, , , , , original] = await storage.listMessages(CONVERSATION_ID);
+    await messages({ action: 'regenerate', messageId: turns[2].userMessageId });
+
+    const res = await messages({ action: 'version', messageId: original.id, version: 0 });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.messages[0].content).toBe(original.content);
+    expect(res.body.messages[0].metadata.activeVersion).toBe(0);
+
+    const state = (await conversation()).metadata;
+    expect(state.personalityVector).toEqual(original.metadata.stateSnapshot.personalityVector);
+    expect((await conversation()).last_message).toBe(original.content.substring(0, 200));
+    expect(state.shortTermMemory.find(m => m.id === original.id).content).toBe(original.content);
+  });
+
+  test('a version switch that fails to store leaves the reply, its memories and the state', async () => {
+    const [, , , , , original] = await storage.listMessages(CONVERSATION_ID);
+    await messages({ action: 'regenerate', messageId: turns[2].userMessageId });
+    const before = await storage.listMessages(CONVERSATION_ID);
+    const remembered = await memories();
+    const state = (await conversation()).metadata;
+    storage.commitTurn = async () => { throw new Error('disk full'); };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await messages({ action: 'version', messageId: original.id, version: 0 });
+    console.error.mockRestore();
+    expect(res.statusCode).toBe(500);
+
+    expect(await storage.listMessages(CONVERSATION_ID)).toEqual(before);
+    expect((await memories()).map(m => m.id).sort()).toEqual(remembered.map(m => m.id).sort());
+    expect((await conversation()).metadata).toEqual(state);
+  });
+
+  test('switching to a version that does not exist is rejected', async () => {
+    const [, , , , , reply] = await storage.listMessages(CONVERSATION_ID);
+    const res = await messages({ action: 'version', messageId: reply.id, version: 1 });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('editing a message replaces it and discards everything after it', async () => {
+    const laterIds = (await storage.listMessages(CONVERSATION_ID)).slice(1).map(m => m.id);
+
+    const res = await messages({ action: 'edit', messageId: turns[0].userMessageId, content: 'Tell me about the Enigma' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.removedIds).toEqual(laterIds);
+
+    const remaining = await storage.listMessages(CONVERSATION_ID);
+    expect(remaining.map(m => m.role)).toEqual(['user', 'benn']);
+    expect(remaining[0].content).toBe('Tell me about the Enigma');
+    expect(remaining[0].metadata.analysis.primaryTopics).toContain('war');
+    expect(remaining[0].metadata.editedAt).toBeTruthy();
+
+    const state = (await conversation()).metadata;
+    expect(state.interactionCount).toBe(1);
+    expect(state.emotionalTrajectory).toHaveLength(1);
+    expect(state.summary).toBeNull();
+
+    // Memories from the old wording and the discarded turns are gone; new ones replace them
+    const fragments = await memories();
+    const sources = fragments.map(f => f.metadata?.sourceMessageId).filter(Boolean);
+    expect(sources.every(id => remaining.some(m => m.id === id))).toBe(true);
+    expect(fragments.some(f => f.content === 'User interest in: war')).toBe(true);
+    expect(fragments.some(f => f.content === 'User interest in: family')).toBe(false);
+    expect(fragments.some(f => f.metadata?.source === 'initial')).toBe(true);
+  });
+
+  test('an edit that fails to store leaves the old turns, their memories and the state', async () => {
+    const before = await storage.listMessages(CONVERSATION_ID);
+    const remembered = await memories();
+    const state = (await conversation()).metadata;
+    storage.commitTurn = async () => { throw new Error('disk full'); };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await messages({ action: 'edit', messageId: turns[0].userMessageId, content: 'Tell me about the Enigma' });
+    console.error.mockRestore();
+    expect(res.statusCode).toBe(500);
+
+    expect(await storage.listMessages(CONVERSATION_ID)).toEqual(before);
+    expect((await memories()).map(m => m.id).sort()).toEqual(remembered.map(m => m.id).sort());
+    expect((await conversation()).metadata).toEqual(state);
+  });
+
+  test('the new reply to an edited message does not draw on what the old wording taught', async () => {
+    await call(handleChat, USER, { chatId: 'chat_name', message: 'My name is Walter' });
+    const told = await call(handleChat, USER, { chatId: 'chat_lucy', message: 'My granddaughter Lucy plays the violin' });
+
+    const res = await call(handleMessages, USER, {
+      chatId: 'chat_lucy', action: 'edit', messageId: told.body.metadata.userMessageId, content: 'Hello'
+    });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.response).not.toContain('Lucy');
+  });
+
+  test('edit validates its input', async () => {
+    let res = await messages({ action: 'edit', messageId: turns[0].userMessageId, content: '  ' });
+    expect(res.statusCode).toBe(400);
+
+    res = await messages({ action: 'edit', messageId: turns[0].userMessageId, content: 'x'.repeat(1001) });
+    expect(res.statusCode).toBe(400);
+
+    res = await messages({ action: 'edit', messageId: turns[0].messageId, content: 'a reply is not mine to edit' });
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('other users cannot redo turns', async () => {
+    const res = await messages({ action: 'regenerate', messageId: turns[0].userMessageId }, OTHER);
+    expect(res.statusCode).toBe(404);
+    expect((await storage.listMessages(CONVERSATION_ID))[1].metadata.versions).toBeUndefined();
+  });
+});
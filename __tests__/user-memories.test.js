@@ -0,0 +1,86 @@
+// Grand's Stories API - User Memory Tests
+// Memories about the user outlive the conversation they were learned in and are recalled in every chat
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const handleChat = require('../handlers/chat');
+const { MemoryLattice } = handleChat;
+const handleMessages = require('../handlers/chat/messages');
+const { call } = require('./helpers/http');
+
+const USER = 'user_pppppppppppppppppppppppp';
+const OTHER = 'user_qqqqqqqqqqqqqqqqqqqqqqqq';
+
+describe('user memories', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+  });
+
+  const send = (chatId, message, userId = USER) => call(handleChat, userId, { chatId, message });
+  const latticeFor = (chatId, userId = USER) =>
+    new MemoryLattice(storage, { conversationId: conversationIdFor(userId, chatId), userId });
+
+  test('Benn\'s own story is seeded once per user, not once per chat', async () => {
+    await send('chat_one', 'Hello');
+    await send('chat_two', 'Hello again');
+
+    const initial = (await storage.queryUserMemories({ userId: USER })).filter(m => m.metadata.source === 'initial');
+    expect(initial).toHaveLength(7);
+    expect(initial.every(m => m.source_conversation_id === null)).toBe(true);
+    expect(await storage.queryMemoryFragments({ conversationId: conversationIdFor(USER, 'chat_two') }))
+      .not.toContainEqual(expect.objectContaining({ metadata: { source: 'initial' } }));
+  });
+
+  test('what the user says in one chat is recalled in a later one, and only for them', async () => {
+    await send('chat_one', 'My daughter is starting college');
+    await send('chat_two', 'Nice weather today');
+    await send('chat_other', 'Hello', OTHER);
+
+    const recalled = await latticeFor('chat_two').retrieveRelevantMemories(['family'], 'neutral', 0.5);
+    const learned = recalled.find(m => m.content === 'User interest in: family');
+    expect(learned).toMatchObject({ tier: 'user', source_conversation_id: conversationIdFor(USER, 'chat_one') });
+
+    const theirs = await latticeFor('chat_other', OTHER).retrieveRelevantMemories(['family'], 'neutral', 0.5);
+    expect(theirs.map(m => m.id)).not.toContain(learned.id);
+  });
+
+  test('the conversation tier outranks the user tier, and a memory held in both is recalled once', async () => {
+    const conversationId = conversationIdFor(USER, 'chat_rank');
+    await storage.createConversation({ user_id: USER, conversation_id: conversationId });
+    const memory = { fragment_type: 'fact', content: 'Married to Martha for 62 years', weight: 0.9, tags: ['family'] };
+    await storage.insertUserMemory({ user_id: USER, ...memory });
+    await storage.insertMemoryFragment({ conversation_id: conversationId, ...memory });
+    await storage.insertUserMemory({ user_id: USER, ...memory, content: 'Has 10 daughters and 12 sons' });
+    await storage.insertMemoryFragment({ conversation_id: conversationId, ...memory, content: 'Talked about the wedding' });
+
+    const recalled = await latticeFor('chat_rank').retrieveByTopics(['family']);
+    expect(recalled).toHaveLength(4);
+
+    const ranked = latticeFor('chat_rank').rankMemories(recalled);
+    expect(ranked.map(m => m.tier)).toEqual(['conversation', 'conversation', 'user']);
+    expect(ranked.filter(m => m.content === 'Married to Martha for 62 years')).toHaveLength(1);
+  });
+
+  test('deleting a message or its conversation takes what was learned from it', async () => {
+    const res = await send('chat_one', 'My daughter is starting college');
+    const learnedFrom = async () => (await storage.queryUserMemories({ userId: USER }))
+      .filter(m => m.metadata.sourceMessageId === res.body.metadata.userMessageId);
+    // The interest in family, and the daughter herself
+    expect(await learnedFrom()).toHaveLength(2);
+
+    await call(handleMessages, USER, { chatId: 'chat_one', action: 'deleteMessage', messageId: res.body.metadata.userMessageId });
+    expect(await learnedFrom()).toHaveLength(0);
+
+    await call(handleMessages, USER, { chatId: 'chat_one', action: 'restoreMessage', messageId: res.body.metadata.userMessageId });
+    expect(await learnedFrom()).toHaveLength(2);
+
+    await call(handleMessages, USER, { chatId: 'chat_one', action: 'delete' });
+    expect(await learnedFrom()).toHaveLength(0);
+  });
+});
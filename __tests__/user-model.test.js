@@ -0,0 +1,169 @@
+// Grand's Stories API - Learned User Model Tests
+// Learning interests, feelings, rating preferences and talking times, and correcting them
+
+process.env.AUTH_SECRET = 'test-secret';
+
+const { setStorage } = require('../lib/storage');
+const MemoryStorage = require('../lib/storage/memory');
+const { conversationIdFor } = require('../lib/auth');
+const { deserializeState } = require('../lib/state');
+const handleChat = require('../handlers/chat');
+const { QuantumResponseGenerator, QuantumSemanticAnalyzer, AdvancedConversationStateManager } = handleChat;
+const handleFeedback = require('../handlers/chat/feedback');
+const handleUserModel = require('../handlers/chat/user-model');
+const {
+  learnFromMessage,
+  learnFromFeedback,
+  timeOfDayAt,
+  describeUserModel,
+  validateCorrection,
+  correctUserModel
+} = require('../lib/user-model');
+const { call } = require('./helpers/http');
+
+const USER = 'user_nnnnnnnnnnnnnnnnnnnnnnnn';
+const OTHER = 'user_oooooooooooooooooooooooo';
+const CHAT = 'chat_user_model';
+
+const analyzer = new QuantumSemanticAnalyzer();
+const emptyModel = () => ({ interests: new Map(), preferences: new Map(), emotionalResponses: new Map() });
+
+describe('learning the user model', () => {
+  test('mentioned topics gain interest while the rest slowly fade', () => {
+    const model = emptyModel();
+    learnFromMessage(model, analyzer.analyzeWithDepth('My wife Martha and the kids'));
+    learnFromMessage(model, analyzer.analyzeWithDepth('Tell me about the computer you built'));
+    learnFromMessage(model, analyzer.analyzeWithDepth('What software did you write on it?'));
+
+    const technology = model.interests.get('technology');
+    const family = model.interests.get('family');
+    expect(technology.mentions).toBe(2);
+    expect(technology.score).toBeGreaterThan(family.score);
+    expect(family.score).toBeLessThan(0.25);
+    expect(model.interests.has('general')).toBe(false);
+  });
+
+  test('feelings are counted with their average intensity', () => {
+    const model = emptyModel();
+    const analysis = { primaryTopics: [], emotionalDepth: { primaryEmotion: 'joy', intensity: 0.4 } };
+    learnFromMessage(model, analysis);
+    learnFromMessage(model, { ...analysis, emotionalDepth: { primaryEmotion: 'joy', intensity: 0.8 } });
+    learnFromMessage(model, { ...analysis, emotionalDepth: { primaryEmotion: 'neutral', intensity: 0 } });
+
+    expect(model.emotionalResponses.get('joy')).toMatchObject({ count: 2, intensity: 0.6 });
+    expect(model.emotionalResponses.has('neutral')).toBe(false);
+  });
+
+  test('time of day follows the user\'s clock', () => {
+    const at = '2024-03-01T14:00:00Z';
+    expect(timeOfDayAt(at)).toBe('afternoon');
+    expect(timeOfDayAt(at, 300)).toBe('morning');    // UTC-5
+    expect(timeOfDayAt(at, -540)).toBe('night');     // UTC+9
+
+    const model = emptyModel();
+    learnFromMessage(model, { primaryTopics: [] }, { at, timezoneOffset: 300 });
+    expect(describeUserModel(model)).toMatchObject({ timeOfDay: { morning: 1 }, usualTime: 'morning' });
+  });
+
+  test('rating preferences move between tallies without counting twice', () => {
+    const model = emptyModel();
+    learnFromFeedback(model, { source: 'memory' }, { rating: 'down' });
+    learnFromFeedback(model, { source: 'memory' }, { previous: 'down', rating: 'up' });
+    learnFromFeedback(model, { source: 'template' }, { rating: 'down' });
+
+    const { responseTypes } = describeUserModel(model);
+    expect(responseTypes.map(r => r.type)).toEqual(['memory', 'template']);
+    expect(responseTypes[0]).toMatchObject({ up: 1, down: 0 });
+  });
+
+  test('corrected interests are kept as set, and forgotten ones go', () => {
+    const model = emptyModel();
+    learnFromMessage(model, analyzer.analyzeWithDepth('The war and the signal corps'));
+    learnFromMessage(model, analyzer.analyzeWithDepth('My family'));
+
+    expect(validateCorrection({ interests: { war: 2 } })).toHaveLength(1);
+    expect(validateCorrection({ emotions: 'joy' })).toHaveLength(1);
+
+    correctUserModel(model, { interests: { War: null, Gardening: 0.9 } });
+    learnFromMessage(model, analyzer.analyzeWithDepth('Nothing in particular'));
+
+    expect(model.interests.has('war')).toBe(false);
+    expect(model.interests.get('gardening')).toMatchObject({ score: 0.9, source: 'user' });
+  });
+});
+
+describe('interest-biased replies', () => {
+  const candidate = text => ({ text, confidence: 0.7, complexity: 0.5, source: 'template', templateId: 'g1' });
+
+  test('candidates on the user\'s interests score higher, and an empty model changes nothing', () => {
+    const generator = new QuantumResponseGenerator(new MemoryStorage());
+    const state = new AdvancedConversationStateManager(USER, CHAT, new MemoryStorage());
+    const analysis = analyzer.analyzeWithDepth('hello there');
+
+    expect(generator.userBias(candidate('Back when I wrote code for a computer.'), state)).toBe(1);
+
+    state.state.userModel.interests.set('technology', { score: 0.8, mentions: 4, source: 'learned' });
+    const onInterest = generator.calculateCandidateScore(candidate('Back when I wrote code for a computer.'), analysis, state);
+    const offInterest = generator.calculateCandidateScore(candidate('Back when I went to the seaside.'), analysis, state);
+    expect(onInterest).toBeGreaterThan(offInterest);
+  });
+});
+
+describe('user model endpoint', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await setStorage(storage);
+  });
+
+  const send = (message, body = {}) => call(handleChat, USER, { chatId: CHAT, message, ...body });
+  const ask = (body = {}, userId = USER) => call(handleUserModel, userId, { chatId: CHAT, ...body });
+
+  test('chatting builds the model, and it is stored with the conversation', async () => {
+    await send('I loved programming that old computer', { timezoneOffset: 300 });
+    await send('The software was all punch cards');
+
+    const res = await ask();
+    expect(res.statusCode).toBe(200);
+    expect(res.body.userModel.interests[0]).toMatchObject({ topic: 'technology', mentions: 2 });
+
+    const conversation = await storage.getConversation(conversationIdFor(USER, CHAT));
+    const { userModel } = deserializeState(conversation.metadata);
+    expect(userModel.interests.get('technology').mentions).toBe(2);
+  });
+
+  test('ratings teach which kinds of reply the user likes', async () => {
+    const chat = await send('Tell me about Martha');
+    await call(handleFeedback, USER, { chatId: CHAT, messageId: chat.body.metadata.messageId, rating: 'up' });
+
+    const [preference] = (await ask()).body.userModel.responseTypes;
+    expect(preference).toMatchObject({ up: 1, down: 0 });
+    expect(preference.score).toBeGreaterThan(0.5);
+  });
+
+  test('users can correct and reset what was learned', async () => {
+    await send('I loved programming that old computer');
+
+    let res = await ask({ action: 'correct', interests: { technology: null, gardening: 0.7 } });
+    const topics = res.body.userModel.interests.map(i => i.topic);
+    expect(topics).not.toContain('technology');
+    expect(res.body.userModel.interests[0]).toMatchObject({ topic: 'gardening', score: 0.7, source: 'user' });
+
+    await send('Back to computers again');
+    res = await ask();
+    expect(res.body.userModel.interests.find(i => i.topic === 'gardening').score).toBe(0.7);
+
+    res = await ask({ action: 'reset' });
+    expect(res.body.userModel).toMatchObject({ interests: [], emotions: [], responseTypes: [], usualTime: null });
+  });
+
+  test('rejects bad input and other people\'s conversations', async () => {
+    await send('Hello');
+
+    expect((await ask({ action: 'rewrite' })).statusCode).toBe(400);
+    expect((await ask({ action: 'correct', interests: { technology: 'lots' } })).statusCode).toBe(400);
+    expect((await ask({}, OTHER)).statusCode).toBe(404);
+    expect((await send('Hello', { timezoneOffset: 'EST' })).statusCode).toBe(400);
+  });
+});
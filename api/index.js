@@ -0,0 +1,55 @@
+// Grand's Stories API - Single Entry Point
+// vercel.json rewrites every /api/* request here; the route table dispatches to the handlers.
+// They live in handlers/, not api/: Vercel serves any file under api/ as its own function
+// before applying rewrites, which would skip the CORS and JSON middleware below.
+
+const Router = require('../lib/router');
+const { responseHelpers, cors, jsonBody } = require('../lib/middleware');
+
+const handleChat = require('../handlers/chat');
+const handleAuth = require('../handlers/auth');
+const handleConversations = require('../handlers/chat/conversations');
+const handleMessages = require('../handlers/chat/messages');
+const handleFeedback = require('../handlers/chat/feedback');
+const handleExport = require('../handlers/chat/export');
+const handleImport = require('../handlers/chat/import');
+const handleUserModel = require('../handlers/chat/user-model');
+const handleMemories = require('../handlers/chat/memories');
+const handlePurge = require('../handlers/jobs/purge');
+const handleConsolidate = require('../handlers/jobs/consolidate');
+
+// ==================== ROUTE TABLE ====================
+
+const routes = [
+  { method: 'POST', path: '/api/auth', handler: handleAuth },
+  { method: 'POST', path: '/api/chat', handler: handleChat },
+  { method: 'POST', path: '/api/chat/conversations', handler: handleConversations },
+  { method: 'POST', path: '/api/chat/messages', handler: handleMessages },
+  { method: 'POST', path: '/api/chat/feedback', handler: handleFeedback },
+  { method: 'POST', path: '/api/chat/export', handler: handleExport },
+  { method: 'POST', path: '/api/chat/import', handler: handleImport },
+  { method: 'POST', path: '/api/chat/user-model', handler: handleUserModel },
+  { method: 'POST', path: '/api/chat/memories', handler: handleMemories },
+  { method: ['GET', 'POST'], path: '/api/jobs/purge', handler: handlePurge },
+  { method: ['GET', 'POST'], path: '/api/jobs/consolidate', handler: handleConsolidate }
+];
+
+function createRouter() {
+  const router = new Router()
+    .use(responseHelpers())
+    .use(cors())
+    .use(jsonBody());
+
+  for (const { method, path, handler } of routes) {
+    router.route(method, path, handler);
+  }
+
+  return router;
+}
+
+const router = createRouter();
+
+module.exports = router.handler();
+module.exports.router = router;
+module.exports.routes = routes;
+module.exports.createRouter = createRouter;
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+// Grand's Stories - Terminal Chat with Benn
+// Talks to generateQuantumBennResponse directly against a local store; no server needed.
+
+const fs = require('fs');
+const readline = require('readline');
+const { parseArgs } = require('util');
+require('dotenv').config();
+
+const { createStorage, setStorage } = require('../lib/storage');
+
+const USAGE = `Usage: benn [options]
+
+Options:
+  -c, --chat <id>        Conversation to open or continue (default: "cli")
+  -u, --user <id>        User ID that owns the conversation (default: "local")
+  -m, --meta             Print topic, sentiment, emotional state and knowledge sources after each reply
+  -r, --replay <file>    Send every message in a transcript file, then exit
+  -s, --storage <name>   Storage driver: sqlite, memory or supabase (default: sqlite)
+      --db <path>        SQLite file (default: ./data/benn.sqlite)
+  -h, --help             Show this help
+
+Transcript files are either plain text (one message per line, # for comments)
+or JSON Lines of {"role": "user", "content": "..."} (non-user lines are skipped).
+
+In the REPL: /meta toggles metadata, /quit exits.`;
+
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      chat: { type: 'string', short: 'c', default: 'cli' },
+      user: { type: 'string', short: 'u', default: 'local' },
+      meta: { type: 'boolean', short: 'm', default: false },
+      replay: { type: 'string', short: 'r' },
+      storage: { type: 'string', short: 's', default: 'sqlite' },
+      db: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  return values;
+}
+
+async function openStorage(options) {
+  const storage = createStorage({ driver: options.storage, filename: options.db });
+
+  try {
+    await storage.initialize();
+  } catch (error) {
+    if (options.storage !== 'sqlite') throw error;
+    console.error(`${error.message}\nFalling back to in-memory storage; this conversation will not be saved.`);
+    return setStorage(createStorage({ driver: 'memory' }));
+  }
+
+  return setStorage(storage);
+}
+
+// ==================== CHAT TURN ====================
+
+// Same steps as the /api/chat handler, so the CLI and the server stay in sync
+async function sendMessage(chat, storage, options, message) {
+  const stateManager = new chat.AdvancedConversationStateManager(options.user, options.chat, storage);
+  await stateManager.loadOrInitialize();
+
+  const response = await chat.generateQuantumBennResponse(message, stateManager, 'chat');
+  await stateManager.storeInteraction(message, response.text, response.attribution);
+
+  return {
+    text: response.text,
+    metadata: chat.buildResponseMetadata(response, stateManager)
+  };
+}
+
+function printReply(reply, showMeta) {
+  console.log(`benn> ${reply.text}`);
+
+  if (showMeta) {
+    const { topic, sentiment, emotionalState, knowledgeSources, conversationDepth } = reply.metadata;
+    console.log(`      topic=${topic} sentiment=${sentiment} emotionalState=${emotionalState} ` +
+      `depth=${Math.round((conversationDepth || 0) * 100)}% ` +
+      `knowledgeSources=${(knowledgeSources || []).join(', ') || 'none'}`);
+  }
+  console.log('');
+}
+
+// ==================== TRANSCRIPT REPLAY ====================
+
+function readTranscript(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  const messages = [];
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    if (line.startsWith('{')) {
+      const entry = JSON.parse(line);
+      if (entry.role === 'user' && entry.content) messages.push(entry.content);
+      continue;
+    }
+
+    messages.push(line);
+  }
+
+  return messages;
+}
+
+async function replay(chat, storage, options) {
+  const messages = readTranscript(options.replay);
+
+  for (const message of messages) {
+    console.log(`you>  ${message}`);
+    printReply(await sendMessage(chat, storage, options, message), options.meta);
+  }
+}
+
+// ==================== REPL ====================
+
+function repl(chat, storage, options) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: 'you>  '
+  });
+
+  console.log(`Talking to Benn in conversation "${options.chat}" (${storage.name} storage). /quit to leave.\n`);
+  rl.prompt();
+
+  // Lines arriving while Benn is still answering wait their turn
+  let queue = Promise.resolve();
+
+  rl.on('line', (input) => {
+    const message = input.trim();
+
+    queue = queue.then(async () => {
+      if (message === '/quit' || message === '/exit') {
+        rl.close();
+        return;
+      }
+
+      if (message === '/meta') {
+        options.meta = !options.meta;
+        console.log(`Metadata ${options.meta ? 'on' : 'off'}.\n`);
+      } else if (message) {
+        try {
+          printReply(await sendMessage(chat, storage, options, message), options.meta);
+        } catch (error) {
+          console.error('Error talking to Benn:', error.message);
+        }
+      }
+
+      rl.prompt();
+    });
+  });
+
+  return new Promise(resolve => rl.on('close', resolve));
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const storage = await openStorage(options);
+  const chat = require('../handlers/chat');
+
+  if (options.replay) {
+    await replay(chat, storage, options);
+  } else {
+    await repl(chat, storage, options);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
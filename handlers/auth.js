@@ -0,0 +1,152 @@
+const { storageReady } = require('../lib/storage');
+const {
+  userIdForEmail,
+  issueToken,
+  normalizeEmail,
+  createLoginCode,
+  verifyLoginCode,
+  getTransport,
+  conversationIdFor
+} = require('../lib/auth');
+
+function generatePersonalityVector() {
+  return {
+    curiosity: 0.8 + Math.random() * 0.2,
+    nostalgia: 0.7 + Math.random() * 0.3,
+    wisdom: 0.6 + Math.random() * 0.4,
+    playfulness: 0.4 + Math.random() * 0.3,
+    patience: 0.9 + Math.random() * 0.1,
+    creativity: 0.7 + Math.random() * 0.3,
+    currentEmotion: selectRandomEmotion(),
+    knowledgeBias: {
+      family: 0.7 + Math.random() * 0.3,
+      technology: 0.8 + Math.random() * 0.2,
+      war: 0.4 + Math.random() * 0.3,
+      philosophy: 0.6 + Math.random() * 0.4,
+      history: 0.7 + Math.random() * 0.2,
+      science: 0.6 + Math.random() * 0.3
+    }
+  };
+}
+
+function selectRandomEmotion() {
+  const emotions = [
+    'curious', 'nostalgic', 'contemplative', 'amused', 
+    'pensive', 'passionate', 'reflective', 'wistful',
+    'enthusiastic', 'skeptical', 'approving', 'surprised'
+  ];
+  return emotions[Math.floor(Math.random() * emotions.length)];
+}
+
+async function handleAuth(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { email, code, action = code ? 'verify' : 'request' } = req.body;
+
+    if (!email || typeof email !== 'string' || !email.includes('@')) {
+      return res.status(400).json({ error: 'Valid email is required' });
+    }
+
+    const storage = await storageReady();
+
+    if (action === 'request') {
+      return await requestLoginCode(res, storage, email);
+    }
+
+    if (action === 'verify') {
+      return await verifyAndLogin(res, storage, email, code);
+    }
+
+    return res.status(400).json({ error: 'Invalid action' });
+
+  } catch (error) {
+    if (error.code === 'LOGIN_CODE_THROTTLED') {
+      res.setHeader('Retry-After', String(error.retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too many login codes requested. Please wait before asking for another.',
+        retryAfter: error.retryAfterSeconds
+      });
+    }
+
+    console.error('Auth error:', error);
+    return res.status(500).json({ 
+      error: 'Authentication failed',
+      details: error.message 
+    });
+  }
+}
+
+// Step 1: generate a one-time code and hand it to the delivery transport
+async function requestLoginCode(res, storage, email) {
+  const normalized = normalizeEmail(email);
+  const { code, expiresAt } = await createLoginCode(storage, normalized);
+
+  await getTransport().send({ email: normalized, code, expiresAt });
+
+  return res.status(200).json({
+    success: true,
+    email: normalized,
+    codeSent: true,
+    expiresAt: expiresAt
+  });
+}
+
+// Step 2: exchange a valid code for a signed session token
+async function verifyAndLogin(res, storage, email, code) {
+  if (!code) {
+    return res.status(400).json({ error: 'Login code is required' });
+  }
+
+  const normalized = normalizeEmail(email);
+  const result = await verifyLoginCode(storage, normalized, code);
+
+  if (!result.valid) {
+    return res.status(401).json({ error: result.reason });
+  }
+
+  const userId = userIdForEmail(normalized);
+  const { token, expiresAt } = issueToken({ userId, email: normalized });
+
+  let existingUser = [];
+  try {
+    existingUser = await storage.listConversations(userId, { limit: 1 });
+  } catch (checkError) {
+    console.error('Error checking user:', checkError);
+  }
+
+  if (existingUser.length === 0) {
+    const conversationId = conversationIdFor(userId, `chat_${Date.now()}`);
+    
+    try {
+      await storage.createConversation({
+        user_id: userId,
+        conversation_id: conversationId,
+        metadata: {
+          personalityVector: generatePersonalityVector(),
+          shortTermMemory: [],
+          longTermMemory: [],
+          conversationalDepth: 0,
+          interactionCount: 0
+        },
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+    } catch (createError) {
+      console.error('Error creating user conversation:', createError);
+    }
+  }
+
+  return res.status(200).json({
+    success: true,
+    userId: userId,
+    email: normalized,
+    token: token,
+    expiresAt: expiresAt,
+    timestamp: new Date().toISOString()
+  });
+}
+
+module.exports = handleAuth;
@@ -1,53 +1,56 @@
 // COMPLETE PRODUCTION-READY IMPLEMENTATION
 // Grand's Stories API - Benn Cortigan Conversational AI
-// Full Supabase integration with persistent memory and chat history
-
-const { createClient } = require('@supabase/supabase-js');
+// Pluggable storage (Supabase, SQLite or in-memory) with persistent memory and chat history
+
+const crypto = require('crypto');
+const { storageReady } = require('../lib/storage');
+const {
+  authenticateRequest,
+  rejectUnauthenticated,
+  isValidChatId,
+  conversationIdFor,
+  ownsConversation
+} = require('../lib/auth');
+const { wantsEventStream, createEventStream, chunkText, delay } = require('../lib/sse');
+const { patternKeys, scoreKey, recordUsage, loadSuccessScores, NEUTRAL_SCORE } = require('../lib/patterns');
+const { serializeState, deserializeState, cloneState, mergeStates } = require('../lib/state');
+const { learnFromMessage, isValidTimezoneOffset, interestIn, responseTypePreference } = require('../lib/user-model');
+const { consolidateMemories } = require('../lib/consolidation');
+const { extractDisclosures, disclosureMemory, isDisclosure, summarizeDisclosures } = require('../lib/disclosures');
+const { buildQuery, isEmptyQuery, searchIndexes, memoryIndex, indexInserted } = require('../lib/retrieval');
 require('dotenv').config();
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY,
-  {
-    auth: {
-      persistSession: false
-    }
-  }
-);
-
 // ==================== CORE API ENDPOINT ====================
 
 module.exports = async (req, res) => {
-  // Enhanced CORS with security headers
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader(
-    'Access-Control-Allow-Headers',
-    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
-  );
-  res.setHeader('X-Content-Type-Options', 'nosniff');
-  res.setHeader('X-Frame-Options', 'DENY');
-
-  // Handle OPTIONS request for CORS
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
-
   // Only allow POST requests
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // The token, not the request body, says who is talking
+  const session = authenticateRequest(req);
+  if (!session) {
+    return rejectUnauthenticated(res);
+  }
+
   try {
-    const { message, userId, chatId, action = 'chat' } = req.body;
+    const { message, chatId, action = 'chat', timezoneOffset = 0 } = req.body;
+    const userId = session.userId;
 
     if (!message || typeof message !== 'string') {
       return res.status(400).json({ error: 'Message is required' });
     }
 
+    if (!isValidChatId(chatId)) {
+      return res.status(400).json({ error: 'Valid chat ID is required' });
+    }
+
+    // Minutes from UTC, as the browser's Date#getTimezoneOffset reports them
+    if (!isValidTimezoneOffset(timezoneOffset)) {
+      return res.status(400).json({ error: 'Invalid timezone offset' });
+    }
+
     // Enhanced input validation
     if (message.length > 1000) {
       return res.status(400).json({ 
@@ -56,41 +59,44 @@ module.exports = async (req, res) => {
       });
     }
 
-    // Initialize conversation state manager with Supabase
-    const stateManager = new AdvancedConversationStateManager(userId, chatId, supabase);
+    // Initialize conversation state manager with the configured storage
+    const storage = await storageReady();
+    const stateManager = new AdvancedConversationStateManager(userId, chatId, storage);
     
+    // Refuse to touch a conversation row that belongs to someone else
+    const existing = await storage.getConversation(stateManager.conversationId);
+    if (existing && !ownsConversation(userId, existing)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
     // Load or create conversation state
     await stateManager.loadOrInitialize();
+
+    // Stream pipeline progress and the reply over SSE when asked to
+    if (wantsEventStream(req)) {
+      return streamChatResponse(res, message, stateManager, action, { timezoneOffset });
+    }
     
     // Generate Benn's response with advanced context analysis
     const response = await generateQuantumBennResponse(message, stateManager, action);
 
-    // Store the interaction in Supabase
-    await stateManager.storeInteraction(message, response.text);
+    // Store the interaction
+    await stateManager.storeInteraction(message, response.text, response.attribution, { timezoneOffset });
 
     // Return the response with metadata
-    return res.status(200).json({
+    res.status(200).json({
       response: response.text,
-      metadata: {
-        conversationId: stateManager.conversationId,
-        topic: response.topic,
-        sentiment: response.sentiment,
-        emotionalState: response.emotionalState,
-        continuityScore: response.continuityScore,
-        responseType: response.type,
-        timestamp: new Date().toISOString(),
-        memoryReferences: response.memoryReferences,
-        conversationDepth: stateManager.getDepth(),
-        interestLevel: stateManager.getInterestLevel(),
-        personalityVector: stateManager.getPersonalityVector(),
-        generativeConfidence: response.generativeConfidence,
-        responseOrigin: response.origin,
-        knowledgeSources: response.knowledgeSources
-      }
+      metadata: buildResponseMetadata(response, stateManager)
     });
 
+    await stateManager.consolidateIfDue();
+    return;
+
   } catch (error) {
     console.error('Advanced API error:', error);
+    if (error.code === 'STATE_CONFLICT') {
+      return res.status(409).json(conflictBody(error));
+    }
     return res.status(500).json({ 
       error: 'Internal server error',
       response: "Hmm, the old relays are clicking but not connecting. Must be a loose wire in the logic board. Could you rephrase that? My memory's not what it was.",
@@ -103,14 +109,97 @@ module.exports = async (req, res) => {
   }
 };
 
+async function streamChatResponse(res, message, stateManager, action, turnOptions = {}) {
+  const events = createEventStream(res);
+
+  try {
+    const response = await generateQuantumBennResponse(message, stateManager, action, {
+      onStage: (stage, detail = {}) => events.send('stage', { stage, ...detail })
+    });
+
+    for (const chunk of chunkText(response.text)) {
+      if (!events.send('chunk', { text: chunk })) break;
+      await delay();
+    }
+
+    await stateManager.storeInteraction(message, response.text, response.attribution, turnOptions);
+
+    // Metadata is always the last event so the client knows the reply is complete
+    events.send('metadata', {
+      response: response.text,
+      metadata: buildResponseMetadata(response, stateManager)
+    });
+    events.close();
+
+    await stateManager.consolidateIfDue();
+
+  } catch (error) {
+    console.error('Streaming API error:', error);
+    if (error.code === 'STATE_CONFLICT') {
+      events.send('error', conflictBody(error));
+      return;
+    }
+    events.send('error', {
+      error: 'Internal server error',
+      response: "Hmm, the old relays are clicking but not connecting. Must be a loose wire in the logic board. Could you rephrase that? My memory's not what it was."
+    });
+  } finally {
+    events.close();
+  }
+}
+
+// Another request kept winning the race to save the conversation's state. Nothing of
+// the turn was stored; the client should reload the conversation and send again.
+function conflictBody(error) {
+  return {
+    error: 'Conversation was updated by another request',
+    code: error.code,
+    response: "Hold on, it seems we're talking in two places at once. Let me catch up, then say that again."
+  };
+}
+
+function buildResponseMetadata(response, stateManager) {
+  return {
+    chatId: stateManager.chatId,
+    title: stateManager.state.title || null,
+    summary: stateManager.state.summary || null,
+    messageId: stateManager.lastMessageIds?.benn || null,
+    userMessageId: stateManager.lastMessageIds?.user || null,
+    topic: response.topic,
+    sentiment: response.sentiment,
+    emotionalState: response.emotionalState,
+    continuityScore: response.continuityScore,
+    responseType: response.type,
+    timestamp: new Date().toISOString(),
+    memoryReferences: response.memoryReferences,
+    conversationDepth: stateManager.getDepth(),
+    interestLevel: stateManager.getInterestLevel(),
+    personalityVector: stateManager.getPersonalityVector(),
+    generativeConfidence: response.generativeConfidence,
+    responseOrigin: response.origin,
+    knowledgeSources: response.knowledgeSources,
+    attribution: response.attribution || null
+  };
+}
+
 // ==================== ADVANCED CONVERSATION STATE MANAGER ====================
 
+const SUMMARY_FIRST_AFTER = 3;     // exchanges before the first title and summary
+const SUMMARY_REFRESH_EVERY = 3;   // exchanges between summary refreshes
+const SUMMARY_MESSAGE_WINDOW = 60; // most recent messages the summary considers
+const SHORT_TERM_MEMORY_SIZE = 20; // most recent messages Benn keeps in mind while replying
+const STATE_WRITE_RETRIES = 3;     // merges attempted when another request wrote the state first
+const CONSOLIDATE_EVERY = 10;      // exchanges between memory consolidation passes
+
 class AdvancedConversationStateManager {
-  constructor(userId, chatId, supabase) {
+  constructor(userId, chatId, storage) {
     this.userId = userId;
     this.chatId = chatId;
-    this.conversationId = `${userId}_${chatId}`;
-    this.supabase = supabase;
+    this.conversationId = conversationIdFor(userId, chatId);
+    this.storage = storage;
+    // Ids of memories a redone turn is taking back: they are not recalled while its new
+    // reply is generated, though they are only deleted once it is stored
+    this.forgotten = new Set();
     
     this.state = {
       personalityVector: this.generatePersonalityVector(),
@@ -132,29 +221,23 @@ class AdvancedConversationStateManager {
   async loadOrInitialize() {
     try {
       // Check if conversation exists
-      const { data: conversation, error } = await this.supabase
-        .from('conversations')
-        .select('*')
-        .eq('conversation_id', this.conversationId)
-        .single();
+      const conversation = await this.storage.getConversation(this.conversationId);
 
-      if (error || !conversation) {
+      if (!conversation) {
         // Create new conversation
-        const { error: insertError } = await this.supabase
-          .from('conversations')
-          .insert({
-            user_id: this.userId,
-            conversation_id: this.conversationId,
-            metadata: this.state
-          });
-
-        if (insertError) throw insertError;
+        const created = await this.storage.createConversation({
+          user_id: this.userId,
+          conversation_id: this.conversationId,
+          metadata: this.serializedState()
+        });
+        this.trackRevision(created);
         
         // Load initial memories
         await this.loadInitialMemories();
       } else {
-        // Load existing state
-        this.state = conversation.metadata;
+        // Load existing state, filling anything older conversations lack from the fresh one
+        this.state = deserializeState(conversation.metadata, this.state);
+        this.trackRevision(conversation);
         
         // Load recent messages
         await this.loadRecentMessages();
@@ -168,18 +251,14 @@ class AdvancedConversationStateManager {
     }
   }
 
-  async loadRecentMessages(limit = 20) {
+  async loadRecentMessages(limit = SHORT_TERM_MEMORY_SIZE) {
     try {
-      const { data: messages, error } = await this.supabase
-        .from('messages')
-        .select('*')
-        .eq('conversation_id', this.conversationId)
-        .order('created_at', { ascending: false })
-        .limit(limit);
+      const messages = await this.storage.listMessages(this.conversationId, {
+        limit,
+        ascending: false
+      });
       
-      if (!error && messages) {
-        this.state.shortTermMemory = messages.reverse();
-      }
+      this.state.shortTermMemory = messages.reverse();
     } catch (error) {
       console.error('Error loading messages:', error);
     }
@@ -187,16 +266,13 @@ class AdvancedConversationStateManager {
 
   async loadRelevantMemories() {
     try {
-      const { data: memories, error } = await this.supabase
-        .from('memory_fragments')
-        .select('*')
-        .eq('conversation_id', this.conversationId)
-        .order('last_accessed', { ascending: false })
-        .limit(50);
+      const memories = await this.storage.queryMemoryFragments({
+        conversationId: this.conversationId,
+        orderBy: 'last_accessed',
+        limit: 50
+      });
       
-      if (!error) {
-        this.state.longTermMemory = memories || [];
-      }
+      this.state.longTermMemory = memories;
     } catch (error) {
       console.error('Error loading memories:', error);
     }
@@ -248,125 +324,448 @@ class AdvancedConversationStateManager {
       }
     ];
 
+    // Benn's own story is the same in every chat, so it is seeded once per user
+    try {
+      const existing = await this.storage.queryUserMemories({ userId: this.userId });
+      if (existing.some(memory => memory.metadata?.source === 'initial')) return;
+    } catch (error) {
+      console.error('Error checking initial memories:', error);
+      return;
+    }
+
     for (const memory of initialMemories) {
       try {
-        await this.supabase
-          .from('memory_fragments')
-          .insert({
-            conversation_id: this.conversationId,
-            ...memory
-          });
+        await this.storage.insertUserMemory({
+          user_id: this.userId,
+          ...memory,
+          metadata: { source: 'initial' }
+        });
       } catch (error) {
         console.error('Error inserting initial memory:', error);
       }
     }
   }
 
-  async storeInteraction(userMessage, bennResponse) {
+  // Saves a whole turn - both messages, the memories drawn from them and the state they
+  // leave Benn in - in one atomic commit, retried through a merge if another request
+  // saved first. Failures are the caller's to report: nothing of the turn is stored then.
+  // `attribution` names the patterns that produced the reply (see QuantumResponseGenerator);
+  // `timezoneOffset` is the user's, for learning when they like to talk
+  async storeInteraction(userMessage, bennResponse, attribution = null, { timezoneOffset = 0 } = {}) {
+    const analysis = this.analyzeMessage(userMessage);
+    const sentAt = Date.now();
+
+    // Ids are assigned up front so fragments can point at their messages. The reply is
+    // stamped after the message it answers so the two never tie on created_at.
+    const userRow = {
+      id: crypto.randomUUID(),
+      conversation_id: this.conversationId,
+      role: 'user',
+      content: userMessage,
+      metadata: {
+        analysis: analysis,
+        timestamp: new Date(sentAt).toISOString()
+      },
+      created_at: new Date(sentAt).toISOString()
+    };
+    const bennRow = {
+      id: crypto.randomUUID(),
+      conversation_id: this.conversationId,
+      role: 'benn',
+      content: bennResponse,
+      metadata: this.replyMetadata(attribution),
+      created_at: new Date(sentAt + 1).toISOString()
+    };
+    const fragments = [...this.messageMemories(userRow, analysis), ...this.replyMemories(bennRow)];
+    const userMemories = this.personalMemories(userRow, analysis);
+
+    learnFromMessage(this.state.userModel, analysis, { at: sentAt, timezoneOffset });
+    await this.advanceTurn({ pending: [userRow, bennRow] });
+
+    let committed = null;
+    await this.writeState(async (metadata, expectedRevision) => {
+      committed = await this.storage.commitTurn({
+        conversationId: this.conversationId,
+        messages: [userRow, bennRow],
+        fragments,
+        userMemories,
+        conversation: { metadata, updated_at: new Date().toISOString() },
+        expectedRevision
+      });
+      return committed?.conversation || null;
+    });
+
+    const [storedUser, storedBenn] = committed.messages;
+    this.lastMessageIds = { user: storedUser.id, benn: storedBenn.id };
+    this.indexStored(committed);
+
+    // Usage and recall counts feed learning rather than the conversation, so losing one
+    // isn't worth failing a turn that is already stored
     try {
-      // Analyze the user message
-      const analysis = this.analyzeMessage(userMessage);
-      
-      // Store user message
-      const { error: userError } = await this.supabase
-        .from('messages')
-        .insert({
-          conversation_id: this.conversationId,
-          role: 'user',
-          content: userMessage,
-          metadata: {
-            analysis: analysis,
-            timestamp: new Date().toISOString()
-          }
-        });
+      await recordUsage(this.storage, attribution);
+      await this.markRecalled(attribution?.sources);
+    } catch (error) {
+      console.error('Error recording pattern usage:', error);
+    }
+  }
+
+  // Stores a redone turn (an edited message or a regenerated reply) the way storeInteraction
+  // stores a new one: new and rewritten messages, the memories they produce and the removal of
+  // what they supersede go in one commit (see storage.commitTurn), so a failure leaves the
+  // old turn as it was and is the caller's to report. `history` is the conversation through
+  // the redone turn as it will read. Only an `advance`d turn moves the conversation state on.
+  async storeRedoneTurn({
+    history,
+    messages = [],
+    messageUpdates = [],
+    deleted = {},
+    fragments = [],
+    userMemories = [],
+    attribution = null,
+    advance = true,
+    resummarize = false
+  }) {
+    const commit = (conversation, expectedRevision) => this.storage.commitTurn({
+      conversationId: this.conversationId,
+      messages,
+      messageUpdates,
+      deleted,
+      fragments,
+      userMemories,
+      conversation,
+      expectedRevision
+    });
 
-      if (userError) throw userError;
+    let committed = null;
+    if (advance) {
+      await this.advanceTurn({ resummarize, history });
+      await this.writeState(async (metadata, expectedRevision) => {
+        committed = await commit({ metadata, updated_at: new Date().toISOString() }, expectedRevision);
+        return committed?.conversation || null;
+      });
+    } else {
+      committed = await commit({});
+    }
+    this.indexStored(committed);
 
-      // Store Benn's response
-      const { error: bennError } = await this.supabase
-        .from('messages')
-        .insert({
-          conversation_id: this.conversationId,
-          role: 'benn',
-          content: bennResponse,
-          metadata: {
-            emotionalState: this.state.personalityVector.currentEmotion,
-            timestamp: new Date().toISOString()
-          }
-        });
+    try {
+      await recordUsage(this.storage, attribution);
+      await this.markRecalled(attribution?.sources);
+    } catch (error) {
+      console.error('Error recording pattern usage:', error);
+    }
+    return committed;
+  }
 
-      if (bennError) throw bennError;
+  // Stores changes to messages already in the conversation - a reply switched to another
+  // version, messages deleted or restored - in one commit with the memories they add and take
+  // back and the state as it reads afterwards, so a failure leaves everything as it was.
+  // `history` is the conversation's visible messages after the change. Benn's short-term
+  // memory is rebuilt from it, so no deleted or superseded text lingers in the state.
+  async storeRevisedMessages({ history, messageUpdates = [], deleted = {}, fragments = [], userMemories = [] }) {
+    const removed = new Set([
+      ...(deleted.messageIds || []),
+      ...messageUpdates.filter(update => update.deleted_at).map(update => update.id)
+    ]);
+    const forgotten = new Set(deleted.fragmentIds || []);
+
+    let committed = null;
+    await this.writeState(async (metadata, expectedRevision) => {
+      committed = await this.storage.commitTurn({
+        conversationId: this.conversationId,
+        messageUpdates,
+        deleted,
+        fragments,
+        userMemories,
+        conversation: { metadata },
+        expectedRevision
+      });
+      return committed?.conversation || null;
+    }, {
+      revise: () => {
+        // Messages another request stored meanwhile are already in the merged state and stay
+        const recent = new Map([...this.state.shortTermMemory, ...history.slice(-SHORT_TERM_MEMORY_SIZE)]
+          .map(message => [message.id, message]));
+        this.state.shortTermMemory = [...recent.values()]
+          .filter(message => !removed.has(message.id))
+          .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
+          .slice(-SHORT_TERM_MEMORY_SIZE);
+        this.state.longTermMemory = this.state.longTermMemory.filter(memory => !forgotten.has(memory.id));
+      }
+    });
+    this.indexStored(committed);
+    return committed;
+  }
 
-      // Update conversation state
-      this.state.interactionCount++;
+  // Carries the state Benn replied in, so a branch or a regenerated turn can resume from here,
+  // and what produced the reply, so feedback on it reaches the right patterns
+  replyMetadata(attribution = null) {
+    return {
+      emotionalState: this.state.personalityVector.currentEmotion,
+      stateSnapshot: this.snapshotState(),
+      attribution,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Moves the conversation on once a turn's messages are stored. `resummarize` forces a
+  // fresh summary when earlier turns were rewritten.
+  async completeTurn({ resummarize = false } = {}) {
+    await this.advanceTurn({ resummarize });
+    
+    // Update conversation metadata
+    await this.saveState({ updated_at: new Date().toISOString() });
+  }
+
+  // Counts the turn and refreshes the summary when one is due. `pending` are the turn's
+  // messages when they are yet to be stored, so the summary can include them; `history`
+  // stands in for the stored messages when the turn is about to rewrite them.
+  async advanceTurn({ resummarize = false, pending = [], history } = {}) {
+    this.state.interactionCount++;
+    this.state.conversationalDepth = this.calculateDepth();
+
+    const summaryDue = resummarize
+      ? this.state.interactionCount >= SUMMARY_FIRST_AFTER
+      : this.shouldRefreshSummary();
+    if (summaryDue) {
+      await this.refreshSummary(pending, { history });
+    }
+  }
+
+  // Remembers which revision of the stored state this one is based on, and what it was
+  trackRevision(conversation) {
+    this.revision = conversation.revision;
+    this.baseState = cloneState(this.state);
+  }
+
+  // Writes the state only if nobody else has since it was loaded. Otherwise this
+  // request's changes are merged into the stored state (see mergeStates) and the write
+  // retried, and if it keeps losing the race a STATE_CONFLICT error is thrown.
+  async saveState(patch = {}) {
+    return this.writeState((metadata, expectedRevision) =>
+      this.storage.updateConversation(this.conversationId, { ...patch, metadata }, { expectedRevision })
+    );
+  }
+
+  // The retry loop behind saveState. `write(metadata, expectedRevision)` stores the
+  // serialized state if the revision still matches, returning the conversation row, or
+  // null if it doesn't. State that was never loaded has no revision and always writes.
+  // `revise()` is applied to the state before every attempt, so a change it makes survives a merge.
+  async writeState(write, { revise } = {}) {
+    for (let attempt = 0; attempt <= STATE_WRITE_RETRIES; attempt++) {
+      if (revise) revise();
+      const saved = await write(this.serializedState(), this.revision);
+      if (saved) {
+        this.trackRevision(saved);
+        return saved;
+      }
+
+      const latest = await this.storage.getConversation(this.conversationId);
+      if (!latest) break;
+
+      const theirs = deserializeState(latest.metadata, this.state);
+      this.state = mergeStates(this.baseState, this.state, theirs);
+      this.revision = latest.revision;
+      this.baseState = cloneState(theirs);
+      // The other request's messages are stored, so recent history and depth come from there
+      await this.loadRecentMessages();
       this.state.conversationalDepth = this.calculateDepth();
-      
-      // Update conversation metadata
-      const { error: updateError } = await this.supabase
-        .from('conversations')
-        .update({ 
-          metadata: this.state,
-          updated_at: new Date().toISOString()
-        })
-        .eq('conversation_id', this.conversationId);
+    }
 
-      if (updateError) throw updateError;
+    const error = new Error('Conversation state was changed by another request');
+    error.code = 'STATE_CONFLICT';
+    throw error;
+  }
 
-      // Extract and store new memory fragments
-      await this.extractAndStoreMemories(userMessage, bennResponse, analysis);
+  // The state as stored in conversations.metadata (see lib/state)
+  serializedState() {
+    return serializeState(this.state);
+  }
 
-    } catch (error) {
-      console.error('Error storing interaction:', error);
-      // Don't throw - continue without storing
+  // Puts the state back to how it stood after `history`, ahead of redoing the turn that followed
+  rewindTo(history) {
+    Object.assign(this.state, stateAtHistory(history, this.state), {
+      interactionCount: history.filter(m => m.role === 'user').length,
+      shortTermMemory: history.slice(-SHORT_TERM_MEMORY_SIZE)
+    });
+
+    if (this.state.interactionCount < SUMMARY_FIRST_AFTER) {
+      this.state.summary = null;
+      this.state.summaryUpdatedAt = null;
     }
   }
 
-  async extractAndStoreMemories(userMessage, bennResponse, analysis) {
+  // The parts of the state a branch inherits from the message it forks at
+  snapshotState() {
+    return {
+      personalityVector: this.state.personalityVector,
+      emotionalTrajectory: [...this.state.emotionalTrajectory]
+    };
+  }
+
+  // Title and summarize once there's something to go on, then keep the summary rolling
+  shouldRefreshSummary() {
+    const count = this.state.interactionCount;
+    if (count < SUMMARY_FIRST_AFTER) return false;
+    return !this.state.summary || (count - SUMMARY_FIRST_AFTER) % SUMMARY_REFRESH_EVERY === 0;
+  }
+
+  // `pending` messages are not stored yet but belong at the end of the conversation, after
+  // `history` if given or else the stored messages
+  async refreshSummary(pending = [], { history } = {}) {
     try {
-      const fragments = [];
-      
-      // Extract topics from analysis
-      if (analysis.primaryTopics && analysis.primaryTopics.length > 0) {
-        fragments.push({
-          fragment_type: 'concept',
-          content: `User interest in: ${analysis.primaryTopics.join(', ')}`,
-          weight: Math.min(0.8, analysis.complexity || 0.5),
-          tags: analysis.primaryTopics
-        });
+      const messages = history || (await this.storage.listMessages(this.conversationId, {
+        limit: SUMMARY_MESSAGE_WINDOW,
+        ascending: false
+      })).reverse();
+      const recent = [...messages, ...pending].slice(-SUMMARY_MESSAGE_WINDOW);
+      const { title, summary } = new ConversationSummarizer().summarize(recent);
+
+      this.state.summary = summary;
+      this.state.summaryUpdatedAt = new Date().toISOString();
+
+      // A title the user chose is never overwritten
+      if (this.state.titleSource !== 'user') {
+        this.state.title = title;
+        this.state.titleSource = 'auto';
       }
-      
-      // Extract sentiment memory
-      fragments.push({
-        fragment_type: 'emotional_state',
-        content: `Conversation sentiment: ${analysis.sentiment}`,
-        weight: Math.abs(analysis.sentimentScore || 0.5),
-        tags: ['sentiment', analysis.sentiment]
-      });
-      
-      // Extract entities from Benn's response
-      const entities = this.extractEntities(bennResponse);
-      entities.forEach(entity => {
-        fragments.push({
-          fragment_type: 'fact',
-          content: entity.content,
-          weight: 0.6,
-          tags: entity.tags
-        });
+    } catch (error) {
+      console.error('Error refreshing summary:', error);
+    }
+  }
+
+  // What Benn takes from a single message, as { fragments, userMemories } rows, e.g. to
+  // re-derive them for a message being restored
+  memoriesOf(row) {
+    if (row.role === 'benn') {
+      return { fragments: this.replyMemories(row), userMemories: [] };
+    }
+    const analysis = row.metadata?.analysis || this.analyzeMessage(row.content);
+    return { fragments: this.messageMemories(row, analysis), userMemories: this.personalMemories(row, analysis) };
+  }
+
+  // The mood of the user's message, as memory_fragments rows: it matters to this
+  // conversation rather than the next one
+  messageMemories(userRow, analysis) {
+    const fragments = [];
+
+    // Extract sentiment memory
+    fragments.push({
+      fragment_type: 'emotional_state',
+      content: `Conversation sentiment: ${analysis.sentiment}`,
+      weight: Math.abs(analysis.sentimentScore || 0.5),
+      tags: ['sentiment', analysis.sentiment]
+    });
+
+    return this.fragmentRows(fragments, userRow.id);
+  }
+
+  // What the user's message says about them, as user_memories rows, so Benn still knows
+  // it in their other conversations
+  personalMemories(userRow, analysis) {
+    const memories = [];
+
+    // Extract topics from analysis
+    if (analysis.primaryTopics && analysis.primaryTopics.length > 0) {
+      memories.push({
+        fragment_type: 'concept',
+        content: `User interest in: ${analysis.primaryTopics.join(', ')}`,
+        weight: Math.min(0.8, analysis.complexity || 0.5),
+        tags: analysis.primaryTopics
       });
-      
-      // Store all fragments
-      for (const fragment of fragments) {
-        await this.supabase
-          .from('memory_fragments')
-          .insert({
-            conversation_id: this.conversationId,
-            ...fragment,
-            last_accessed: new Date().toISOString()
-          });
-      }
-      
+    }
+
+    // What they said about themselves: their name, family, home, work and so on. Messages
+    // analyzed before disclosures were extracted are read again.
+    for (const disclosure of analysis.disclosures || extractDisclosures(userRow.content)) {
+      memories.push(disclosureMemory(disclosure));
+    }
+
+    return memories.map(memory => ({
+      user_id: this.userId,
+      source_conversation_id: this.conversationId,
+      ...memory,
+      metadata: { ...memory.metadata, sourceMessageId: userRow.id },
+      last_accessed: new Date().toISOString()
+    }));
+  }
+
+  // Entities from Benn's response, as memory_fragments rows
+  replyMemories(bennRow) {
+    const fragments = this.extractEntities(bennRow.content).map(entity => ({
+      fragment_type: 'fact',
+      content: entity.content,
+      weight: 0.6,
+      tags: entity.tags
+    }));
+
+    return this.fragmentRows(fragments, bennRow.id);
+  }
+
+  // Each fragment records the message it came from, so redoing a turn can take it back
+  fragmentRows(fragments, sourceMessageId) {
+    return fragments.map(fragment => ({
+      conversation_id: this.conversationId,
+      ...fragment,
+      metadata: { sourceMessageId },
+      last_accessed: new Date().toISOString()
+    }));
+  }
+
+  // New memories go straight into the warm retrieval indexes (see MemoryLattice), so the
+  // next turn searches them without indexing anything
+  indexStored({ fragments = [], userMemories = [] }) {
+    for (const row of fragments) indexInserted(this.storage, 'conversation', this.conversationId, row);
+    for (const row of userMemories) indexInserted(this.storage, 'user', this.userId, row);
+  }
+
+  // The ids of the memories extracted from the given messages, as { fragmentIds, userMemoryIds },
+  // for a commit to drop. Fragments stored before they carried a source fall back to timing:
+  // anything formed at or after `since` goes too. A memory consolidated from several messages
+  // goes if any of them does.
+  async memoriesFrom(messageIds, { since } = {}) {
+    const fragments = await this.storage.queryMemoryFragments({ conversationId: this.conversationId, includeArchived: true });
+    // What the user's messages taught Benn about them goes with the messages
+    const userMemories = await this.storage.queryUserMemories({ userId: this.userId, includeArchived: true });
+
+    return {
+      fragmentIds: fragments
+        .filter(f => f.metadata?.sourceMessageId || f.metadata?.sourceMessageIds
+          ? formedFrom(f, messageIds)
+          : !!since && !f.metadata?.source && f.created_at >= since)
+        .map(f => f.id),
+      userMemoryIds: userMemories.filter(m => formedFrom(m, messageIds)).map(m => m.id)
+    };
+  }
+
+  // Counts a recall of each memory a reply drew on; memories that are never recalled fade
+  // (see lib/consolidation). `ids` may name rows in either tier.
+  async markRecalled(ids = []) {
+    if (ids.length === 0) return;
+
+    const now = new Date().toISOString();
+    const [fragments, userMemories] = await Promise.all([
+      this.storage.queryMemoryFragments({ conversationId: this.conversationId, ids }),
+      this.storage.queryUserMemories({ userId: this.userId, ids })
+    ]);
+    for (const fragment of fragments) {
+      await this.storage.updateMemoryFragment(fragment.id, { accessed_count: (fragment.accessed_count || 0) + 1, last_accessed: now });
+    }
+    for (const memory of userMemories) {
+      await this.storage.updateUserMemory(memory.id, { accessed_count: (memory.accessed_count || 0) + 1, last_accessed: now });
+    }
+  }
+
+  // Every CONSOLIDATE_EVERY turns, once the reply has been sent, this conversation's and the
+  // user's memories are tidied up. Failures are logged: the turn itself is already stored.
+  async consolidateIfDue() {
+    if (this.state.interactionCount === 0 || this.state.interactionCount % CONSOLIDATE_EVERY !== 0) return;
+
+    try {
+      await consolidateMemories(this.storage, { conversationId: this.conversationId });
+      await consolidateMemories(this.storage, { userId: this.userId });
     } catch (error) {
-      console.error('Error extracting memories:', error);
+      console.error('Error consolidating memories:', error);
     }
   }
 
@@ -502,8 +901,53 @@ class AdvancedConversationStateManager {
   }
 }
 
+// Whether a memory was formed from any of `messageIds`; consolidated memories list every
+// message they were merged from
+function formedFrom(memory, messageIds) {
+  const sources = memory.metadata?.sourceMessageIds || [memory.metadata?.sourceMessageId];
+  return sources.some(id => id && messageIds.includes(id));
+}
+
+// Benn's personality and recent moods as of the last reply in a conversation's history.
+// Replies stored before snapshots existed only carry their emotion, so the trajectory
+// is rebuilt from those.
+function stateAtHistory(history, metadata) {
+  const snapshot = [...history].reverse().find(m => m.metadata?.stateSnapshot)?.metadata.stateSnapshot;
+  if (snapshot) {
+    return {
+      personalityVector: snapshot.personalityVector,
+      emotionalTrajectory: snapshot.emotionalTrajectory || []
+    };
+  }
+
+  const emotions = history
+    .map(m => m.role === 'benn' && m.metadata?.emotionalState)
+    .filter(Boolean)
+    .slice(-10);
+
+  return {
+    personalityVector: {
+      ...metadata.personalityVector,
+      ...(emotions.length > 0 ? { currentEmotion: emotions[emotions.length - 1] } : {})
+    },
+    emotionalTrajectory: emotions
+  };
+}
+
 // ==================== QUANTUM SEMANTIC ANALYZER ====================
 
+// Names matched anywhere in a message, whatever the capitalization
+const KNOWN_ENTITIES = [
+  'Martha', 'Enigma', 'FORTRAN', 'LISP', 'WWII', 'Bletchley Park', 'Signal Corps', 'ENIAC', 'UNIVAC'
+];
+
+// Capitalized words that are not names
+const ENTITY_STOP_WORDS = new Set([
+  'i', "i'm", "i've", "i'd", 'benn', 'mr', 'mrs', 'ms', 'dr', 'monday', 'tuesday', 'wednesday',
+  'thursday', 'friday', 'saturday', 'sunday', 'january', 'february', 'march', 'april', 'may',
+  'june', 'july', 'august', 'september', 'october', 'november', 'december', 'god', 'ok', 'okay'
+]);
+
 class QuantumSemanticAnalyzer {
   constructor() {
     this.semanticNetwork = this.initializeSemanticNetwork();
@@ -545,6 +989,8 @@ baseAnalysis(message) {
     avgSentenceLength: tokens.length / Math.max(sentences.length, 1),
     containsQuestion: /^(what|who|where|when|why|how|can|could|would|will|do|does|did|is|are|was|were|tell me|explain|i wonder|curious)/i.test(message.trim()),
     primaryTopics: this.extractTopics(message),
+    entities: this.extractEntities(message),
+    disclosures: extractDisclosures(message),
     sentiment: this.analyzeSentiment(message),
     sentimentScore: this.calculateSentimentScore(message),
     complexity: this.calculateComplexity(message),
@@ -653,6 +1099,49 @@ baseAnalysis(message) {
     return Array.from(topics);
   }
 
+  // Proper nouns worth titling a conversation after: names from Benn's world, plus
+  // capitalized words that don't merely start a sentence ("my friend Walter", "Bletchley Park")
+  extractEntities(message) {
+    const entities = new Map();
+    const addEntity = (name) => {
+      const key = name.toLowerCase();
+      if (!entities.has(key)) entities.set(key, name);
+    };
+
+    const lowerMessage = message.toLowerCase();
+    for (const name of KNOWN_ENTITIES) {
+      if (new RegExp(`\\b${name.toLowerCase()}\\b`).test(lowerMessage)) addEntity(name);
+    }
+
+    for (const sentence of message.split(/[.!?]+/)) {
+      const words = sentence.trim().split(/\s+/).filter(Boolean);
+      let phrase = [];
+
+      const flush = () => {
+        const name = phrase.join(' ');
+        if (name && !ENTITY_STOP_WORDS.has(name.toLowerCase()) && !entities.has(name.toLowerCase())) {
+          addEntity(name);
+        }
+        phrase = [];
+      };
+
+      words.forEach((raw, i) => {
+        const word = raw.replace(/^[^A-Za-z]+|[^A-Za-z]+$/g, '').replace(/'s$/, '');
+        const capitalized = word.length > 1 && /^[A-Z][a-zA-Z]+$/.test(word);
+        if (capitalized && i > 0 && !ENTITY_STOP_WORDS.has(word.toLowerCase())) {
+          phrase.push(word);
+          // Trailing punctuation ends the phrase: "Walter, Martha and I"
+          if (/[^A-Za-z']$/.test(raw)) flush();
+        } else {
+          flush();
+        }
+      });
+      flush();
+    }
+
+    return Array.from(entities.values()).slice(0, 8);
+  }
+
   analyzeSentiment(message) {
     const lowerMessage = message.toLowerCase();
     let positiveScore = 0;
@@ -1114,20 +1603,241 @@ baseAnalysis(message) {
   }
 }
 
+// ==================== CONVERSATION SUMMARIZER ====================
+
+// How each analyzer topic reads in a title
+const TOPIC_LABELS = {
+  family: 'Family',
+  technology: 'Technology',
+  war: 'The War Years',
+  philosophy: "Life's Big Questions",
+  memory: 'Old Memories',
+  time: 'Time Gone By'
+};
+
+const MAX_GENERATED_TITLE_LENGTH = 60;
+
+// Titles a conversation after its dominant topics and entities and writes a short
+// running summary. Works from stored messages, so it can be re-run at any time.
+class ConversationSummarizer {
+  constructor(analyzer = new QuantumSemanticAnalyzer()) {
+    this.analyzer = analyzer;
+  }
+
+  summarize(messages) {
+    const userMessages = messages.filter(m => m.role === 'user');
+    const topicCounts = new Map();
+    const entityCounts = new Map();
+
+    for (const message of userMessages) {
+      const analysis = this.analysisFor(message);
+      for (const topic of analysis.primaryTopics || []) {
+        if (topic !== 'general') topicCounts.set(topic, (topicCounts.get(topic) || 0) + 1);
+      }
+      for (const entity of analysis.entities || []) {
+        entityCounts.set(entity, (entityCounts.get(entity) || 0) + 1);
+      }
+    }
+
+    const topics = rankByCount(topicCounts);
+    const entities = rankByCount(entityCounts);
+
+    return {
+      title: this.buildTitle(topics, entities, userMessages),
+      summary: this.buildSummary(topics, entities, messages, userMessages),
+      topics,
+      entities
+    };
+  }
+
+  // Older messages may predate entity extraction, so re-analyze when it's missing
+  analysisFor(message) {
+    const stored = message.metadata?.analysis;
+    if (stored && Array.isArray(stored.entities)) return stored;
+    return this.analyzer.baseAnalysis(message.content || '');
+  }
+
+  buildTitle(topics, entities, userMessages) {
+    const labels = topics.slice(0, 2).map(topic => TOPIC_LABELS[topic] || capitalize(topic));
+    let title;
+
+    if (entities.length > 0) {
+      const names = entities.slice(0, 2).join(' & ');
+      title = labels.length > 0 ? `${names} — ${labels[0]}` : names;
+    } else if (labels.length > 0) {
+      title = labels.join(' & ');
+    } else {
+      // Nothing recognisable yet: fall back to how the user opened
+      const opening = (userMessages[0]?.content || '').trim().split(/\s+/);
+      title = opening.slice(0, 6).join(' ') + (opening.length > 6 ? '…' : '');
+    }
+
+    title = title || 'Chat with Benn';
+    return title.length > MAX_GENERATED_TITLE_LENGTH
+      ? title.substring(0, MAX_GENERATED_TITLE_LENGTH - 1).trimEnd() + '…'
+      : title;
+  }
+
+  buildSummary(topics, entities, messages, userMessages) {
+    const sentences = [];
+    const exchanges = userMessages.length;
+    const exchangeText = `${exchanges} exchange${exchanges === 1 ? '' : 's'}`;
+
+    if (topics.length > 0) {
+      sentences.push(`Over ${exchangeText} you and Benn talked about ${joinList(topics.map(t => (TOPIC_LABELS[t] || t).toLowerCase()))}.`);
+    } else {
+      sentences.push(`You and Benn have had ${exchangeText} of general conversation.`);
+    }
+
+    if (entities.length > 0) {
+      sentences.push(`${joinList(entities.slice(0, 4))} came up along the way.`);
+    }
+
+    const moods = new Map();
+    for (const message of messages) {
+      const mood = message.role === 'benn' && message.metadata?.emotionalState;
+      if (mood) moods.set(mood, (moods.get(mood) || 0) + 1);
+    }
+    const mood = rankByCount(moods)[0];
+    if (mood) {
+      sentences.push(`Benn was mostly ${mood}.`);
+    }
+
+    const latest = userMessages[userMessages.length - 1];
+    if (latest) {
+      const text = latest.content.trim().replace(/\s+/g, ' ');
+      const quoted = text.length > 80 ? text.substring(0, 79).trimEnd() + '…' : text;
+      const verb = this.analysisFor(latest).containsQuestion ? 'asked' : 'said';
+      sentences.push(`Most recently you ${verb}: "${quoted}"`);
+    }
+
+    return sentences.join(' ');
+  }
+}
+
+function rankByCount(counts) {
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([key]) => key);
+}
+
+function joinList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
 // ==================== MEMORY LATTICE ====================
 
+// How much a memory from each tier counts when ranking: what was said in this conversation
+// is the most pertinent, what Benn knows of the user from any chat a little less so
+const MEMORY_TIER_WEIGHTS = {
+  conversation: 1,
+  user: 0.8
+};
+// Recent messages whose words help pick the memories to recall
+const RECENT_CONTEXT_SIZE = 4;
+
 class MemoryLattice {
-  constructor(supabase) {
-    this.supabase = supabase;
+  // Every query is pinned to one conversation and its owner so memories never cross users.
+  // Queries run against both tiers - the conversation's memory_fragments and the user's
+  // user_memories - and each row comes back marked with its `tier`.
+  // Memories named in `excludeIds` are passed over (see AdvancedConversationStateManager.forgotten)
+  constructor(storage, { conversationId, userId, excludeIds = new Set() } = {}) {
+    this.storage = storage;
+    this.conversationId = conversationId;
+    this.userId = userId;
+    this.excludeIds = excludeIds;
     this.activationThreshold = 0.6;
+    this.indexing = null;
+  }
+
+  async queryFragments(query) {
+    const [conversationMemories, userMemories] = await Promise.all([
+      this.conversationId
+        ? this.storage.queryMemoryFragments({ ...query, conversationId: this.conversationId })
+        : [],
+      this.userId
+        ? this.storage.queryUserMemories({ ...query, userId: this.userId })
+        : []
+    ]);
+
+    return [
+      ...conversationMemories.map(memory => ({ ...memory, tier: 'conversation' })),
+      ...userMemories.map(memory => ({ ...memory, tier: 'user' }))
+    ].filter(memory => !this.excludeIds.has(memory.id));
+  }
+
+  // The conversation's and the user's retrieval indexes (see lib/retrieval), brought in line
+  // with what is stored. A cold index reads its whole scope once; a warm one only reads the
+  // rows written since it last synced, and counts the scope to notice deletions.
+  // Within retrieveRelevantMemories one sync serves every search.
+  async indexedMemories() {
+    if (this.indexing) return this.indexing;
+
+    const tiers = this.tiers();
+    const indexes = await Promise.all(tiers.map(tier => this.syncIndex(tier)));
+    const rows = new Map();
+    indexes.forEach((index, i) => {
+      for (const id of index.docs.keys()) {
+        if (!this.excludeIds.has(id)) rows.set(id, { ...index.row(id), tier: tiers[i].tier });
+      }
+    });
+    return { indexes, rows };
+  }
+
+  // Where each tier's rows are read from
+  tiers() {
+    return [
+      this.conversationId && {
+        tier: 'conversation',
+        scope: this.conversationId,
+        query: options => this.storage.queryMemoryFragments({ ...options, conversationId: this.conversationId }),
+        count: () => this.storage.countMemoryFragments({ conversationId: this.conversationId })
+      },
+      this.userId && {
+        tier: 'user',
+        scope: this.userId,
+        query: options => this.storage.queryUserMemories({ ...options, userId: this.userId }),
+        count: () => this.storage.countUserMemories({ userId: this.userId })
+      }
+    ].filter(Boolean);
+  }
+
+  async syncIndex({ tier, scope, query, count }) {
+    const index = memoryIndex(this.storage, tier, scope);
+    if (index.loaded) {
+      index.apply(await query({ updatedSince: index.since(), includeArchived: true }));
+      // With every write taken in, the index can only hold more rows than the scope if some were deleted
+      if (await count() === index.size) return index;
+    }
+    return index.load(await query({}));
   }
 
-  async retrieveRelevantMemories(topics, emotion, depth) {
+  // Fragments most like the query, best first, each carrying its `relevance_score`
+  async searchMemories(query, options) {
+    if (isEmptyQuery(query)) return [];
+
+    const { indexes, rows } = await this.indexedMemories();
+    return searchIndexes(indexes, query, { ...options, excludeIds: this.excludeIds })
+      .map(({ id, relevance }) => ({ ...rows.get(id), relevance_score: relevance }));
+  }
+
+  // `context` is what is being talked about: { message, recent } - the message being
+  // answered and the conversation's recent messages. Every memory recalled is ranked by
+  // how like it they are.
+  async retrieveRelevantMemories(topics, emotion, depth, context = {}) {
     const memories = [];
+    const query = this.queryFor(topics, context);
+    // The topic search below always waits on this, so a failed sync is reported there
+    this.indexing = isEmptyQuery(query) ? null : this.indexedMemories();
     
     try {
       // 1. Direct topic matching
-      const topicMemories = await this.retrieveByTopics(topics);
+      const topicMemories = await this.retrieveByTopics(topics, context);
       memories.push(...topicMemories);
       
       // 2. Emotional resonance
@@ -1151,27 +1861,41 @@ class MemoryLattice {
     }
     
     // Deduplicate and rank
-    return this.rankMemories(memories);
+    try {
+      return this.rankMemories(await this.scoreRelevance(memories, query));
+    } finally {
+      this.indexing = null;
+    }
   }
 
-  async retrieveByTopics(topics) {
+  // 'general' is what the analyzer says when it found no topic; it matches nothing
+  queryFor(topics, { message = '', recent = [] } = {}) {
+    return buildQuery({
+      terms: (topics || []).filter(topic => topic !== 'general'),
+      message,
+      context: recent
+    });
+  }
+
+  // Marks memories found by weight, mood or recency with how well they match the query too
+  async scoreRelevance(memories, query) {
+    if (isEmptyQuery(query) || memories.length === 0) return memories;
+
     try {
-      if (!topics || topics.length === 0) return [];
-      
-      // Build OR query for all topics
-      const topicConditions = topics.map(topic => 
-        `metadata->'tags' @> '["${topic}"]'`
-      ).join(' OR ');
-      
-      const { data: memories, error } = await this.supabase
-        .from('memory_fragments')
-        .select('*')
-        .or(topicConditions)
-        .order('weight', { ascending: false })
-        .limit(10);
-      
-      if (error) throw error;
-      return memories || [];
+      const ids = new Set(memories.map(m => m.id));
+      const { indexes } = await this.indexedMemories();
+      const relevance = new Map(searchIndexes(indexes, query, { ids }).map(r => [r.id, r.relevance]));
+      return memories.map(memory => ({ ...memory, relevance_score: relevance.get(memory.id) ?? 0 }));
+    } catch (error) {
+      console.error('Error scoring relevance:', error);
+      return memories;
+    }
+  }
+
+  // The fragments most like the topics and what is being talked about
+  async retrieveByTopics(topics, context = {}) {
+    try {
+      return await this.searchMemories(this.queryFor(topics, context), { limit: 10 });
       
     } catch (error) {
       console.error('Error retrieving by topics:', error);
@@ -1181,16 +1905,13 @@ class MemoryLattice {
 
   async retrieveByEmotion(emotion) {
     try {
-      const { data: memories, error } = await this.supabase
-        .from('memory_fragments')
-        .select('*')
-        .eq('fragment_type', 'emotional_state')
-        .or(`content.ilike.%${emotion}%,metadata->'tags' @> '["${emotion}"]'`)
-        .order('weight', { ascending: false })
-        .limit(5);
-      
-      if (error) throw error;
-      return memories || [];
+      return await this.queryFragments({
+        fragmentType: 'emotional_state',
+        tags: [emotion],
+        keywords: [emotion],
+        orderBy: 'weight',
+        limit: 5
+      });
       
     } catch (error) {
       console.error('Error retrieving by emotion:', error);
@@ -1200,17 +1921,12 @@ class MemoryLattice {
 
   async retrieveByDepth(depth) {
     try {
-      const depthLevel = depth > 0.7 ? 'deep' : depth > 0.4 ? 'medium' : 'shallow';
-      
-      const { data: memories, error } = await this.supabase
-        .from('memory_fragments')
-        .select('*')
-        .or(`metadata->>'depth_level' = '${depthLevel}',weight > ${depth}`)
-        .order('accessed_count', { ascending: false })
-        .limit(5);
-      
-      if (error) throw error;
-      return memories || [];
+      // Deeper conversations call for weightier memories
+      return await this.queryFragments({
+        minWeight: depth,
+        orderBy: 'accessed_count',
+        limit: 5
+      });
       
     } catch (error) {
       console.error('Error retrieving by depth:', error);
@@ -1220,14 +1936,10 @@ class MemoryLattice {
 
   async retrieveRecent() {
     try {
-      const { data: memories, error } = await this.supabase
-        .from('memory_fragments')
-        .select('*')
-        .order('last_accessed', { ascending: false })
-        .limit(5);
-      
-      if (error) throw error;
-      return memories || [];
+      return await this.queryFragments({
+        orderBy: 'last_accessed',
+        limit: 5
+      });
       
     } catch (error) {
       console.error('Error retrieving recent:', error);
@@ -1250,22 +1962,13 @@ class MemoryLattice {
     return associations;
   }
 
+  // The fragments most like this one
   async findAssociations(memory) {
     try {
-      const keywords = this.extractKeywords(memory.content);
-      if (keywords.length === 0) return [];
-      
-      const keywordConditions = keywords.map(kw => `content.ilike.%${kw}%`).join(',');
-      
-      const { data: related, error } = await this.supabase
-        .from('memory_fragments')
-        .select('*')
-        .or(keywordConditions)
-        .neq('id', memory.id)
-        .limit(3);
-      
-      if (error) throw error;
-      return related || [];
+      return await this.searchMemories(buildQuery({ message: memory.content }), {
+        excludeId: memory.id,
+        limit: 3
+      });
       
     } catch (error) {
       console.error('Error finding associations:', error);
@@ -1273,15 +1976,6 @@ class MemoryLattice {
     }
   }
 
-  extractKeywords(text) {
-    const words = text.toLowerCase().split(/\W+/).filter(w => w.length > 3);
-    const stopWords = new Set([
-      'that', 'this', 'with', 'from', 'have', 'were', 'they', 'what',
-      'when', 'where', 'which', 'there', 'their', 'about', 'would'
-    ]);
-    return words.filter(w => !stopWords.has(w)).slice(0, 5);
-  }
-
   rankMemories(memories) {
     // Remove duplicates by ID
     const uniqueMemories = Array.from(
@@ -1291,12 +1985,20 @@ class MemoryLattice {
     // Calculate score for each memory
     const scoredMemories = uniqueMemories.map(memory => ({
       memory,
-      score: this.calculateMemoryScore(memory)
+      score: this.calculateMemoryScore(memory) * (MEMORY_TIER_WEIGHTS[memory.tier] ?? 1)
     }));
     
-    // Sort by score and return top 10
+    // Sort by score; the same memory held in both tiers (older chats kept their own
+    // copy of Benn's story) is only recalled once
+    const seen = new Set();
     return scoredMemories
       .sort((a, b) => b.score - a.score)
+      .filter(({ memory }) => {
+        const key = `${memory.fragment_type}:${memory.content}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
       .slice(0, 10)
       .map(item => item.memory);
   }
@@ -1310,42 +2012,80 @@ class MemoryLattice {
     const accessScore = Math.min(1, memory.accessed_count / 100);
     
     return (
-      memory.weight * 0.4 +
-      recencyScore * 0.3 +
-      accessScore * 0.2 +
-      (memory.relevance_score || 0.5) * 0.1
+      memory.weight * 0.3 +
+      recencyScore * 0.2 +
+      accessScore * 0.1 +
+      (memory.relevance_score ?? 0.5) * 0.4
     );
   }
 }
 
 // ==================== QUANTUM RESPONSE GENERATOR ====================
 
+const USER_INTEREST_BIAS = 0.3; // extra weight for a candidate on the user's strongest interest
+
+// What Benn says with what the user has told him about themselves (see generateFromDisclosures)
+const GREETING_PHRASES = [
+  name => `Well, hello again, ${name}!`,
+  name => `${name}! Good to hear from you.`,
+  name => `Hello, ${name}. Pull up a chair.`
+];
+const INTRODUCTION_PHRASES = [
+  name => `It's a real pleasure to meet you properly, ${name}. I'll file that away where it belongs.`,
+  name => `${name}, is it? A fine name. I'll be sure to remember it, relays willing.`,
+  name => `Nice to put a name to the conversation, ${name}. Now, where were we?`
+];
+const NEW_PERSON_PHRASES = [
+  ({ name, relation }) => `${name} sounds like someone worth hearing about. Tell me more about your ${relation}.`,
+  ({ name, relation }) => `Your ${relation} ${name}! I'd love to hear more about them.`
+];
+const GREETING_WORDS = ['hi', 'hello', 'hey', 'howdy', 'greetings', 'morning', 'evening', 'afternoon'];
+
 class QuantumResponseGenerator {
-  constructor(supabase) {
-    this.supabase = supabase;
+  constructor(storage, { conversationId, userId, excludeIds = new Set() } = {}) {
+    this.storage = storage;
+    this.userId = userId;
+    this.excludeIds = excludeIds;
     this.personalityMatrix = new PersonalityMatrix();
     this.generativeGrammar = new GenerativeGrammar();
-    this.memoryLattice = new MemoryLattice(supabase);
+    this.memoryLattice = new MemoryLattice(storage, { conversationId, userId, excludeIds });
     this.responseTemplates = this.initializeResponseTemplates();
     this.knowledgeBase = this.initializeKnowledgeBase();
   }
 
-  async generateQuantumResponse(analysis, state, action = 'chat') {
+  async generateQuantumResponse(analysis, state, action = 'chat', hooks = {}) {
+    const emitStage = hooks.onStage || (() => {});
+
     try {
       // Generate multiple response candidates
       const candidates = await this.generateResponseCandidates(analysis, state);
+      emitStage('candidates', {
+        count: candidates.length,
+        sources: [...new Set(candidates.map(c => c.source))]
+      });
       
-      // Select best response
+      // Select best response, leaning on what users have rated well before
+      this.successScores = await this.loadSuccessScores(candidates);
       const selectedResponse = this.collapseResponseWaveform(candidates, analysis, state);
+      emitStage('collapse', {
+        origin: selectedResponse.source,
+        confidence: selectedResponse.confidence
+      });
       
       // Apply personality transformation
       const personalizedResponse = this.applyPersonalityTransformation(selectedResponse, state);
+      emitStage('personality', {
+        emotionalState: state.getPersonalityVector().currentEmotion
+      });
       
       // Apply temporal coherence
       const temporallyCoherentResponse = this.applyTemporalCoherence(personalizedResponse, state);
       
       // Apply memory integration
       const memoryEnhancedResponse = await this.integrateMemories(temporallyCoherentResponse, state);
+      emitStage('memory', {
+        memoryIntegrated: memoryEnhancedResponse !== temporallyCoherentResponse
+      });
       
       // Apply stylistic finishing
       const finalResponse = this.applyStylisticFinishing(memoryEnhancedResponse, state);
@@ -1355,6 +2095,7 @@ class QuantumResponseGenerator {
         origin: selectedResponse.source,
         generativeConfidence: selectedResponse.confidence,
         knowledgeSources: selectedResponse.sources || [],
+        attribution: this.attributionFor(selectedResponse),
         emotionalResonance: this.calculateEmotionalResonance(finalResponse, analysis),
         noveltyScore: this.calculateResponseNovelty(finalResponse, state),
         coherenceScore: this.calculateResponseCoherence(finalResponse, state.state.shortTermMemory)
@@ -1385,6 +2126,10 @@ class QuantumResponseGenerator {
     const knowledgeCandidates = this.generateFromKnowledge(analysis, state);
     candidates.push(...knowledgeCandidates);
     
+    // 5. What the user has told Benn about themselves
+    const personalCandidates = await this.generateFromDisclosures(analysis, state);
+    candidates.push(...personalCandidates);
+    
     return candidates;
   }
 
@@ -1443,6 +2188,16 @@ class QuantumResponseGenerator {
     return selected;
   }
 
+  calculateTemplateFitness(template, analysis) {
+    let fitness = 0.6;
+    
+    if (this.templateMatchesTopics(template, analysis.primaryTopics)) fitness += 0.2;
+    if (template.sentiment === analysis.sentiment) fitness += 0.1;
+    if (template.emotion && template.emotion === analysis.emotionalDepth.primaryEmotion) fitness += 0.1;
+    
+    return Math.min(1, fitness);
+  }
+
   templateMatchesTopics(template, topics) {
     if (!template.topics || template.topics.length === 0) return true;
     return template.topics.some(topic => topics.includes(topic));
@@ -1471,6 +2226,16 @@ fillTemplate(template, analysis, state) {
   return response;
 }
 
+getUserFocus(analysis) {
+  // What the user seems to be driving at, for the {userFocus} placeholder
+  if (analysis.emotionalDepth.primaryEmotion !== 'neutral') {
+    return `how you're feeling (${analysis.emotionalDepth.primaryEmotion})`;
+  }
+  if (analysis.temporalContext.temporalOrientation === 'past') return 'the past';
+  if (analysis.temporalContext.temporalOrientation === 'future') return 'what comes next';
+  return analysis.primaryTopics[0] || 'that';
+}
+
 generateActualContent(analysis, state) {
   // Create meaningful content based on the analysis
   if (analysis.containsQuestion) {
@@ -1557,10 +2322,15 @@ generateGeneralResponse(analysis, state) {
       const relevantMemories = await this.memoryLattice.retrieveRelevantMemories(
         analysis.primaryTopics,
         analysis.emotionalDepth.primaryEmotion,
-        state.getDepth()
+        state.getDepth(),
+        {
+          message: analysis.tokens.join(' '),
+          recent: state.state.shortTermMemory.slice(-RECENT_CONTEXT_SIZE).map(msg => msg.content)
+        }
       );
       
-      for (const memory of relevantMemories.slice(0, 3)) {
+      // Things the user said about themselves are brought up by generateFromDisclosures
+      for (const memory of relevantMemories.filter(m => !isDisclosure(m)).slice(0, 3)) {
         const response = this.transformMemoryToResponse(memory, analysis, state);
         candidates.push({
           text: response,
@@ -1578,6 +2348,57 @@ generateGeneralResponse(analysis, state) {
     return candidates;
   }
 
+  // Greets the user by name when they say hello or a conversation opens, asks after the
+  // people they've told Benn about, and takes note of what they've just told him
+  async generateFromDisclosures(analysis, state) {
+    const candidates = [];
+    if (!this.userId) return candidates;
+
+    try {
+      const { name, nameMemoryId, people } = summarizeDisclosures(
+        (await this.storage.queryUserMemories({ userId: this.userId })).filter(m => !this.excludeIds.has(m.id))
+      );
+      const told = analysis.disclosures || [];
+      const toldName = told.find(d => d.type === 'name');
+      const toldPerson = told.find(d => d.type === 'relationship' && d.name);
+      // Asking after someone the user is talking about right now would be odd
+      const person = people.find(p => !told.some(d => d.type === 'relationship' && d.name === p.name));
+      const greeted = isGreeting(analysis);
+      const opening = state.state.interactionCount === 0;
+
+      const candidate = (text, confidence, sources, extra = {}) => ({
+        text,
+        confidence,
+        complexity: this.calculateResponseComplexity(text),
+        source: 'personal',
+        sources: sources.filter(Boolean),
+        ...extra
+      });
+
+      if (toldName) {
+        candidates.push(candidate(pickPhrase(INTRODUCTION_PHRASES)(toldName.name), 0.95, [], { greets: true }));
+      } else if (name && (greeted || opening)) {
+        const askAfter = person ? ` ${askAfterPerson(person)}` : '';
+        candidates.push(candidate(
+          `${pickPhrase(GREETING_PHRASES)(name)}${askAfter}`,
+          0.95,
+          [nameMemoryId, person?.memoryId],
+          { greets: true }
+        ));
+      } else if (person && (greeted || opening || mentionsPerson(analysis, person))) {
+        candidates.push(candidate(askAfterPerson(person), 0.85, [person.memoryId], { greets: greeted }));
+      }
+
+      if (toldPerson && !toldName) {
+        candidates.push(candidate(pickPhrase(NEW_PERSON_PHRASES)(toldPerson), 0.8, []));
+      }
+    } catch (error) {
+      console.error('Error generating from disclosures:', error);
+    }
+
+    return candidates;
+  }
+
   transformMemoryToResponse(memory, analysis, state) {
     const memoryContent = memory.content;
     const memoryType = memory.fragment_type;
@@ -1713,14 +2534,68 @@ generateGeneralResponse(analysis, state) {
       emotionalFit: 0.05
     };
     
-    return (
+    const score = (
       candidate.confidence * weights.confidence +
       this.calculateRelevance(candidate, analysis) * weights.relevance +
       this.calculateNoveltyForCandidate(candidate, state) * weights.novelty +
-      candidate.coherenceScore * weights.coherence +
+      this.calculateResponseCoherence(candidate.text, state.state.shortTermMemory) * weights.coherence +
       this.calculatePersonalityMatch(candidate, state) * weights.personalityMatch +
       this.calculateEmotionalFit(candidate, analysis) * weights.emotionalFit
     );
+
+    // Unrated patterns leave the score as it is; well-rated ones scale it up to 1.5x,
+    // poorly rated ones down to 0.5x
+    return score * (0.5 + this.learnedSuccess(candidate)) * this.userBias(candidate, state);
+  }
+
+  // Leans towards what this user has shown they care about: up to 1.3x for a candidate
+  // on their strongest interest, and 0.75x-1.25x by how they rate this kind of reply.
+  // With nothing learned yet it is exactly 1.
+  userBias(candidate, state) {
+    const userModel = state.state?.userModel;
+    if (!userModel) return 1;
+
+    const interest = userModel.interests.size > 0
+      ? interestIn(userModel, this.extractTopicsFromResponse(candidate.text))
+      : 0;
+    const preference = responseTypePreference(userModel, candidate.source);
+    return (1 + USER_INTEREST_BIAS * interest) * (1 + (preference - NEUTRAL_SCORE) / 2);
+  }
+
+  // Mean success score of the patterns behind a candidate
+  learnedSuccess(candidate) {
+    const scores = patternKeys(this.attributionFor(candidate))
+      .map(([patternType, key]) => this.successScores?.get(scoreKey(patternType, key)))
+      .filter(score => score !== undefined);
+
+    if (scores.length === 0) return NEUTRAL_SCORE;
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  }
+
+  attributionFor(candidate) {
+    const attribution = { source: candidate.source };
+    if (candidate.templateId) attribution.templateId = candidate.templateId;
+    if (candidate.grammarRule) attribution.grammarRule = candidate.grammarRule;
+    if (candidate.knowledgeId) attribution.knowledgeId = candidate.knowledgeId;
+    if (candidate.sources?.length) attribution.sources = candidate.sources;
+    return attribution;
+  }
+
+  // Only the scores of the patterns behind these candidates
+  async loadSuccessScores(candidates) {
+    const keys = new Map();
+    for (const candidate of candidates) {
+      for (const [patternType, key] of patternKeys(this.attributionFor(candidate))) {
+        keys.set(scoreKey(patternType, key), [patternType, key]);
+      }
+    }
+
+    try {
+      return await loadSuccessScores(this.storage, [...keys.values()]);
+    } catch (error) {
+      console.error('Error loading pattern scores:', error);
+      return new Map();
+    }
   }
 
   calculateRelevance(candidate, analysis) {
@@ -1741,6 +2616,11 @@ generateGeneralResponse(analysis, state) {
       relevance += 0.2;
     }
     
+    // A greeting is best answered in kind
+    if (candidate.greets && isGreeting(analysis)) {
+      relevance += 0.3;
+    }
+    
     return Math.min(1, relevance);
   }
 
@@ -2375,15 +3255,26 @@ class PersonalityMatrix {
 
 // ==================== MAIN RESPONSE GENERATION ====================
 
-async function generateQuantumBennResponse(userMessage, stateManager, action) {
+async function generateQuantumBennResponse(userMessage, stateManager, action, hooks = {}) {
+  const emitStage = hooks.onStage || (() => {});
+
   try {
     // Initialize components
     const analyzer = new QuantumSemanticAnalyzer();
-    const generator = new QuantumResponseGenerator(stateManager.supabase);
+    const generator = new QuantumResponseGenerator(stateManager.storage, {
+      conversationId: stateManager.conversationId,
+      userId: stateManager.userId,
+      excludeIds: stateManager.forgotten
+    });
     const personalityMatrix = new PersonalityMatrix();
     
     // Analyze the message
     const analysis = analyzer.analyzeWithDepth(userMessage);
+    emitStage('analysis', {
+      topics: analysis.primaryTopics,
+      sentiment: analysis.sentiment,
+      primaryEmotion: analysis.emotionalDepth.primaryEmotion
+    });
     
     // Update personality state
     const currentPersonality = stateManager.getPersonalityVector();
@@ -2397,7 +3288,7 @@ async function generateQuantumBennResponse(userMessage, stateManager, action) {
     stateManager.updateEmotionalTrajectory(nextState);
     
     // Generate response
-    const response = await generator.generateQuantumResponse(analysis, stateManager, action);
+    const response = await generator.generateQuantumResponse(analysis, stateManager, action, hooks);
     
     // Add meta-cognitive layer for deeper conversations
     const metaResponse = await addMetaCognitiveLayer(response, analysis, stateManager);
@@ -2415,7 +3306,8 @@ async function generateQuantumBennResponse(userMessage, stateManager, action) {
       memoryReferences: response.knowledgeSources,
       generativeConfidence: response.generativeConfidence,
       origin: response.origin,
-      knowledgeSources: response.knowledgeSources
+      knowledgeSources: response.knowledgeSources,
+      attribution: response.attribution
     };
     
   } catch (error) {
@@ -2528,74 +3420,11 @@ function generateFallbackResponse(message, stateManager) {
 
 // ==================== DATABASE INITIALIZATION ====================
 
+// Schema creation lives with each storage backend (lib/storage)
 async function initializeDatabase() {
-  const tables = [
-    `CREATE TABLE IF NOT EXISTS conversations (
-      id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-      user_id TEXT NOT NULL,
-      conversation_id TEXT NOT NULL UNIQUE,
-      created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
-      updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
-      metadata JSONB DEFAULT '{}'::jsonb,
-      CONSTRAINT unique_user_conversation UNIQUE(user_id, conversation_id)
-    );`,
-    
-    `CREATE TABLE IF NOT EXISTS messages (
-      id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-      conversation_id TEXT NOT NULL,
-      role TEXT NOT NULL CHECK (role IN ('user', 'benn')),
-      content TEXT NOT NULL,
-      metadata JSONB DEFAULT '{}'::jsonb,
-      created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
-      FOREIGN KEY (conversation_id) REFERENCES conversations(conversation_id) ON DELETE CASCADE
-    );`,
-    
-    `CREATE TABLE IF NOT EXISTS memory_fragments (
-      id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-      conversation_id TEXT NOT NULL,
-      fragment_type TEXT NOT NULL,
-      content TEXT NOT NULL,
-      weight FLOAT DEFAULT 0.5 CHECK (weight >= 0 AND weight <= 1),
-      accessed_count INTEGER DEFAULT 0,
-      last_accessed TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
-      metadata JSONB DEFAULT '{}'::jsonb,
-      created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
-      FOREIGN KEY (conversation_id) REFERENCES conversations(conversation_id) ON DELETE CASCADE
-    );`,
-    
-    `CREATE TABLE IF NOT EXISTS generative_patterns (
-      id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-      pattern_type TEXT NOT NULL,
-      template TEXT NOT NULL,
-      usage_count INTEGER DEFAULT 0,
-      success_score FLOAT DEFAULT 0.5 CHECK (success_score >= 0 AND success_score <= 1),
-      metadata JSONB DEFAULT '{}'::jsonb,
-      created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
-      last_used TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
-    );`,
-    
-    `CREATE INDEX IF NOT EXISTS idx_conversations_user ON conversations(user_id);`,
-    `CREATE INDEX IF NOT EXISTS idx_conversations_id ON conversations(conversation_id);`,
-    `CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id);`,
-    `CREATE INDEX IF NOT EXISTS idx_memory_fragments_conversation ON memory_fragments(conversation_id);`,
-    `CREATE INDEX IF NOT EXISTS idx_memory_fragments_type ON memory_fragments(fragment_type);`,
-    `CREATE INDEX IF NOT EXISTS idx_memory_fragments_weight ON memory_fragments(weight DESC);`
-  ];
-
-  for (const table of tables) {
-    try {
-      await supabase.rpc('exec_sql', { sql: table });
-    } catch (error) {
-      // If exec_sql doesn't exist, try direct SQL (for local testing)
-      console.log('Note: Using alternative table creation method');
-      break;
-    }
-  }
+  await storageReady();
 }
 
-// Initialize on module load
-initializeDatabase().catch(console.error);
-
 module.exports.initializeDatabase = initializeDatabase;
 
 // ==================== UTILITY FUNCTIONS ====================
@@ -2610,6 +3439,25 @@ function containsAny(message, keywords) {
   );
 }
 
+function isGreeting(analysis) {
+  const [first, second] = analysis.tokens || [];
+  return GREETING_WORDS.includes(first) || (first === 'good' && ['morning', 'afternoon', 'evening', 'day'].includes(second));
+}
+
+function mentionsPerson(analysis, person) {
+  const tokens = analysis.tokens || [];
+  return tokens.includes(person.name.toLowerCase()) || tokens.includes(person.relation);
+}
+
+function askAfterPerson({ relation, name, detail }) {
+  const question = `How is your ${relation} ${name} doing?`;
+  return detail ? `${question} Last I heard, ${name} ${detail}.` : question;
+}
+
+function pickPhrase(phrases) {
+  return phrases[Math.floor(Math.random() * phrases.length)];
+}
+
 function selectResponse(responseArray) {
   const weights = responseArray.map((resp, index) => {
     const lengthWeight = Math.min(resp.length / 100, 0.5);
@@ -2647,5 +3495,9 @@ function getLastBennMessage(chatHistory) {
 
 module.exports.AdvancedConversationStateManager = AdvancedConversationStateManager;
 module.exports.QuantumSemanticAnalyzer = QuantumSemanticAnalyzer;
+module.exports.ConversationSummarizer = ConversationSummarizer;
+module.exports.stateAtHistory = stateAtHistory;
 module.exports.QuantumResponseGenerator = QuantumResponseGenerator;
+module.exports.MemoryLattice = MemoryLattice;
 module.exports.generateQuantumBennResponse = generateQuantumBennResponse;
+module.exports.buildResponseMetadata = buildResponseMetadata;
@@ -0,0 +1,556 @@
+const { storageReady } = require('../../lib/storage');
+const {
+  authenticateRequest,
+  rejectUnauthenticated,
+  chatIdFor,
+  conversationIdFor,
+  findOwnedConversation
+} = require('../../lib/auth');
+const { searchConversations } = require('../../lib/search');
+const { ConversationSummarizer, stateAtHistory } = require('../chat');
+const { deserializeState, serializeState } = require('../../lib/state');
+const { userModelAtHistory } = require('../../lib/user-model');
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS = 20;
+const DEFAULT_PAGE_SIZE = 20;
+const METADATA_WRITE_ATTEMPTS = 4;
+const MAX_PAGE_SIZE = 100;
+const MAX_SEARCH_RESULTS = 50;
+const MAX_QUERY_LENGTH = 200;
+const RETITLE_MESSAGE_WINDOW = 60;
+
+// Sort keys accepted by the list action. Each maps onto an indexed column so pages
+// can be walked with a keyset cursor; pinned conversations always come first.
+const SORTS = {
+  updated: { orderBy: 'updated_at', ascending: false },
+  created: { orderBy: 'created_at', ascending: false },
+  oldest: { orderBy: 'created_at', ascending: true }
+};
+
+async function handleConversations(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = authenticateRequest(req);
+  if (!session) {
+    return rejectUnauthenticated(res);
+  }
+
+  try {
+    const { action = 'list', chatId } = req.body;
+    const userId = session.userId;
+    const storage = await storageReady();
+
+    if (action === 'list') {
+      return await listConversations(res, storage, userId, req.body);
+    }
+
+    if (action === 'search') {
+      return await searchHistory(res, storage, userId, req.body);
+    }
+
+    const run = MUTATIONS[action] || READS[action];
+    if (!run) {
+      return res.status(400).json({ error: 'Invalid action' });
+    }
+
+    const conversation = await findOwnedConversation(storage, userId, chatId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    return await run(res, storage, conversation, req.body);
+
+  } catch (error) {
+    console.error('Conversations error:', error);
+    return res.status(500).json({
+      error: 'Failed to process conversations request',
+      details: error.message
+    });
+  }
+}
+
+// ==================== LIST ====================
+
+async function listConversations(res, storage, userId, { filters, sort = 'updated', cursor, limit = DEFAULT_PAGE_SIZE }) {
+  if (!SORTS[sort]) {
+    return res.status(400).json({ error: `Invalid sort (expected one of: ${Object.keys(SORTS).join(', ')})` });
+  }
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  filters = filters || {};
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const query = {
+    ...SORTS[sort],
+    // Archived conversations stay out of the way unless asked for
+    archived: filters.archived === 'any' ? undefined : filters.archived === true,
+    tag: filters.tag || filters.topic ? normalizeTag(filters.tag || filters.topic) : undefined
+  };
+
+  let pinned = [];
+  let page;
+  try {
+    if (filters.pinned !== undefined) {
+      query.pinned = !!filters.pinned;
+    } else {
+      // Pinned chats are few; they all lead the first page and the cursor walks the rest
+      if (!after) pinned = await storage.listConversations(userId, { ...query, pinned: true });
+      query.pinned = false;
+    }
+
+    // One extra row tells us whether another page exists
+    page = await storage.listConversations(userId, { ...query, after, limit: pageSize + 1 });
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    return res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+
+  const hasMore = page.length > pageSize;
+  page = page.slice(0, pageSize);
+  const last = page[page.length - 1];
+
+  // emotion/depth live deep in the conversation state, so they narrow the page after the fact
+  const conversations = [...pinned, ...page]
+    .filter(conv => matchesFilters(conv, filters))
+    .map(summarizeConversation);
+
+  return res.status(200).json({
+    success: true,
+    userId: userId,
+    conversations: conversations,
+    count: conversations.length,
+    hasMore: hasMore,
+    nextCursor: hasMore ? encodeCursor(last, query.orderBy) : null
+  });
+}
+
+// Everything the sidebar needs is on the row itself; no per-conversation queries
+function summarizeConversation(conv) {
+  const lastMessage = conv.last_message || '';
+
+  return {
+    id: chatIdFor(conv),
+    title: titleFor(conv),
+    titleSource: conv.metadata?.titleSource || null,
+    summary: conv.metadata?.summary || null,
+    preview: lastMessage ? lastMessage.substring(0, 50) + (lastMessage.length > 50 ? '...' : '') : 'Start chatting...',
+    message_count: conv.message_count || 0,
+    pinned: isPinned(conv),
+    archived: isArchived(conv),
+    tags: conv.metadata?.tags || [],
+    branch: conv.metadata?.branch || null,
+    created_at: conv.created_at,
+    updated_at: conv.updated_at,
+    metadata: conv.metadata
+  };
+}
+
+function matchesFilters(conversation, filters) {
+  const metadata = conversation.metadata || {};
+  const tags = metadata.tags || [];
+
+  // Apply emotion filter against tags and the emotional trajectory
+  if (filters.emotion) {
+    const emotions = [...tags, ...(metadata.emotionalTrajectory || [])];
+    if (!emotions.includes(filters.emotion)) return false;
+  }
+
+  // Apply depth filter
+  if (filters.depth && String(metadata.depth_level) !== String(filters.depth)) {
+    return false;
+  }
+
+  return true;
+}
+
+function encodeCursor(conv, orderBy) {
+  return Buffer.from(JSON.stringify({ value: conv[orderBy], conversationId: conv.conversation_id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { value, conversationId } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof value !== 'string' || typeof conversationId !== 'string') return null;
+    return { value, conversationId };
+  } catch (error) {
+    return null;
+  }
+}
+
+// ==================== SEARCH ====================
+
+async function searchHistory(res, storage, userId, { query, filters = {}, limit = 20 }) {
+  const text = typeof query === 'string' ? query.trim() : '';
+  if (text.length < 2 || text.length > MAX_QUERY_LENGTH) {
+    return res.status(400).json({ error: `Search query must be between 2 and ${MAX_QUERY_LENGTH} characters` });
+  }
+
+  filters = filters || {};
+  if (filters.role && !['user', 'benn'].includes(filters.role)) {
+    return res.status(400).json({ error: 'Role filter must be "user" or "benn"' });
+  }
+
+  const from = filters.from ? parseDateBound(filters.from, false) : undefined;
+  const to = filters.to ? parseDateBound(filters.to, true) : undefined;
+  if (from === null || to === null) {
+    return res.status(400).json({ error: 'Invalid date range' });
+  }
+
+  const topics = [].concat(filters.topics || filters.topic || [])
+    .filter(topic => typeof topic === 'string' && topic.trim())
+    .map(topic => topic.trim().toLowerCase());
+
+  let results;
+  try {
+    results = await searchConversations(storage, userId, {
+      query: text,
+      role: filters.role,
+      from,
+      to,
+      topics,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_SEARCH_RESULTS)
+    });
+  } catch (error) {
+    console.error('Error searching conversations:', error);
+    return res.status(500).json({ error: 'Failed to search conversations' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    userId: userId,
+    query: text,
+    results: results,
+    count: results.length
+  });
+}
+
+// A bare date means the whole day: from its first to its last millisecond
+function parseDateBound(value, endOfDay) {
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+  const date = new Date(isDateOnly ? `${value}T00:00:00.000Z` : value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (isDateOnly && endOfDay) date.setUTCHours(23, 59, 59, 999);
+  return date.toISOString();
+}
+
+// ==================== MUTATIONS ====================
+
+const MUTATIONS = {
+  rename: renameConversation,
+  retitle: retitleConversation,
+  pin: (res, storage, conversation) => setFlag(res, storage, conversation, 'pinned', true),
+  unpin: (res, storage, conversation) => setFlag(res, storage, conversation, 'pinned', false),
+  archive: (res, storage, conversation) => setFlag(res, storage, conversation, 'archived', true),
+  unarchive: (res, storage, conversation) => setFlag(res, storage, conversation, 'archived', false),
+  tag: (res, storage, conversation, body) => changeTags(res, storage, conversation, body, true),
+  untag: (res, storage, conversation, body) => changeTags(res, storage, conversation, body, false),
+  duplicate: duplicateConversation,
+  fork: forkConversation
+};
+
+const READS = {
+  branches: listBranches
+};
+
+async function renameConversation(res, storage, conversation, { title }) {
+  const cleaned = typeof title === 'string' ? title.trim() : '';
+  if (!cleaned) {
+    return res.status(400).json({ error: 'Title is required' });
+  }
+
+  // Marked as the user's own so automatic titling leaves it alone
+  return await saveMetadata(res, storage, conversation, {
+    title: cleaned.substring(0, MAX_TITLE_LENGTH),
+    titleSource: 'user'
+  });
+}
+
+// Regenerates the title and summary from the messages, handing the title back to automatic titling
+async function retitleConversation(res, storage, conversation) {
+  const messages = await storage.listMessages(conversation.conversation_id, {
+    limit: RETITLE_MESSAGE_WINDOW,
+    ascending: false
+  });
+
+  if (!messages.some(m => m.role === 'user')) {
+    return res.status(400).json({ error: 'Nothing to title yet' });
+  }
+
+  const { title, summary } = new ConversationSummarizer().summarize(messages.reverse());
+
+  return await saveMetadata(res, storage, conversation, {
+    title,
+    titleSource: 'auto',
+    summary,
+    summaryUpdatedAt: new Date().toISOString()
+  });
+}
+
+async function setFlag(res, storage, conversation, flag, value) {
+  return await saveMetadata(res, storage, conversation, {
+    [flag]: value,
+    [`${flag}At`]: value ? new Date().toISOString() : null
+  });
+}
+
+async function changeTags(res, storage, conversation, { tags, tag }, adding) {
+  const requested = (Array.isArray(tags) ? tags : [tag])
+    .filter(t => typeof t === 'string')
+    .map(normalizeTag)
+    .filter(Boolean);
+
+  if (requested.length === 0) {
+    return res.status(400).json({ error: 'At least one tag is required' });
+  }
+
+  const tagsAfter = current => adding
+    ? [...new Set([...current, ...requested])]
+    : current.filter(t => !requested.includes(t));
+
+  if (tagsAfter(conversation.metadata?.tags || []).length > MAX_TAGS) {
+    return res.status(400).json({ error: `A conversation can have at most ${MAX_TAGS} tags` });
+  }
+
+  // Worked out again from the stored tags if another write gets in first
+  return await saveMetadata(res, storage, conversation, metadata => ({
+    tags: tagsAfter(metadata.tags || []).slice(0, MAX_TAGS)
+  }));
+}
+
+// Organizing a chat is not activity in it, so updated_at is left alone. The write only
+// lands on the revision it was read at, so it can't undo a turn saved in the meantime;
+// on a clash the patch is re-applied to the fresh metadata. `patch` may be a function
+// of the current metadata.
+async function saveMetadata(res, storage, conversation, patch) {
+  let current = conversation;
+
+  for (let attempt = 0; attempt < METADATA_WRITE_ATTEMPTS; attempt++) {
+    const metadata = current.metadata || {};
+    const updated = await storage.updateConversation(current.conversation_id, {
+      metadata: { ...metadata, ...(typeof patch === 'function' ? patch(metadata) : patch) }
+    }, { expectedRevision: current.revision });
+
+    if (updated) {
+      return res.status(200).json({
+        success: true,
+        conversation: summarizeConversation(updated)
+      });
+    }
+
+    current = await storage.getConversation(conversation.conversation_id);
+    if (!current) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+  }
+
+  return res.status(409).json({ error: 'Conversation was updated by another request', code: 'STATE_CONFLICT' });
+}
+
+// Copies the conversation, its messages and its memory fragments under a new chat id
+async function duplicateConversation(res, storage, conversation, { title }) {
+  const userId = conversation.user_id;
+  const chatId = `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const conversationId = conversationIdFor(userId, chatId);
+  const now = new Date().toISOString();
+  const customTitle = typeof title === 'string' && title.trim() ? title.trim().substring(0, MAX_TITLE_LENGTH) : null;
+
+  await storage.createConversation({
+    user_id: userId,
+    conversation_id: conversationId,
+    metadata: {
+      ...conversation.metadata,
+      title: customTitle || `${titleFor(conversation)} (copy)`,
+      titleSource: customTitle ? 'user' : conversation.metadata?.titleSource || null,
+      pinned: false,
+      pinnedAt: null,
+      archived: false,
+      archivedAt: null,
+      duplicatedFrom: chatIdFor(conversation)
+    },
+    created_at: now,
+    updated_at: now
+  });
+
+  const messages = await storage.listMessages(conversation.conversation_id, { ascending: true });
+  const fragments = await storage.queryMemoryFragments({ conversationId: conversation.conversation_id, includeArchived: true });
+  await copyHistory(storage, conversationId, messages, fragments);
+
+  // Re-read so the summary columns reflect the copied messages
+  return res.status(200).json({
+    success: true,
+    conversation: summarizeConversation(await storage.getConversation(conversationId))
+  });
+}
+
+// Copies get new ids, so fragments are re-pointed at the copies of their source messages
+async function copyHistory(storage, conversationId, messages, fragments) {
+  const copiedIds = new Map();
+  for (const message of messages) {
+    const copy = await storage.insertMessage({
+      conversation_id: conversationId,
+      role: message.role,
+      content: message.content,
+      metadata: message.metadata,
+      created_at: message.created_at
+    });
+    copiedIds.set(message.id, copy.id);
+  }
+
+  for (const { id, conversation_id, ...fragment } of fragments) {
+    const { sourceMessageId, sourceMessageIds } = fragment.metadata || {};
+    const metadata = { ...fragment.metadata };
+    if (sourceMessageId) metadata.sourceMessageId = copiedIds.get(sourceMessageId) || null;
+    if (sourceMessageIds) metadata.sourceMessageIds = sourceMessageIds.map(messageId => copiedIds.get(messageId)).filter(Boolean);
+    await storage.insertMemoryFragment({
+      ...fragment,
+      conversation_id: conversationId,
+      metadata: sourceMessageId || sourceMessageIds ? metadata : fragment.metadata
+    });
+  }
+}
+
+// ==================== BRANCHES ====================
+
+// Starts a new conversation from the history up to and including messageId. Benn picks
+// up in the mood he was in at that message, knowing only what he had learned by then.
+async function forkConversation(res, storage, conversation, { messageId, title }) {
+  if (!messageId) {
+    return res.status(400).json({ error: 'Message ID is required' });
+  }
+
+  const messages = await storage.listMessages(conversation.conversation_id, { ascending: true });
+  const index = messages.findIndex(m => m.id === messageId);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  const history = messages.slice(0, index + 1);
+  const branchPoint = history[index];
+  const historyIds = new Set(history.map(m => m.id));
+  // Archived fragments were learned all the same, and a duplicate keeps them too
+  const fragments = (await storage.queryMemoryFragments({ conversationId: conversation.conversation_id, includeArchived: true }))
+    .filter(f => learnedBy(f, historyIds, branchPoint));
+
+  const userId = conversation.user_id;
+  const parentId = chatIdFor(conversation);
+  const chatId = `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const conversationId = conversationIdFor(userId, chatId);
+  const customTitle = typeof title === 'string' && title.trim() ? title.trim().substring(0, MAX_TITLE_LENGTH) : null;
+  const now = new Date().toISOString();
+
+  // What Benn learned about the user after the branch point doesn't come along either
+  const parentState = deserializeState(conversation.metadata);
+  await storage.createConversation({
+    user_id: userId,
+    conversation_id: conversationId,
+    metadata: serializeState({
+      ...parentState,
+      ...stateAtHistory(history, parentState),
+      userModel: userModelAtHistory(history, parentState.userModel),
+      interactionCount: history.filter(m => m.role === 'user').length,
+      shortTermMemory: [],
+      longTermMemory: [],
+      title: customTitle || `${titleFor(conversation)} (branch)`,
+      titleSource: customTitle ? 'user' : conversation.metadata?.titleSource || null,
+      // The parent's summary covers turns this branch doesn't have
+      summary: null,
+      summaryUpdatedAt: null,
+      pinned: false,
+      pinnedAt: null,
+      archived: false,
+      archivedAt: null,
+      branch: {
+        parentId,
+        rootId: conversation.metadata?.branch?.rootId || parentId,
+        messageId: branchPoint.id,
+        messageCreatedAt: branchPoint.created_at,
+        branchedAt: now
+      }
+    }),
+    created_at: now,
+    updated_at: now
+  });
+
+  await copyHistory(storage, conversationId, history, fragments);
+
+  return res.status(200).json({
+    success: true,
+    conversation: summarizeConversation(await storage.getConversation(conversationId))
+  });
+}
+
+// Whether a fragment was learned from the copied history. A fragment is stored after its
+// message (on Supabase it's stamped by the database), so timing only decides for fragments
+// stored before they carried a source.
+function learnedBy(fragment, historyIds, branchPoint) {
+  const { sourceMessageId, sourceMessageIds } = fragment.metadata || {};
+  const sources = [...(sourceMessageIds || []), ...(sourceMessageId ? [sourceMessageId] : [])];
+  if (sources.length === 0) return fragment.created_at <= branchPoint.created_at;
+  return sources.some(id => historyIds.has(id));
+}
+
+// The conversation's family: the parent it branched from, the other branches taken
+// from that same parent, and the branches taken from this conversation
+async function listBranches(res, storage, conversation) {
+  const userId = conversation.user_id;
+  const chatId = chatIdFor(conversation);
+  const branch = conversation.metadata?.branch || null;
+  const rootId = branch?.rootId || chatId;
+
+  const family = await storage.listConversations(userId, {
+    branchRoot: rootId,
+    orderBy: 'created_at',
+    ascending: true
+  });
+
+  // The root carries no branch metadata, so it isn't part of the family query
+  let parent = null;
+  if (branch) {
+    parent = branch.parentId === rootId
+      ? await findOwnedConversation(storage, userId, rootId)
+      : family.find(c => chatIdFor(c) === branch.parentId) || null;
+  }
+
+  return res.status(200).json({
+    success: true,
+    chatId,
+    rootId,
+    parent: parent ? summarizeConversation(parent) : null,
+    siblings: branch
+      ? family
+        .filter(c => c.metadata.branch.parentId === branch.parentId && chatIdFor(c) !== chatId)
+        .map(summarizeConversation)
+      : [],
+    children: family.filter(c => c.metadata.branch.parentId === chatId).map(summarizeConversation)
+  });
+}
+
+// ==================== HELPERS ====================
+
+function titleFor(conv) {
+  return conv.metadata?.title || `Conversation ${conv.conversation_id.split('_').pop()}`;
+}
+
+function isPinned(conv) {
+  return conv.metadata?.pinned === true;
+}
+
+function isArchived(conv) {
+  return conv.metadata?.archived === true;
+}
+
+function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase().substring(0, MAX_TAG_LENGTH);
+}
+
+module.exports = handleConversations;
+module.exports.titleFor = titleFor;
+module.exports.normalizeTag = normalizeTag;
+module.exports.summarizeConversation = summarizeConversation;
@@ -0,0 +1,76 @@
+const { storageReady } = require('../../lib/storage');
+const { authenticateRequest, rejectUnauthenticated, chatIdFor, findOwnedConversation } = require('../../lib/auth');
+const { FORMATS, renderTranscript } = require('../../lib/transcripts');
+const { titleFor } = require('./conversations');
+
+// Downloads one conversation, or all of the caller's, as a transcript file. Unlike the
+// rest of the API this answers with the file itself rather than JSON.
+async function handleExport(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = authenticateRequest(req);
+  if (!session) {
+    return rejectUnauthenticated(res);
+  }
+
+  try {
+    const { chatId, all = false, format = 'markdown', includeMetadata = false } = req.body;
+    const userId = session.userId;
+
+    if (!FORMATS[format]) {
+      return res.status(400).json({ error: `Invalid format (expected one of: ${Object.keys(FORMATS).join(', ')})` });
+    }
+    if (!chatId && !all) {
+      return res.status(400).json({ error: 'Chat ID is required unless exporting all conversations' });
+    }
+
+    const storage = await storageReady();
+
+    let conversations;
+    if (all) {
+      conversations = await storage.listConversations(userId, { orderBy: 'created_at', ascending: true });
+    } else {
+      const conversation = await findOwnedConversation(storage, userId, chatId);
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      conversations = [conversation];
+    }
+
+    const transcript = { exportedAt: new Date().toISOString(), conversations: [] };
+    for (const conversation of conversations) {
+      transcript.conversations.push({
+        id: chatIdFor(conversation),
+        title: titleFor(conversation),
+        created_at: conversation.created_at,
+        updated_at: conversation.updated_at,
+        summary: conversation.metadata?.summary || null,
+        tags: conversation.metadata?.tags || [],
+        messages: await storage.listMessages(conversation.conversation_id, { ascending: true })
+      });
+    }
+
+    const { extension, contentType } = FORMATS[format];
+    const name = all ? 'conversations' : slugify(transcript.conversations[0].title) || 'conversation';
+    const filename = `benn-${name}-${transcript.exportedAt.split('T')[0]}.${extension}`;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.status(200).send(renderTranscript(format, transcript, { includeMetadata: !!includeMetadata }));
+
+  } catch (error) {
+    console.error('Export error:', error);
+    return res.status(500).json({
+      error: 'Failed to export conversations',
+      details: error.message
+    });
+  }
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 40);
+}
+
+module.exports = handleExport;
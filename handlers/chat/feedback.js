@@ -0,0 +1,101 @@
+const { storageReady } = require('../../lib/storage');
+const { authenticateRequest, rejectUnauthenticated, chatIdFor, findOwnedConversation } = require('../../lib/auth');
+const { RATINGS, recordRating } = require('../../lib/patterns');
+const { learnFromFeedback } = require('../../lib/user-model');
+const { AdvancedConversationStateManager } = require('../chat');
+
+const MAX_REASON_LENGTH = 500;
+
+// Thumbs up/down on one of Benn's replies. The rating is kept on the reply and credited to
+// the template, grammar rule, knowledge item or memories that produced it, which is what
+// candidate selection learns from, and to this user's taste for that kind of reply.
+// A null rating takes a previous one back.
+async function handleFeedback(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = authenticateRequest(req);
+  if (!session) {
+    return rejectUnauthenticated(res);
+  }
+
+  try {
+    const { chatId, messageId, rating = null, reason } = req.body;
+
+    if (!chatId || !messageId) {
+      return res.status(400).json({ error: 'Chat ID and message ID are required' });
+    }
+    if (rating !== null && !RATINGS.includes(rating)) {
+      return res.status(400).json({ error: `Invalid rating (expected one of: ${RATINGS.join(', ')})` });
+    }
+    if (reason !== undefined && reason !== null &&
+        (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+      return res.status(400).json({ error: `Reason must be text of at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    const storage = await storageReady();
+    const conversation = await findOwnedConversation(storage, session.userId, chatId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const messages = await storage.listMessages(conversation.conversation_id, { ascending: true });
+    const reply = messages.find(m => m.id === messageId && m.role === 'benn');
+    if (!reply) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+
+    const previous = reply.metadata?.feedback?.rating || null;
+    const feedback = rating
+      ? { rating, reason: reason?.trim() || null, ratedAt: new Date().toISOString() }
+      : null;
+
+    const updated = await storage.updateMessage(reply.id, {
+      metadata: withFeedback(reply.metadata || {}, feedback)
+    });
+    await recordRating(storage, reply.metadata?.attribution, { previous, rating });
+    await learnUserPreference(storage, conversation, reply.metadata?.attribution, { previous, rating });
+
+    return res.status(200).json({
+      success: true,
+      chatId: chatIdFor(conversation),
+      messageId: reply.id,
+      feedback,
+      attribution: reply.metadata?.attribution || null,
+      message: updated
+    });
+
+  } catch (error) {
+    console.error('Feedback error:', error);
+    return res.status(500).json({
+      error: 'Failed to record feedback',
+      details: error.message
+    });
+  }
+}
+
+// The rating is already stored, so a preference that can't be saved is logged rather
+// than failing the request
+async function learnUserPreference(storage, conversation, attribution, ratings) {
+  try {
+    const stateManager = new AdvancedConversationStateManager(conversation.user_id, chatIdFor(conversation), storage);
+    await stateManager.loadOrInitialize();
+    learnFromFeedback(stateManager.state.userModel, attribution, ratings);
+    await stateManager.saveState();
+  } catch (error) {
+    console.error('Error learning from feedback:', error);
+  }
+}
+
+// Regenerated replies keep a rating per version, so switching versions shows the right one
+function withFeedback(metadata, feedback) {
+  if (!metadata.versions) return { ...metadata, feedback };
+
+  const versions = metadata.versions.map((version, index) =>
+    index === metadata.activeVersion ? { ...version, feedback } : version
+  );
+  return { ...metadata, versions, feedback };
+}
+
+module.exports = handleFeedback;
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { storageReady } = require('../../lib/storage');
+const { authenticateRequest, rejectUnauthenticated } = require('../../lib/auth');
+const { parseTranscript } = require('../../lib/transcripts');
+const { learnFromMessage } = require('../../lib/user-model');
+const { AdvancedConversationStateManager } = require('../chat');
+const { normalizeTag, summarizeConversation } = require('./conversations');
+
+// Recreates conversations from a JSON or JSONL transcript (see lib/transcripts). Each one
+// becomes a new chat: user messages are analyzed afresh and Benn relearns what he would
+// have taken from them, so imported files can't plant state or memories directly. An import
+// is all or nothing: if any conversation fails, those already recreated are removed again.
+async function handleImport(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = authenticateRequest(req);
+  if (!session) {
+    return rejectUnauthenticated(res);
+  }
+
+  try {
+    const { content } = req.body;
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Transcript content is required' });
+    }
+
+    const { conversations, problems } = parseTranscript(content);
+    if (problems) {
+      return res.status(400).json({ error: 'Invalid transcript', problems });
+    }
+
+    const storage = await storageReady();
+    const imported = [];
+    try {
+      for (const transcript of conversations) {
+        imported.push(await importConversation(storage, session.userId, transcript));
+      }
+    } catch (importError) {
+      await discardImported(storage, session.userId, imported.map(c => c.conversation_id));
+      throw importError;
+    }
+
+    return res.status(200).json({
+      success: true,
+      conversations: imported.map(summarizeConversation),
+      count: imported.length
+    });
+
+  } catch (error) {
+    console.error('Import error:', error);
+    return res.status(500).json({
+      error: 'Failed to import transcript',
+      details: error.message
+    });
+  }
+}
+
+// Each conversation's messages, memories and state are stored in one commit, so a failure
+// leaves no half-imported chat behind
+async function importConversation(storage, userId, { title, tags, messages }) {
+  const chatId = `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const stateManager = new AdvancedConversationStateManager(userId, chatId, storage);
+  await stateManager.loadOrInitialize();
+
+  try {
+    const rows = [];
+    const fragments = [];
+    const userMemories = [];
+    for (const message of importTimestamps(messages)) {
+      // Ids are assigned up front so memories can name the message they came from
+      const row = {
+        id: crypto.randomUUID(),
+        conversation_id: stateManager.conversationId,
+        role: message.role,
+        content: message.content,
+        metadata: importedMetadata(stateManager, message),
+        created_at: message.created_at
+      };
+      const memories = stateManager.memoriesOf(row);
+      fragments.push(...memories.fragments);
+      userMemories.push(...memories.userMemories);
+      if (row.role === 'user') {
+        learnFromMessage(stateManager.state.userModel, row.metadata.analysis, { at: row.created_at });
+      }
+      rows.push(row);
+    }
+
+    stateManager.rewindTo(rows);
+    if (title) {
+      stateManager.state.title = title;
+      stateManager.state.titleSource = 'user';
+    }
+    stateManager.state.tags = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+    if (!title || stateManager.shouldRefreshSummary()) {
+      await stateManager.refreshSummary([], { history: rows });
+    }
+
+    const committed = await storage.commitTurn({
+      conversationId: stateManager.conversationId,
+      messages: rows,
+      fragments,
+      userMemories,
+      conversation: { metadata: stateManager.serializedState(), updated_at: new Date().toISOString() }
+    });
+    stateManager.indexStored(committed);
+    return committed.conversation;
+  } catch (error) {
+    await discardImported(storage, userId, [stateManager.conversationId]);
+    throw error;
+  }
+}
+
+async function discardImported(storage, userId, conversationIds) {
+  for (const conversationId of conversationIds) {
+    try {
+      await storage.deleteConversation(conversationId, { userId });
+    } catch (error) {
+      console.error('Error discarding imported conversation:', error);
+    }
+  }
+}
+
+// Keeps the file's timestamps where they are in order, filling gaps and moving
+// out-of-order ones forward so paging sees the messages in the file's order
+function importTimestamps(messages) {
+  let previous = 0;
+  const now = Date.now();
+
+  return messages.map((message, index) => {
+    const parsed = message.created_at ? Date.parse(message.created_at) : now + index;
+    const time = Math.max(parsed, previous);
+    previous = time;
+    return { ...message, created_at: new Date(time).toISOString() };
+  });
+}
+
+function importedMetadata(stateManager, message) {
+  if (message.role === 'user') {
+    return {
+      analysis: stateManager.analyzeMessage(message.content),
+      timestamp: message.created_at
+    };
+  }
+
+  const emotion = message.metadata.emotionalState;
+  return {
+    emotionalState: typeof emotion === 'string' && emotion.length <= 40 ? emotion : null,
+    timestamp: message.created_at
+  };
+}
+
+module.exports = handleImport;
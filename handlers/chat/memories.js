@@ -0,0 +1,254 @@
+const { storageReady } = require('../../lib/storage');
+const { authenticateRequest, rejectUnauthenticated, chatIdFor, findOwnedConversation } = require('../../lib/auth');
+const { normalizeTag } = require('./conversations');
+
+const MAX_CONTENT_LENGTH = 500;
+const MAX_TAGS = 20;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+const MAX_DELETE_IDS = 200;
+
+// Sort keys accepted by the list action
+const SORTS = {
+  weight: { orderBy: 'weight', ascending: false },
+  recalled: { orderBy: 'accessed_count', ascending: false },
+  recent: { orderBy: 'last_accessed', ascending: false },
+  created: { orderBy: 'created_at', ascending: false }
+};
+
+// How each tier's rows are read, changed and deleted within the caller's scope
+const TIERS = {
+  conversation: {
+    query: (storage, scope, query) => storage.queryMemoryFragments({ ...query, conversationId: scope.conversationId }),
+    update: (storage, id, patch) => storage.updateMemoryFragment(id, patch),
+    remove: (storage, scope, ids) => storage.deleteMemoryFragments({ conversationId: scope.conversationId, ids })
+  },
+  // Benn's own story is seeded into this tier (see loadInitialMemories) but isn't the user's
+  // to see or change, so it is never listed, edited or deleted here
+  user: {
+    query: (storage, scope, query) => storage.queryUserMemories({ ...query, userId: scope.userId, excludeSource: 'initial' }),
+    update: (storage, id, patch) => storage.updateUserMemory(id, patch),
+    remove: (storage, scope, ids) => storage.deleteUserMemories({ userId: scope.userId, ids })
+  }
+};
+
+// What Benn remembers, so users can see it and control it. With a chatId the actions work
+// on that conversation's memory fragments; without one, on the memories about the user
+// that are recalled in all of their chats. `pin` locks a memory's weight: consolidation
+// never fades, archives or merges it away (see lib/consolidation).
+async function handleMemories(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = authenticateRequest(req);
+  if (!session) {
+    return rejectUnauthenticated(res);
+  }
+
+  try {
+    const { action = 'list', chatId } = req.body;
+    const userId = session.userId;
+
+    const run = ACTIONS[action];
+    if (!run) {
+      return res.status(400).json({ error: 'Invalid action' });
+    }
+
+    const storage = await storageReady();
+
+    let scope = { tier: 'user', userId, chatId: null };
+    if (chatId !== undefined && chatId !== null) {
+      const conversation = await findOwnedConversation(storage, userId, chatId);
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      scope = { tier: 'conversation', userId, conversationId: conversation.conversation_id, chatId: chatIdFor(conversation) };
+    }
+
+    return await run(res, storage, scope, req.body);
+
+  } catch (error) {
+    console.error('Memories error:', error);
+    return res.status(500).json({
+      error: 'Failed to process memories request',
+      details: error.message
+    });
+  }
+}
+
+const ACTIONS = {
+  list: listMemories,
+  update: updateMemory,
+  pin: (res, storage, scope, body) => pinMemory(res, storage, scope, body, true),
+  unpin: (res, storage, scope, body) => pinMemory(res, storage, scope, body, false),
+  delete: deleteMemories
+};
+
+// ==================== LIST ====================
+
+async function listMemories(res, storage, scope, { fragmentType, tags, includeArchived = false, sort = 'weight', limit = DEFAULT_PAGE_SIZE }) {
+  if (!SORTS[sort]) {
+    return res.status(400).json({ error: `Invalid sort (expected one of: ${Object.keys(SORTS).join(', ')})` });
+  }
+  if (fragmentType !== undefined && typeof fragmentType !== 'string') {
+    return res.status(400).json({ error: 'Fragment type must be a string' });
+  }
+  if (tags !== undefined && !(Array.isArray(tags) && tags.every(t => typeof t === 'string'))) {
+    return res.status(400).json({ error: 'Tags must be a list of strings' });
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const rows = await TIERS[scope.tier].query(storage, scope, {
+    fragmentType: fragmentType || undefined,
+    tags: tags?.map(normalizeTag).filter(Boolean),
+    includeArchived: !!includeArchived,
+    ...SORTS[sort],
+    limit: pageSize + 1
+  });
+
+  return res.status(200).json({
+    success: true,
+    tier: scope.tier,
+    chatId: scope.chatId,
+    memories: rows.slice(0, pageSize).map(row => describeMemory(row, scope.tier)),
+    hasMore: rows.length > pageSize
+  });
+}
+
+// ==================== CHANGES ====================
+
+// Edits a memory's content, tags or weight, stamping it as edited by the user
+async function updateMemory(res, storage, scope, { memoryId, content, tags, weight }) {
+  const patch = {};
+
+  if (content !== undefined) {
+    const cleaned = typeof content === 'string' ? content.trim() : '';
+    if (!cleaned) {
+      return res.status(400).json({ error: 'Content must be a non-empty string' });
+    }
+    if (cleaned.length > MAX_CONTENT_LENGTH) {
+      return res.status(400).json({ error: `Content must be at most ${MAX_CONTENT_LENGTH} characters` });
+    }
+    patch.content = cleaned;
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || !tags.every(t => typeof t === 'string')) {
+      return res.status(400).json({ error: 'Tags must be a list of strings' });
+    }
+    patch.tags = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+    if (patch.tags.length > MAX_TAGS) {
+      return res.status(400).json({ error: `A memory can have at most ${MAX_TAGS} tags` });
+    }
+  }
+  if (weight !== undefined) {
+    if (!isValidWeight(weight)) {
+      return res.status(400).json({ error: 'Weight must be a number between 0 and 1' });
+    }
+    patch.weight = weight;
+  }
+  if (Object.keys(patch).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update (expected content, tags or weight)' });
+  }
+
+  const memory = await findMemory(storage, scope, memoryId);
+  if (!memory) {
+    return res.status(404).json({ error: 'Memory not found' });
+  }
+
+  return await saveMemory(res, storage, scope, memory, {
+    ...patch,
+    metadata: { ...memory.metadata, editedAt: new Date().toISOString() }
+  });
+}
+
+// Pinning locks the weight (optionally setting it first) and brings an archived memory back
+async function pinMemory(res, storage, scope, { memoryId, weight }, pinned) {
+  if (pinned && weight !== undefined && !isValidWeight(weight)) {
+    return res.status(400).json({ error: 'Weight must be a number between 0 and 1' });
+  }
+
+  const memory = await findMemory(storage, scope, memoryId);
+  if (!memory) {
+    return res.status(404).json({ error: 'Memory not found' });
+  }
+
+  const patch = {
+    metadata: { ...memory.metadata, pinned, pinnedAt: pinned ? new Date().toISOString() : null }
+  };
+  if (pinned) {
+    patch.archived_at = null;
+    if (weight !== undefined) patch.weight = weight;
+  }
+
+  return await saveMemory(res, storage, scope, memory, patch);
+}
+
+async function deleteMemories(res, storage, scope, { memoryId, memoryIds }) {
+  const requested = Array.isArray(memoryIds) ? memoryIds : [memoryId];
+  if (requested.length === 0 || !requested.every(id => typeof id === 'string' && id)) {
+    return res.status(400).json({ error: 'Memory ID is required' });
+  }
+  if (requested.length > MAX_DELETE_IDS) {
+    return res.status(400).json({ error: `At most ${MAX_DELETE_IDS} memories can be deleted at once` });
+  }
+
+  const ids = (await TIERS[scope.tier].query(storage, scope, { ids: requested, includeArchived: true })).map(m => m.id);
+  if (ids.length === 0) {
+    return res.status(404).json({ error: 'Memory not found' });
+  }
+
+  await TIERS[scope.tier].remove(storage, scope, ids);
+
+  return res.status(200).json({
+    success: true,
+    tier: scope.tier,
+    chatId: scope.chatId,
+    deleted: ids
+  });
+}
+
+// ==================== HELPERS ====================
+
+// Only finds memories in the caller's scope, so another user's ids read as missing
+async function findMemory(storage, scope, memoryId) {
+  if (typeof memoryId !== 'string' || !memoryId) return null;
+
+  const [memory] = await TIERS[scope.tier].query(storage, scope, { ids: [memoryId], includeArchived: true });
+  return memory || null;
+}
+
+async function saveMemory(res, storage, scope, memory, patch) {
+  const updated = await TIERS[scope.tier].update(storage, memory.id, patch);
+
+  return res.status(200).json({
+    success: true,
+    tier: scope.tier,
+    chatId: scope.chatId,
+    memory: describeMemory(updated, scope.tier)
+  });
+}
+
+function describeMemory(row, tier) {
+  return {
+    id: row.id,
+    tier,
+    type: row.fragment_type,
+    content: row.content,
+    tags: row.tags || [],
+    weight: row.weight,
+    accessedCount: row.accessed_count || 0,
+    lastAccessed: row.last_accessed,
+    createdAt: row.created_at,
+    pinned: row.metadata?.pinned === true,
+    archived: !!row.archived_at,
+    edited: !!row.metadata?.editedAt,
+    source: row.metadata?.source || 'learned'
+  };
+}
+
+function isValidWeight(weight) {
+  return typeof weight === 'number' && weight >= 0 && weight <= 1;
+}
+
+module.exports = handleMemories;
@@ -0,0 +1,469 @@
+const crypto = require('crypto');
+const { storageReady } = require('../../lib/storage');
+const { authenticateRequest, rejectUnauthenticated, chatIdFor, findOwnedConversation } = require('../../lib/auth');
+const {
+  AdvancedConversationStateManager,
+  generateQuantumBennResponse,
+  buildResponseMetadata
+} = require('../chat');
+const { restoreWindowDays, restoreDeadline, canRestore } = require('../../lib/retention');
+
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_REPLY_VERSIONS = 10;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+async function handleMessages(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = authenticateRequest(req);
+  if (!session) {
+    return rejectUnauthenticated(res);
+  }
+
+  try {
+    const { chatId, action = 'load' } = req.body;
+    const userId = session.userId;
+
+    if (!chatId) {
+      return res.status(400).json({ error: 'Chat ID is required' });
+    }
+
+    const storage = await storageReady();
+
+    // Every action below is scoped to a conversation the caller owns
+    const conversation = await findOwnedConversation(storage, userId, chatId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    const conversationId = conversation.conversation_id;
+
+    if (action === 'load') {
+      return await loadMessages(res, storage, conversation, req.body);
+    }
+
+    if (action === 'delete') {
+      // Children first, so a failure leaves the conversation visible for a retry
+      try {
+        await storage.deleteMessages(conversationId);
+        await storage.deleteMemoryFragments({ conversationId });
+      } catch (deleteError) {
+        console.error('Error deleting messages:', deleteError);
+        return res.status(500).json({ error: 'Failed to delete messages' });
+      }
+
+      try {
+        await storage.deleteConversation(conversationId, { userId });
+      } catch (conversationError) {
+        console.error('Error deleting conversation:', conversationError);
+        return res.status(500).json({ error: 'Failed to delete conversation' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        userId: userId,
+        chatId: chatId,
+        message: 'Conversation and messages deleted successfully'
+      });
+    }
+
+    if (TURN_ACTIONS[action]) {
+      return await TURN_ACTIONS[action](res, storage, conversation, req.body);
+    }
+
+    if (DELETION_ACTIONS[action]) {
+      return await DELETION_ACTIONS[action](res, storage, conversation, req.body);
+    }
+
+    return res.status(400).json({ error: 'Invalid action' });
+
+  } catch (error) {
+    console.error('Messages error:', error);
+    if (error.code === 'STATE_CONFLICT') {
+      return res.status(409).json({ error: 'Conversation was updated by another request', code: error.code });
+    }
+    return res.status(500).json({ 
+      error: 'Failed to process messages request',
+      details: error.message 
+    });
+  }
+}
+
+// ==================== PAGING ====================
+
+// Pages run newest first: without a cursor `load` returns the latest messages, `before`
+// walks back into older history and `after` catches up on anything newer. Each page is in
+// chronological order, and the ids of its first and last messages are the next cursors.
+async function loadMessages(res, storage, conversation, { before, after, limit, includeDeleted = false }) {
+  if (before && after) {
+    return res.status(400).json({ error: 'Use either before or after, not both' });
+  }
+  if ((before && typeof before !== 'string') || (after && typeof after !== 'string')) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const conversationId = conversation.conversation_id;
+
+  let page;
+  let total;
+  try {
+    // One extra row tells us whether another page exists
+    page = await storage.listMessages(conversationId, {
+      limit: pageSize + 1,
+      ascending: !!after,
+      before,
+      after,
+      includeDeleted
+    });
+    total = await storage.countMessages(conversationId);
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    return res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+
+  const hasMore = page.length > pageSize;
+  page = page.slice(0, pageSize);
+  if (!after) page.reverse();
+
+  // Past the restore window a message is as good as gone, even before the purge runs
+  const messages = page.filter(m => !m.deleted_at || canRestore(m));
+  const first = page[0];
+  const last = page[page.length - 1];
+
+  return res.status(200).json({
+    success: true,
+    userId: conversation.user_id,
+    chatId: chatIdFor(conversation),
+    messages: messages,
+    count: messages.length,
+    total: total,
+    hasOlder: after ? true : hasMore,
+    hasNewer: after ? hasMore : !!before,
+    cursors: {
+      before: first ? first.id : null,
+      after: last ? last.id : null
+    },
+    restoreWindowDays: restoreWindowDays()
+  });
+}
+
+// ==================== TURNS ====================
+
+// A turn is a user message and Benn's reply to it. Redoing one rewinds Benn's state to
+// just before it and takes back the memories the superseded messages produced.
+const TURN_ACTIONS = {
+  regenerate: regenerateReply,
+  edit: editMessage,
+  version: selectVersion
+};
+
+// Answers a user message again. The new reply becomes the active version of the old one;
+// earlier versions are kept so the user can switch back.
+async function regenerateReply(res, storage, conversation, { messageId }) {
+  const messages = await storage.listMessages(conversation.conversation_id, { ascending: true });
+  const index = messages.findIndex(m => m.id === messageId && m.role === 'user');
+  if (index === -1) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  const { history, userMessage, reply, later } = turnAt(messages, index);
+  if (!reply && later.length > 0) {
+    return res.status(400).json({ error: 'This message has no reply to regenerate' });
+  }
+
+  // The reply being replaced is not drawn on while its successor is generated
+  const stateManager = await openState(storage, conversation);
+  const forgotten = reply
+    ? await stateManager.memoriesFrom([reply.id])
+    : { fragmentIds: [], userMemoryIds: [] };
+  forget(stateManager, forgotten);
+
+  stateManager.rewindTo(history);
+  const response = await generateQuantumBennResponse(userMessage.content, stateManager, 'chat');
+
+  let replyRow;
+  if (reply) {
+    const versions = [...(reply.metadata?.versions || [versionOf(reply)])];
+    versions.push({ content: response.text, ...stateManager.replyMetadata(response.attribution) });
+    const kept = versions.slice(-MAX_REPLY_VERSIONS);
+    replyRow = { ...reply, content: response.text, metadata: withActiveVersion(reply.metadata, kept, kept.length - 1) };
+  } else {
+    replyRow = newReplyRow(stateManager, response);
+  }
+
+  const committed = await stateManager.storeRedoneTurn({
+    history: [...history, userMessage, replyRow],
+    messages: reply ? [] : [replyRow],
+    messageUpdates: reply ? [{ id: reply.id, content: replyRow.content, metadata: replyRow.metadata }] : [],
+    deleted: forgotten,
+    fragments: stateManager.replyMemories(replyRow),
+    attribution: response.attribution,
+    // Only the latest turn carries the conversation forward. An earlier turn's alternative
+    // was generated from the state as it stood then, and later turns still build on the original.
+    advance: later.length === 0
+  });
+  const [updatedReply] = reply ? committed.updatedMessages : committed.messages;
+  stateManager.lastMessageIds = { user: userMessage.id, benn: updatedReply.id };
+
+  return res.status(200).json({
+    success: true,
+    chatId: stateManager.chatId,
+    messages: [userMessage, updatedReply],
+    response: response.text,
+    metadata: buildResponseMetadata(response, stateManager)
+  });
+}
+
+// Rewrites a user message and answers it afresh. Everything after it belonged to the old
+// wording, so those messages and the memories drawn from them are removed.
+async function editMessage(res, storage, conversation, { messageId, content }) {
+  const text = typeof content === 'string' ? content.trim() : '';
+  if (!text) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return res.status(400).json({ error: 'Message too long' });
+  }
+
+  const stored = await storage.listMessages(conversation.conversation_id, { ascending: true, includeDeleted: true });
+  const messages = stored.filter(m => !m.deleted_at);
+  const index = messages.findIndex(m => m.id === messageId && m.role === 'user');
+  if (index === -1) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  const { history, userMessage, reply, later } = turnAt(messages, index);
+  const supersededIds = [reply, ...later].filter(Boolean).map(m => m.id);
+  // Deleted messages after the edit could no longer be restored into a sensible place
+  const discardedIds = stored
+    .slice(stored.findIndex(m => m.id === userMessage.id) + 1)
+    .filter(m => m.deleted_at)
+    .map(m => m.id);
+
+  const stateManager = await openState(storage, conversation);
+  const forgotten = await stateManager.memoriesFrom([userMessage.id, ...supersededIds], { since: userMessage.created_at });
+  forget(stateManager, forgotten);
+
+  stateManager.rewindTo(history);
+  const analysis = stateManager.analyzeMessage(text);
+  const response = await generateQuantumBennResponse(text, stateManager, 'chat');
+
+  // Nothing of the old turn is removed unless its replacement is stored with it
+  const editedRow = {
+    ...userMessage,
+    content: text,
+    metadata: { ...userMessage.metadata, analysis, editedAt: new Date().toISOString() }
+  };
+  const replyRow = newReplyRow(stateManager, response);
+  const committed = await stateManager.storeRedoneTurn({
+    history: [...history, editedRow, replyRow],
+    messages: [replyRow],
+    messageUpdates: [{ id: userMessage.id, content: editedRow.content, metadata: editedRow.metadata }],
+    deleted: { ...forgotten, messageIds: [...supersededIds, ...discardedIds] },
+    fragments: [...stateManager.messageMemories(editedRow, analysis), ...stateManager.replyMemories(replyRow)],
+    userMemories: stateManager.personalMemories(editedRow, analysis),
+    attribution: response.attribution,
+    resummarize: true
+  });
+  const [editedMessage] = committed.updatedMessages;
+  const [newReply] = committed.messages;
+  stateManager.lastMessageIds = { user: editedMessage.id, benn: newReply.id };
+
+  return res.status(200).json({
+    success: true,
+    chatId: stateManager.chatId,
+    messages: [editedMessage, newReply],
+    removedIds: supersededIds,
+    response: response.text,
+    metadata: buildResponseMetadata(response, stateManager)
+  });
+}
+
+// Switches a reply to one of its earlier versions
+async function selectVersion(res, storage, conversation, { messageId, version }) {
+  const messages = await storage.listMessages(conversation.conversation_id, { ascending: true });
+  const index = messages.findIndex(m => m.id === messageId && m.role === 'benn');
+  if (index === -1) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  const reply = messages[index];
+  const versions = reply.metadata?.versions || [];
+  const target = Number(version);
+  if (!Number.isInteger(target) || target < 0 || target >= versions.length) {
+    return res.status(400).json({ error: 'Invalid version' });
+  }
+
+  const replyRow = {
+    ...reply,
+    content: versions[target].content,
+    metadata: withActiveVersion(reply.metadata, versions, target)
+  };
+
+  const stateManager = await openState(storage, conversation);
+  // On the latest turn Benn carries on in the mood of the chosen reply
+  if (index === messages.length - 1 && versions[target].stateSnapshot) {
+    Object.assign(stateManager.state, versions[target].stateSnapshot);
+  }
+
+  // What Benn took from the reply follows the version on show
+  const committed = await stateManager.storeRevisedMessages({
+    history: messages.map(m => (m.id === reply.id ? replyRow : m)),
+    messageUpdates: [{ id: reply.id, content: replyRow.content, metadata: replyRow.metadata }],
+    deleted: await stateManager.memoriesFrom([reply.id]),
+    fragments: stateManager.replyMemories(replyRow)
+  });
+
+  return res.status(200).json({
+    success: true,
+    chatId: chatIdFor(conversation),
+    messages: committed.updatedMessages
+  });
+}
+
+// ==================== DELETION ====================
+
+// Deleting hides a message for the restore window before the purge job removes it for good.
+// Either way the memories drawn from it go at once, and come back if it is restored.
+const DELETION_ACTIONS = {
+  deleteMessage,
+  restoreMessage
+};
+
+async function deleteMessage(res, storage, conversation, { messageId, messageIds, permanent = false }) {
+  const ids = requestedIds(messageId, messageIds);
+  if (ids.length === 0) {
+    return res.status(400).json({ error: 'Message ID is required' });
+  }
+
+  const messages = await storage.listMessages(conversation.conversation_id, { ascending: true, includeDeleted: true });
+  const targets = messages.filter(m => ids.includes(m.id));
+  if (targets.length !== ids.length) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  // The messages, the memories drawn from them and their place in Benn's short-term memory
+  // go in one commit
+  const stateManager = await openState(storage, conversation);
+  const deletedAt = new Date().toISOString();
+  const forgotten = await stateManager.memoriesFrom(ids);
+  await stateManager.storeRevisedMessages({
+    history: messages.filter(m => !m.deleted_at && !ids.includes(m.id)),
+    messageUpdates: permanent ? [] : targets.filter(m => !m.deleted_at).map(m => ({ id: m.id, deleted_at: deletedAt })),
+    deleted: permanent ? { ...forgotten, messageIds: ids } : forgotten
+  });
+
+  if (permanent) {
+    return res.status(200).json({
+      success: true,
+      chatId: chatIdFor(conversation),
+      deletedIds: ids,
+      permanent: true
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    chatId: chatIdFor(conversation),
+    deletedIds: ids,
+    restoreUntil: restoreDeadline(deletedAt)
+  });
+}
+
+async function restoreMessage(res, storage, conversation, { messageId, messageIds }) {
+  const ids = requestedIds(messageId, messageIds);
+  if (ids.length === 0) {
+    return res.status(400).json({ error: 'Message ID is required' });
+  }
+
+  const messages = await storage.listMessages(conversation.conversation_id, { ascending: true, includeDeleted: true });
+  const targets = messages.filter(m => ids.includes(m.id) && m.deleted_at);
+  if (targets.length !== ids.length) {
+    return res.status(404).json({ error: 'Deleted message not found' });
+  }
+  if (!targets.every(m => canRestore(m))) {
+    return res.status(410).json({ error: 'The restore window has passed' });
+  }
+
+  const stateManager = await openState(storage, conversation);
+  const history = messages
+    .map(m => (ids.includes(m.id) ? { ...m, deleted_at: null } : m))
+    .filter(m => !m.deleted_at);
+  const memories = history.filter(m => ids.includes(m.id)).map(row => stateManager.memoriesOf(row));
+  const committed = await stateManager.storeRevisedMessages({
+    history,
+    messageUpdates: targets.map(m => ({ id: m.id, deleted_at: null })),
+    fragments: memories.flatMap(m => m.fragments),
+    userMemories: memories.flatMap(m => m.userMemories)
+  });
+
+  return res.status(200).json({
+    success: true,
+    chatId: chatIdFor(conversation),
+    messages: committed.updatedMessages
+  });
+}
+
+function requestedIds(messageId, messageIds) {
+  const ids = Array.isArray(messageIds) ? messageIds : [messageId];
+  return [...new Set(ids.filter(id => typeof id === 'string' && id))];
+}
+
+function turnAt(messages, userIndex) {
+  const next = messages[userIndex + 1];
+  const reply = next && next.role === 'benn' ? next : null;
+
+  return {
+    history: messages.slice(0, userIndex),
+    userMessage: messages[userIndex],
+    reply,
+    later: messages.slice(userIndex + (reply ? 2 : 1))
+  };
+}
+
+async function openState(storage, conversation) {
+  const stateManager = new AdvancedConversationStateManager(conversation.user_id, chatIdFor(conversation), storage);
+  await stateManager.loadOrInitialize();
+  return stateManager;
+}
+
+// Keeps the memories a redone turn takes back out of its new reply (see storeRedoneTurn)
+function forget(stateManager, { fragmentIds, userMemoryIds }) {
+  for (const id of [...fragmentIds, ...userMemoryIds]) stateManager.forgotten.add(id);
+}
+
+// Ids are assigned up front so the reply's memories can name it
+function newReplyRow(stateManager, response) {
+  return {
+    id: crypto.randomUUID(),
+    conversation_id: stateManager.conversationId,
+    role: 'benn',
+    content: response.text,
+    metadata: stateManager.replyMetadata(response.attribution),
+    created_at: new Date().toISOString()
+  };
+}
+
+// A reply stored before versions existed becomes version 0
+function versionOf(reply) {
+  return {
+    content: reply.content,
+    emotionalState: reply.metadata?.emotionalState || null,
+    stateSnapshot: reply.metadata?.stateSnapshot || null,
+    attribution: reply.metadata?.attribution || null,
+    feedback: reply.metadata?.feedback || null,
+    timestamp: reply.metadata?.timestamp || reply.created_at
+  };
+}
+
+// The reply's top-level metadata always describes the version on show, including
+// what produced it and how it was rated
+function withActiveVersion(metadata, versions, index) {
+  const { content, ...active } = versions[index];
+  return { ...metadata, attribution: null, feedback: null, ...active, versions, activeVersion: index };
+}
+
+module.exports = handleMessages;
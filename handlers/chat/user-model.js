@@ -0,0 +1,79 @@
+const { storageReady } = require('../../lib/storage');
+const { authenticateRequest, rejectUnauthenticated, chatIdFor, findOwnedConversation } = require('../../lib/auth');
+const { describeUserModel, validateCorrection, correctUserModel, resetUserModel } = require('../../lib/user-model');
+const { AdvancedConversationStateManager } = require('../chat');
+
+const ACTIONS = ['get', 'correct', 'reset'];
+
+// What Benn has learned about the user in a conversation (see lib/user-model), so they
+// can see it and put it right: `correct` sets or forgets interests and forgets feelings
+// or rating preferences, and `reset` has Benn start learning afresh.
+async function handleUserModel(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = authenticateRequest(req);
+  if (!session) {
+    return rejectUnauthenticated(res);
+  }
+
+  try {
+    const { chatId, action = 'get' } = req.body;
+
+    if (!chatId) {
+      return res.status(400).json({ error: 'Chat ID is required' });
+    }
+    if (!ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Invalid action' });
+    }
+
+    const correction = {
+      interests: req.body.interests,
+      emotions: req.body.emotions,
+      responseTypes: req.body.responseTypes
+    };
+    if (action === 'correct') {
+      const problems = validateCorrection(correction);
+      if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid correction', problems });
+      }
+    }
+
+    const storage = await storageReady();
+    const conversation = await findOwnedConversation(storage, session.userId, chatId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const stateManager = new AdvancedConversationStateManager(conversation.user_id, chatIdFor(conversation), storage);
+    await stateManager.loadOrInitialize();
+    const { userModel } = stateManager.state;
+
+    if (action === 'correct') {
+      correctUserModel(userModel, correction);
+      await stateManager.saveState();
+    } else if (action === 'reset') {
+      resetUserModel(userModel);
+      await stateManager.saveState();
+    }
+
+    return res.status(200).json({
+      success: true,
+      chatId: chatIdFor(conversation),
+      userModel: describeUserModel(userModel)
+    });
+
+  } catch (error) {
+    console.error('User model error:', error);
+    if (error.code === 'STATE_CONFLICT') {
+      return res.status(409).json({ error: 'Conversation was updated by another request', code: error.code });
+    }
+    return res.status(500).json({
+      error: 'Failed to process user model request',
+      details: error.message
+    });
+  }
+}
+
+module.exports = handleUserModel;
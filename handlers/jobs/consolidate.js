@@ -0,0 +1,35 @@
+// Grand's Stories API - Consolidation Job
+// Run daily by Vercel Cron; merges duplicate memories, fades unrecalled ones and archives
+// the faintest (see lib/consolidation), for a batch of conversations a run.
+// `?dryRun=1` reports what would change without changing it.
+
+const { storageReady } = require('../../lib/storage');
+const { isCronRequest } = require('../../lib/auth');
+const { consolidateAllMemories } = require('../../lib/consolidation');
+
+async function handleConsolidate(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const storage = await storageReady();
+    const report = await consolidateAllMemories(storage, { dryRun: isDryRun(req) });
+
+    return res.status(200).json({ success: true, ...report });
+  } catch (error) {
+    console.error('Consolidation error:', error);
+    return res.status(500).json({ error: 'Failed to consolidate memories' });
+  }
+}
+
+function isDryRun(req) {
+  const value = req.query?.dryRun ?? req.body?.dryRun;
+  return value === true || value === '1' || value === 'true';
+}
+
+module.exports = handleConsolidate;
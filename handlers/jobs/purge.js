@@ -0,0 +1,33 @@
+// Grand's Stories API - Purge Job
+// Run daily by Vercel Cron; hard-deletes messages whose restore window has passed
+
+const { storageReady } = require('../../lib/storage');
+const { isCronRequest } = require('../../lib/auth');
+const { purgeExpiredMessages, restoreWindowDays } = require('../../lib/retention');
+
+async function handlePurge(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const storage = await storageReady();
+    const { purged, before } = await purgeExpiredMessages(storage);
+
+    return res.status(200).json({
+      success: true,
+      purged,
+      before,
+      restoreWindowDays: restoreWindowDays()
+    });
+  } catch (error) {
+    console.error('Purge error:', error);
+    return res.status(500).json({ error: 'Failed to purge deleted messages' });
+  }
+}
+
+module.exports = handlePurge;
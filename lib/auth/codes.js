@@ -0,0 +1,114 @@
+// Grand's Stories API - One-Time Login Codes
+// Codes are six digits, stored only as a salted scrypt hash, expire after a few minutes
+// and are burned after too many wrong guesses. An address can only be sent so many codes,
+// and a new code never buys more guesses.
+
+const crypto = require('crypto');
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+// At most MAX_CODE_REQUESTS codes per address in any REQUEST_WINDOW_MS, at least
+// REQUEST_INTERVAL_MS apart. Wrong guesses count against the address for the window too.
+const MAX_CODE_REQUESTS = 5;
+const REQUEST_WINDOW_MS = 60 * 60 * 1000;
+const REQUEST_INTERVAL_MS = 60 * 1000;
+
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+function generateCode() {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+}
+
+function hashCode(code, salt) {
+  return crypto.scryptSync(code, salt, 32).toString('hex');
+}
+
+// Throws an error with code LOGIN_CODE_THROTTLED (and retryAfterSeconds) when the address
+// has been sent too many codes lately
+async function createLoginCode(storage, email) {
+  const normalized = normalizeEmail(email);
+  const now = Date.now();
+  const since = new Date(now - REQUEST_WINDOW_MS).toISOString();
+
+  // Codes older than the window no longer count against the address
+  await storage.deleteLoginCodes(normalized, { before: since });
+  const recent = await storage.listLoginCodes(normalized, { since });
+
+  const retryAfterMs = throttledFor(recent, now);
+  if (retryAfterMs > 0) {
+    const error = new Error('Too many login codes requested');
+    error.code = 'LOGIN_CODE_THROTTLED';
+    error.retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+    throw error;
+  }
+
+  const code = generateCode();
+  const salt = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(now + CODE_TTL_MS).toISOString();
+
+  // Only the newest code for an address is ever valid, and it inherits the wrong guesses
+  // made against the one before it
+  await storage.createLoginCode({
+    email: normalized,
+    code_hash: hashCode(code, salt),
+    salt,
+    attempts: recent[0]?.attempts || 0,
+    expires_at: expiresAt
+  });
+
+  return { code, expiresAt };
+}
+
+// How long until the address may be sent another code, or 0 if it may now
+function throttledFor(recent, now) {
+  const issuedAt = row => new Date(row.created_at).getTime();
+
+  if (recent.length >= MAX_CODE_REQUESTS) {
+    return issuedAt(recent[MAX_CODE_REQUESTS - 1]) + REQUEST_WINDOW_MS - now;
+  }
+  if (recent.length > 0) {
+    return issuedAt(recent[0]) + REQUEST_INTERVAL_MS - now;
+  }
+  return 0;
+}
+
+// Returns { valid, reason }
+async function verifyLoginCode(storage, email, code) {
+  const normalized = normalizeEmail(email);
+  const record = await storage.getLatestLoginCode(normalized);
+
+  if (!record) {
+    return { valid: false, reason: 'No login code requested for this email' };
+  }
+
+  // Spent codes are kept until they leave the request window, so their attempts still count
+  if (new Date(record.expires_at).getTime() <= Date.now()) {
+    return { valid: false, reason: 'Login code expired' };
+  }
+
+  if (record.attempts >= MAX_ATTEMPTS) {
+    return { valid: false, reason: 'Too many attempts' };
+  }
+
+  const expected = Buffer.from(record.code_hash, 'hex');
+  const actual = Buffer.from(hashCode(String(code || '').trim(), record.salt), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await storage.updateLoginCode(record.id, { attempts: record.attempts + 1 });
+    return { valid: false, reason: 'Invalid login code' };
+  }
+
+  await storage.deleteLoginCodes(normalized);
+  return { valid: true };
+}
+
+module.exports = {
+  CODE_TTL_MS,
+  MAX_ATTEMPTS,
+  MAX_CODE_REQUESTS,
+  normalizeEmail,
+  createLoginCode,
+  verifyLoginCode
+};
@@ -0,0 +1,68 @@
+// Grand's Stories API - Authentication
+// Handlers call authenticateRequest() and trust only the token, never a userId in the body
+
+const crypto = require('crypto');
+const { issueToken, verifyToken } = require('./tokens');
+const { normalizeEmail, createLoginCode, verifyLoginCode } = require('./codes');
+const { getTransport, setTransport } = require('./transports');
+const {
+  isValidChatId,
+  conversationIdFor,
+  chatIdFor,
+  ownsConversation,
+  findOwnedConversation
+} = require('./ownership');
+
+// A hash of the whole normalized address, so two addresses never share an id and the id
+// is the one the sign-in code was checked against. Ids from before sign-in codes are moved
+// over explicitly (see legacy).
+function userIdForEmail(email) {
+  const digest = crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex');
+  return `user_${digest.substring(0, 24)}`;
+}
+
+function readBearerToken(req) {
+  const header = req.headers?.authorization || req.headers?.Authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : null;
+}
+
+// Returns { userId, email, expiresAt } or null
+function authenticateRequest(req) {
+  return verifyToken(readBearerToken(req));
+}
+
+function rejectUnauthenticated(res) {
+  res.setHeader('WWW-Authenticate', 'Bearer');
+  return res.status(401).json({ error: 'Authentication required' });
+}
+
+// Scheduled jobs are called by Vercel Cron with `Authorization: Bearer $CRON_SECRET`;
+// without a secret they stay closed
+function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(req.headers?.authorization || req.headers?.Authorization || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+  userIdForEmail,
+  authenticateRequest,
+  rejectUnauthenticated,
+  isCronRequest,
+  issueToken,
+  verifyToken,
+  normalizeEmail,
+  createLoginCode,
+  verifyLoginCode,
+  getTransport,
+  setTransport,
+  isValidChatId,
+  conversationIdFor,
+  chatIdFor,
+  ownsConversation,
+  findOwnedConversation
+};
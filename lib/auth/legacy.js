@@ -0,0 +1,45 @@
+// Grand's Stories API - Legacy User Ids
+// Before sign-in codes, a user id was the first 20 characters of the base64 of the address
+// as typed: about its first 15 characters, so 'grandpa.benn@gmail.com' and
+// 'grandpa.benn@gmail.evil.test' shared one. Sign-in never trusts those ids. An operator
+// moves each known user's conversations to their new id instead (scripts/migrate-user-ids.js).
+
+const { userIdForEmail, normalizeEmail } = require('./index');
+
+function legacyUserIdForEmail(email) {
+  return `user_${Buffer.from(String(email).trim()).toString('base64').replace(/[^a-zA-Z0-9]/g, '').substring(0, 20)}`;
+}
+
+// Moves the rows of each address's legacy id to the id it signs in with now. Addresses are
+// matched as they were typed back then. A legacy id that more than one listed address maps
+// to can't be told apart, so it is left for the operator to sort out.
+// Returns { migrated: [{ email, from, to, conversations }], skipped: [{ email, from, reason }] }
+async function migrateLegacyUsers(storage, emails) {
+  const byLegacyId = new Map();
+  for (const email of emails) {
+    const legacyId = legacyUserIdForEmail(email);
+    byLegacyId.set(legacyId, [...(byLegacyId.get(legacyId) || []), email]);
+  }
+
+  const report = { migrated: [], skipped: [] };
+  for (const [legacyId, addresses] of byLegacyId) {
+    const distinct = [...new Set(addresses.map(normalizeEmail))];
+    if (distinct.length > 1) {
+      for (const email of distinct) {
+        report.skipped.push({ email, from: legacyId, reason: `shares its legacy id with ${distinct.filter(e => e !== email).join(', ')}` });
+      }
+      continue;
+    }
+
+    const [email] = distinct;
+    const userId = userIdForEmail(email);
+    const conversations = await storage.reassignUser(legacyId, userId);
+    report.migrated.push({ email, from: legacyId, to: userId, conversations });
+  }
+  return report;
+}
+
+module.exports = {
+  legacyUserIdForEmail,
+  migrateLegacyUsers
+};
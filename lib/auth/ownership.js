@@ -0,0 +1,42 @@
+// Grand's Stories API - Conversation Ownership
+// Clients only ever see a chatId; storage keys conversations as `${userId}_${chatId}`,
+// so one user's chatId can never name another user's conversation.
+
+const CHAT_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+function isValidChatId(chatId) {
+  return typeof chatId === 'string' && CHAT_ID_PATTERN.test(chatId);
+}
+
+function conversationIdFor(userId, chatId) {
+  return `${userId}_${chatId}`;
+}
+
+// Inverse of conversationIdFor() for rows coming back from storage
+function chatIdFor(conversation) {
+  const prefix = `${conversation.user_id}_`;
+  return conversation.conversation_id.startsWith(prefix)
+    ? conversation.conversation_id.substring(prefix.length)
+    : conversation.conversation_id;
+}
+
+function ownsConversation(userId, conversation) {
+  return !!conversation && conversation.user_id === userId;
+}
+
+// Returns the caller's conversation row, or null. A row owned by someone else is
+// reported exactly like a missing one so ids can't be probed.
+async function findOwnedConversation(storage, userId, chatId) {
+  if (!isValidChatId(chatId)) return null;
+
+  const conversation = await storage.getConversation(conversationIdFor(userId, chatId));
+  return ownsConversation(userId, conversation) ? conversation : null;
+}
+
+module.exports = {
+  isValidChatId,
+  conversationIdFor,
+  chatIdFor,
+  ownsConversation,
+  findOwnedConversation
+};
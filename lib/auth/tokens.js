@@ -0,0 +1,84 @@
+// Grand's Stories API - Signed Session Tokens
+// Compact HMAC-SHA256 tokens: base64url(payload).base64url(signature)
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+let ephemeralSecret = null;
+
+// Vercel runs several instances; a secret each made up for itself would end sessions at random
+function isLocal() {
+  return !process.env.VERCEL && process.env.NODE_ENV !== 'production';
+}
+
+function getSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+
+  if (!isLocal()) {
+    throw new Error('AUTH_SECRET must be set to sign and verify sessions');
+  }
+
+  // Local development and tests only: sessions will not survive a restart
+  if (!ephemeralSecret) {
+    ephemeralSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('AUTH_SECRET is not set; using a temporary secret. Sessions end when the process restarts.');
+  }
+  return ephemeralSecret;
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function issueToken({ userId, email }, { ttlSeconds = Number(process.env.AUTH_TOKEN_TTL) || DEFAULT_TTL_SECONDS } = {}) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = {
+    sub: userId,
+    email,
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds
+  };
+
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return {
+    token: `${encoded}.${sign(encoded, getSecret())}`,
+    expiresAt: new Date(payload.exp * 1000).toISOString()
+  };
+}
+
+// Returns { userId, email, expiresAt } or null for anything forged, malformed or expired
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [encoded, signature, extra] = token.split('.');
+  if (!encoded || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(encoded, getSecret()));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload.sub || typeof payload.exp !== 'number' || payload.exp * 1000 <= Date.now()) {
+    return null;
+  }
+
+  return {
+    userId: payload.sub,
+    email: payload.email,
+    expiresAt: new Date(payload.exp * 1000).toISOString()
+  };
+}
+
+module.exports = {
+  issueToken,
+  verifyToken
+};
@@ -0,0 +1,56 @@
+// Grand's Stories API - One-Time Code Delivery
+// A transport is any object with `async send({ email, code, expiresAt })`.
+// AUTH_CODE_TRANSPORT picks a built-in one ('console' | 'file'); setTransport() plugs in others (email, SMS).
+
+const fs = require('fs');
+const path = require('path');
+
+class ConsoleTransport {
+  async send({ email, code, expiresAt }) {
+    console.log(`[auth] Login code for ${email}: ${code} (expires ${expiresAt})`);
+  }
+}
+
+class FileTransport {
+  constructor({ filename = process.env.AUTH_CODE_FILE || path.join(process.cwd(), 'data', 'login-codes.log') } = {}) {
+    this.filename = filename;
+  }
+
+  async send({ email, code, expiresAt }) {
+    await fs.promises.mkdir(path.dirname(this.filename), { recursive: true });
+    await fs.promises.appendFile(
+      this.filename,
+      `${new Date().toISOString()}\t${email}\t${code}\texpires ${expiresAt}\n`
+    );
+  }
+}
+
+const TRANSPORTS = {
+  console: () => new ConsoleTransport(),
+  file: () => new FileTransport()
+};
+
+let activeTransport = null;
+
+function getTransport() {
+  if (!activeTransport) {
+    const name = process.env.AUTH_CODE_TRANSPORT || 'console';
+    const create = TRANSPORTS[name];
+    if (!create) {
+      throw new Error(`Unknown login code transport "${name}" (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+    activeTransport = create();
+  }
+  return activeTransport;
+}
+
+function setTransport(transport) {
+  activeTransport = transport;
+}
+
+module.exports = {
+  ConsoleTransport,
+  FileTransport,
+  getTransport,
+  setTransport
+};
@@ -0,0 +1,280 @@
+// Grand's Stories API - Memory Consolidation
+// Keeps memory from filling up with noise: near-duplicate fragments are merged into one that
+// counts for more, fragments Benn never recalls fade, and the faintest are archived.
+
+// Token overlap (Jaccard) at which two fragments of the same type are taken as one memory.
+// "User interest in: family" and "User interest in: family, war" (0.8) stay apart.
+const DUPLICATE_SIMILARITY = 0.85;
+// Weight a kept fragment gains for each duplicate merged into it
+const MERGE_BOOST = 0.05;
+// Fragments are left alone for this long before an unrecalled one starts to fade...
+const DECAY_GRACE_DAYS = 7;
+// ...after which its weight halves every this many days
+const DECAY_HALF_LIFE_DAYS = 30;
+// Below this weight a fragment is archived: kept, but no longer recalled
+const ARCHIVE_THRESHOLD = 0.1;
+
+// The scheduled job takes this many conversations a run, the longest unconsolidated first,
+// so every conversation comes round in turn without one run having to read them all...
+const CONVERSATIONS_PER_RUN = 200;
+// ...and stops starting new ones after this long, well inside its 60 second limit
+const RUN_BUDGET_MS = 40 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Benn's seeded story never fades; it is who he is. Nor does anything the user pinned.
+function isExempt(fragment) {
+  return fragment.metadata?.source === 'initial' || isPinned(fragment);
+}
+
+// A pinned fragment's weight is locked (see handlers/chat/memories): it is never merged away
+function isPinned(fragment) {
+  return fragment.metadata?.pinned === true;
+}
+
+// ==================== PLANNING ====================
+
+// Works out what consolidating one scope's fragments (a conversation's, or a user's) would
+// change, without changing anything. Returns { merges, decays, archives }:
+//   merges   - { keep, drop, patch }: `drop` fragments fold into `keep`, which takes `patch`
+//   decays   - { fragment, patch } for unrecalled fragments losing weight
+//   archives - { fragment, patch } for fragments that fell below ARCHIVE_THRESHOLD
+function planConsolidation(fragments, { now = new Date() } = {}) {
+  const nowMs = new Date(now).getTime();
+  const stamp = new Date(nowMs).toISOString();
+  const merges = [];
+  const decays = [];
+  const archives = [];
+
+  const survivors = [];
+  for (const [keep, ...drop] of duplicateGroups(fragments.filter(f => !f.archived_at))) {
+    const patch = drop.length > 0 ? mergePatch(keep, drop) : {};
+    if (drop.length > 0) merges.push({ keep, drop, patch });
+    survivors.push({ fragment: keep, patch });
+  }
+
+  for (const survivor of survivors) {
+    const { fragment } = survivor;
+    if (isExempt(fragment)) continue;
+
+    let weight = survivor.patch.weight ?? fragment.weight;
+    const decayed = decayedWeight({ ...fragment, ...survivor.patch }, nowMs);
+    if (decayed !== null) {
+      const patch = { weight: decayed, metadata: { ...(survivor.patch.metadata || fragment.metadata), decayedAt: stamp } };
+      decays.push({ fragment, from: weight, patch });
+      weight = decayed;
+    }
+
+    if (weight < ARCHIVE_THRESHOLD) {
+      archives.push({ fragment, weight, patch: { archived_at: stamp } });
+    }
+  }
+
+  return { merges, decays, archives };
+}
+
+// Fragments grouped with their near-duplicates, strongest first in each group: the one
+// kept is pinned, then the weightiest, then the most recalled, then the oldest. A pinned
+// fragment only ever heads its own group.
+function duplicateGroups(fragments) {
+  const ranked = [...fragments].sort((a, b) =>
+    isPinned(b) - isPinned(a) ||
+    b.weight - a.weight ||
+    (b.accessed_count || 0) - (a.accessed_count || 0) ||
+    String(a.created_at).localeCompare(String(b.created_at))
+  );
+
+  const groups = [];
+  for (const fragment of ranked) {
+    const tokens = tokenize(fragment.content);
+    const group = !isPinned(fragment) && groups.find(g =>
+      g.type === fragment.fragment_type && similarity(g.tokens, tokens) >= DUPLICATE_SIMILARITY
+    );
+    if (group) {
+      group.members.push(fragment);
+    } else {
+      groups.push({ type: fragment.fragment_type, tokens, members: [fragment] });
+    }
+  }
+  return groups.map(g => g.members);
+}
+
+// The kept fragment absorbs its duplicates' recall history, tags and sources. Every source
+// message is remembered so deleting any of them still takes the memory (see memoriesFrom).
+function mergePatch(keep, drop) {
+  const all = [keep, ...drop];
+  const sources = new Set();
+  for (const fragment of all) {
+    if (fragment.metadata?.sourceMessageId) sources.add(fragment.metadata.sourceMessageId);
+    for (const id of fragment.metadata?.sourceMessageIds || []) sources.add(id);
+  }
+
+  return {
+    weight: isPinned(keep) ? keep.weight : round(Math.min(1, keep.weight + MERGE_BOOST * drop.length)),
+    accessed_count: all.reduce((sum, f) => sum + (f.accessed_count || 0), 0),
+    last_accessed: all.map(f => f.last_accessed).filter(Boolean).sort().pop() || keep.last_accessed,
+    tags: [...new Set(all.flatMap(f => f.tags || []))],
+    metadata: {
+      ...keep.metadata,
+      ...(sources.size > 0 ? { sourceMessageIds: [...sources] } : {}),
+      mergedCount: all.reduce((sum, f) => sum + (f.metadata?.mergedCount || 1), 0)
+    }
+  };
+}
+
+// A never-recalled fragment's weight once it has faded for the time since it was formed or
+// last faded, or null if it shouldn't fade (yet)
+function decayedWeight(fragment, nowMs) {
+  if (fragment.accessed_count > 0) return null;
+
+  const formed = Date.parse(fragment.last_accessed || fragment.created_at);
+  if (!(nowMs - formed > DECAY_GRACE_DAYS * DAY_MS)) return null;
+
+  const since = Date.parse(fragment.metadata?.decayedAt || fragment.last_accessed || fragment.created_at);
+  const days = (nowMs - since) / DAY_MS;
+  if (days <= 0) return null;
+
+  return round(fragment.weight * Math.pow(0.5, days / DECAY_HALF_LIFE_DAYS));
+}
+
+function tokenize(text) {
+  return new Set(String(text || '').toLowerCase().split(/[^a-z0-9']+/).filter(Boolean));
+}
+
+function similarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const token of a) if (b.has(token)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// ==================== APPLYING ====================
+
+// How each tier's rows are updated and deleted
+const TIERS = {
+  conversation: {
+    update: (storage, id, patch) => storage.updateMemoryFragment(id, patch),
+    remove: (storage, rows) => storage.deleteMemoryFragments({ conversationId: rows[0].conversation_id, ids: rows.map(r => r.id) })
+  },
+  user: {
+    update: (storage, id, patch) => storage.updateUserMemory(id, patch),
+    remove: (storage, rows) => storage.deleteUserMemories({ userId: rows[0].user_id, ids: rows.map(r => r.id) })
+  }
+};
+
+async function applyConsolidation(storage, tier, { merges, decays, archives }) {
+  const { update, remove } = TIERS[tier];
+
+  // A fragment can be merged into, decayed and archived in one run; its patches combine
+  const patches = new Map();
+  const patchFor = (fragment, patch) => patches.set(fragment.id, { ...patches.get(fragment.id), ...patch });
+  for (const { keep, patch } of merges) patchFor(keep, patch);
+  for (const { fragment, patch } of decays) patchFor(fragment, patch);
+  for (const { fragment, patch } of archives) patchFor(fragment, patch);
+
+  for (const { drop } of merges) await remove(storage, drop);
+  for (const [id, patch] of patches) await update(storage, id, patch);
+}
+
+// ==================== RUNNING ====================
+
+// Consolidates one conversation's fragments ({ conversationId }) or one user's memories
+// ({ userId }). With dryRun nothing is written; either way the report says what was (or
+// would be) done.
+async function consolidateMemories(storage, { conversationId, userId, dryRun = false, now = new Date() }) {
+  const tier = conversationId ? 'conversation' : 'user';
+  const fragments = conversationId
+    ? await storage.queryMemoryFragments({ conversationId })
+    : await storage.queryUserMemories({ userId });
+
+  const plan = planConsolidation(fragments, { now });
+  if (!dryRun) await applyConsolidation(storage, tier, plan);
+
+  return describePlan(plan, { tier, scope: conversationId || userId, examined: fragments.length, dryRun });
+}
+
+// The next batch of conversations' fragments, and their owners' memories, for the scheduled
+// job. Each conversation is stamped as it is done (unless dryRun), so the next run carries on
+// with the ones that have waited longest.
+async function consolidateAllMemories(storage, {
+  dryRun = false,
+  now = new Date(),
+  limit = CONVERSATIONS_PER_RUN,
+  budgetMs = RUN_BUDGET_MS
+} = {}) {
+  const started = Date.now();
+  const conversations = await storage.listConversationsToConsolidate({ limit });
+
+  const reports = [];
+  const users = new Set();
+  let scopes = 0;
+  let examined = 0;
+  let conversationsDone = 0;
+  const consolidate = async (scope) => {
+    const report = await consolidateMemories(storage, { ...scope, dryRun, now });
+    scopes++;
+    examined += report.examined;
+    if (report.merged + report.decayed + report.archived > 0) reports.push(report);
+  };
+
+  for (const conversation of conversations) {
+    if (Date.now() - started > budgetMs) break;
+
+    await consolidate({ conversationId: conversation.conversation_id });
+    if (!users.has(conversation.user_id)) {
+      users.add(conversation.user_id);
+      await consolidate({ userId: conversation.user_id });
+    }
+    if (!dryRun) {
+      await storage.updateConversation(conversation.conversation_id, { consolidated_at: new Date(now).toISOString() });
+    }
+    conversationsDone++;
+  }
+
+  return {
+    dryRun,
+    conversations: conversationsDone,
+    // Left for the next run when this one ran out of time
+    deferred: conversations.length - conversationsDone,
+    scopes,
+    examined,
+    merged: reports.reduce((sum, r) => sum + r.merged, 0),
+    decayed: reports.reduce((sum, r) => sum + r.decayed, 0),
+    archived: reports.reduce((sum, r) => sum + r.archived, 0),
+    reports
+  };
+}
+
+function describePlan({ merges, decays, archives }, { tier, scope, examined, dryRun }) {
+  return {
+    tier,
+    scope,
+    dryRun,
+    examined,
+    merged: merges.reduce((sum, m) => sum + m.drop.length, 0),
+    decayed: decays.length,
+    archived: archives.length,
+    merges: merges.map(({ keep, drop, patch }) => ({
+      keptId: keep.id,
+      mergedIds: drop.map(f => f.id),
+      content: keep.content,
+      weight: patch.weight
+    })),
+    decays: decays.map(({ fragment, from, patch }) => ({ id: fragment.id, content: fragment.content, from, to: patch.weight })),
+    archives: archives.map(({ fragment, weight }) => ({ id: fragment.id, content: fragment.content, weight }))
+  };
+}
+
+module.exports = {
+  DUPLICATE_SIMILARITY,
+  CONVERSATIONS_PER_RUN,
+  ARCHIVE_THRESHOLD,
+  planConsolidation,
+  applyConsolidation,
+  consolidateMemories,
+  consolidateAllMemories
+};
@@ -0,0 +1,402 @@
+// Grand's Stories API - Self-Disclosures
+// What users tell Benn about themselves: their name, the people in their life, where they
+// live, their work, dates that matter to them, and what they like and can't stand.
+
+// Each kind of disclosure is stored as a user memory of this fragment_type
+const DISCLOSURE_TYPES = ['name', 'relationship', 'place', 'occupation', 'date', 'like', 'dislike'];
+
+const FAMILY = [
+  'wife', 'husband', 'son', 'daughter', 'mother', 'mom', 'mum', 'father', 'dad', 'brother', 'sister',
+  'grandson', 'granddaughter', 'grandmother', 'grandma', 'grandfather', 'grandpa', 'granddad',
+  'aunt', 'uncle', 'cousin', 'niece', 'nephew', 'stepson', 'stepdaughter', 'son-in-law',
+  'daughter-in-law', 'fiance', 'fiancee', 'partner'
+];
+const FRIENDS = ['best friend', 'friend', 'boyfriend', 'girlfriend', 'neighbor', 'neighbour', 'boss'];
+const PETS = ['dog', 'cat', 'horse', 'parrot'];
+// Longest first so "son-in-law" isn't read as "son"
+const RELATIONS = [...FAMILY, ...FRIENDS, ...PETS].sort((a, b) => b.length - a.length);
+const RELATION_PATTERN = RELATIONS.map(r => r.replace('-', '\\-')).join('|');
+
+const OCCUPATIONS = [
+  'teacher', 'nurse', 'doctor', 'engineer', 'programmer', 'developer', 'farmer', 'student', 'lawyer',
+  'writer', 'artist', 'accountant', 'mechanic', 'carpenter', 'electrician', 'plumber', 'pilot', 'chef',
+  'cook', 'scientist', 'professor', 'librarian', 'soldier', 'police officer', 'firefighter', 'designer',
+  'manager', 'musician', 'pastor', 'secretary', 'salesman', 'saleswoman', 'machinist', 'welder',
+  'dentist', 'pharmacist', 'veterinarian', 'journalist', 'photographer', 'architect', 'baker',
+  'butcher', 'driver', 'truck driver', 'waiter', 'waitress', 'cashier', 'clerk', 'banker',
+  'homemaker', 'housewife', 'researcher', 'mathematician', 'physicist', 'chemist', 'translator'
+].sort((a, b) => b.length - a.length);
+
+const MONTHS = 'january|february|march|april|may|june|july|august|september|october|november|december';
+const DATE_PATTERN =
+  `(?:(?:${MONTHS})\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?` +
+  `|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?(?:${MONTHS})(?:,?\\s+\\d{4})?` +
+  `|(?:${MONTHS})(?:\\s+\\d{4})?` +
+  `|\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?` +
+  `|(?:19|20)\\d{2})`;
+
+// Capitalized words that follow "I'm" or "my son" without being a name
+const NOT_NAMES = new Set([
+  'i', 'im', 'not', 'just', 'so', 'sorry', 'fine', 'good', 'great', 'okay', 'ok', 'here', 'back', 'glad',
+  'very', 'really', 'going', 'still', 'sure', 'also', 'afraid', 'tired', 'happy', 'sad', 'well', 'interested',
+  'curious', 'always', 'never', 'retired', 'married', 'single', 'home', 'done', 'ready', 'new', 'old',
+  'american', 'english', 'british', 'canadian', 'australian', 'irish', 'scottish', 'welsh', 'french',
+  'german', 'italian', 'spanish', 'mexican', 'christian', 'catholic', 'jewish', 'muslim', 'he', 'she',
+  'it', 'this', 'that', 'they', 'who', 'what', 'and', 'but', 'is', 'was', 'benn', 'a', 'an', 'the', 'in',
+  'at', 'on', 'from', 'with', 'to', 'said', 'says', 'told', 'thinks',
+  ...MONTHS.split('|'), 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'
+]);
+
+// A relation followed by one of these is not followed by something about them ("my wife and I")
+const CONNECTIVES = new Set([
+  'and', 'or', 'but', 'to', 'of', 'for', 'with', 'about', 'in', 'at', 'on', 'from', 'when', 'because',
+  'so', 'if', 'as', 'i', 'we', 'you', 'too', 'again', 'back'
+]);
+
+// What can't be a like or dislike on its own ("I love that", "I like to think...")
+const VAGUE_SUBJECTS = /^(?:it|that|this|you|them|him|her|those|these|what|how|when|where|why|the way|the idea|to (?:think|say|believe|know|hear|imagine|see|ask|talk))\b/i;
+
+const PLACE_VERBS = [
+  ['used to live', 'lived'],
+  ['grew up', 'grew_up'],
+  ['was born', 'born'],
+  ['live', 'lives'],
+  ['lived', 'lived'],
+  ['moved', 'moved'],
+  ['am from', 'from'],
+  ["'m from", 'from'],
+  ['come from', 'from'],
+  ['came from', 'from']
+];
+
+// A capitalized first name, not followed by a possessive ("I'm Jake's mom")
+const NAME = "([A-Z][a-z]+(?:-[A-Z][a-z]+)?)\\b(?!['\u2019])";
+
+const MAX_DETAIL_WORDS = 12;
+const MAX_SUBJECT_WORDS = 8;
+
+// ==================== EXTRACTING ====================
+
+// Every self-disclosure in a user message, as { type, ...fields }:
+//   name         { name }
+//   relationship { relation, group ('family' | 'friends' | 'pets'), name, detail }
+//   place        { place, relation ('lives' | 'lived' | 'grew_up' | 'born' | 'moved' | 'from') }
+//   occupation   { occupation, employer, current }
+//   date         { event, date, whose ('user', a relation or a name) }
+//   like/dislike { subject, category (for "my favorite song is...") }
+// Names, relations' names and places are only picked up when capitalized, so "I'm tired"
+// never makes the user "Tired".
+function extractDisclosures(message) {
+  const text = String(message || '');
+  const found = new Map();
+  const add = disclosure => {
+    const key = disclosureKey(disclosure);
+    if (!found.has(key)) found.set(key, disclosure);
+  };
+
+  extractName(text, add);
+  extractRelationships(text, add);
+  extractDates(text, add);
+  extractPlaces(text, add);
+  extractOccupations(text, add);
+  extractPreferences(text, add);
+
+  return [...found.values()];
+}
+
+function extractName(text, add) {
+  // Even stated outright a name has to look like one: "call me tomorrow" is no introduction
+  const stated = new RegExp(`\\b(?:[Mm]y name(?:'s| is)|[Cc]all me)\\s+${NAME}`).exec(text);
+  if (stated && isName(stated[1])) {
+    return add({ type: 'name', name: stated[1] });
+  }
+
+  const introduced = new RegExp(`\\bI(?:'m| am)\\s+${NAME}`).exec(text) ||
+    new RegExp(`^(?:(?:hi|hello|hey)[,!]?\\s+)?[Tt]his is\\s+${NAME}`, 'i').exec(text.trim());
+  if (introduced && isName(introduced[1])) {
+    add({ type: 'name', name: introduced[1] });
+  }
+}
+
+function extractRelationships(text, add) {
+  // "Jake is my son"
+  const introduced = new RegExp(`${NAME}\\s+is\\s+my\\s+(${RELATION_PATTERN})\\b(?![-'])`, 'g');
+  const named = new Set();
+  for (const [, name, relation] of text.matchAll(introduced)) {
+    if (!isName(name)) continue;
+    add(relationship(relation, name, null));
+    named.add(relation.toLowerCase());
+  }
+
+  // "my son Jake plays trumpet", "my daughter is starting college"
+  const mine = new RegExp(
+    `\\bmy\\s+(?:(?:late|little|older|younger|big|baby|eldest|oldest|youngest|dear|twin)\\s+)?(${RELATION_PATTERN})\\b(?![-'])([^.!?;]*)`,
+    'gi'
+  );
+  for (const [, relation, rest] of text.matchAll(mine)) {
+    const called = new RegExp(`^\\s*,?\\s*(?:(?:named|called|is called|whose name is)\\s+)?${NAME}`).exec(rest);
+    const name = called && isName(called[1]) ? called[1] : null;
+    const detail = cleanDetail(name ? rest.slice(called[0].length) : rest);
+    // Nothing more than the mention that already introduced them
+    if (!name && !detail && named.has(relation.toLowerCase())) continue;
+    add(relationship(relation, name, detail));
+  }
+}
+
+function relationship(rawRelation, name, detail) {
+  const relation = rawRelation.toLowerCase();
+  const group = FAMILY.includes(relation) ? 'family' : PETS.includes(relation) ? 'pets' : 'friends';
+  return { type: 'relationship', relation, group, name, detail };
+}
+
+// "plays trumpet", "is starting college": what follows the relation up to the end of the clause
+function cleanDetail(rest) {
+  const clause = rest
+    .replace(/^[\s,]*(?:who|that|which)?\s*/i, '')
+    .split(/[,;:(]|\s+-\s+|\bbut\b|\band then\b/)[0]
+    .trim();
+  const words = clause.split(/\s+/).filter(Boolean);
+  if (words.length === 0 || words.length > MAX_DETAIL_WORDS) return null;
+  if (CONNECTIVES.has(words[0].toLowerCase())) return null;
+  return clause;
+}
+
+function extractDates(text, add) {
+  const events = 'wedding anniversary|anniversary|birthday|wedding|retirement|graduation';
+  const occasions = new RegExp(
+    `\\b(?:(?:my|our)\\s+(?:(${RELATION_PATTERN})'s\\s+)?|([A-Z][a-z]+)'s\\s+)(${events})\\s+(?:is|was|will be|falls)\\s+(?:on\\s+|in\\s+)?(${DATE_PATTERN})\\b`,
+    'gi'
+  );
+  for (const [, relation, name, event, date] of text.matchAll(occasions)) {
+    // The flag makes [A-Z] match lowercase too
+    if (name && !isName(name)) continue;
+    const whose = relation ? relation.toLowerCase() : name || 'user';
+    add({ type: 'date', event: event.toLowerCase(), date: tidyDate(date), whose });
+  }
+
+  const born = new RegExp(`\\bI was born (?:on|in)\\s+(${DATE_PATTERN})\\b`, 'i').exec(text);
+  if (born) add({ type: 'date', event: 'born', date: tidyDate(born[1]), whose: 'user' });
+
+  const married = new RegExp(`\\b(?:we|I) (?:got|were|was) married (?:on|in)\\s+(${DATE_PATTERN})\\b`, 'i').exec(text);
+  if (married) add({ type: 'date', event: 'married', date: tidyDate(married[1]), whose: 'user' });
+}
+
+function extractPlaces(text, add) {
+  for (const [verb, relation] of PLACE_VERBS) {
+    const pattern = new RegExp(
+      `\\bI${verb.startsWith("'") ? '' : '\\s+'}${verb}\\s+(?:(?:in|to|at|near|outside(?: of)?|out in|up in|down in)\\s+)?((?:[A-Z][\\w'-]*)(?:(?:\\s+|,\\s*)[A-Z][\\w'-]*)*)`,
+      'g'
+    );
+    for (const [, place] of text.matchAll(pattern)) {
+      // "born in March" is a date, not a place
+      if (new RegExp(`^(?:${MONTHS})\\b`, 'i').test(place)) continue;
+      add({ type: 'place', place, relation });
+    }
+  }
+}
+
+function extractOccupations(text, add) {
+  const occupations = OCCUPATIONS.join('|');
+
+  const worksAs = /\bI work as (a|an)\s+([a-z][a-z -]{1,40}?)(?=\s+(?:at|for|in)\b|[.,!?;]|$)/i.exec(text);
+  if (worksAs) add({ type: 'occupation', occupation: worksAs[2].toLowerCase(), employer: null, current: true });
+
+  const isA = new RegExp(`\\bI(?:'m| am)\\s+(?:a|an)\\s+(retired\\s+)?(${occupations})\\b`, 'i').exec(text);
+  if (isA) add({ type: 'occupation', occupation: isA[2].toLowerCase(), employer: null, current: !isA[1] });
+
+  const was = new RegExp(`\\bI (?:used to be|was) (?:a|an)\\s+(${occupations})\\b`, 'i').exec(text);
+  if (was) add({ type: 'occupation', occupation: was[1].toLowerCase(), employer: null, current: false });
+
+  const employer = /\bI (work|worked) (?:at|for)\s+([A-Z][\w&'-]*(?:\s+[A-Z][\w&'-]*)*)/.exec(text);
+  if (employer) add({ type: 'occupation', occupation: null, employer: employer[2], current: employer[1] === 'work' });
+}
+
+function extractPreferences(text, add) {
+  const likes = /\bI\s+(?:really\s+|absolutely\s+|just\s+|truly\s+|do\s+)?(?:love|like|enjoy|adore)\s+([^.!?;]+)/gi;
+  const dislikes = /\bI\s+(?:really\s+|absolutely\s+|just\s+|truly\s+)?(?:hate|dislike|detest|can't stand|cannot stand|don't like|do not like|don't enjoy|do not enjoy|don't care for)\s+([^.!?;]+)/gi;
+
+  for (const [, rest] of text.matchAll(likes)) {
+    const subject = cleanSubject(rest);
+    if (subject) add({ type: 'like', subject });
+  }
+  for (const [, rest] of text.matchAll(dislikes)) {
+    const subject = cleanSubject(rest);
+    if (subject) add({ type: 'dislike', subject });
+  }
+
+  const favorite = /\bmy favou?rite\s+([a-z][a-z ]{1,30}?)\s+(?:is|was|are|were)\s+([^.!?;,]+)/i.exec(text);
+  if (favorite) {
+    const subject = cleanSubject(favorite[2]);
+    if (subject) add({ type: 'like', subject, category: favorite[1].toLowerCase() });
+  }
+}
+
+function cleanSubject(rest) {
+  const subject = rest
+    .split(/,|\bbut\b|\bbecause\b|\bwhen\b|\bsince\b|\band (?:I|we|he|she|they)\b/i)[0]
+    .trim()
+    .replace(/^to\s+/i, '')
+    .replace(/\bmy\b/gi, 'their')
+    .replace(/\bme\b/gi, 'them');
+  const words = subject.split(/\s+/).filter(Boolean);
+  if (words.length === 0 || words.length > MAX_SUBJECT_WORDS || VAGUE_SUBJECTS.test(subject)) return null;
+  return subject;
+}
+
+// ==================== STORING ====================
+
+// A disclosure as a user memory: typed by fragment_type, readable in content, and with
+// its fields in metadata.disclosure
+function disclosureMemory(disclosure) {
+  const { type, ...fields } = disclosure;
+  return {
+    fragment_type: type,
+    content: describeDisclosure(disclosure),
+    weight: DISCLOSURE_WEIGHTS[type],
+    tags: disclosureTags(disclosure),
+    metadata: { disclosure: fields }
+  };
+}
+
+// How much each kind of disclosure counts for when it is recalled
+const DISCLOSURE_WEIGHTS = {
+  name: 0.95,
+  relationship: 0.85,
+  date: 0.8,
+  place: 0.7,
+  occupation: 0.7,
+  like: 0.6,
+  dislike: 0.6
+};
+
+const PLACE_PHRASES = {
+  lives: 'lives in',
+  lived: 'used to live in',
+  grew_up: 'grew up in',
+  born: 'was born in',
+  moved: 'moved to',
+  from: 'is from'
+};
+
+function describeDisclosure(disclosure) {
+  switch (disclosure.type) {
+    case 'name':
+      return `User's name is ${disclosure.name}`;
+    case 'relationship': {
+      const who = `User's ${disclosure.relation}${disclosure.name ? ` ${disclosure.name}` : ''}`;
+      if (disclosure.detail) return `${who} ${disclosure.detail}`;
+      return disclosure.name ? who : `User has a ${disclosure.relation}`;
+    }
+    case 'place':
+      return `User ${PLACE_PHRASES[disclosure.relation]} ${disclosure.place}`;
+    case 'occupation':
+      if (!disclosure.occupation) return `User ${disclosure.current ? 'works' : 'worked'} at ${disclosure.employer}`;
+      return `User ${disclosure.current ? 'works' : 'used to work'} as ${withArticle(disclosure.occupation)}`;
+    case 'date':
+      if (disclosure.event === 'born') return `User was born in ${disclosure.date}`;
+      if (disclosure.event === 'married') return `User got married in ${disclosure.date}`;
+      return `${possessive(disclosure.whose)} ${disclosure.event} is ${disclosure.date}`;
+    case 'like':
+      if (disclosure.category) return `User's favorite ${disclosure.category} is ${disclosure.subject}`;
+      return `User likes ${disclosure.subject}`;
+    case 'dislike':
+      return `User dislikes ${disclosure.subject}`;
+    default:
+      return `User mentioned: ${JSON.stringify(disclosure)}`;
+  }
+}
+
+function disclosureTags(disclosure) {
+  switch (disclosure.type) {
+    case 'name':
+      return ['name', 'user'];
+    case 'relationship':
+      return [disclosure.group, disclosure.relation, ...(disclosure.name ? [disclosure.name.toLowerCase()] : [])];
+    case 'place':
+      return ['place', disclosure.place.toLowerCase()];
+    case 'occupation':
+      return ['work', ...(disclosure.occupation ? [disclosure.occupation] : [])];
+    case 'date':
+      return ['date', disclosure.event];
+    default:
+      return [disclosure.type];
+  }
+}
+
+// ==================== RECALLING ====================
+
+function isDisclosure(memory) {
+  return DISCLOSURE_TYPES.includes(memory.fragment_type) && !!memory.metadata?.disclosure;
+}
+
+// What the user's stored disclosures add up to: the name they last gave, and each person
+// they've mentioned once (with the latest detail), least recently brought up first so Benn
+// asks after someone different each time
+function summarizeDisclosures(memories) {
+  const disclosures = memories
+    .filter(isDisclosure)
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+
+  const named = disclosures.find(m => m.fragment_type === 'name');
+  const people = new Map();
+  for (const memory of disclosures.filter(m => m.fragment_type === 'relationship')) {
+    const { relation, name, detail } = memory.metadata.disclosure;
+    const key = `${relation}:${(name || '').toLowerCase()}`;
+    if (people.has(key)) {
+      // An older mention can still fill in what the latest one left out
+      const person = people.get(key);
+      if (!person.detail && detail) person.detail = detail;
+      continue;
+    }
+    people.set(key, { relation, name, detail, memoryId: memory.id, lastAccessed: memory.last_accessed });
+  }
+
+  return {
+    name: named ? named.metadata.disclosure.name : null,
+    nameMemoryId: named ? named.id : null,
+    people: [...people.values()]
+      // Someone with a name is worth asking after; "a friend" on their own is not
+      .filter(person => person.name)
+      .sort((a, b) => String(a.lastAccessed).localeCompare(String(b.lastAccessed)))
+  };
+}
+
+// ==================== HELPERS ====================
+
+function disclosureKey(disclosure) {
+  const { type, ...fields } = disclosure;
+  if (type === 'relationship') return `${type}:${fields.relation}:${(fields.name || '').toLowerCase()}`;
+  return `${type}:${JSON.stringify(fields).toLowerCase()}`;
+}
+
+function isName(word) {
+  if (!word || word.length < 2 || NOT_NAMES.has(word.toLowerCase())) return false;
+  return /^[A-Z]/.test(word);
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+function tidyDate(date) {
+  return date.replace(/\s+/g, ' ').replace(new RegExp(`\\b(?:${MONTHS})\\b`, 'gi'), capitalize);
+}
+
+function possessive(whose) {
+  if (whose === 'user') return "User's";
+  if (RELATIONS.includes(whose)) return `User's ${whose}'s`;
+  return `${whose}'s`;
+}
+
+function withArticle(noun) {
+  return `${/^[aeiou]/i.test(noun) ? 'an' : 'a'} ${noun}`;
+}
+
+module.exports = {
+  DISCLOSURE_TYPES,
+  extractDisclosures,
+  disclosureMemory,
+  describeDisclosure,
+  isDisclosure,
+  summarizeDisclosures
+};
@@ -0,0 +1,153 @@
+// Grand's Stories API - Shared Middleware
+// Signature: async (req, res, next) => {}
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// ==================== RESPONSE HELPERS ====================
+
+// Vercel decorates res with status()/json()/send(); plain Node http does not
+function responseHelpers() {
+  return async (req, res, next) => {
+    if (typeof res.status !== 'function') {
+      res.status = (code) => {
+        res.statusCode = code;
+        return res;
+      };
+    }
+
+    if (typeof res.json !== 'function') {
+      res.json = (body) => {
+        if (!res.getHeader('Content-Type')) {
+          res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        }
+        res.end(JSON.stringify(body));
+        return res;
+      };
+    }
+
+    if (typeof res.send !== 'function') {
+      res.send = (body) => {
+        if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+          return res.json(body);
+        }
+        res.end(body);
+        return res;
+      };
+    }
+
+    return next();
+  };
+}
+
+// ==================== CORS ====================
+
+function cors() {
+  return async (req, res, next) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+    res.setHeader(
+      'Access-Control-Allow-Headers',
+      'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Authorization, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+    );
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+
+    return next();
+  };
+}
+
+// ==================== JSON BODY PARSING ====================
+
+function jsonBody({ limit = MAX_BODY_BYTES } = {}) {
+  return async (req, res, next) => {
+    // Vercel has already parsed the body for us
+    if (req.body !== undefined) {
+      if (typeof req.body === 'string' && isJson(req)) {
+        try {
+          req.body = req.body.length > 0 ? JSON.parse(req.body) : {};
+        } catch (error) {
+          return res.status(400).json({ error: 'Invalid JSON body' });
+        }
+      }
+      return next();
+    }
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      req.body = {};
+      return next();
+    }
+
+    let raw;
+    try {
+      raw = await readBody(req, limit);
+    } catch (error) {
+      if (error.code === 'BODY_TOO_LARGE') {
+        return res.status(413).json({ error: 'Request body too large' });
+      }
+      throw error;
+    }
+
+    if (raw.length === 0) {
+      req.body = {};
+      return next();
+    }
+
+    if (!isJson(req)) {
+      req.body = raw;
+      return next();
+    }
+
+    try {
+      req.body = JSON.parse(raw);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+
+    return next();
+  };
+}
+
+function isJson(req) {
+  const contentType = req.headers?.['content-type'] || '';
+  return contentType === '' || contentType.includes('application/json');
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+
+      size += chunk.length;
+      if (size > limit) {
+        // Keep draining so the 413 can still be written back
+        tooLarge = true;
+        chunks.length = 0;
+        const error = new Error('Request body too large');
+        error.code = 'BODY_TOO_LARGE';
+        reject(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (!tooLarge) resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = {
+  responseHelpers,
+  cors,
+  jsonBody
+};
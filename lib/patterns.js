@@ -0,0 +1,81 @@
+// Grand's Stories API - Generative Pattern Learning
+// Tracks how often each template, grammar rule and knowledge item shapes a reply, and how
+// users rate the replies they and recalled memories produce, in the generative_patterns table.
+
+const NEUTRAL_SCORE = 0.5;
+// Ratings' worth of neutral prior: one vote nudges a pattern, a run of them moves it
+const PRIOR_WEIGHT = 4;
+
+const RATINGS = ['up', 'down'];
+
+// Every pattern that produced a reply, as [pattern_type, key] pairs. The key goes in the
+// table's template column.
+function patternKeys(attribution) {
+  if (!attribution) return [];
+
+  const keys = [];
+  if (attribution.templateId) keys.push(['template', attribution.templateId]);
+  if (attribution.grammarRule) keys.push(['grammar', attribution.grammarRule]);
+  if (attribution.knowledgeId) keys.push(['knowledge', attribution.knowledgeId]);
+  for (const id of attribution.sources || []) keys.push(['memory', id]);
+  return keys;
+}
+
+function scoreKey(patternType, key) {
+  return `${patternType}:${key}`;
+}
+
+// Smoothed share of thumbs-up; unrated patterns sit at NEUTRAL_SCORE
+function successScore({ up = 0, down = 0 } = {}) {
+  return (up + NEUTRAL_SCORE * PRIOR_WEIGHT) / (up + down + PRIOR_WEIGHT);
+}
+
+// What incrementGenerativePatterns smooths success_score with, the same prior as successScore
+const PRIOR = { score: NEUTRAL_SCORE, weight: PRIOR_WEIGHT };
+
+// Memories aren't counted here: a recalled memory's own row counts its recalls (see
+// markRecalled), and a row per memory per turn would grow the table without bound. A memory
+// only gets a pattern row once a reply it produced is rated.
+async function recordUsage(storage, attribution) {
+  const keys = patternKeys(attribution).filter(([patternType]) => patternType !== 'memory');
+  if (keys.length === 0) return;
+
+  await storage.incrementGenerativePatterns(keys, { usage: 1 }, PRIOR);
+}
+
+// Moves each pattern's tally from the reply's previous rating (if any) to the new one
+// (null clears it), so changing your mind doesn't count twice.
+async function recordRating(storage, attribution, { previous = null, rating = null } = {}) {
+  if (previous === rating) return;
+
+  const keys = patternKeys(attribution);
+  if (keys.length === 0) return;
+
+  const counts = {};
+  if (previous) counts[previous] = -1;
+  if (rating) counts[rating] = 1;
+  await storage.incrementGenerativePatterns(keys, counts, PRIOR);
+}
+
+// Success scores by scoreKey, for the patterns among `keys` that anyone has rated
+async function loadSuccessScores(storage, keys) {
+  const scores = new Map();
+  if (keys.length === 0) return scores;
+
+  for (const pattern of await storage.findGenerativePatterns(keys)) {
+    if (!pattern.metadata?.up && !pattern.metadata?.down) continue;
+    scores.set(scoreKey(pattern.pattern_type, pattern.template), pattern.success_score);
+  }
+  return scores;
+}
+
+module.exports = {
+  RATINGS,
+  NEUTRAL_SCORE,
+  patternKeys,
+  scoreKey,
+  successScore,
+  recordUsage,
+  recordRating,
+  loadSuccessScores
+};
@@ -0,0 +1,32 @@
+// Grand's Stories API - Message Retention
+// Deleted messages stay restorable for a window of days; the purge job removes them after that
+
+const DEFAULT_RESTORE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// MESSAGE_RESTORE_DAYS=0 turns the window off: deleted messages go at the next purge
+function restoreWindowDays() {
+  const days = Number(process.env.MESSAGE_RESTORE_DAYS);
+  return process.env.MESSAGE_RESTORE_DAYS && Number.isFinite(days) && days >= 0 ? days : DEFAULT_RESTORE_DAYS;
+}
+
+function restoreDeadline(deletedAt, days = restoreWindowDays()) {
+  return new Date(Date.parse(deletedAt) + days * DAY_MS).toISOString();
+}
+
+function canRestore(message, now = new Date()) {
+  return !!message.deleted_at && restoreDeadline(message.deleted_at) > now.toISOString();
+}
+
+async function purgeExpiredMessages(storage, { now = new Date(), days = restoreWindowDays() } = {}) {
+  const before = new Date(now.getTime() - days * DAY_MS).toISOString();
+  const purged = await storage.purgeDeletedMessages(before);
+  return { purged, before };
+}
+
+module.exports = {
+  restoreWindowDays,
+  restoreDeadline,
+  canRestore,
+  purgeExpiredMessages
+};
@@ -0,0 +1,338 @@
+// Grand's Stories API - Memory Retrieval
+// Finds the memories most like what is being talked about without any outside service: a BM25
+// index over each fragment's content and tags, blended with small vectors computed locally
+// from word pieces so "programming" still finds "programmer".
+
+// BM25 term-frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Size of the hashed word-piece vectors, and the share of a match's relevance they decide
+const VECTOR_DIMENSIONS = 256;
+const VECTOR_WEIGHT = 0.3;
+// Recent messages count for half as much as the one being answered
+const CONTEXT_WEIGHT = 0.5;
+// Below this a search result is noise rather than a match
+const MIN_RELEVANCE = 0.15;
+// Indexes kept warm per storage; the least recently used scope is dropped beyond this
+const MAX_CACHED_INDEXES = 200;
+// A warm index asks for rows written since its watermark less this, so a write stamped a
+// little before one already seen (by a slow transaction, or another server's clock) is not missed
+const SYNC_OVERLAP_MS = 60 * 1000;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be',
+  'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has',
+  'have', 'he', 'her', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+  'just', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'out', 'she', 'so', 'some',
+  'than', 'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this', 'to', 'up',
+  'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will',
+  'with', 'would', 'you', 'your'
+]);
+
+// ==================== TEXT ====================
+
+function words(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => !STOP_WORDS.has(word) && (word.length > 1 || /\d/.test(word)));
+}
+
+const SUFFIXES = ['ings', 'ing', 'ers', 'er', 'ed', 'es', 's'];
+
+// A light suffix stripper, so "computers", "computer" and "computing" share a term. It only
+// has to be consistent, not linguistically right.
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  let root = word;
+  if (root.endsWith('ies')) {
+    root = `${root.slice(0, -3)}y`;
+  } else if (!/(?:ss|us|is)$/.test(root)) {
+    const suffix = SUFFIXES.find(s => root.endsWith(s) && root.length - s.length >= 3);
+    if (suffix) {
+      root = root.slice(0, -suffix.length);
+      // "programm" -> "program", "stopp" -> "stop"
+      if (/([^aeiouls])\1$/.test(root)) root = root.slice(0, -1);
+    }
+  }
+
+  // "love", "loves" and "loved" -> "lov"
+  return root.length > 3 ? root.replace(/e$/, '') : root;
+}
+
+function tokenize(text) {
+  return words(text).map(stem);
+}
+
+// What a fragment is indexed on: what it says and what it was tagged with
+function documentText(row) {
+  return `${row.content || ''} ${(row.tags || []).join(' ')}`;
+}
+
+// Changes whenever a row's indexed text does, so edited fragments are indexed again
+function signatureOf(row) {
+  return documentText(row);
+}
+
+// ==================== VECTORS ====================
+
+// FNV-1a; stable across processes, so a vector means the same thing everywhere
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Each word and its three-letter pieces, hashed into a fixed number of signed dimensions.
+// Words that share pieces ("married", "marriage") point the same way.
+function addToVector(vector, text, weight) {
+  for (const word of words(text)) {
+    const pieces = [word];
+    const padded = `#${word}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) pieces.push(padded.slice(i, i + 3));
+
+    for (const piece of pieces) {
+      const h = hash(piece);
+      vector[h % VECTOR_DIMENSIONS] += (h & 0x80000000 ? -1 : 1) * weight * (piece === word ? 1 : 0.5);
+    }
+  }
+  return vector;
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  if (length === 0) return null;
+  return vector.map(v => v / length);
+}
+
+function embed(text) {
+  return normalize(addToVector(new Array(VECTOR_DIMENSIONS).fill(0), text, 1));
+}
+
+function cosine(a, b) {
+  if (!a || !b) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+// ==================== INDEX ====================
+
+// One scope's fragments (a conversation's, or a user's), indexed as they are inserted.
+// Each document keeps its row, so a warm index answers a search without reading storage.
+class MemoryIndex {
+  constructor() {
+    this.docs = new Map();
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+    // Set once load() has read the whole scope; the latest updated_at synced since
+    this.loaded = false;
+    this.watermark = null;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  row(id) {
+    return this.docs.get(id)?.row;
+  }
+
+  // Indexes a row, or indexes it again if its content or tags changed. Returns whether
+  // anything was (re)indexed.
+  add(row) {
+    if (!row?.id) return false;
+
+    const signature = signatureOf(row);
+    const existing = this.docs.get(row.id);
+    if (existing?.signature === signature) {
+      existing.row = row;
+      return false;
+    }
+    if (existing) this.remove(row.id);
+
+    const terms = new Map();
+    const tokens = tokenize(documentText(row));
+    for (const term of tokens) terms.set(term, (terms.get(term) || 0) + 1);
+    for (const term of terms.keys()) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+
+    this.docs.set(row.id, { row, terms, length: tokens.length, signature, vector: embed(documentText(row)) });
+    this.totalLength += tokens.length;
+    return true;
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return false;
+
+    for (const term of doc.terms.keys()) {
+      const count = this.documentFrequency.get(term) - 1;
+      if (count > 0) this.documentFrequency.set(term, count);
+      else this.documentFrequency.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.docs.delete(id);
+    return true;
+  }
+
+  // Brings the index in line with the scope's stored rows: new and edited rows are indexed,
+  // rows deleted or archived since are dropped, and everything else is left alone
+  sync(rows) {
+    const stored = new Set();
+    for (const row of rows) {
+      stored.add(row.id);
+      this.add(row);
+    }
+    for (const id of [...this.docs.keys()]) {
+      if (!stored.has(id)) this.remove(id);
+    }
+    return this;
+  }
+
+  // Syncs with every stored row of the scope, after which apply() can keep it current
+  load(rows) {
+    this.sync(rows);
+    this.loaded = true;
+    this.watermark = latestUpdate(rows, null);
+    return this;
+  }
+
+  // Takes in the rows written since the watermark (see since()), archived ones included:
+  // those are dropped, the rest (re)indexed. Deleted rows aren't among them, so the caller
+  // reloads the index when it holds more rows than the scope does.
+  apply(rows) {
+    for (const row of rows) {
+      if (row.archived_at) this.remove(row.id);
+      else this.add(row);
+    }
+    this.watermark = latestUpdate(rows, this.watermark);
+    return this;
+  }
+
+  // The updatedSince to ask storage for, or undefined for everything
+  since() {
+    if (!this.watermark) return undefined;
+    return new Date(Date.parse(this.watermark) - SYNC_OVERLAP_MS).toISOString();
+  }
+}
+
+function latestUpdate(rows, watermark) {
+  return rows.reduce((latest, row) =>
+    row.updated_at && (!latest || Date.parse(row.updated_at) > Date.parse(latest)) ? row.updated_at : latest,
+  watermark);
+}
+
+// ==================== SEARCH ====================
+
+// What to look for: topic terms and the message being answered count in full, recent
+// messages for CONTEXT_WEIGHT
+function buildQuery({ terms = [], message = '', context = [] } = {}) {
+  const weights = new Map();
+  const weigh = (text, weight) => {
+    for (const term of tokenize(text)) weights.set(term, Math.max(weights.get(term) || 0, weight));
+  };
+  weigh(terms.join(' '), 1);
+  weigh(message, 1);
+  weigh(context.join(' '), CONTEXT_WEIGHT);
+
+  const vector = new Array(VECTOR_DIMENSIONS).fill(0);
+  addToVector(vector, `${terms.join(' ')} ${message}`, 1);
+  addToVector(vector, context.join(' '), CONTEXT_WEIGHT);
+
+  return { weights, vector: normalize(vector) };
+}
+
+function isEmptyQuery(query) {
+  return !query || query.weights.size === 0;
+}
+
+// Scores the documents of several indexes as one collection (the conversation's and the
+// user's fragments compete on the same terms). Relevance is BM25, scaled so the best match
+// scores 1, blended with vector similarity. Returns [{ id, relevance }], best first.
+//   limit     - how many to return
+//   excludeId  - a fragment never to return (the one associations are found for)
+//   excludeIds - a Set of fragments never to return (ones the user had Benn forget)
+//   ids        - only score these; every one is returned, matching or not
+function searchIndexes(indexes, query, { limit = 10, excludeId, excludeIds, ids } = {}) {
+  const count = indexes.reduce((sum, index) => sum + index.size, 0);
+  if (count === 0 || isEmptyQuery(query)) return [];
+
+  const averageLength = indexes.reduce((sum, index) => sum + index.totalLength, 0) / count || 1;
+  const idf = new Map();
+  for (const term of query.weights.keys()) {
+    const frequency = indexes.reduce((sum, index) => sum + (index.documentFrequency.get(term) || 0), 0);
+    if (frequency > 0) idf.set(term, Math.log(1 + (count - frequency + 0.5) / (frequency + 0.5)));
+  }
+
+  const scored = [];
+  for (const index of indexes) {
+    for (const [id, doc] of index.docs) {
+      if (id === excludeId || excludeIds?.has(id) || (ids && !ids.has(id))) continue;
+
+      let lexical = 0;
+      for (const [term, termIdf] of idf) {
+        const frequency = doc.terms.get(term);
+        if (!frequency) continue;
+        const saturation = frequency * (BM25_K1 + 1) /
+          (frequency + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength));
+        lexical += query.weights.get(term) * termIdf * saturation;
+      }
+      scored.push({ id, lexical, semantic: Math.max(0, cosine(query.vector, doc.vector)) });
+    }
+  }
+
+  const best = Math.max(0, ...scored.map(s => s.lexical));
+  const results = scored.map(({ id, lexical, semantic }) => ({
+    id,
+    relevance: round((1 - VECTOR_WEIGHT) * (best > 0 ? lexical / best : 0) + VECTOR_WEIGHT * semantic)
+  }));
+
+  return results
+    .filter(result => ids || result.relevance >= MIN_RELEVANCE)
+    .sort((a, b) => b.relevance - a.relevance)
+    .slice(0, ids ? undefined : limit);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// ==================== CACHE ====================
+
+// Indexes live as long as their storage does; a scope is `${tier}:${id}`
+const cache = new WeakMap();
+
+// The index for one scope, created empty on first use (sync fills it)
+function memoryIndex(storage, tier, scope) {
+  if (!cache.has(storage)) cache.set(storage, new Map());
+  const indexes = cache.get(storage);
+  const key = `${tier}:${scope}`;
+
+  const index = indexes.get(key) || new MemoryIndex();
+  indexes.delete(key);
+  indexes.set(key, index);
+  if (indexes.size > MAX_CACHED_INDEXES) indexes.delete(indexes.keys().next().value);
+
+  return index;
+}
+
+// Adds a just-inserted row to its scope's index, if that index is warm. A cold one is built
+// from storage the next time it is searched.
+function indexInserted(storage, tier, scope, row) {
+  cache.get(storage)?.get(`${tier}:${scope}`)?.add(row);
+}
+
+module.exports = {
+  MemoryIndex,
+  tokenize,
+  embed,
+  buildQuery,
+  isEmptyQuery,
+  searchIndexes,
+  memoryIndex,
+  indexInserted
+};
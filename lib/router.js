@@ -0,0 +1,131 @@
+// Grand's Stories API - Request Router
+// Route table + middleware chain shared by the Vercel entry point and the local Node server
+
+// ==================== ROUTER ====================
+
+class Router {
+  constructor() {
+    this.middleware = [];
+    this.routes = [];
+  }
+
+  use(middleware) {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  route(method, path, handler) {
+    const methods = (Array.isArray(method) ? method : [method]).map(m => m.toUpperCase());
+    const { pattern, keys } = this.compilePath(path);
+
+    this.routes.push({ methods, path, pattern, keys, handler });
+    return this;
+  }
+
+  get(path, handler) {
+    return this.route('GET', path, handler);
+  }
+
+  post(path, handler) {
+    return this.route('POST', path, handler);
+  }
+
+  compilePath(path) {
+    const keys = [];
+    const source = this.normalizePath(path)
+      .split('/')
+      .map(segment => {
+        if (segment.startsWith(':')) {
+          keys.push(segment.slice(1));
+          return '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('/');
+
+    return { pattern: new RegExp(`^${source}$`), keys };
+  }
+
+  normalizePath(path) {
+    const trimmed = (path || '/').split('?')[0].replace(/\/+$/, '');
+    return trimmed === '' ? '/' : trimmed;
+  }
+
+  match(method, path) {
+    const normalized = this.normalizePath(path);
+    const allowed = new Set();
+
+    for (const route of this.routes) {
+      const match = route.pattern.exec(normalized);
+      if (!match) continue;
+
+      if (route.methods.includes(method)) {
+        const params = {};
+        route.keys.forEach((key, i) => {
+          params[key] = decodeURIComponent(match[i + 1]);
+        });
+        return { route, params, allowed: route.methods };
+      }
+
+      route.methods.forEach(m => allowed.add(m));
+    }
+
+    return { route: null, params: {}, allowed: Array.from(allowed) };
+  }
+
+  async handle(req, res) {
+    let index = 0;
+
+    const next = async () => {
+      const layer = this.middleware[index++];
+      if (layer) {
+        return layer(req, res, next);
+      }
+      return this.dispatch(req, res);
+    };
+
+    try {
+      await next();
+    } catch (error) {
+      console.error('Router error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          error: 'Internal server error',
+          details: error.message
+        });
+      }
+    }
+  }
+
+  async dispatch(req, res) {
+    const url = new URL(req.url || '/', 'http://localhost');
+    const method = (req.method || 'GET').toUpperCase();
+    const { route, params, allowed } = this.match(method, url.pathname);
+
+    if (!route) {
+      if (allowed.length > 0) {
+        res.setHeader('Allow', allowed.join(', '));
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      return res.status(404).json({
+        error: 'Not found',
+        path: url.pathname
+      });
+    }
+
+    req.params = params;
+    if (!req.query) {
+      req.query = Object.fromEntries(url.searchParams.entries());
+    }
+
+    return route.handler(req, res);
+  }
+
+  // Plain (req, res) function usable by Vercel and http.createServer alike
+  handler() {
+    return (req, res) => this.handle(req, res);
+  }
+}
+
+module.exports = Router;
@@ -0,0 +1,185 @@
+// Grand's Stories API - Conversation Search
+// Storage narrows the candidates (any term, owner, filters); ranking and snippets happen here
+// so every backend returns identical results. Every candidate is ranked, a page at a time, so
+// an old message that matches well is found however many newer ones mention a term.
+
+const { chatIdFor } = require('./auth');
+
+const CANDIDATE_PAGE_SIZE = 200;
+const SNIPPET_RADIUS = 60;
+const MAX_TERMS = 8;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'for', 'from', 'he', 'his',
+  'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'we',
+  'what', 'when', 'with', 'you', 'about', 'talked', 'said'
+]);
+
+// "Martha's coffee" -> ['martha', 'coffee']; falls back to every word if all are stop words
+function tokenizeQuery(text) {
+  const words = (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 1 || /\d/.test(word));
+  const meaningful = words.filter(word => !STOP_WORDS.has(word));
+  return [...new Set(meaningful.length > 0 ? meaningful : words)].slice(0, MAX_TERMS);
+}
+
+// Word-prefix matches, so "enigma" finds "Enigma's" and "comput" finds "computers"
+function findMatches(text, terms) {
+  const matches = [];
+  const lower = text.toLowerCase();
+
+  for (const term of terms) {
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      if (index === 0 || !/[\p{L}\p{N}]/u.test(lower[index - 1])) {
+        matches.push({ term, start: index, end: index + term.length });
+      }
+      index = lower.indexOf(term, index + term.length);
+    }
+  }
+
+  return matches.sort((a, b) => a.start - b.start);
+}
+
+// Coverage of the query terms dominates, then term frequency, then an exact phrase bonus
+function scoreText(text, terms, phrase) {
+  const matches = findMatches(text, terms);
+  if (matches.length === 0) return { score: 0, matches };
+
+  const matchedTerms = new Set(matches.map(m => m.term));
+  const coverage = matchedTerms.size / terms.length;
+  const frequency = [...matchedTerms].reduce((sum, term) =>
+    sum + Math.log1p(matches.filter(m => m.term === term).length), 0) / terms.length;
+  const phraseBonus = terms.length > 1 && text.toLowerCase().includes(phrase) ? 0.5 : 0;
+
+  // Long messages shouldn't win just by mentioning everything once
+  const lengthPenalty = 1 / (1 + Math.log10(Math.max(text.length, 10) / 10) * 0.25);
+
+  return { score: (coverage * 2 + frequency + phraseBonus) * lengthPenalty, matches };
+}
+
+// A window of text around the densest cluster of matches, with offsets to highlight
+function buildSnippet(text, matches, radius = SNIPPET_RADIUS) {
+  let best = matches[0];
+  let bestCount = 0;
+  for (const match of matches) {
+    const count = matches.filter(m => m.start >= match.start && m.end <= match.start + radius * 2).length;
+    if (count > bestCount) {
+      best = match;
+      bestCount = count;
+    }
+  }
+
+  let start = Math.max(0, best.start - radius);
+  let end = Math.min(text.length, best.start + radius * 2);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < best.start) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > best.end) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const highlights = matches
+    .filter(m => m.start >= start && m.end <= end)
+    .map(m => [m.start - start + prefix.length, m.end - start + prefix.length]);
+
+  return {
+    snippet: prefix + text.substring(start, end) + suffix,
+    highlights
+  };
+}
+
+function recencyBoost(timestamp) {
+  const ageDays = (Date.now() - new Date(timestamp).getTime()) / 86400000;
+  return Number.isFinite(ageDays) ? 0.2 / (1 + Math.max(ageDays, 0) / 30) : 0;
+}
+
+// Hands every row a storage search matches to `visit`, CANDIDATE_PAGE_SIZE at a time, and
+// calls `done` after each page
+async function eachPage(search, visit, done) {
+  for (let offset = 0; ; offset += CANDIDATE_PAGE_SIZE) {
+    const rows = await search({ limit: CANDIDATE_PAGE_SIZE, offset });
+    rows.forEach(visit);
+    done();
+    if (rows.length < CANDIDATE_PAGE_SIZE) return;
+  }
+}
+
+// options: { query, role, from, to, topics, limit }
+async function searchConversations(storage, userId, { query, role, from, to, topics, limit = 20 }) {
+  const terms = tokenizeQuery(query);
+  if (terms.length === 0) return [];
+
+  const phrase = String(query).toLowerCase().trim();
+  let results = [];
+  const seen = new Set();
+  const rank = (row, result) => {
+    const { score, matches } = scoreText(row.content, terms, phrase);
+    // A row written while paging shifts the pages after it, so one may come round twice
+    if (score === 0 || seen.has(row.id)) return;
+    seen.add(row.id);
+    results.push({
+      id: row.id,
+      conversationId: row.conversation_id,
+      created_at: row.created_at,
+      ...result(score),
+      ...buildSnippet(row.content, matches)
+    });
+  };
+  // Only the best `limit` are kept between pages
+  const keepBest = () => {
+    results = results.sort((a, b) => b.score - a.score).slice(0, limit);
+  };
+
+  await eachPage(page => storage.searchMessages({ userId, terms, role, from, to, topics, ...page }), message => {
+    rank(message, score => ({
+      type: 'message',
+      role: message.role,
+      score: score + recencyBoost(message.created_at)
+    }));
+  }, keepBest);
+
+  // Fragments have no author or analyzer topics, so those filters mean messages only
+  if (!role && !topics?.length) {
+    await eachPage(page => storage.searchMemoryFragments({ userId, terms, from, to, ...page }), fragment => {
+      rank(fragment, score => ({
+        type: 'memory',
+        fragmentType: fragment.fragment_type,
+        // Memories Benn leans on heavily rank a little higher
+        score: score * (0.75 + (fragment.weight ?? 0.5) * 0.5) + recencyBoost(fragment.created_at)
+      }));
+    }, keepBest);
+  }
+
+  // Resolve chat ids and titles once per conversation
+  const conversations = new Map();
+  for (const conversationId of new Set(results.map(r => r.conversationId))) {
+    conversations.set(conversationId, await storage.getConversation(conversationId));
+  }
+
+  return results
+    .filter(result => conversations.get(result.conversationId))
+    .map(({ conversationId, score, ...result }) => {
+      const conversation = conversations.get(conversationId);
+      return {
+        ...result,
+        chatId: chatIdFor(conversation),
+        chatTitle: conversation.metadata?.title || null,
+        score: Math.round(score * 1000) / 1000
+      };
+    });
+}
+
+module.exports = {
+  tokenizeQuery,
+  findMatches,
+  scoreText,
+  buildSnippet,
+  searchConversations
+};
@@ -0,0 +1,70 @@
+// Grand's Stories API - Server-Sent Events
+// Minimal event stream writer used by the chat endpoint's streaming mode
+
+const CHUNK_WORDS = 3;
+const CHUNK_DELAY_MS = 25;
+
+function wantsEventStream(req) {
+  if (req.body?.stream === true) return true;
+  const accept = req.headers?.accept || '';
+  return accept.includes('text/event-stream');
+}
+
+function createEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop proxies (nginx, Vercel edge) from buffering the whole stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders();
+  }
+
+  let closed = false;
+  if (typeof res.on === 'function') {
+    res.on('close', () => {
+      closed = true;
+    });
+  }
+
+  return {
+    get closed() {
+      return closed;
+    },
+
+    send(event, data) {
+      if (closed) return false;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    }
+  };
+}
+
+function chunkText(text, wordsPerChunk = CHUNK_WORDS) {
+  const words = text.match(/\S+\s*/g) || [];
+  const chunks = [];
+
+  for (let i = 0; i < words.length; i += wordsPerChunk) {
+    chunks.push(words.slice(i, i + wordsPerChunk).join(''));
+  }
+
+  return chunks;
+}
+
+function delay(ms = CHUNK_DELAY_MS) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  wantsEventStream,
+  createEventStream,
+  chunkText,
+  delay
+};
@@ -0,0 +1,274 @@
+// Grand's Stories API - Conversation State
+// Versioned serialization of the conversation state kept in conversations.metadata, with
+// migrations that bring older shapes up to date as they are loaded.
+
+const STATE_VERSION = 2;
+
+// Every field the state carries, by type. Maps are stored as [key, value] entry arrays;
+// `merge` objects are laid over their defaults so fields added later are always present.
+// `combine` says how concurrent changes to a field are reconciled (see mergeStates).
+const STATE_SCHEMA = {
+  personalityVector: { type: 'object', merge: true, combine: 'keys', range: [0, 1] },
+  longTermMemory: { type: 'array' },
+  shortTermMemory: { type: 'array' },
+  emotionalTrajectory: { type: 'array', combine: 'append', limit: 10 },
+  topicCoherence: { type: 'map', combine: 'keys' },
+  conversationalDepth: { type: 'number' },
+  interactionCount: { type: 'number', combine: 'sum' },
+  temporalAwareness: { type: 'number' },
+  userModel: {
+    type: 'record',
+    fields: {
+      interests: { type: 'map', combine: 'keys' },
+      preferences: { type: 'map', combine: 'keys' },
+      emotionalResponses: { type: 'map', combine: 'keys' }
+    }
+  },
+
+  // Titles, summaries and organization live alongside Benn's state
+  title: { type: 'string', nullable: true },
+  titleSource: { type: 'string', nullable: true },
+  summary: { type: 'string', nullable: true },
+  summaryUpdatedAt: { type: 'string', nullable: true },
+  pinned: { type: 'boolean' },
+  pinnedAt: { type: 'string', nullable: true },
+  archived: { type: 'boolean' },
+  archivedAt: { type: 'string', nullable: true },
+  tags: { type: 'array' },
+  branch: { type: 'object', nullable: true },
+  duplicatedFrom: { type: 'string', nullable: true }
+};
+
+// MIGRATIONS[n] takes state written at version n to version n + 1
+const MIGRATIONS = {
+  // Version 1 carried no version number and wrote Maps straight into JSON, where they
+  // came out as plain objects (in practice always {})
+  1: state => ({
+    ...state,
+    topicCoherence: entriesOf(state.topicCoherence),
+    userModel: state.userModel && typeof state.userModel === 'object'
+      ? {
+        ...state.userModel,
+        interests: entriesOf(state.userModel.interests),
+        preferences: entriesOf(state.userModel.preferences),
+        emotionalResponses: entriesOf(state.userModel.emotionalResponses)
+      }
+      : state.userModel
+  })
+};
+
+function entriesOf(value) {
+  if (Array.isArray(value)) return value;
+  return value && typeof value === 'object' ? Object.entries(value) : [];
+}
+
+// ==================== SERIALIZATION ====================
+
+// A JSON-safe copy of the state, stamped with the current version. Fields outside the
+// schema are passed through untouched.
+function serializeState(state) {
+  return {
+    ...encodeFields(state, STATE_SCHEMA),
+    stateVersion: STATE_VERSION
+  };
+}
+
+function encodeFields(values, schema) {
+  const encoded = { ...values };
+  for (const [key, field] of Object.entries(schema)) {
+    if (values[key] === undefined) continue;
+    encoded[key] = encodeValue(values[key], field);
+  }
+  return encoded;
+}
+
+function encodeValue(value, field) {
+  if (field.type === 'map') {
+    return value instanceof Map ? [...value.entries()] : entriesOf(value);
+  }
+  if (field.type === 'record' && value && typeof value === 'object') {
+    return encodeFields(value, field.fields);
+  }
+  return value;
+}
+
+// ==================== DESERIALIZATION ====================
+
+// Migrates stored metadata to the current version and decodes it against the schema.
+// Missing or malformed fields take their value from `defaults` (a fresh state), or
+// failing that the type's empty value, so the result is always fully populated.
+function deserializeState(metadata, defaults = {}) {
+  const migrated = migrateState(metadata);
+  const { stateVersion, ...state } = decodeFields(migrated, STATE_SCHEMA, defaults);
+  return state;
+}
+
+function migrateState(metadata) {
+  let state = metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : {};
+  let version = Number.isInteger(state.stateVersion) ? state.stateVersion : 1;
+
+  if (version > STATE_VERSION) {
+    // Written by a newer release; decode what this one understands
+    console.error(`Conversation state version ${version} is newer than ${STATE_VERSION}`);
+    return state;
+  }
+
+  while (version < STATE_VERSION) {
+    state = MIGRATIONS[version](state);
+    version++;
+  }
+  return state;
+}
+
+function decodeFields(values, schema, defaults) {
+  const decoded = { ...values };
+  for (const [key, field] of Object.entries(schema)) {
+    decoded[key] = decodeValue(values[key], field, defaults[key]);
+  }
+  return decoded;
+}
+
+function decodeValue(value, field, fallback) {
+  const fresh = () => (fallback !== undefined ? cloneDefault(fallback) : emptyValue(field));
+
+  if (value === null && field.nullable) return null;
+
+  switch (field.type) {
+    case 'map':
+      return Array.isArray(value) && value.every(isEntry) ? new Map(value) : fresh();
+    case 'record':
+      return decodeFields(isPlainObject(value) ? value : {}, field.fields, isPlainObject(fallback) ? fallback : {});
+    case 'object':
+      if (!isPlainObject(value)) return fresh();
+      return field.merge ? { ...fresh(), ...value } : value;
+    case 'array':
+      return Array.isArray(value) ? value : fresh();
+    case 'number':
+      return Number.isFinite(value) ? value : fresh();
+    default:
+      return typeof value === field.type ? value : fresh();
+  }
+}
+
+function emptyValue(field) {
+  if (field.nullable) return null;
+
+  switch (field.type) {
+    case 'map': return new Map();
+    case 'record': return decodeFields({}, field.fields, {});
+    case 'object': return {};
+    case 'array': return [];
+    case 'number': return 0;
+    case 'boolean': return false;
+    default: return '';
+  }
+}
+
+// Defaults are shared across loads, so anything mutable is copied
+function cloneDefault(value) {
+  if (value instanceof Map) return new Map(value);
+  if (Array.isArray(value)) return [...value];
+  if (isPlainObject(value)) return { ...value };
+  return value;
+}
+
+function isEntry(entry) {
+  return Array.isArray(entry) && entry.length === 2;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Map);
+}
+
+// A deep copy, made by way of the stored form
+function cloneState(state) {
+  return deserializeState(JSON.parse(JSON.stringify(serializeState(state))));
+}
+
+// ==================== MERGING ====================
+
+// Reconciles a state write that lost a race. `base` is the state this write started
+// from, `mine` what it wants to store and `theirs` what was stored in the meantime.
+// Fields this write left alone keep their stored value. Changed fields combine as:
+//   sum    - both sides' increments count (interactionCount)
+//   append - entries added on this side follow theirs (emotionalTrajectory)
+//   keys   - per key, this side's changes win and numeric changes are added as deltas
+// and otherwise this side's value wins.
+function mergeStates(base, mine, theirs) {
+  return mergeFields(base, mine, theirs, STATE_SCHEMA);
+}
+
+function mergeFields(base, mine, theirs, schema) {
+  const merged = { ...theirs };
+  for (const key of Object.keys(mine)) {
+    if (!schema[key] && !sameValue(mine[key], base[key])) merged[key] = mine[key];
+  }
+  for (const [key, field] of Object.entries(schema)) {
+    merged[key] = mergeValue(base[key], mine[key], theirs[key], field);
+  }
+  return merged;
+}
+
+function mergeValue(base, mine, theirs, field) {
+  if (field.type === 'record') return mergeFields(base || {}, mine || {}, theirs || {}, field.fields);
+  if (sameValue(mine, base) || mine === undefined) return theirs;
+  if (theirs === undefined || theirs === null) return mine;
+
+  switch (field.combine) {
+    case 'sum':
+      return theirs + (mine - (base || 0));
+    case 'append':
+      return [...theirs, ...appendedSince(base || [], mine)].slice(-field.limit);
+    case 'keys':
+      return mergeKeys(base, mine, theirs, field.range);
+    default:
+      return mine;
+  }
+}
+
+// The entries pushed onto `mine` since `base`, allowing for old ones dropped off the front
+function appendedSince(base, mine) {
+  for (let added = 0; added <= mine.length; added++) {
+    const kept = mine.slice(0, mine.length - added);
+    if (kept.length <= base.length && sameValue(kept, base.slice(base.length - kept.length))) {
+      return mine.slice(mine.length - added);
+    }
+  }
+  return mine;
+}
+
+function mergeKeys(base, mine, theirs, range) {
+  const read = container => container instanceof Map ? container : new Map(Object.entries(container || {}));
+  const [before, after, stored] = [read(base), read(mine), read(theirs)];
+  const merged = new Map(stored);
+
+  for (const key of new Set([...before.keys(), ...after.keys()])) {
+    const [was, now, theirValue] = [before.get(key), after.get(key), stored.get(key)];
+    if (sameValue(now, was)) continue;
+
+    if (now === undefined) {
+      merged.delete(key);
+    } else if ([was, now, theirValue].every(Number.isFinite)) {
+      const value = theirValue + (now - was);
+      merged.set(key, range ? Math.max(range[0], Math.min(range[1], value)) : value);
+    } else {
+      merged.set(key, now);
+    }
+  }
+
+  return mine instanceof Map ? merged : Object.fromEntries(merged);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a instanceof Map ? [...a] : a) === JSON.stringify(b instanceof Map ? [...b] : b);
+}
+
+module.exports = {
+  STATE_VERSION,
+  STATE_SCHEMA,
+  serializeState,
+  deserializeState,
+  migrateState,
+  cloneState,
+  mergeStates
+};
@@ -0,0 +1,426 @@
+// Grand's Stories API - Storage Adapter Interface
+// Every backend stores the same tables (conversations, messages, memory_fragments,
+// user_memories, generative_patterns, login_codes) and returns rows in the same snake_case shape as the Postgres schema.
+// Methods throw on failure; callers decide whether a failure is fatal.
+// conversations.message_count and conversations.last_message are summary columns the
+// backend keeps in step with the messages table, so listing never has to fan out.
+
+const crypto = require('crypto');
+
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Create tables/indexes if the backend needs it
+  async initialize() {}
+
+  // ==================== CONVERSATIONS ====================
+
+  async getConversation(conversationId) {
+    throw notImplemented(this, 'getConversation');
+  }
+
+  // options: { limit, orderBy ('updated_at' | 'created_at'), ascending,
+  //           after: { value, conversationId }, archived, pinned, tag, branchRoot }
+  // Rows come back ordered by orderBy then conversation_id, so `after` (the last row
+  // of the previous page) is a stable keyset cursor. archived/pinned/tag/branchRoot match
+  // metadata.archived, metadata.pinned, metadata.tags and metadata.branch.rootId;
+  // leave them undefined to ignore.
+  async listConversations(userId, options = {}) {
+    throw notImplemented(this, 'listConversations');
+  }
+
+  async createConversation(row) {
+    throw notImplemented(this, 'createConversation');
+  }
+
+  // Every write to metadata advances the row's revision. With options.expectedRevision
+  // the patch is only applied if the revision still matches, and null comes back if it
+  // doesn't (or the conversation is gone), so state writes can detect a concurrent one.
+  async updateConversation(conversationId, patch, options = {}) {
+    throw notImplemented(this, 'updateConversation');
+  }
+
+  // Every user's conversations, the one whose memories have gone longest without being
+  // consolidated first (consolidated_at, never-consolidated ones ahead of all), then by
+  // conversation_id, so the scheduled job can work through them a batch at a time.
+  // options: { limit }
+  async listConversationsToConsolidate(options = {}) {
+    throw notImplemented(this, 'listConversationsToConsolidate');
+  }
+
+  // options: { userId } restricts the delete to that owner
+  async deleteConversation(conversationId, options = {}) {
+    throw notImplemented(this, 'deleteConversation');
+  }
+
+  // Hands everything fromUserId owns to toUserId in one transaction: conversations are
+  // rekeyed from `${fromUserId}_${chatId}` to `${toUserId}_${chatId}` (see rekeyConversation)
+  // with their messages and fragments, and user_memories move with them. Returns how many
+  // conversations moved. Throws, moving nothing, if a rekeyed id is already taken.
+  async reassignUser(fromUserId, toUserId) {
+    throw notImplemented(this, 'reassignUser');
+  }
+
+  // ==================== MESSAGES ====================
+
+  // options: { limit, ascending, includeDeleted, before, after }
+  // Soft-deleted messages (deleted_at set) are left out unless includeDeleted;
+  // countMessages and the conversation summary columns never count them.
+  // before/after are message ids: only messages strictly before/after that one in
+  // conversation order are returned, so the id of a page's edge is its cursor.
+  // An id that isn't in the conversation yields no rows.
+  async listMessages(conversationId, options = {}) {
+    throw notImplemented(this, 'listMessages');
+  }
+
+  async countMessages(conversationId) {
+    throw notImplemented(this, 'countMessages');
+  }
+
+  async insertMessage(row) {
+    throw notImplemented(this, 'insertMessage');
+  }
+
+  // Changing content keeps last_message in step, like an insert does
+  async updateMessage(id, patch) {
+    throw notImplemented(this, 'updateMessage');
+  }
+
+  // options: { ids } limits the delete to those messages
+  async deleteMessages(conversationId, options = {}) {
+    throw notImplemented(this, 'deleteMessages');
+  }
+
+  // Hard-deletes soft-deleted messages whose deleted_at is before the given
+  // ISO timestamp, across all conversations. Returns how many were removed.
+  async purgeDeletedMessages(before) {
+    throw notImplemented(this, 'purgeDeletedMessages');
+  }
+
+  // query: { userId, terms, role, from, to, topics, limit, offset }
+  // Messages in userId's conversations whose content contains any of the terms
+  // (case-insensitive), newest first, skipping soft-deleted ones. topics matches metadata.analysis.primaryTopics.
+  // Ties on created_at keep a fixed order, so `offset` pages through every match.
+  async searchMessages(query) {
+    throw notImplemented(this, 'searchMessages');
+  }
+
+  // ==================== MEMORY FRAGMENTS ====================
+
+  // query: { conversationId, ids, fragmentType, tags, keywords, minWeight, excludeId,
+  //          excludeSource, updatedSince, includeArchived, orderBy, ascending, limit }
+  // `tags` and `keywords` are OR'ed: a fragment matches if it carries any of the tags
+  // or its content contains any of the keywords (case-insensitive). Archived fragments
+  // (archived_at set, see lib/consolidation) are left out unless includeArchived.
+  // updatedSince keeps the fragments inserted or updated at or after that time, and
+  // excludeSource leaves out those whose metadata.source it names.
+  // Without conversationId every conversation's fragments are searched, for maintenance jobs.
+  async queryMemoryFragments(query = {}) {
+    throw notImplemented(this, 'queryMemoryFragments');
+  }
+
+  // How many unarchived fragments the conversation holds. filter: { conversationId }
+  async countMemoryFragments(filter) {
+    throw notImplemented(this, 'countMemoryFragments');
+  }
+
+  async insertMemoryFragment(row) {
+    throw notImplemented(this, 'insertMemoryFragment');
+  }
+
+  // Moves the row's updated_at on, as every write to a fragment or user memory does
+  async updateMemoryFragment(id, patch) {
+    throw notImplemented(this, 'updateMemoryFragment');
+  }
+
+  // query: { userId, terms, from, to, limit, offset }
+  // Same matching and paging as searchMessages, over unarchived fragments in userId's conversations
+  async searchMemoryFragments(query) {
+    throw notImplemented(this, 'searchMemoryFragments');
+  }
+
+  // filter: { conversationId, ids } - ids limits the delete to those fragments
+  async deleteMemoryFragments(filter) {
+    throw notImplemented(this, 'deleteMemoryFragments');
+  }
+
+  // ==================== USER MEMORIES ====================
+  // Fragments about the user rather than one conversation, recalled in all of their chats.
+  // Rows are shaped like memory_fragments with user_id in place of conversation_id, plus
+  // source_conversation_id naming the conversation they were learned in (null for seeded
+  // ones); deleting that conversation deletes them with it.
+
+  // query: { userId, ...the queryMemoryFragments options }. userId is only left out by
+  // maintenance jobs that work through every user's memories.
+  async queryUserMemories(query) {
+    throw notImplemented(this, 'queryUserMemories');
+  }
+
+  // How many unarchived memories the user holds. filter: { userId }
+  async countUserMemories(filter) {
+    throw notImplemented(this, 'countUserMemories');
+  }
+
+  async insertUserMemory(row) {
+    throw notImplemented(this, 'insertUserMemory');
+  }
+
+  async updateUserMemory(id, patch) {
+    throw notImplemented(this, 'updateUserMemory');
+  }
+
+  // filter: { userId, ids } - ids limits the delete to those memories
+  async deleteUserMemories(filter) {
+    throw notImplemented(this, 'deleteUserMemories');
+  }
+
+  // ==================== GENERATIVE PATTERNS ====================
+
+  // filter: { patternType }
+  async listGenerativePatterns(filter = {}) {
+    throw notImplemented(this, 'listGenerativePatterns');
+  }
+
+  // keys: [[patternType, template]] - the rows of those patterns; ones never recorded are left out
+  async findGenerativePatterns(keys) {
+    throw notImplemented(this, 'findGenerativePatterns');
+  }
+
+  // Adds { usage, up, down } to the tallies of each pattern in keys (usage_count and
+  // metadata.up/down, which never drop below 0), creating rows as needed, and sets
+  // success_score to (up + prior.score * prior.weight) / (up + down + prior.weight).
+  // Each row is read and written in one atomic step, so concurrent turns and ratings all count.
+  async incrementGenerativePatterns(keys, counts, prior) {
+    throw notImplemented(this, 'incrementGenerativePatterns');
+  }
+
+  // ==================== TURNS ====================
+
+  // turn: { conversationId, messages, messageUpdates, deleted, fragments, userMemories,
+  //         conversation: { metadata, updated_at }, expectedRevision }
+  // Stores a chat turn atomically: the message, memory_fragments and user_memories rows are
+  // inserted and the conversation updated together, or nothing is written. Rows come with their ids,
+  // so fragments can name their message in metadata.sourceMessageId. A redone turn also passes
+  //   messageUpdates - [{ id, content, metadata, deleted_at }] rewriting messages of the
+  //                    conversation (any field may be left out; deleted_at: null restores
+  //                    a message); an id it doesn't hold fails the turn
+  //   deleted        - { messageIds, fragmentIds, userMemoryIds } removed first, scoped to the
+  //                    conversation and, for user memories, to its owner
+  // Returns { conversation, messages, updatedMessages, fragments, userMemories } (the stored rows),
+  // or null if expectedRevision is given and no longer matches. Throws if the conversation doesn't
+  // exist or any write fails.
+  async commitTurn(turn) {
+    throw notImplemented(this, 'commitTurn');
+  }
+
+  // ==================== LOGIN CODES ====================
+
+  async createLoginCode(row) {
+    throw notImplemented(this, 'createLoginCode');
+  }
+
+  // Newest code issued for the (normalized) email, or null
+  async getLatestLoginCode(email) {
+    throw notImplemented(this, 'getLatestLoginCode');
+  }
+
+  // Codes issued for the email since the given time, newest first
+  async listLoginCodes(email, { since }) {
+    throw notImplemented(this, 'listLoginCodes');
+  }
+
+  async updateLoginCode(id, patch) {
+    throw notImplemented(this, 'updateLoginCode');
+  }
+
+  // Every code for the email, or with `before` only those issued before that time
+  async deleteLoginCodes(email, { before } = {}) {
+    throw notImplemented(this, 'deleteLoginCodes');
+  }
+}
+
+function notImplemented(adapter, method) {
+  return new Error(`${adapter.name} storage does not implement ${method}()`);
+}
+
+// ==================== SHARED ROW HELPERS ====================
+
+// Fill in the column defaults Postgres would apply
+const defaults = {
+  conversations: () => ({
+    metadata: {},
+    message_count: 0,
+    last_message: null,
+    revision: 0,
+    consolidated_at: null,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  }),
+  messages: () => ({
+    metadata: {},
+    deleted_at: null,
+    created_at: new Date().toISOString()
+  }),
+  memory_fragments: () => ({
+    weight: 0.5,
+    accessed_count: 0,
+    last_accessed: new Date().toISOString(),
+    metadata: {},
+    tags: [],
+    archived_at: null,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  }),
+  user_memories: () => ({
+    source_conversation_id: null,
+    weight: 0.5,
+    accessed_count: 0,
+    last_accessed: new Date().toISOString(),
+    metadata: {},
+    tags: [],
+    archived_at: null,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  }),
+  generative_patterns: () => ({
+    usage_count: 0,
+    success_score: 0.5,
+    metadata: {},
+    created_at: new Date().toISOString(),
+    last_used: new Date().toISOString()
+  }),
+  login_codes: () => ({
+    attempts: 0,
+    created_at: new Date().toISOString()
+  })
+};
+
+// The tallies and score of a generative_patterns row after incrementGenerativePatterns
+function incrementedPattern(metadata, { up = 0, down = 0 }, prior) {
+  const tallies = {
+    up: Math.max((metadata?.up || 0) + up, 0),
+    down: Math.max((metadata?.down || 0) + down, 0)
+  };
+  return {
+    metadata: { ...metadata, ...tallies },
+    success_score: (tallies.up + prior.score * prior.weight) / (tallies.up + tallies.down + prior.weight)
+  };
+}
+
+function withDefaults(table, row) {
+  const filled = { id: crypto.randomUUID(), ...defaults[table]() };
+  for (const [key, value] of Object.entries(row)) {
+    if (value !== undefined) filled[key] = value;
+  }
+  return filled;
+}
+
+// Works for user_memories rows too, which are matched on userId instead
+function matchesFragmentQuery(fragment, query) {
+  if (query.conversationId && fragment.conversation_id !== query.conversationId) return false;
+  if (query.userId && fragment.user_id !== query.userId) return false;
+  if (query.ids && !query.ids.includes(fragment.id)) return false;
+  if (!query.includeArchived && fragment.archived_at) return false;
+  if (query.fragmentType && fragment.fragment_type !== query.fragmentType) return false;
+  if (query.minWeight !== undefined && !(fragment.weight > query.minWeight)) return false;
+  if (query.excludeId && fragment.id === query.excludeId) return false;
+  if (query.excludeSource && fragment.metadata?.source === query.excludeSource) return false;
+  if (query.updatedSince && !(fragment.updated_at >= query.updatedSince)) return false;
+
+  const tags = query.tags || [];
+  const keywords = query.keywords || [];
+  if (tags.length === 0 && keywords.length === 0) return true;
+
+  const fragmentTags = fragment.tags || [];
+  const content = (fragment.content || '').toLowerCase();
+
+  return tags.some(tag => fragmentTags.includes(tag)) ||
+    keywords.some(keyword => content.includes(String(keyword).toLowerCase()));
+}
+
+const LAST_MESSAGE_LENGTH = 200;
+const CONVERSATION_ORDER_COLUMNS = new Set(['updated_at', 'created_at']);
+
+function matchesConversationQuery(conversation, userId, query) {
+  const metadata = conversation.metadata || {};
+  if (conversation.user_id !== userId) return false;
+  if (query.archived !== undefined && (metadata.archived === true) !== query.archived) return false;
+  if (query.pinned !== undefined && (metadata.pinned === true) !== query.pinned) return false;
+  if (query.tag && !(metadata.tags || []).includes(query.tag)) return false;
+  if (query.branchRoot && metadata.branch?.rootId !== query.branchRoot) return false;
+
+  if (query.after) {
+    const order = compareConversations(conversation, {
+      [query.orderBy]: query.after.value,
+      conversation_id: query.after.conversationId
+    }, query.orderBy);
+    return query.ascending ? order > 0 : order < 0;
+  }
+
+  return true;
+}
+
+// Term/date/role/topic matching shared by the JS-side search implementations
+function matchesSearchQuery(row, query) {
+  const content = (row.content || '').toLowerCase();
+  if (!query.terms.some(term => content.includes(term.toLowerCase()))) return false;
+  if (query.role && row.role !== query.role) return false;
+  if (query.from && row.created_at < query.from) return false;
+  if (query.to && row.created_at > query.to) return false;
+
+  if (query.topics?.length) {
+    const topics = row.metadata?.analysis?.primaryTopics || [];
+    if (!query.topics.some(topic => topics.includes(topic))) return false;
+  }
+
+  return true;
+}
+
+// Keyset order: the sort column, then conversation_id to break ties
+function compareConversations(a, b, column) {
+  if (a[column] !== b[column]) return a[column] < b[column] ? -1 : 1;
+  if (a.conversation_id !== b.conversation_id) return a.conversation_id < b.conversation_id ? -1 : 1;
+  return 0;
+}
+
+// Sort by a column; rows written in the same millisecond keep insertion order
+// (reversed for descending), the way a serial primary key would break the tie
+// A conversation's id once its owner changes; ids not keyed by the old owner stay as they are
+function rekeyConversation(conversationId, fromUserId, toUserId) {
+  const prefix = `${fromUserId}_`;
+  return conversationId.startsWith(prefix) ? `${toUserId}_${conversationId.substring(prefix.length)}` : conversationId;
+}
+
+function sortRows(rows, column, ascending = false) {
+  return rows
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => {
+      const left = a.row[column];
+      const right = b.row[column];
+      let order = 0;
+      if (left !== right) {
+        if (left === undefined || left === null) return 1;
+        if (right === undefined || right === null) return -1;
+        order = left < right ? -1 : 1;
+      }
+      if (order === 0) order = a.index - b.index;
+      return ascending ? order : -order;
+    })
+    .map(({ row }) => row);
+}
+
+module.exports = {
+  StorageAdapter,
+  withDefaults,
+  incrementedPattern,
+  matchesFragmentQuery,
+  matchesConversationQuery,
+  matchesSearchQuery,
+  compareConversations,
+  sortRows,
+  rekeyConversation,
+  LAST_MESSAGE_LENGTH,
+  CONVERSATION_ORDER_COLUMNS
+};
@@ -0,0 +1,75 @@
+// Grand's Stories API - Storage Selection
+// STORAGE_DRIVER picks the backend: 'supabase' | 'memory' | 'sqlite'.
+// Without it we use Supabase when SUPABASE_URL is configured. Nothing falls back to
+// in-memory storage on its own: a deployment missing its Supabase settings would
+// otherwise run on data that vanishes with the process.
+
+require('dotenv').config();
+
+const { StorageAdapter } = require('./adapter');
+
+const DRIVERS = {
+  supabase: () => require('./supabase'),
+  memory: () => require('./memory'),
+  sqlite: () => require('./sqlite')
+};
+
+let sharedStorage = null;
+let sharedReady = null;
+
+function resolveDriver(config = {}) {
+  if (config.driver) return config.driver;
+  if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER;
+  if (process.env.SUPABASE_URL) return 'supabase';
+  throw new Error('No storage configured: set SUPABASE_URL, or STORAGE_DRIVER=memory or sqlite for local use');
+}
+
+function createStorage(config = {}) {
+  const driver = resolveDriver(config);
+  const load = DRIVERS[driver];
+
+  if (!load) {
+    throw new Error(`Unknown storage driver "${driver}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  const Storage = load();
+  return new Storage(config);
+}
+
+// One storage instance per process so every handler sees the same data
+function getStorage() {
+  if (!sharedStorage) {
+    sharedStorage = createStorage();
+    sharedReady = initialize(sharedStorage);
+  }
+  return sharedStorage;
+}
+
+// Resolves to the shared storage once it has created its schema
+function storageReady() {
+  getStorage();
+  return sharedReady;
+}
+
+// Swap the shared instance (local server config, tests)
+function setStorage(storage) {
+  sharedStorage = storage;
+  sharedReady = initialize(storage);
+  return sharedReady;
+}
+
+function initialize(storage) {
+  return storage.initialize()
+    .catch(error => {
+      console.error(`Error initializing ${storage.name} storage:`, error);
+    })
+    .then(() => storage);
+}
+
+module.exports = {
+  StorageAdapter,
+  createStorage,
+  getStorage,
+  setStorage,
+  storageReady
+};
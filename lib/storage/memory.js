@@ -0,0 +1,355 @@
+// Grand's Stories API - In-Memory Storage
+// Process-local backend for offline development and tests; nothing survives a restart
+
+const {
+  StorageAdapter,
+  withDefaults,
+  incrementedPattern,
+  matchesFragmentQuery,
+  matchesConversationQuery,
+  matchesSearchQuery,
+  compareConversations,
+  sortRows,
+  rekeyConversation,
+  LAST_MESSAGE_LENGTH
+} = require('./adapter');
+
+class MemoryStorage extends StorageAdapter {
+  constructor() {
+    super('memory');
+    this.tables = {
+      conversations: [],
+      messages: [],
+      memory_fragments: [],
+      user_memories: [],
+      generative_patterns: [],
+      login_codes: []
+    };
+  }
+
+  // Rows go through JSON like they would through a JSONB column, so callers
+  // never share references with the store
+  snapshot(row) {
+    return row ? JSON.parse(JSON.stringify(row)) : null;
+  }
+
+  insert(table, row) {
+    const stored = this.snapshot(withDefaults(table, row));
+    this.tables[table].push(stored);
+    return this.snapshot(stored);
+  }
+
+  update(table, predicate, patch) {
+    const row = this.tables[table].find(predicate);
+    if (!row) return null;
+    Object.assign(row, this.snapshot(patch));
+    return this.snapshot(row);
+  }
+
+  remove(table, predicate) {
+    this.tables[table] = this.tables[table].filter(row => !predicate(row));
+  }
+
+  // ==================== CONVERSATIONS ====================
+
+  async getConversation(conversationId) {
+    return this.snapshot(this.tables.conversations.find(c => c.conversation_id === conversationId));
+  }
+
+  async listConversations(userId, { limit, orderBy = 'updated_at', ascending = false, ...query } = {}) {
+    const rows = this.tables.conversations
+      .filter(c => matchesConversationQuery(c, userId, { ...query, orderBy, ascending }))
+      .sort((a, b) => compareConversations(a, b, orderBy) * (ascending ? 1 : -1));
+    return rows.slice(0, limit || rows.length).map(row => this.snapshot(row));
+  }
+
+  async listConversationsToConsolidate({ limit } = {}) {
+    const rows = [...this.tables.conversations].sort((a, b) =>
+      (a.consolidated_at !== null) - (b.consolidated_at !== null) ||
+      String(a.consolidated_at).localeCompare(String(b.consolidated_at)) ||
+      a.conversation_id.localeCompare(b.conversation_id)
+    );
+    return rows.slice(0, limit || rows.length).map(row => this.snapshot(row));
+  }
+
+  async createConversation(row) {
+    if (this.tables.conversations.some(c => c.conversation_id === row.conversation_id)) {
+      throw new Error(`Conversation ${row.conversation_id} already exists`);
+    }
+    return this.insert('conversations', row);
+  }
+
+  async updateConversation(conversationId, patch, { expectedRevision } = {}) {
+    const conversation = this.tables.conversations.find(c => c.conversation_id === conversationId);
+    if (!conversation) return null;
+    if (expectedRevision !== undefined && conversation.revision !== expectedRevision) return null;
+
+    // Every write to metadata moves the revision on, as the SQL triggers do
+    const revision = patch.metadata !== undefined ? conversation.revision + 1 : conversation.revision;
+    return this.update('conversations', c => c === conversation, { ...patch, revision });
+  }
+
+  async deleteConversation(conversationId, { userId } = {}) {
+    const conversation = this.tables.conversations.find(c =>
+      c.conversation_id === conversationId && (!userId || c.user_id === userId)
+    );
+    if (!conversation) return;
+
+    // Mirror ON DELETE CASCADE
+    this.remove('conversations', c => c === conversation);
+    this.remove('messages', m => m.conversation_id === conversationId);
+    this.remove('memory_fragments', f => f.conversation_id === conversationId);
+    this.remove('user_memories', m => m.source_conversation_id === conversationId);
+  }
+
+  async reassignUser(fromUserId, toUserId) {
+    const moved = this.tables.conversations.filter(c => c.user_id === fromUserId);
+    const rekeyed = new Map(moved.map(c => [c.conversation_id, rekeyConversation(c.conversation_id, fromUserId, toUserId)]));
+    for (const [from, to] of rekeyed) {
+      if (from !== to && this.tables.conversations.some(c => c.conversation_id === to)) {
+        throw new Error(`Conversation ${to} already exists`);
+      }
+    }
+
+    const rekey = conversationId => rekeyed.get(conversationId) || conversationId;
+    for (const conversation of moved) {
+      Object.assign(conversation, { user_id: toUserId, conversation_id: rekey(conversation.conversation_id) });
+    }
+    for (const row of [...this.tables.messages, ...this.tables.memory_fragments]) {
+      row.conversation_id = rekey(row.conversation_id);
+    }
+    for (const memory of this.tables.user_memories) {
+      if (memory.user_id === fromUserId) memory.user_id = toUserId;
+      if (memory.source_conversation_id) memory.source_conversation_id = rekey(memory.source_conversation_id);
+    }
+    return moved.length;
+  }
+
+  // ==================== MESSAGES ====================
+
+  async listMessages(conversationId, { limit, ascending = true, includeDeleted = false, before, after } = {}) {
+    let rows = sortRows(this.tables.messages.filter(m => m.conversation_id === conversationId), 'created_at', true);
+
+    const anchor = before || after;
+    if (anchor) {
+      const index = rows.findIndex(m => m.id === anchor);
+      if (index === -1) return [];
+      rows = before ? rows.slice(0, index) : rows.slice(index + 1);
+    }
+
+    rows = rows.filter(m => includeDeleted || !m.deleted_at);
+    if (!ascending) rows.reverse();
+    return rows.slice(0, limit || rows.length).map(row => this.snapshot(row));
+  }
+
+  async countMessages(conversationId) {
+    return this.tables.messages.filter(m => m.conversation_id === conversationId && !m.deleted_at).length;
+  }
+
+  async insertMessage(row) {
+    const message = this.insert('messages', row);
+    this.refreshSummary(message.conversation_id);
+    return message;
+  }
+
+  async updateMessage(id, patch) {
+    const message = this.update('messages', m => m.id === id, patch);
+    if (message) this.refreshSummary(message.conversation_id);
+    return message;
+  }
+
+  async deleteMessages(conversationId, { ids } = {}) {
+    this.remove('messages', m => m.conversation_id === conversationId && (!ids || ids.includes(m.id)));
+    this.refreshSummary(conversationId);
+  }
+
+  async purgeDeletedMessages(before) {
+    const expired = this.tables.messages.filter(m => m.deleted_at && m.deleted_at < before);
+    this.remove('messages', m => expired.includes(m));
+    return expired.length;
+  }
+
+  async searchMessages(query) {
+    return this.search('messages', query);
+  }
+
+  // What the message triggers do for SQLite and Postgres
+  refreshSummary(conversationId) {
+    const conversation = this.tables.conversations.find(c => c.conversation_id === conversationId);
+    if (!conversation) return;
+
+    const messages = sortRows(
+      this.tables.messages.filter(m => m.conversation_id === conversationId && !m.deleted_at),
+      'created_at'
+    );
+    conversation.message_count = messages.length;
+    conversation.last_message = messages[0] ? messages[0].content.substring(0, LAST_MESSAGE_LENGTH) : null;
+  }
+
+  // ==================== TURNS ====================
+
+  async commitTurn({
+    conversationId,
+    messages = [],
+    messageUpdates = [],
+    deleted = {},
+    fragments = [],
+    userMemories = [],
+    conversation: patch = {},
+    expectedRevision
+  }) {
+    const conversation = this.tables.conversations.find(c => c.conversation_id === conversationId);
+    if (!conversation) throw new Error(`Conversation ${conversationId} not found`);
+    if (expectedRevision !== undefined && conversation.revision !== expectedRevision) return null;
+
+    // Every row is built and every update checked before anything is stored, so a bad one
+    // leaves nothing behind
+    const messageRows = messages.map(row => this.snapshot(withDefaults('messages', row)));
+    const fragmentRows = fragments.map(row => this.snapshot(withDefaults('memory_fragments', row)));
+    const userMemoryRows = userMemories.map(row => this.snapshot(withDefaults('user_memories', row)));
+    const { messageIds = [], fragmentIds = [], userMemoryIds = [] } = deleted;
+    const updates = messageUpdates.map(({ id, ...columns }) => {
+      const row = this.tables.messages.find(m => m.id === id && m.conversation_id === conversationId);
+      if (!row || messageIds.includes(id)) throw new Error(`Message ${id} not found in conversation ${conversationId}`);
+      return { row, patch: this.snapshot(columns) };
+    });
+
+    this.remove('messages', m => m.conversation_id === conversationId && messageIds.includes(m.id));
+    this.remove('memory_fragments', f => f.conversation_id === conversationId && fragmentIds.includes(f.id));
+    this.remove('user_memories', m => m.user_id === conversation.user_id && userMemoryIds.includes(m.id));
+    for (const { row, patch: columns } of updates) Object.assign(row, columns);
+    this.tables.messages.push(...messageRows);
+    this.tables.memory_fragments.push(...fragmentRows);
+    this.tables.user_memories.push(...userMemoryRows);
+    this.refreshSummary(conversationId);
+
+    return {
+      conversation: await this.updateConversation(conversationId, patch),
+      messages: messageRows.map(row => this.snapshot(row)),
+      updatedMessages: sortRows(updates.map(({ row }) => this.snapshot(row)), 'created_at', true),
+      fragments: fragmentRows.map(row => this.snapshot(row)),
+      userMemories: userMemoryRows.map(row => this.snapshot(row))
+    };
+  }
+
+  // ==================== MEMORY FRAGMENTS ====================
+
+  async queryMemoryFragments(query = {}) {
+    let rows = this.tables.memory_fragments.filter(f => matchesFragmentQuery(f, query));
+    if (query.orderBy) rows = sortRows(rows, query.orderBy, !!query.ascending);
+    return rows.slice(0, query.limit || rows.length).map(row => this.snapshot(row));
+  }
+
+  async countMemoryFragments({ conversationId }) {
+    return this.tables.memory_fragments.filter(f => matchesFragmentQuery(f, { conversationId })).length;
+  }
+
+  async insertMemoryFragment(row) {
+    return this.insert('memory_fragments', row);
+  }
+
+  async updateMemoryFragment(id, patch) {
+    return this.update('memory_fragments', f => f.id === id, { ...patch, updated_at: new Date().toISOString() });
+  }
+
+  async searchMemoryFragments(query) {
+    return this.search('memory_fragments', query);
+  }
+
+  search(table, query) {
+    const owned = new Set(this.tables.conversations
+      .filter(c => c.user_id === query.userId)
+      .map(c => c.conversation_id));
+
+    const rows = sortRows(
+      this.tables[table].filter(row =>
+        owned.has(row.conversation_id) && !row.deleted_at && !row.archived_at && matchesSearchQuery(row, query)
+      ),
+      'created_at'
+    );
+    const offset = query.offset || 0;
+    return rows.slice(offset, offset + (query.limit || rows.length)).map(row => this.snapshot(row));
+  }
+
+  async deleteMemoryFragments({ conversationId, ids }) {
+    this.remove('memory_fragments', f => f.conversation_id === conversationId && (!ids || ids.includes(f.id)));
+  }
+
+  // ==================== USER MEMORIES ====================
+
+  async queryUserMemories(query) {
+    let rows = this.tables.user_memories.filter(m => matchesFragmentQuery(m, query));
+    if (query.orderBy) rows = sortRows(rows, query.orderBy, !!query.ascending);
+    return rows.slice(0, query.limit || rows.length).map(row => this.snapshot(row));
+  }
+
+  async countUserMemories({ userId }) {
+    return this.tables.user_memories.filter(m => matchesFragmentQuery(m, { userId })).length;
+  }
+
+  async insertUserMemory(row) {
+    return this.insert('user_memories', row);
+  }
+
+  async updateUserMemory(id, patch) {
+    return this.update('user_memories', m => m.id === id, { ...patch, updated_at: new Date().toISOString() });
+  }
+
+  async deleteUserMemories({ userId, ids }) {
+    this.remove('user_memories', m => m.user_id === userId && (!ids || ids.includes(m.id)));
+  }
+
+  // ==================== GENERATIVE PATTERNS ====================
+
+  async listGenerativePatterns({ patternType } = {}) {
+    return this.tables.generative_patterns
+      .filter(p => !patternType || p.pattern_type === patternType)
+      .map(row => this.snapshot(row));
+  }
+
+  async findGenerativePatterns(keys) {
+    return this.tables.generative_patterns
+      .filter(p => keys.some(([patternType, template]) => p.pattern_type === patternType && p.template === template))
+      .map(row => this.snapshot(row));
+  }
+
+  async incrementGenerativePatterns(keys, { usage = 0, up = 0, down = 0 } = {}, prior) {
+    for (const [patternType, template] of keys) {
+      const predicate = p => p.pattern_type === patternType && p.template === template;
+      const row = this.tables.generative_patterns.find(predicate) ||
+        this.insert('generative_patterns', { pattern_type: patternType, template, metadata: { up: 0, down: 0 } });
+
+      this.update('generative_patterns', predicate, {
+        usage_count: row.usage_count + usage,
+        last_used: usage > 0 ? new Date().toISOString() : row.last_used,
+        ...incrementedPattern(row.metadata, { up, down }, prior)
+      });
+    }
+  }
+
+  // ==================== LOGIN CODES ====================
+
+  async createLoginCode(row) {
+    return this.insert('login_codes', row);
+  }
+
+  async getLatestLoginCode(email) {
+    const rows = sortRows(this.tables.login_codes.filter(c => c.email === email), 'created_at');
+    return this.snapshot(rows[0]);
+  }
+
+  async listLoginCodes(email, { since }) {
+    return sortRows(this.tables.login_codes.filter(c => c.email === email && c.created_at >= since), 'created_at')
+      .map(row => this.snapshot(row));
+  }
+
+  async updateLoginCode(id, patch) {
+    return this.update('login_codes', c => c.id === id, patch);
+  }
+
+  async deleteLoginCodes(email, { before } = {}) {
+    this.remove('login_codes', c => c.email === email && (!before || c.created_at < before));
+  }
+}
+
+module.exports = MemoryStorage;
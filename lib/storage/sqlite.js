@@ -0,0 +1,732 @@
+// Grand's Stories API - SQLite Storage
+// Single-file local backend for self-hosting without Supabase.
+// better-sqlite3 is an optional dependency, so it is only loaded when this backend is selected.
+
+const fs = require('fs');
+const path = require('path');
+const {
+  StorageAdapter,
+  withDefaults,
+  incrementedPattern,
+  matchesFragmentQuery,
+  sortRows,
+  rekeyConversation,
+  LAST_MESSAGE_LENGTH,
+  CONVERSATION_ORDER_COLUMNS
+} = require('./adapter');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    conversation_id TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    metadata TEXT NOT NULL DEFAULT '{}',
+    message_count INTEGER NOT NULL DEFAULT 0,
+    last_message TEXT,
+    revision INTEGER NOT NULL DEFAULT 0,
+    consolidated_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS messages (
+    id TEXT PRIMARY KEY,
+    conversation_id TEXT NOT NULL REFERENCES conversations(conversation_id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('user', 'benn')),
+    content TEXT NOT NULL,
+    metadata TEXT NOT NULL DEFAULT '{}',
+    created_at TEXT NOT NULL,
+    deleted_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS memory_fragments (
+    id TEXT PRIMARY KEY,
+    conversation_id TEXT NOT NULL REFERENCES conversations(conversation_id) ON DELETE CASCADE,
+    fragment_type TEXT NOT NULL,
+    content TEXT NOT NULL,
+    weight REAL NOT NULL DEFAULT 0.5 CHECK (weight >= 0 AND weight <= 1),
+    accessed_count INTEGER NOT NULL DEFAULT 0,
+    last_accessed TEXT NOT NULL,
+    tags TEXT NOT NULL DEFAULT '[]',
+    metadata TEXT NOT NULL DEFAULT '{}',
+    archived_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS user_memories (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    source_conversation_id TEXT REFERENCES conversations(conversation_id) ON DELETE CASCADE,
+    fragment_type TEXT NOT NULL,
+    content TEXT NOT NULL,
+    weight REAL NOT NULL DEFAULT 0.5 CHECK (weight >= 0 AND weight <= 1),
+    accessed_count INTEGER NOT NULL DEFAULT 0,
+    last_accessed TEXT NOT NULL,
+    tags TEXT NOT NULL DEFAULT '[]',
+    metadata TEXT NOT NULL DEFAULT '{}',
+    archived_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS generative_patterns (
+    id TEXT PRIMARY KEY,
+    pattern_type TEXT NOT NULL,
+    template TEXT NOT NULL,
+    usage_count INTEGER NOT NULL DEFAULT 0,
+    success_score REAL NOT NULL DEFAULT 0.5 CHECK (success_score >= 0 AND success_score <= 1),
+    metadata TEXT NOT NULL DEFAULT '{}',
+    created_at TEXT NOT NULL,
+    last_used TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS login_codes (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL,
+    code_hash TEXT NOT NULL,
+    salt TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_conversations_user ON conversations(user_id);
+  CREATE INDEX IF NOT EXISTS idx_conversations_user_updated ON conversations(user_id, updated_at, conversation_id);
+  CREATE INDEX IF NOT EXISTS idx_conversations_user_created ON conversations(user_id, created_at, conversation_id);
+  CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_memory_fragments_conversation ON memory_fragments(conversation_id);
+  CREATE INDEX IF NOT EXISTS idx_memory_fragments_type ON memory_fragments(fragment_type);
+  CREATE INDEX IF NOT EXISTS idx_memory_fragments_weight ON memory_fragments(weight DESC);
+  CREATE INDEX IF NOT EXISTS idx_user_memories_user ON user_memories(user_id);
+  CREATE INDEX IF NOT EXISTS idx_user_memories_source ON user_memories(source_conversation_id);
+  CREATE INDEX IF NOT EXISTS idx_login_codes_email ON login_codes(email);
+`;
+
+// Keep conversations.message_count/last_message in step with messages; soft-deleted
+// messages (deleted_at set) don't count. Dropped and recreated on open so older
+// databases pick up changes to the definitions.
+const LAST_MESSAGE_SQL = `(
+  SELECT substr(content, 1, ${LAST_MESSAGE_LENGTH}) FROM messages
+  WHERE conversation_id = conversations.conversation_id AND deleted_at IS NULL
+  ORDER BY created_at DESC, rowid DESC LIMIT 1
+)`;
+
+const TRIGGERS = `
+  DROP TRIGGER IF EXISTS messages_summary_insert;
+  CREATE TRIGGER messages_summary_insert AFTER INSERT ON messages BEGIN
+    UPDATE conversations
+    SET message_count = message_count + (NEW.deleted_at IS NULL), last_message = ${LAST_MESSAGE_SQL}
+    WHERE conversation_id = NEW.conversation_id;
+  END;
+
+  DROP TRIGGER IF EXISTS messages_summary_delete;
+  CREATE TRIGGER messages_summary_delete AFTER DELETE ON messages BEGIN
+    UPDATE conversations
+    SET message_count = MAX(message_count - (OLD.deleted_at IS NULL), 0), last_message = ${LAST_MESSAGE_SQL}
+    WHERE conversation_id = OLD.conversation_id;
+  END;
+
+  DROP TRIGGER IF EXISTS messages_summary_update;
+  CREATE TRIGGER messages_summary_update AFTER UPDATE OF content, deleted_at ON messages BEGIN
+    UPDATE conversations
+    SET message_count = MAX(message_count + (NEW.deleted_at IS NULL) - (OLD.deleted_at IS NULL), 0),
+      last_message = ${LAST_MESSAGE_SQL}
+    WHERE conversation_id = NEW.conversation_id;
+  END;
+
+  -- Every write to metadata moves the revision on; the summary triggers leave it alone
+  DROP TRIGGER IF EXISTS conversations_revision;
+  CREATE TRIGGER conversations_revision AFTER UPDATE OF metadata ON conversations BEGIN
+    UPDATE conversations SET revision = OLD.revision + 1 WHERE id = NEW.id;
+  END;
+`;
+
+// Columns stored as JSON text
+const JSON_COLUMNS = {
+  conversations: ['metadata'],
+  messages: ['metadata'],
+  memory_fragments: ['metadata', 'tags'],
+  user_memories: ['metadata', 'tags'],
+  generative_patterns: ['metadata'],
+  login_codes: []
+};
+
+const ORDERABLE_COLUMNS = new Set([
+  'created_at', 'updated_at', 'last_accessed', 'last_used', 'weight', 'accessed_count', 'usage_count', 'success_score'
+]);
+
+class SqliteStorage extends StorageAdapter {
+  constructor({ filename = process.env.SQLITE_PATH || path.join(process.cwd(), 'data', 'benn.sqlite') } = {}) {
+    super('sqlite');
+    this.filename = filename;
+    this.db = null;
+  }
+
+  async initialize() {
+    this.open();
+  }
+
+  open() {
+    if (this.db) return this.db;
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite storage requires the optional "better-sqlite3" package (npm install better-sqlite3)');
+    }
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    this.migrate();
+    this.db.exec(TRIGGERS);
+    return this.db;
+  }
+
+  // Databases created before a column existed get it added (and backfilled where needed)
+  migrate() {
+    const columnsOf = table => this.db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+
+    if (!columnsOf('messages').includes('deleted_at')) {
+      this.db.exec('ALTER TABLE messages ADD COLUMN deleted_at TEXT;');
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_messages_deleted ON messages(deleted_at);');
+
+    for (const table of ['memory_fragments', 'user_memories']) {
+      if (!columnsOf(table).includes('archived_at')) {
+        this.db.exec(`ALTER TABLE ${table} ADD COLUMN archived_at TEXT;`);
+      }
+      if (!columnsOf(table).includes('updated_at')) {
+        this.db.exec(`
+          ALTER TABLE ${table} ADD COLUMN updated_at TEXT NOT NULL DEFAULT '';
+          UPDATE ${table} SET updated_at = created_at;
+        `);
+      }
+    }
+
+    if (!columnsOf('conversations').includes('revision')) {
+      this.db.exec('ALTER TABLE conversations ADD COLUMN revision INTEGER NOT NULL DEFAULT 0;');
+    }
+    if (!columnsOf('conversations').includes('consolidated_at')) {
+      this.db.exec('ALTER TABLE conversations ADD COLUMN consolidated_at TEXT;');
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_conversations_consolidated ON conversations(consolidated_at, conversation_id);');
+
+    // Usage counting once gave every recalled memory a row, and a pattern could get two rows;
+    // both are cleared out before each pattern is held to one
+    const indexed = this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'index' AND name = 'idx_generative_patterns_key'").get();
+    if (!indexed) {
+      this.db.exec(`
+        DELETE FROM generative_patterns WHERE pattern_type = 'memory'
+          AND COALESCE(json_extract(metadata, '$.up'), 0) = 0 AND COALESCE(json_extract(metadata, '$.down'), 0) = 0;
+        DELETE FROM generative_patterns WHERE rowid NOT IN
+          (SELECT MIN(rowid) FROM generative_patterns GROUP BY pattern_type, template);
+        CREATE UNIQUE INDEX idx_generative_patterns_key ON generative_patterns(pattern_type, template);
+      `);
+    }
+
+    if (columnsOf('conversations').includes('message_count')) return;
+
+    this.db.exec(`
+      ALTER TABLE conversations ADD COLUMN message_count INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE conversations ADD COLUMN last_message TEXT;
+      UPDATE conversations SET
+        message_count = (SELECT COUNT(*) FROM messages WHERE conversation_id = conversations.conversation_id AND deleted_at IS NULL),
+        last_message = ${LAST_MESSAGE_SQL};
+    `);
+  }
+
+  encode(table, row) {
+    const encoded = { ...row };
+    for (const column of JSON_COLUMNS[table]) {
+      if (column in encoded) encoded[column] = JSON.stringify(encoded[column] ?? null);
+    }
+    return encoded;
+  }
+
+  decode(table, row) {
+    if (!row) return null;
+    const decoded = { ...row };
+    for (const column of JSON_COLUMNS[table]) {
+      if (typeof decoded[column] === 'string') decoded[column] = JSON.parse(decoded[column]);
+    }
+    return decoded;
+  }
+
+  insert(table, row) {
+    const encoded = this.encode(table, withDefaults(table, row));
+    const columns = Object.keys(encoded);
+    this.open()
+      .prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`)
+      .run(encoded);
+    return this.decode(table, this.open().prepare(`SELECT * FROM ${table} WHERE id = ?`).get(encoded.id));
+  }
+
+  update(table, keyColumn, keyValue, patch) {
+    const encoded = this.encode(table, patch);
+    const columns = Object.keys(encoded).filter(c => encoded[c] !== undefined);
+
+    if (columns.length > 0) {
+      this.open()
+        .prepare(`UPDATE ${table} SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE ${keyColumn} = @__key`)
+        .run({ ...Object.fromEntries(columns.map(c => [c, encoded[c]])), __key: keyValue });
+    }
+
+    return this.decode(table, this.open().prepare(`SELECT * FROM ${table} WHERE ${keyColumn} = ?`).get(keyValue));
+  }
+
+  all(table, sql, params = []) {
+    return this.open().prepare(sql).all(...params).map(row => this.decode(table, row));
+  }
+
+  // ==================== CONVERSATIONS ====================
+
+  async getConversation(conversationId) {
+    return this.decode('conversations',
+      this.open().prepare('SELECT * FROM conversations WHERE conversation_id = ?').get(conversationId));
+  }
+
+  async listConversations(userId, { limit, orderBy = 'updated_at', ascending = false, after, archived, pinned, tag, branchRoot } = {}) {
+    if (!CONVERSATION_ORDER_COLUMNS.has(orderBy)) {
+      throw new Error(`Cannot order conversations by ${orderBy}`);
+    }
+
+    const where = ['user_id = ?'];
+    const params = [userId];
+
+    if (archived !== undefined) {
+      where.push(`COALESCE(json_extract(metadata, '$.archived'), 0) = ?`);
+      params.push(archived ? 1 : 0);
+    }
+    if (pinned !== undefined) {
+      where.push(`COALESCE(json_extract(metadata, '$.pinned'), 0) = ?`);
+      params.push(pinned ? 1 : 0);
+    }
+    if (tag) {
+      where.push(`EXISTS (SELECT 1 FROM json_each(metadata, '$.tags') WHERE value = ?)`);
+      params.push(tag);
+    }
+    if (branchRoot) {
+      where.push(`json_extract(metadata, '$.branch.rootId') = ?`);
+      params.push(branchRoot);
+    }
+    if (after) {
+      const comparison = ascending ? '>' : '<';
+      where.push(`(${orderBy} ${comparison} ? OR (${orderBy} = ? AND conversation_id ${comparison} ?))`);
+      params.push(after.value, after.value, after.conversationId);
+    }
+
+    const direction = ascending ? 'ASC' : 'DESC';
+    let sql = `SELECT * FROM conversations WHERE ${where.join(' AND ')} ORDER BY ${orderBy} ${direction}, conversation_id ${direction}`;
+    if (limit) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+
+    return this.all('conversations', sql, params);
+  }
+
+  async listConversationsToConsolidate({ limit } = {}) {
+    let sql = 'SELECT * FROM conversations ORDER BY consolidated_at IS NOT NULL, consolidated_at, conversation_id';
+    const params = [];
+    if (limit) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+    return this.all('conversations', sql, params);
+  }
+
+  async createConversation(row) {
+    return this.insert('conversations', row);
+  }
+
+  async updateConversation(conversationId, patch, { expectedRevision } = {}) {
+    if (expectedRevision === undefined) {
+      return this.update('conversations', 'conversation_id', conversationId, patch);
+    }
+
+    // Check and write in one transaction so another process can't slip in between
+    return this.open().transaction(() => {
+      const current = this.open().prepare('SELECT revision FROM conversations WHERE conversation_id = ?').get(conversationId);
+      if (!current || current.revision !== expectedRevision) return null;
+      return this.update('conversations', 'conversation_id', conversationId, patch);
+    }).immediate();
+  }
+
+  async deleteConversation(conversationId, { userId } = {}) {
+    if (userId) {
+      this.open().prepare('DELETE FROM conversations WHERE conversation_id = ? AND user_id = ?').run(conversationId, userId);
+    } else {
+      this.open().prepare('DELETE FROM conversations WHERE conversation_id = ?').run(conversationId);
+    }
+  }
+
+  async reassignUser(fromUserId, toUserId) {
+    return this.open().transaction(() => {
+      // Children are rekeyed after their conversation, so the check waits for the commit
+      this.open().pragma('defer_foreign_keys = ON');
+
+      const moved = this.open().prepare('SELECT conversation_id FROM conversations WHERE user_id = ?').all(fromUserId);
+      for (const { conversation_id: from } of moved) {
+        const to = rekeyConversation(from, fromUserId, toUserId);
+        this.open().prepare('UPDATE conversations SET user_id = ?, conversation_id = ? WHERE conversation_id = ?').run(toUserId, to, from);
+        if (to === from) continue;
+        for (const [table, column] of [['messages', 'conversation_id'], ['memory_fragments', 'conversation_id'], ['user_memories', 'source_conversation_id']]) {
+          this.open().prepare(`UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`).run(to, from);
+        }
+      }
+      this.open().prepare('UPDATE user_memories SET user_id = ? WHERE user_id = ?').run(toUserId, fromUserId);
+      return moved.length;
+    }).immediate();
+  }
+
+  // ==================== MESSAGES ====================
+
+  async listMessages(conversationId, { limit, ascending = true, includeDeleted = false, before, after } = {}) {
+    const where = ['conversation_id = ?'];
+    const params = [conversationId];
+
+    if (!includeDeleted) where.push('deleted_at IS NULL');
+    // rowid breaks created_at ties, matching the ORDER BY
+    if (before || after) {
+      where.push(`(created_at, rowid) ${before ? '<' : '>'} (SELECT created_at, rowid FROM messages WHERE id = ? AND conversation_id = ?)`);
+      params.push(before || after, conversationId);
+    }
+
+    const direction = ascending ? 'ASC' : 'DESC';
+    let sql = `SELECT * FROM messages WHERE ${where.join(' AND ')} ORDER BY created_at ${direction}, rowid ${direction}`;
+    if (limit) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+
+    return this.all('messages', sql, params);
+  }
+
+  async countMessages(conversationId) {
+    return this.open()
+      .prepare('SELECT COUNT(*) AS count FROM messages WHERE conversation_id = ? AND deleted_at IS NULL')
+      .get(conversationId).count;
+  }
+
+  async insertMessage(row) {
+    return this.insert('messages', row);
+  }
+
+  async updateMessage(id, patch) {
+    return this.update('messages', 'id', id, patch);
+  }
+
+  async deleteMessages(conversationId, { ids } = {}) {
+    if (ids) {
+      if (ids.length === 0) return;
+      this.open()
+        .prepare(`DELETE FROM messages WHERE conversation_id = ? AND id IN (${ids.map(() => '?').join(', ')})`)
+        .run(conversationId, ...ids);
+      return;
+    }
+    this.open().prepare('DELETE FROM messages WHERE conversation_id = ?').run(conversationId);
+  }
+
+  async purgeDeletedMessages(before) {
+    return this.open().prepare('DELETE FROM messages WHERE deleted_at IS NOT NULL AND deleted_at < ?').run(before).changes;
+  }
+
+  async searchMessages(query) {
+    const where = ['t.deleted_at IS NULL'];
+    const params = [];
+
+    if (query.role) {
+      where.push('t.role = ?');
+      params.push(query.role);
+    }
+    if (query.topics?.length) {
+      where.push(`EXISTS (SELECT 1 FROM json_each(t.metadata, '$.analysis.primaryTopics') WHERE value IN (${query.topics.map(() => '?').join(', ')}))`);
+      params.push(...query.topics);
+    }
+
+    return this.search('messages', query, where, params);
+  }
+
+  // ==================== TURNS ====================
+
+  async commitTurn({
+    conversationId,
+    messages = [],
+    messageUpdates = [],
+    deleted = {},
+    fragments = [],
+    userMemories = [],
+    conversation: patch = {},
+    expectedRevision
+  }) {
+    return this.open().transaction(() => {
+      const current = this.open().prepare('SELECT revision, user_id FROM conversations WHERE conversation_id = ?').get(conversationId);
+      if (!current) throw new Error(`Conversation ${conversationId} not found`);
+      if (expectedRevision !== undefined && current.revision !== expectedRevision) return null;
+
+      const { messageIds = [], fragmentIds = [], userMemoryIds = [] } = deleted;
+      const remove = (table, scopeColumn, scope, ids) => {
+        if (ids.length === 0) return;
+        this.open()
+          .prepare(`DELETE FROM ${table} WHERE ${scopeColumn} = ? AND id IN (${ids.map(() => '?').join(', ')})`)
+          .run(scope, ...ids);
+      };
+      remove('messages', 'conversation_id', conversationId, messageIds);
+      remove('memory_fragments', 'conversation_id', conversationId, fragmentIds);
+      remove('user_memories', 'user_id', current.user_id, userMemoryIds);
+
+      const updated = messageUpdates.map(({ id, ...columns }) => {
+        const row = this.open().prepare('SELECT conversation_id FROM messages WHERE id = ?').get(id);
+        if (row?.conversation_id !== conversationId) {
+          throw new Error(`Message ${id} not found in conversation ${conversationId}`);
+        }
+        return this.update('messages', 'id', id, columns);
+      });
+
+      const stored = messages.map(row => this.insert('messages', row));
+      const storedFragments = fragments.map(row => this.insert('memory_fragments', row));
+      const storedUserMemories = userMemories.map(row => this.insert('user_memories', row));
+
+      return {
+        conversation: this.update('conversations', 'conversation_id', conversationId, patch),
+        messages: stored,
+        updatedMessages: sortRows(updated, 'created_at', true),
+        fragments: storedFragments,
+        userMemories: storedUserMemories
+      };
+    }).immediate();
+  }
+
+  // ==================== MEMORY FRAGMENTS ====================
+
+  async queryMemoryFragments(query = {}) {
+    const where = [];
+    const params = [];
+
+    if (query.conversationId) {
+      where.push('conversation_id = ?');
+      params.push(query.conversationId);
+    }
+    if (query.ids) {
+      where.push(`id IN (${query.ids.map(() => '?').join(', ')})`);
+      params.push(...query.ids);
+    }
+    if (query.fragmentType) {
+      where.push('fragment_type = ?');
+      params.push(query.fragmentType);
+    }
+    if (query.updatedSince) {
+      where.push('updated_at >= ?');
+      params.push(query.updatedSince);
+    }
+    if (!query.includeArchived) {
+      where.push('archived_at IS NULL');
+    }
+
+    let sql = 'SELECT * FROM memory_fragments';
+    if (where.length > 0) sql += ` WHERE ${where.join(' AND ')}`;
+    if (query.orderBy && ORDERABLE_COLUMNS.has(query.orderBy)) {
+      const direction = query.ascending ? 'ASC' : 'DESC';
+      sql += ` ORDER BY ${query.orderBy} ${direction}, rowid ${direction}`;
+    }
+
+    // Tag/keyword matching happens on decoded rows so it behaves exactly like the other backends
+    const rows = this.all('memory_fragments', sql, params).filter(f => matchesFragmentQuery(f, query));
+    return rows.slice(0, query.limit || rows.length);
+  }
+
+  async countMemoryFragments({ conversationId }) {
+    return this.open()
+      .prepare('SELECT COUNT(*) AS count FROM memory_fragments WHERE conversation_id = ? AND archived_at IS NULL')
+      .get(conversationId).count;
+  }
+
+  async insertMemoryFragment(row) {
+    return this.insert('memory_fragments', row);
+  }
+
+  async updateMemoryFragment(id, patch) {
+    return this.update('memory_fragments', 'id', id, { ...patch, updated_at: new Date().toISOString() });
+  }
+
+  async searchMemoryFragments(query) {
+    return this.search('memory_fragments', query, ['t.archived_at IS NULL']);
+  }
+
+  // Owner, terms and dates in SQL; `where` adds table-specific conditions on alias t
+  search(table, query, where = [], params = []) {
+    const conditions = [
+      'c.user_id = ?',
+      `(${query.terms.map(() => "t.content LIKE ? ESCAPE '\\'").join(' OR ')})`,
+      ...where
+    ];
+    const values = [
+      query.userId,
+      ...query.terms.map(term => `%${term.replace(/[\\%_]/g, c => `\\${c}`)}%`),
+      ...params
+    ];
+
+    if (query.from) {
+      conditions.push('t.created_at >= ?');
+      values.push(query.from);
+    }
+    if (query.to) {
+      conditions.push('t.created_at <= ?');
+      values.push(query.to);
+    }
+
+    let sql = `SELECT t.* FROM ${table} t JOIN conversations c ON c.conversation_id = t.conversation_id
+      WHERE ${conditions.join(' AND ')} ORDER BY t.created_at DESC, t.rowid DESC`;
+    if (query.limit) {
+      sql += ' LIMIT ? OFFSET ?';
+      values.push(query.limit, query.offset || 0);
+    }
+
+    return this.all(table, sql, values);
+  }
+
+  async deleteMemoryFragments({ conversationId, ids }) {
+    if (ids) {
+      if (ids.length === 0) return;
+      this.open()
+        .prepare(`DELETE FROM memory_fragments WHERE conversation_id = ? AND id IN (${ids.map(() => '?').join(', ')})`)
+        .run(conversationId, ...ids);
+      return;
+    }
+    this.open().prepare('DELETE FROM memory_fragments WHERE conversation_id = ?').run(conversationId);
+  }
+
+  // ==================== USER MEMORIES ====================
+
+  async queryUserMemories(query) {
+    const where = [];
+    const params = [];
+
+    if (query.userId) {
+      where.push('user_id = ?');
+      params.push(query.userId);
+    }
+    if (query.ids) {
+      where.push(`id IN (${query.ids.map(() => '?').join(', ')})`);
+      params.push(...query.ids);
+    }
+    if (query.fragmentType) {
+      where.push('fragment_type = ?');
+      params.push(query.fragmentType);
+    }
+    if (query.updatedSince) {
+      where.push('updated_at >= ?');
+      params.push(query.updatedSince);
+    }
+    if (!query.includeArchived) {
+      where.push('archived_at IS NULL');
+    }
+
+    let sql = 'SELECT * FROM user_memories';
+    if (where.length > 0) sql += ` WHERE ${where.join(' AND ')}`;
+    if (query.orderBy && ORDERABLE_COLUMNS.has(query.orderBy)) {
+      const direction = query.ascending ? 'ASC' : 'DESC';
+      sql += ` ORDER BY ${query.orderBy} ${direction}, rowid ${direction}`;
+    }
+
+    const rows = this.all('user_memories', sql, params).filter(m => matchesFragmentQuery(m, query));
+    return rows.slice(0, query.limit || rows.length);
+  }
+
+  async countUserMemories({ userId }) {
+    return this.open()
+      .prepare('SELECT COUNT(*) AS count FROM user_memories WHERE user_id = ? AND archived_at IS NULL')
+      .get(userId).count;
+  }
+
+  async insertUserMemory(row) {
+    return this.insert('user_memories', row);
+  }
+
+  async updateUserMemory(id, patch) {
+    return this.update('user_memories', 'id', id, { ...patch, updated_at: new Date().toISOString() });
+  }
+
+  async deleteUserMemories({ userId, ids }) {
+    if (ids) {
+      if (ids.length === 0) return;
+      this.open()
+        .prepare(`DELETE FROM user_memories WHERE user_id = ? AND id IN (${ids.map(() => '?').join(', ')})`)
+        .run(userId, ...ids);
+      return;
+    }
+    this.open().prepare('DELETE FROM user_memories WHERE user_id = ?').run(userId);
+  }
+
+  // ==================== GENERATIVE PATTERNS ====================
+
+  async listGenerativePatterns({ patternType } = {}) {
+    return patternType
+      ? this.all('generative_patterns', 'SELECT * FROM generative_patterns WHERE pattern_type = ?', [patternType])
+      : this.all('generative_patterns', 'SELECT * FROM generative_patterns');
+  }
+
+  async findGenerativePatterns(keys) {
+    const find = this.open().prepare('SELECT * FROM generative_patterns WHERE pattern_type = ? AND template = ?');
+    return keys
+      .map(([patternType, template]) => this.decode('generative_patterns', find.get(patternType, template)))
+      .filter(Boolean);
+  }
+
+  async incrementGenerativePatterns(keys, { usage = 0, up = 0, down = 0 } = {}, prior) {
+    this.open().transaction(() => {
+      const find = this.open().prepare('SELECT * FROM generative_patterns WHERE pattern_type = ? AND template = ?');
+      for (const [patternType, template] of keys) {
+        const row = this.decode('generative_patterns', find.get(patternType, template)) ||
+          this.insert('generative_patterns', { pattern_type: patternType, template, metadata: { up: 0, down: 0 } });
+
+        this.update('generative_patterns', 'id', row.id, {
+          usage_count: row.usage_count + usage,
+          last_used: usage > 0 ? new Date().toISOString() : row.last_used,
+          ...incrementedPattern(row.metadata, { up, down }, prior)
+        });
+      }
+    }).immediate();
+  }
+
+  // ==================== LOGIN CODES ====================
+
+  async createLoginCode(row) {
+    return this.insert('login_codes', row);
+  }
+
+  async getLatestLoginCode(email) {
+    return this.decode('login_codes', this.open()
+      .prepare('SELECT * FROM login_codes WHERE email = ? ORDER BY created_at DESC, rowid DESC LIMIT 1')
+      .get(email));
+  }
+
+  async listLoginCodes(email, { since }) {
+    return this.open()
+      .prepare('SELECT * FROM login_codes WHERE email = ? AND created_at >= ? ORDER BY created_at DESC, rowid DESC')
+      .all(email, since)
+      .map(row => this.decode('login_codes', row));
+  }
+
+  async updateLoginCode(id, patch) {
+    return this.update('login_codes', 'id', id, patch);
+  }
+
+  async deleteLoginCodes(email, { before } = {}) {
+    if (before) {
+      this.open().prepare('DELETE FROM login_codes WHERE email = ? AND created_at < ?').run(email, before);
+    } else {
+      this.open().prepare('DELETE FROM login_codes WHERE email = ?').run(email);
+    }
+  }
+}
+
+module.exports = SqliteStorage;
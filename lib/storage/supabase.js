@@ -0,0 +1,895 @@
+// Grand's Stories API - Supabase Storage
+// Hosted Postgres backend; the original (and production) storage
+
+const { createClient } = require('@supabase/supabase-js');
+const { StorageAdapter, LAST_MESSAGE_LENGTH, CONVERSATION_ORDER_COLUMNS } = require('./adapter');
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS conversations (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    conversation_id TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    metadata JSONB DEFAULT '{}'::jsonb,
+    message_count INTEGER DEFAULT 0,
+    last_message TEXT,
+    revision INTEGER NOT NULL DEFAULT 0,
+    consolidated_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT unique_user_conversation UNIQUE(user_id, conversation_id)
+  );`,
+
+  `CREATE TABLE IF NOT EXISTS messages (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    conversation_id TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('user', 'benn')),
+    content TEXT NOT NULL,
+    metadata JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(conversation_id) ON DELETE CASCADE
+  );`,
+
+  `CREATE TABLE IF NOT EXISTS memory_fragments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    conversation_id TEXT NOT NULL,
+    fragment_type TEXT NOT NULL,
+    content TEXT NOT NULL,
+    weight FLOAT DEFAULT 0.5 CHECK (weight >= 0 AND weight <= 1),
+    accessed_count INTEGER DEFAULT 0,
+    last_accessed TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    tags TEXT[] DEFAULT '{}',
+    metadata JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(conversation_id) ON DELETE CASCADE
+  );`,
+
+  `CREATE TABLE IF NOT EXISTS user_memories (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    source_conversation_id TEXT,
+    fragment_type TEXT NOT NULL,
+    content TEXT NOT NULL,
+    weight FLOAT DEFAULT 0.5 CHECK (weight >= 0 AND weight <= 1),
+    accessed_count INTEGER DEFAULT 0,
+    last_accessed TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    tags TEXT[] DEFAULT '{}',
+    metadata JSONB DEFAULT '{}'::jsonb,
+    archived_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    FOREIGN KEY (source_conversation_id) REFERENCES conversations(conversation_id) ON DELETE CASCADE
+  );`,
+
+  `CREATE TABLE IF NOT EXISTS generative_patterns (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    pattern_type TEXT NOT NULL,
+    template TEXT NOT NULL,
+    usage_count INTEGER DEFAULT 0,
+    success_score FLOAT DEFAULT 0.5 CHECK (success_score >= 0 AND success_score <= 1),
+    metadata JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    last_used TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+  );`,
+
+  `CREATE TABLE IF NOT EXISTS login_codes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    email TEXT NOT NULL,
+    code_hash TEXT NOT NULL,
+    salt TEXT NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+  );`,
+
+  // Summary columns for databases created before they existed; NULL marks rows to backfill
+  `ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;`,
+  `ALTER TABLE conversations ADD COLUMN IF NOT EXISTS message_count INTEGER;`,
+  `ALTER TABLE conversations ADD COLUMN IF NOT EXISTS last_message TEXT;`,
+  `UPDATE conversations SET
+    message_count = (SELECT COUNT(*) FROM messages m
+      WHERE m.conversation_id = conversations.conversation_id AND m.deleted_at IS NULL),
+    last_message = (SELECT LEFT(m.content, ${LAST_MESSAGE_LENGTH}) FROM messages m
+      WHERE m.conversation_id = conversations.conversation_id AND m.deleted_at IS NULL
+      ORDER BY m.created_at DESC LIMIT 1)
+  WHERE message_count IS NULL;`,
+  `ALTER TABLE conversations ALTER COLUMN message_count SET DEFAULT 0;`,
+  `ALTER TABLE conversations ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 0;`,
+  `ALTER TABLE memory_fragments ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;`,
+  `ALTER TABLE conversations ADD COLUMN IF NOT EXISTS consolidated_at TIMESTAMP WITH TIME ZONE;`,
+  `ALTER TABLE memory_fragments ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL;`,
+  `ALTER TABLE user_memories ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL;`,
+
+  // Every write to a fragment or user memory moves its updated_at on (see queryMemoryFragments)
+  `CREATE OR REPLACE FUNCTION touch_memory() RETURNS TRIGGER AS $$
+  BEGIN
+    NEW.updated_at := TIMEZONE('utc'::text, NOW());
+    RETURN NEW;
+  END;
+  $$ LANGUAGE plpgsql;`,
+  `DROP TRIGGER IF EXISTS memory_fragments_touch ON memory_fragments;`,
+  `CREATE TRIGGER memory_fragments_touch BEFORE UPDATE ON memory_fragments
+    FOR EACH ROW EXECUTE FUNCTION touch_memory();`,
+  `DROP TRIGGER IF EXISTS user_memories_touch ON user_memories;`,
+  `CREATE TRIGGER user_memories_touch BEFORE UPDATE ON user_memories
+    FOR EACH ROW EXECUTE FUNCTION touch_memory();`,
+
+  // Every write to metadata moves the revision on; the summary trigger leaves it alone
+  `CREATE OR REPLACE FUNCTION bump_conversation_revision() RETURNS TRIGGER AS $$
+  BEGIN
+    NEW.revision := OLD.revision + 1;
+    RETURN NEW;
+  END;
+  $$ LANGUAGE plpgsql;`,
+  `DROP TRIGGER IF EXISTS conversations_revision ON conversations;`,
+  `CREATE TRIGGER conversations_revision BEFORE UPDATE OF metadata ON conversations
+    FOR EACH ROW EXECUTE FUNCTION bump_conversation_revision();`,
+
+  `CREATE OR REPLACE FUNCTION refresh_conversation_summary() RETURNS TRIGGER AS $$
+  DECLARE
+    target TEXT := COALESCE(NEW.conversation_id, OLD.conversation_id);
+    -- Soft-deleted messages drop out of the count and the preview
+    delta INTEGER := CASE TG_OP
+      WHEN 'INSERT' THEN (NEW.deleted_at IS NULL)::int
+      WHEN 'DELETE' THEN -(OLD.deleted_at IS NULL)::int
+      ELSE (NEW.deleted_at IS NULL)::int - (OLD.deleted_at IS NULL)::int
+    END;
+  BEGIN
+    UPDATE conversations SET
+      message_count = GREATEST(COALESCE(message_count, 0) + delta, 0),
+      last_message = (SELECT LEFT(m.content, ${LAST_MESSAGE_LENGTH}) FROM messages m
+        WHERE m.conversation_id = target AND m.deleted_at IS NULL ORDER BY m.created_at DESC LIMIT 1)
+    WHERE conversation_id = target;
+    RETURN NULL;
+  END;
+  $$ LANGUAGE plpgsql;`,
+  `DROP TRIGGER IF EXISTS messages_summary ON messages;`,
+  `CREATE TRIGGER messages_summary AFTER INSERT OR DELETE OR UPDATE OF content, deleted_at ON messages
+    FOR EACH ROW EXECUTE FUNCTION refresh_conversation_summary();`,
+
+  // A chat turn in one transaction and one round trip (see commitTurn). Returns NULL,
+  // writing nothing, when the conversation's revision has moved past p_expected_revision.
+  // Earlier versions (without user memories, then without updates and deletions) are
+  // dropped so named calls can't resolve to them.
+  `DROP FUNCTION IF EXISTS commit_turn(TEXT, JSONB, JSONB, JSONB, INTEGER);`,
+  `DROP FUNCTION IF EXISTS commit_turn(TEXT, JSONB, JSONB, JSONB, JSONB, INTEGER);`,
+  `CREATE OR REPLACE FUNCTION commit_turn(
+    p_conversation_id TEXT,
+    p_messages JSONB,
+    p_message_updates JSONB,
+    p_deleted JSONB,
+    p_fragments JSONB,
+    p_user_memories JSONB,
+    p_patch JSONB,
+    p_expected_revision INTEGER
+  ) RETURNS JSONB AS $$
+  DECLARE
+    current_revision INTEGER;
+    owner TEXT;
+    stored_messages JSONB;
+    updated_messages JSONB;
+    stored_fragments JSONB;
+    stored_user_memories JSONB;
+    updated conversations;
+  BEGIN
+    SELECT revision, user_id INTO current_revision, owner FROM conversations
+      WHERE conversation_id = p_conversation_id FOR UPDATE;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Conversation % not found', p_conversation_id;
+    END IF;
+    IF p_expected_revision IS NOT NULL AND current_revision <> p_expected_revision THEN
+      RETURN NULL;
+    END IF;
+
+    DELETE FROM messages WHERE conversation_id = p_conversation_id AND id IN
+      (SELECT jsonb_array_elements_text(COALESCE(p_deleted->'messageIds', '[]'::jsonb))::uuid);
+    DELETE FROM memory_fragments WHERE conversation_id = p_conversation_id AND id IN
+      (SELECT jsonb_array_elements_text(COALESCE(p_deleted->'fragmentIds', '[]'::jsonb))::uuid);
+    DELETE FROM user_memories WHERE user_id = owner AND id IN
+      (SELECT jsonb_array_elements_text(COALESCE(p_deleted->'userMemoryIds', '[]'::jsonb))::uuid);
+
+    WITH changed AS (
+      UPDATE messages m SET
+        content = COALESCE(u.value->>'content', m.content),
+        metadata = COALESCE(u.value->'metadata', m.metadata),
+        deleted_at = CASE WHEN u.value ? 'deleted_at'
+          THEN (u.value->>'deleted_at')::timestamptz ELSE m.deleted_at END
+      FROM jsonb_array_elements(COALESCE(p_message_updates, '[]'::jsonb)) AS u(value)
+      WHERE m.id = (u.value->>'id')::uuid AND m.conversation_id = p_conversation_id
+      RETURNING m.*
+    )
+    SELECT COALESCE(jsonb_agg(to_jsonb(changed) ORDER BY changed.created_at), '[]'::jsonb)
+      INTO updated_messages FROM changed;
+    IF jsonb_array_length(updated_messages) <> jsonb_array_length(COALESCE(p_message_updates, '[]'::jsonb)) THEN
+      RAISE EXCEPTION 'Message to update not found in conversation %', p_conversation_id;
+    END IF;
+
+    WITH inserted AS (
+      INSERT INTO messages (id, conversation_id, role, content, metadata, created_at)
+      SELECT m.id, m.conversation_id, m.role, m.content, COALESCE(m.metadata, '{}'::jsonb),
+        COALESCE(m.created_at, TIMEZONE('utc'::text, NOW()))
+      FROM jsonb_to_recordset(p_messages)
+        AS m(id UUID, conversation_id TEXT, role TEXT, content TEXT, metadata JSONB, created_at TIMESTAMPTZ)
+      RETURNING *
+    )
+    SELECT COALESCE(jsonb_agg(to_jsonb(inserted) ORDER BY inserted.created_at), '[]'::jsonb)
+      INTO stored_messages FROM inserted;
+
+    WITH inserted AS (
+      INSERT INTO memory_fragments (conversation_id, fragment_type, content, weight, tags, metadata, last_accessed)
+      SELECT f.conversation_id, f.fragment_type, f.content, COALESCE(f.weight, 0.5),
+        ARRAY(SELECT jsonb_array_elements_text(COALESCE(f.tags, '[]'::jsonb))),
+        COALESCE(f.metadata, '{}'::jsonb), COALESCE(f.last_accessed, TIMEZONE('utc'::text, NOW()))
+      FROM jsonb_to_recordset(p_fragments)
+        AS f(conversation_id TEXT, fragment_type TEXT, content TEXT, weight FLOAT, tags JSONB, metadata JSONB, last_accessed TIMESTAMPTZ)
+      RETURNING *
+    )
+    SELECT COALESCE(jsonb_agg(to_jsonb(inserted)), '[]'::jsonb) INTO stored_fragments FROM inserted;
+
+    WITH inserted AS (
+      INSERT INTO user_memories (user_id, source_conversation_id, fragment_type, content, weight, tags, metadata, last_accessed)
+      SELECT u.user_id, u.source_conversation_id, u.fragment_type, u.content, COALESCE(u.weight, 0.5),
+        ARRAY(SELECT jsonb_array_elements_text(COALESCE(u.tags, '[]'::jsonb))),
+        COALESCE(u.metadata, '{}'::jsonb), COALESCE(u.last_accessed, TIMEZONE('utc'::text, NOW()))
+      FROM jsonb_to_recordset(COALESCE(p_user_memories, '[]'::jsonb))
+        AS u(user_id TEXT, source_conversation_id TEXT, fragment_type TEXT, content TEXT, weight FLOAT, tags JSONB, metadata JSONB, last_accessed TIMESTAMPTZ)
+      RETURNING *
+    )
+    SELECT COALESCE(jsonb_agg(to_jsonb(inserted)), '[]'::jsonb) INTO stored_user_memories FROM inserted;
+
+    UPDATE conversations SET
+      metadata = COALESCE(p_patch->'metadata', metadata),
+      updated_at = COALESCE((p_patch->>'updated_at')::timestamptz, updated_at)
+    WHERE conversation_id = p_conversation_id
+    RETURNING * INTO updated;
+
+    RETURN jsonb_build_object('conversation', to_jsonb(updated), 'messages', stored_messages,
+      'updatedMessages', updated_messages, 'fragments', stored_fragments,
+      'userMemories', stored_user_memories);
+  END;
+  $$ LANGUAGE plpgsql;`,
+
+  // Hands one user's rows to another (see reassignUser). A key can't change under the rows
+  // that reference it, so each rekeyed conversation is copied, its rows moved, and the old one dropped.
+  `CREATE OR REPLACE FUNCTION reassign_user(p_from TEXT, p_to TEXT) RETURNS INTEGER AS $$
+  DECLARE
+    moving conversations;
+    new_id TEXT;
+    moved INTEGER := 0;
+  BEGIN
+    FOR moving IN SELECT * FROM conversations WHERE user_id = p_from FOR UPDATE LOOP
+      moved := moved + 1;
+      new_id := CASE WHEN starts_with(moving.conversation_id, p_from || '_')
+        THEN p_to || '_' || substr(moving.conversation_id, length(p_from) + 2)
+        ELSE moving.conversation_id END;
+
+      IF new_id = moving.conversation_id THEN
+        UPDATE conversations SET user_id = p_to WHERE id = moving.id;
+        CONTINUE;
+      END IF;
+
+      INSERT INTO conversations (user_id, conversation_id, created_at, updated_at, metadata, message_count, last_message,
+          revision, consolidated_at)
+        VALUES (p_to, new_id, moving.created_at, moving.updated_at, moving.metadata, moving.message_count,
+          moving.last_message, moving.revision, moving.consolidated_at);
+      UPDATE messages SET conversation_id = new_id WHERE conversation_id = moving.conversation_id;
+      UPDATE memory_fragments SET conversation_id = new_id WHERE conversation_id = moving.conversation_id;
+      UPDATE user_memories SET source_conversation_id = new_id WHERE source_conversation_id = moving.conversation_id;
+      DELETE FROM conversations WHERE id = moving.id;
+    END LOOP;
+
+    UPDATE user_memories SET user_id = p_to WHERE user_id = p_from;
+    RETURN moved;
+  END;
+  $$ LANGUAGE plpgsql;`,
+
+  // Usage counting once gave every recalled memory a row, and a pattern could get two rows;
+  // both are cleared out before each pattern is held to one
+  `DO $$ BEGIN
+    IF to_regclass('idx_generative_patterns_key') IS NULL THEN
+      DELETE FROM generative_patterns WHERE pattern_type = 'memory'
+        AND COALESCE((metadata->>'up')::INTEGER, 0) = 0 AND COALESCE((metadata->>'down')::INTEGER, 0) = 0;
+      DELETE FROM generative_patterns a USING generative_patterns b
+        WHERE a.pattern_type = b.pattern_type AND a.template = b.template
+          AND (a.created_at, a.id) > (b.created_at, b.id);
+      CREATE UNIQUE INDEX idx_generative_patterns_key ON generative_patterns(pattern_type, template);
+    END IF;
+  END $$;`,
+
+  // See incrementGenerativePatterns. The row lock makes each read-and-add atomic.
+  `CREATE OR REPLACE FUNCTION increment_generative_patterns(
+    p_keys JSONB,
+    p_usage INTEGER,
+    p_up INTEGER,
+    p_down INTEGER,
+    p_prior_score FLOAT,
+    p_prior_weight FLOAT
+  ) RETURNS VOID AS $$
+  DECLARE
+    pattern_key JSONB;
+    pattern generative_patterns;
+    new_up INTEGER;
+    new_down INTEGER;
+  BEGIN
+    FOR pattern_key IN SELECT * FROM jsonb_array_elements(p_keys) LOOP
+      INSERT INTO generative_patterns (pattern_type, template, success_score, metadata)
+        VALUES (pattern_key->>0, pattern_key->>1, p_prior_score, '{"up": 0, "down": 0}'::jsonb)
+        ON CONFLICT (pattern_type, template) DO NOTHING;
+
+      SELECT * INTO pattern FROM generative_patterns
+        WHERE pattern_type = pattern_key->>0 AND template = pattern_key->>1 FOR UPDATE;
+      new_up := GREATEST(COALESCE((pattern.metadata->>'up')::INTEGER, 0) + p_up, 0);
+      new_down := GREATEST(COALESCE((pattern.metadata->>'down')::INTEGER, 0) + p_down, 0);
+
+      UPDATE generative_patterns SET
+        usage_count = pattern.usage_count + p_usage,
+        last_used = CASE WHEN p_usage > 0 THEN NOW() ELSE pattern.last_used END,
+        metadata = pattern.metadata || jsonb_build_object('up', new_up, 'down', new_down),
+        success_score = (new_up + p_prior_score * p_prior_weight) / (new_up + new_down + p_prior_weight)
+      WHERE id = pattern.id;
+    END LOOP;
+  END;
+  $$ LANGUAGE plpgsql;`,
+
+  `CREATE INDEX IF NOT EXISTS idx_conversations_user ON conversations(user_id);`,
+  `CREATE INDEX IF NOT EXISTS idx_conversations_user_updated ON conversations(user_id, updated_at DESC, conversation_id DESC);`,
+  `CREATE INDEX IF NOT EXISTS idx_conversations_user_created ON conversations(user_id, created_at DESC, conversation_id DESC);`,
+  `CREATE INDEX IF NOT EXISTS idx_conversations_id ON conversations(conversation_id);`,
+  `CREATE INDEX IF NOT EXISTS idx_conversations_consolidated ON conversations(consolidated_at NULLS FIRST, conversation_id);`,
+  `CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id);`,
+  `CREATE INDEX IF NOT EXISTS idx_messages_deleted ON messages(deleted_at) WHERE deleted_at IS NOT NULL;`,
+  `CREATE INDEX IF NOT EXISTS idx_memory_fragments_conversation ON memory_fragments(conversation_id);`,
+  `CREATE INDEX IF NOT EXISTS idx_memory_fragments_type ON memory_fragments(fragment_type);`,
+  `CREATE INDEX IF NOT EXISTS idx_memory_fragments_weight ON memory_fragments(weight DESC);`,
+  `CREATE INDEX IF NOT EXISTS idx_user_memories_user ON user_memories(user_id);`,
+  `CREATE INDEX IF NOT EXISTS idx_user_memories_source ON user_memories(source_conversation_id);`,
+  `CREATE INDEX IF NOT EXISTS idx_login_codes_email ON login_codes(email);`
+];
+
+class SupabaseStorage extends StorageAdapter {
+  constructor({ url = process.env.SUPABASE_URL, key = process.env.SUPABASE_ANON_KEY, client } = {}) {
+    super('supabase');
+    this.client = client || createClient(url, key, {
+      auth: {
+        persistSession: false
+      }
+    });
+  }
+
+  async initialize() {
+    for (const statement of SCHEMA) {
+      try {
+        const { error } = await this.client.rpc('exec_sql', { sql: statement });
+        if (error) throw error;
+      } catch (error) {
+        // If exec_sql doesn't exist the schema has to be applied from the Supabase dashboard
+        console.log('Note: Using alternative table creation method');
+        break;
+      }
+    }
+  }
+
+  // ==================== CONVERSATIONS ====================
+
+  async getConversation(conversationId) {
+    const { data, error } = await this.client
+      .from('conversations')
+      .select('*')
+      .eq('conversation_id', conversationId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listConversations(userId, { limit, orderBy = 'updated_at', ascending = false, after, archived, pinned, tag, branchRoot } = {}) {
+    if (!CONVERSATION_ORDER_COLUMNS.has(orderBy)) {
+      throw new Error(`Cannot order conversations by ${orderBy}`);
+    }
+
+    let query = this.client
+      .from('conversations')
+      .select('*')
+      .eq('user_id', userId);
+
+    // A missing flag counts as false
+    if (archived !== undefined) {
+      query = archived
+        ? query.eq('metadata->>archived', 'true')
+        : query.or('metadata->>archived.is.null,metadata->>archived.neq.true');
+    }
+    if (pinned !== undefined) {
+      query = pinned
+        ? query.eq('metadata->>pinned', 'true')
+        : query.or('metadata->>pinned.is.null,metadata->>pinned.neq.true');
+    }
+    if (tag) query = query.contains('metadata->tags', JSON.stringify([tag]));
+    if (branchRoot) query = query.eq('metadata->branch->>rootId', branchRoot);
+
+    if (after) {
+      const op = ascending ? 'gt' : 'lt';
+      const value = `"${quoteFilterValue(after.value)}"`;
+      const id = `"${quoteFilterValue(after.conversationId)}"`;
+      query = query.or(`${orderBy}.${op}.${value},and(${orderBy}.eq.${value},conversation_id.${op}.${id})`);
+    }
+
+    query = query
+      .order(orderBy, { ascending })
+      .order('conversation_id', { ascending });
+
+    if (limit) query = query.limit(limit);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async listConversationsToConsolidate({ limit } = {}) {
+    let query = this.client
+      .from('conversations')
+      .select('*')
+      .order('consolidated_at', { ascending: true, nullsFirst: true })
+      .order('conversation_id', { ascending: true });
+    if (limit) query = query.limit(limit);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async createConversation(row) {
+    const { data, error } = await this.client
+      .from('conversations')
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateConversation(conversationId, patch, { expectedRevision } = {}) {
+    let query = this.client
+      .from('conversations')
+      .update(patch)
+      .eq('conversation_id', conversationId);
+
+    if (expectedRevision !== undefined) query = query.eq('revision', expectedRevision);
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteConversation(conversationId, { userId } = {}) {
+    let query = this.client
+      .from('conversations')
+      .delete()
+      .eq('conversation_id', conversationId);
+
+    if (userId) query = query.eq('user_id', userId);
+
+    const { error } = await query;
+    if (error) throw error;
+  }
+
+  async reassignUser(fromUserId, toUserId) {
+    const { data, error } = await this.client.rpc('reassign_user', { p_from: fromUserId, p_to: toUserId });
+    if (error) throw error;
+    return data;
+  }
+
+  // ==================== MESSAGES ====================
+
+  async listMessages(conversationId, { limit, ascending = true, includeDeleted = false, before, after } = {}) {
+    let query = this.client
+      .from('messages')
+      .select('*')
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending })
+      .order('id', { ascending });
+
+    if (!includeDeleted) query = query.is('deleted_at', null);
+    if (before || after) {
+      const { data: anchor, error } = await this.client
+        .from('messages')
+        .select('id, created_at')
+        .eq('conversation_id', conversationId)
+        .eq('id', before || after)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!anchor) return [];
+
+      // Postgres has no insertion order to fall back on, so id breaks created_at ties
+      const comparison = before ? 'lt' : 'gt';
+      query = query.or(`created_at.${comparison}.${anchor.created_at},` +
+        `and(created_at.eq.${anchor.created_at},id.${comparison}.${anchor.id})`);
+    }
+    if (limit) query = query.limit(limit);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async countMessages(conversationId) {
+    const { count, error } = await this.client
+      .from('messages')
+      .select('*', { count: 'exact', head: true })
+      .eq('conversation_id', conversationId)
+      .is('deleted_at', null);
+
+    if (error) throw error;
+    return count || 0;
+  }
+
+  async insertMessage(row) {
+    const { data, error } = await this.client
+      .from('messages')
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateMessage(id, patch) {
+    const { data, error } = await this.client
+      .from('messages')
+      .update(patch)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteMessages(conversationId, { ids } = {}) {
+    if (ids && ids.length === 0) return;
+
+    let query = this.client
+      .from('messages')
+      .delete()
+      .eq('conversation_id', conversationId);
+    if (ids) query = query.in('id', ids);
+
+    const { error } = await query;
+    if (error) throw error;
+  }
+
+  async purgeDeletedMessages(before) {
+    const { data, error } = await this.client
+      .from('messages')
+      .delete()
+      .not('deleted_at', 'is', null)
+      .lt('deleted_at', before)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length;
+  }
+
+  async searchMessages(query) {
+    return this.search('messages', query, request => {
+      request = request.is('deleted_at', null);
+      if (query.role) request = request.eq('role', query.role);
+      if (query.topics?.length) {
+        request = request.or(query.topics
+          .map(topic => `metadata->analysis->primaryTopics.cs.["${quoteFilterValue(topic)}"]`)
+          .join(','));
+      }
+      return request;
+    });
+  }
+
+  // ==================== TURNS ====================
+
+  async commitTurn({
+    conversationId,
+    messages = [],
+    messageUpdates = [],
+    deleted = {},
+    fragments = [],
+    userMemories = [],
+    conversation: patch = {},
+    expectedRevision
+  }) {
+    const { data, error } = await this.client.rpc('commit_turn', {
+      p_conversation_id: conversationId,
+      p_messages: messages,
+      p_message_updates: messageUpdates,
+      p_deleted: deleted,
+      p_fragments: fragments,
+      p_user_memories: userMemories,
+      p_patch: patch,
+      p_expected_revision: expectedRevision ?? null
+    });
+
+    if (error) throw error;
+    return data;
+  }
+
+  // ==================== MEMORY FRAGMENTS ====================
+
+  async queryMemoryFragments(query = {}) {
+    let request = this.client.from('memory_fragments').select('*');
+
+    if (query.conversationId) request = request.eq('conversation_id', query.conversationId);
+    if (query.ids) request = request.in('id', query.ids);
+    if (query.fragmentType) request = request.eq('fragment_type', query.fragmentType);
+    if (query.updatedSince) request = request.gte('updated_at', query.updatedSince);
+    if (!query.includeArchived) request = request.is('archived_at', null);
+    if (query.minWeight !== undefined) request = request.gt('weight', query.minWeight);
+    if (query.excludeId) request = request.neq('id', query.excludeId);
+    if (query.excludeSource) request = request.not('metadata', 'cs', JSON.stringify({ source: query.excludeSource }));
+
+    const conditions = [
+      ...(query.tags || []).map(tag => `tags.cs.{${quoteFilterValue(tag)}}`),
+      ...(query.keywords || []).map(keyword => `content.ilike.%${quoteFilterValue(keyword)}%`)
+    ];
+    if (conditions.length > 0) request = request.or(conditions.join(','));
+
+    if (query.orderBy) request = request.order(query.orderBy, { ascending: !!query.ascending });
+    if (query.limit) request = request.limit(query.limit);
+
+    const { data, error } = await request;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async countMemoryFragments({ conversationId }) {
+    const { count, error } = await this.client
+      .from('memory_fragments')
+      .select('id', { count: 'exact', head: true })
+      .eq('conversation_id', conversationId)
+      .is('archived_at', null);
+
+    if (error) throw error;
+    return count;
+  }
+
+  async insertMemoryFragment(row) {
+    const { data, error } = await this.client
+      .from('memory_fragments')
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateMemoryFragment(id, patch) {
+    const { data, error } = await this.client
+      .from('memory_fragments')
+      .update(patch)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async searchMemoryFragments(query) {
+    return this.search('memory_fragments', query, request => request.is('archived_at', null));
+  }
+
+  // The inner join on conversations is what scopes the search to one owner
+  async search(table, query, refine = request => request) {
+    let request = this.client
+      .from(table)
+      .select('*, conversations!inner(user_id)')
+      .eq('conversations.user_id', query.userId)
+      .or(query.terms.map(term => `content.ilike.%${quoteFilterValue(term)}%`).join(','));
+
+    if (query.from) request = request.gte('created_at', query.from);
+    if (query.to) request = request.lte('created_at', query.to);
+    request = refine(request).order('created_at', { ascending: false }).order('id');
+    if (query.limit) {
+      const offset = query.offset || 0;
+      request = request.range(offset, offset + query.limit - 1);
+    }
+
+    const { data, error } = await request;
+    if (error) throw error;
+    return (data || []).map(({ conversations, ...row }) => row);
+  }
+
+  async deleteMemoryFragments({ conversationId, ids }) {
+    if (ids && ids.length === 0) return;
+
+    let query = this.client
+      .from('memory_fragments')
+      .delete()
+      .eq('conversation_id', conversationId);
+    if (ids) query = query.in('id', ids);
+
+    const { error } = await query;
+    if (error) throw error;
+  }
+
+  // ==================== USER MEMORIES ====================
+
+  async queryUserMemories(query) {
+    let request = this.client.from('user_memories').select('*');
+
+    if (query.userId) request = request.eq('user_id', query.userId);
+    if (query.ids) request = request.in('id', query.ids);
+    if (query.fragmentType) request = request.eq('fragment_type', query.fragmentType);
+    if (query.updatedSince) request = request.gte('updated_at', query.updatedSince);
+    if (!query.includeArchived) request = request.is('archived_at', null);
+    if (query.minWeight !== undefined) request = request.gt('weight', query.minWeight);
+    if (query.excludeId) request = request.neq('id', query.excludeId);
+    if (query.excludeSource) request = request.not('metadata', 'cs', JSON.stringify({ source: query.excludeSource }));
+
+    const conditions = [
+      ...(query.tags || []).map(tag => `tags.cs.{${quoteFilterValue(tag)}}`),
+      ...(query.keywords || []).map(keyword => `content.ilike.%${quoteFilterValue(keyword)}%`)
+    ];
+    if (conditions.length > 0) request = request.or(conditions.join(','));
+
+    if (query.orderBy) request = request.order(query.orderBy, { ascending: !!query.ascending });
+    if (query.limit) request = request.limit(query.limit);
+
+    const { data, error } = await request;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async countUserMemories({ userId }) {
+    const { count, error } = await this.client
+      .from('user_memories')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('archived_at', null);
+
+    if (error) throw error;
+    return count;
+  }
+
+  async insertUserMemory(row) {
+    const { data, error } = await this.client
+      .from('user_memories')
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateUserMemory(id, patch) {
+    const { data, error } = await this.client
+      .from('user_memories')
+      .update(patch)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteUserMemories({ userId, ids }) {
+    if (ids && ids.length === 0) return;
+
+    let query = this.client
+      .from('user_memories')
+      .delete()
+      .eq('user_id', userId);
+    if (ids) query = query.in('id', ids);
+
+    const { error } = await query;
+    if (error) throw error;
+  }
+
+  // ==================== GENERATIVE PATTERNS ====================
+
+  async listGenerativePatterns({ patternType } = {}) {
+    let query = this.client.from('generative_patterns').select('*');
+    if (patternType) query = query.eq('pattern_type', patternType);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async findGenerativePatterns(keys) {
+    if (keys.length === 0) return [];
+
+    const { data, error } = await this.client
+      .from('generative_patterns')
+      .select('*')
+      .in('template', [...new Set(keys.map(([, template]) => template))]);
+
+    if (error) throw error;
+    return (data || []).filter(p =>
+      keys.some(([patternType, template]) => p.pattern_type === patternType && p.template === template)
+    );
+  }
+
+  async incrementGenerativePatterns(keys, { usage = 0, up = 0, down = 0 } = {}, prior) {
+    if (keys.length === 0) return;
+
+    const { error } = await this.client.rpc('increment_generative_patterns', {
+      p_keys: keys,
+      p_usage: usage,
+      p_up: up,
+      p_down: down,
+      p_prior_score: prior.score,
+      p_prior_weight: prior.weight
+    });
+    if (error) throw error;
+  }
+
+  // ==================== LOGIN CODES ====================
+
+  async createLoginCode(row) {
+    const { data, error } = await this.client
+      .from('login_codes')
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getLatestLoginCode(email) {
+    const { data, error } = await this.client
+      .from('login_codes')
+      .select('*')
+      .eq('email', email)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listLoginCodes(email, { since }) {
+    const { data, error } = await this.client
+      .from('login_codes')
+      .select('*')
+      .eq('email', email)
+      .gte('created_at', since)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async updateLoginCode(id, patch) {
+    const { error } = await this.client
+      .from('login_codes')
+      .update(patch)
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+
+  async deleteLoginCodes(email, { before } = {}) {
+    let request = this.client
+      .from('login_codes')
+      .delete()
+      .eq('email', email);
+    if (before) request = request.lt('created_at', before);
+
+    const { error } = await request;
+    if (error) throw error;
+  }
+}
+
+// PostgREST filter strings use , ( ) as syntax; strip them from user-derived values
+function quoteFilterValue(value) {
+  return String(value).replace(/[,()"{}%]/g, ' ').trim();
+}
+
+module.exports = SupabaseStorage;
@@ -0,0 +1,332 @@
+// Grand's Stories API - Transcripts
+// Renders conversations as Markdown, plain text, standalone HTML, JSON or JSONL, and parses
+// JSON/JSONL exports (and `benn --replay` files) back into conversations to import.
+
+const TRANSCRIPT_FORMAT = 'grands-stories-transcript';
+const TRANSCRIPT_VERSION = 1;
+
+const SPEAKERS = { user: 'You', benn: 'Benn Cortigan' };
+
+const FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8', render: renderMarkdown },
+  text: { extension: 'txt', contentType: 'text/plain; charset=utf-8', render: renderText },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8', render: renderHtml },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8', render: renderJson },
+  jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson; charset=utf-8', render: renderJsonl }
+};
+
+const MAX_IMPORT_CONVERSATIONS = 50;
+const MAX_IMPORT_MESSAGES = 2000;
+const MAX_IMPORT_TITLE_LENGTH = 120;
+const MAX_IMPORT_TAGS = 20;
+// No longer than a message sent in chat (see handlers/chat.js), as imported ones are read the same way
+const MAX_IMPORT_CONTENT_LENGTH = 1000;
+const MAX_REPORTED_PROBLEMS = 20;
+
+// ==================== RENDERING ====================
+
+// transcript: { exportedAt, conversations: [{ id, title, created_at, updated_at, summary,
+//   tags, messages: [{ role, content, created_at, metadata }] }] }
+function renderTranscript(format, transcript, { includeMetadata = false } = {}) {
+  return FORMATS[format].render(transcript, { includeMetadata });
+}
+
+function renderMarkdown({ exportedAt, conversations }, { includeMetadata }) {
+  return conversations.map(conversation => {
+    const lines = [`# ${conversation.title}`, '', `_Exported ${formatTimestamp(exportedAt)}_`];
+    if (includeMetadata) lines.push('', ...describeConversation(conversation).map(line => `- ${line}`));
+
+    for (const message of conversation.messages) {
+      lines.push('', `**${SPEAKERS[message.role]}** · ${formatTimestamp(message.created_at)}`, '');
+      // Quote-block every line so the message can't turn into headings or lists
+      lines.push(message.content.split('\n').map(line => `> ${line}`).join('\n'));
+      if (includeMetadata) {
+        const notes = describeMessage(message);
+        if (notes.length > 0) lines.push('', `_${notes.join(' · ')}_`);
+      }
+    }
+    return lines.join('\n');
+  }).join('\n\n---\n\n') + '\n';
+}
+
+function renderText({ exportedAt, conversations }, { includeMetadata }) {
+  return conversations.map(conversation => {
+    const lines = [conversation.title, '='.repeat(Math.min(conversation.title.length, 80)), `Exported ${formatTimestamp(exportedAt)}`];
+    if (includeMetadata) lines.push(...describeConversation(conversation));
+
+    for (const message of conversation.messages) {
+      lines.push('', `[${formatTimestamp(message.created_at)}] ${SPEAKERS[message.role]}:`, message.content);
+      if (includeMetadata) {
+        const notes = describeMessage(message);
+        if (notes.length > 0) lines.push(`(${notes.join('; ')})`);
+      }
+    }
+    return lines.join('\n');
+  }).join('\n\n\n') + '\n';
+}
+
+function renderHtml({ exportedAt, conversations }, { includeMetadata }) {
+  const sections = conversations.map(conversation => {
+    const details = includeMetadata
+      ? `<ul class="details">${describeConversation(conversation).map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+      : '';
+    const messages = conversation.messages.map(message => {
+      const notes = includeMetadata ? describeMessage(message) : [];
+      return `<div class="message ${message.role}">
+  <div class="speaker">${SPEAKERS[message.role]} <time datetime="${escapeHtml(message.created_at)}">${formatTimestamp(message.created_at)}</time></div>
+  <div class="content">${escapeHtml(message.content)}</div>${notes.length > 0 ? `
+  <div class="notes">${escapeHtml(notes.join(' · '))}</div>` : ''}
+</div>`;
+    }).join('\n');
+
+    return `<section>
+<h1>${escapeHtml(conversation.title)}</h1>
+${details}
+${messages}
+</section>`;
+  }).join('\n');
+
+  const title = conversations.length === 1 ? conversations[0].title : 'Conversations with Benn';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Georgia, serif; max-width: 760px; margin: 2em auto; padding: 0 1em; color: #3e2723; background: #fdf8f0; }
+  section + section { border-top: 1px solid #d2b48c; margin-top: 3em; }
+  .exported, .details, .notes, time { color: #8d6e63; font-size: 0.85em; }
+  .message { margin: 1em 0; padding: 0.8em 1em; border-radius: 12px; }
+  .message.user { background: #e8f0fe; margin-left: 15%; }
+  .message.benn { background: #f3eadb; margin-right: 15%; }
+  .speaker { font-weight: bold; margin-bottom: 0.3em; }
+  .content { white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<p class="exported">Exported ${formatTimestamp(exportedAt)}</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+function renderJson(transcript, { includeMetadata }) {
+  return JSON.stringify({
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    exportedAt: transcript.exportedAt,
+    conversations: transcript.conversations.map(conversation => ({
+      ...conversationRecord(conversation, includeMetadata),
+      messages: conversation.messages.map(message => messageRecord(message, includeMetadata))
+    }))
+  }, null, 2) + '\n';
+}
+
+// A conversation line, then one line per message, for each conversation in turn
+function renderJsonl(transcript, { includeMetadata }) {
+  const lines = [];
+  for (const conversation of transcript.conversations) {
+    lines.push({
+      type: 'conversation',
+      format: TRANSCRIPT_FORMAT,
+      version: TRANSCRIPT_VERSION,
+      ...conversationRecord(conversation, includeMetadata)
+    });
+    for (const message of conversation.messages) {
+      lines.push({ type: 'message', ...messageRecord(message, includeMetadata) });
+    }
+  }
+  return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+function conversationRecord(conversation, includeMetadata) {
+  const record = {
+    id: conversation.id,
+    title: conversation.title,
+    created_at: conversation.created_at,
+    updated_at: conversation.updated_at
+  };
+  if (includeMetadata) {
+    record.summary = conversation.summary || null;
+    record.tags = conversation.tags || [];
+  }
+  return record;
+}
+
+function messageRecord(message, includeMetadata) {
+  const record = { role: message.role, content: message.content, created_at: message.created_at };
+  if (includeMetadata) record.metadata = message.metadata || {};
+  return record;
+}
+
+function describeConversation(conversation) {
+  const lines = [`Started ${formatTimestamp(conversation.created_at)}`, `${conversation.messages.length} messages`];
+  if (conversation.tags?.length) lines.push(`Tags: ${conversation.tags.join(', ')}`);
+  if (conversation.summary) lines.push(`Summary: ${conversation.summary}`);
+  return lines;
+}
+
+function describeMessage(message) {
+  const metadata = message.metadata || {};
+  const notes = [];
+  if (message.role === 'benn' && metadata.emotionalState) notes.push(`mood: ${metadata.emotionalState}`);
+  if (message.role === 'user' && metadata.analysis?.primaryTopics?.length) {
+    notes.push(`topics: ${metadata.analysis.primaryTopics.join(', ')}`);
+  }
+  if (metadata.feedback?.rating) notes.push(`rated ${metadata.feedback.rating}`);
+  if (metadata.editedAt) notes.push('edited');
+  return notes;
+}
+
+function formatTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().replace('T', ' ').substring(0, 16) + ' UTC';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// ==================== PARSING ====================
+
+// Accepts this module's JSON and JSONL exports, the older client-side JSON export
+// ({ title, messages }) and `benn --replay` JSONL ({ role, content } lines). Returns
+// { conversations: [{ title, tags, messages: [{ role, content, created_at, metadata }] }] }
+// or { problems: [...] } describing what is wrong with the file.
+function parseTranscript(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { problems: ['The file is empty'] };
+  }
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    // Not a single JSON document; read it as JSONL
+  }
+
+  if (parsed && Array.isArray(parsed.conversations)) return validateConversations(parsed.conversations);
+  if (parsed && Array.isArray(parsed.messages)) return validateConversations([parsed]);
+  return parseJsonl(text);
+}
+
+function parseJsonl(text) {
+  const problems = [];
+  const conversations = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      problems.push(`Line ${index + 1}: not valid JSON`);
+      return;
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      problems.push(`Line ${index + 1}: expected an object`);
+      return;
+    }
+
+    if (record.type === 'conversation') {
+      current = { ...record, messages: [] };
+      conversations.push(current);
+    } else if (record.type === undefined || record.type === 'message') {
+      // Replay files are bare message lines; they make up one conversation
+      if (!current) {
+        current = { messages: [] };
+        conversations.push(current);
+      }
+      current.messages.push({ ...record, line: index + 1 });
+    } else {
+      problems.push(`Line ${index + 1}: unknown record type "${record.type}"`);
+    }
+  });
+
+  if (problems.length > 0) return { problems: problems.slice(0, MAX_REPORTED_PROBLEMS) };
+  return validateConversations(conversations);
+}
+
+function validateConversations(records) {
+  const problems = [];
+  if (records.length === 0) problems.push('No conversations found');
+  if (records.length > MAX_IMPORT_CONVERSATIONS) {
+    problems.push(`At most ${MAX_IMPORT_CONVERSATIONS} conversations can be imported at once`);
+  }
+
+  const conversations = records.slice(0, MAX_IMPORT_CONVERSATIONS).map((record, index) => {
+    const label = records.length > 1 ? `Conversation ${index + 1}` : 'Conversation';
+    if (!record || typeof record !== 'object') {
+      problems.push(`${label}: expected an object`);
+      return null;
+    }
+    if (!Array.isArray(record.messages) || record.messages.length === 0) {
+      problems.push(`${label}: has no messages`);
+      return null;
+    }
+    if (record.messages.length > MAX_IMPORT_MESSAGES) {
+      problems.push(`${label}: has more than ${MAX_IMPORT_MESSAGES} messages`);
+      return null;
+    }
+
+    const messages = record.messages.map((message, position) => {
+      const where = message?.line ? `Line ${message.line}` : `${label}, message ${position + 1}`;
+      return validateMessage(message, where, problems);
+    });
+
+    return {
+      title: typeof record.title === 'string' && record.title.trim()
+        ? record.title.trim().substring(0, MAX_IMPORT_TITLE_LENGTH)
+        : null,
+      tags: Array.isArray(record.tags)
+        ? record.tags.filter(tag => typeof tag === 'string').slice(0, MAX_IMPORT_TAGS)
+        : [],
+      messages
+    };
+  });
+
+  if (problems.length > 0) return { problems: problems.slice(0, MAX_REPORTED_PROBLEMS) };
+  return { conversations };
+}
+
+function validateMessage(message, where, problems) {
+  if (!message || typeof message !== 'object') {
+    problems.push(`${where}: expected an object`);
+    return null;
+  }
+  if (!SPEAKERS[message.role]) {
+    problems.push(`${where}: role must be "user" or "benn"`);
+  }
+  if (typeof message.content !== 'string' || !message.content.trim()) {
+    problems.push(`${where}: content is required`);
+  } else if (message.content.length > MAX_IMPORT_CONTENT_LENGTH) {
+    problems.push(`${where}: content is longer than ${MAX_IMPORT_CONTENT_LENGTH} characters`);
+  }
+  if (message.created_at !== undefined && Number.isNaN(Date.parse(message.created_at))) {
+    problems.push(`${where}: created_at is not a date`);
+  }
+
+  return {
+    role: message.role,
+    content: typeof message.content === 'string' ? message.content.trim() : '',
+    created_at: message.created_at || null,
+    metadata: message.metadata && typeof message.metadata === 'object' ? message.metadata : {}
+  };
+}
+
+module.exports = {
+  FORMATS,
+  TRANSCRIPT_FORMAT,
+  renderTranscript,
+  parseTranscript,
+  escapeHtml
+};
@@ -0,0 +1,247 @@
+// Grand's Stories API - Learned User Model
+// What Benn picks up about the person he's talking to: the topics they keep coming back
+// to, the feelings they bring, the kinds of reply they rate well and when they like to talk.
+
+const { successScore, NEUTRAL_SCORE } = require('./patterns');
+
+// Each mention closes this share of the gap between a topic's interest and 1
+const INTEREST_GAIN = 0.25;
+// Learned interests drift down this much each message they go unmentioned
+const INTEREST_DECAY = 0.02;
+// Below this a learned interest is forgotten
+const INTEREST_FLOOR = 0.05;
+const MAX_INTERESTS = 30;
+
+// Topics that say nothing about the user
+const UNINFORMATIVE_TOPICS = ['general'];
+
+// Local hours at which each part of the day begins
+const TIMES_OF_DAY = [
+  ['night', 0],
+  ['morning', 5],
+  ['afternoon', 12],
+  ['evening', 17],
+  ['night', 22]
+];
+
+// Minutes from UTC as returned by Date#getTimezoneOffset (so UTC-5 is 300)
+const MAX_TIMEZONE_OFFSET = 14 * 60;
+
+// ==================== LEARNING ====================
+
+// Folds one analyzed user message into the model. `at` is when it was sent and
+// `timezoneOffset` the sender's, so time-of-day patterns follow their clock.
+function learnFromMessage(userModel, analysis, { at = new Date(), timezoneOffset = 0 } = {}) {
+  const seenAt = new Date(at).toISOString();
+  const topics = (analysis?.primaryTopics || []).filter(topic => !UNINFORMATIVE_TOPICS.includes(topic));
+
+  for (const [topic, interest] of userModel.interests) {
+    if (topics.includes(topic) || interest.source === 'user') continue;
+    const score = round(interest.score * (1 - INTEREST_DECAY));
+    if (score < INTEREST_FLOOR) {
+      userModel.interests.delete(topic);
+    } else {
+      userModel.interests.set(topic, { ...interest, score });
+    }
+  }
+
+  for (const topic of topics) {
+    const interest = userModel.interests.get(topic) || { score: 0, mentions: 0, source: 'learned' };
+    userModel.interests.set(topic, {
+      ...interest,
+      score: interest.source === 'user' ? interest.score : round(interest.score + (1 - interest.score) * INTEREST_GAIN),
+      mentions: interest.mentions + 1,
+      lastSeen: seenAt
+    });
+  }
+  trimInterests(userModel.interests);
+
+  const emotion = analysis?.emotionalDepth?.primaryEmotion;
+  if (emotion && emotion !== 'neutral') {
+    const response = userModel.emotionalResponses.get(emotion) || { count: 0, intensity: 0 };
+    const intensity = Number.isFinite(analysis.emotionalDepth.intensity) ? analysis.emotionalDepth.intensity : 0;
+    userModel.emotionalResponses.set(emotion, {
+      count: response.count + 1,
+      // Running mean over every time the emotion came up
+      intensity: round(response.intensity + (intensity - response.intensity) / (response.count + 1)),
+      lastSeen: seenAt
+    });
+  }
+
+  const timeOfDay = timeOfDayAt(at, timezoneOffset);
+  const times = userModel.preferences.get('timeOfDay') || {};
+  userModel.preferences.set('timeOfDay', { ...times, [timeOfDay]: (times[timeOfDay] || 0) + 1 });
+}
+
+// Moves the tally for the kind of reply that was rated (its attribution source) from the
+// previous rating to the new one, the same way pattern ratings are kept
+function learnFromFeedback(userModel, attribution, { previous = null, rating = null } = {}) {
+  const type = attribution?.source;
+  if (!type || previous === rating) return;
+
+  const types = userModel.preferences.get('responseTypes') || {};
+  const counts = { up: 0, down: 0, ...types[type] };
+  if (previous) counts[previous] = Math.max(counts[previous] - 1, 0);
+  if (rating) counts[rating]++;
+  userModel.preferences.set('responseTypes', { ...types, [type]: counts });
+}
+
+// The model as Benn would have learned it over `history`: from its user messages and the
+// ratings on its replies, in order. The interests the user set themselves in `current` are
+// kept, since they chose those rather than Benn learning them. Messages don't record the
+// sender's timezone, so time-of-day patterns are replayed in UTC.
+function userModelAtHistory(history, current) {
+  const userModel = {
+    interests: new Map([...current.interests].filter(([, interest]) => interest.source === 'user')),
+    preferences: new Map(),
+    emotionalResponses: new Map()
+  };
+
+  for (const message of history) {
+    if (message.role === 'user') {
+      learnFromMessage(userModel, message.metadata?.analysis, { at: message.created_at });
+    } else if (message.metadata?.feedback?.rating) {
+      learnFromFeedback(userModel, message.metadata.attribution, { rating: message.metadata.feedback.rating });
+    }
+  }
+  return userModel;
+}
+
+// Keeps the strongest interests, always including the ones the user set themselves
+function trimInterests(interests) {
+  if (interests.size <= MAX_INTERESTS) return;
+
+  const ranked = [...interests].sort(([, a], [, b]) =>
+    (b.source === 'user') - (a.source === 'user') || b.score - a.score
+  );
+  for (const [topic] of ranked.slice(MAX_INTERESTS)) interests.delete(topic);
+}
+
+function timeOfDayAt(at, timezoneOffset = 0) {
+  const hour = new Date(new Date(at).getTime() - timezoneOffset * 60000).getUTCHours();
+  let current = TIMES_OF_DAY[0][0];
+  for (const [name, startsAt] of TIMES_OF_DAY) {
+    if (hour >= startsAt) current = name;
+  }
+  return current;
+}
+
+function isValidTimezoneOffset(offset) {
+  return Number.isInteger(offset) && Math.abs(offset) <= MAX_TIMEZONE_OFFSET;
+}
+
+// ==================== USING THE MODEL ====================
+
+// How interested the user is in the strongest of `topics`, from 0 (no idea) to 1
+function interestIn(userModel, topics) {
+  let strongest = 0;
+  for (const topic of topics) {
+    strongest = Math.max(strongest, userModel.interests.get(topic)?.score || 0);
+  }
+  return strongest;
+}
+
+// The user's smoothed approval of a kind of reply; kinds they haven't rated are neutral
+function responseTypePreference(userModel, type) {
+  const counts = userModel.preferences.get('responseTypes')?.[type];
+  return counts ? successScore(counts) : NEUTRAL_SCORE;
+}
+
+// ==================== VIEWING AND CORRECTING ====================
+
+// The model as the API shows it: strongest interests and most frequent feelings first
+function describeUserModel(userModel) {
+  const times = userModel.preferences.get('timeOfDay') || {};
+  const types = userModel.preferences.get('responseTypes') || {};
+  const [usualTime] = Object.entries(times).sort(([, a], [, b]) => b - a)[0] || [null];
+
+  return {
+    interests: [...userModel.interests]
+      .map(([topic, interest]) => ({ topic, ...interest }))
+      .sort((a, b) => b.score - a.score),
+    emotions: [...userModel.emotionalResponses]
+      .map(([emotion, response]) => ({ emotion, ...response }))
+      .sort((a, b) => b.count - a.count),
+    responseTypes: Object.entries(types)
+      .map(([type, counts]) => ({ type, ...counts, score: round(successScore(counts)) }))
+      .sort((a, b) => b.score - a.score),
+    timeOfDay: times,
+    usualTime
+  };
+}
+
+// Checks a correction before anything is applied. Returns a list of problems (empty if
+// it's fine). `interests` maps topics to a score between 0 and 1, or null to forget one;
+// `emotions` lists feelings to forget; `responseTypes: true` clears rating preferences.
+function validateCorrection({ interests, emotions, responseTypes } = {}) {
+  const problems = [];
+
+  if (interests !== undefined) {
+    if (!interests || typeof interests !== 'object' || Array.isArray(interests)) {
+      problems.push('interests must map topics to a score between 0 and 1, or null');
+    } else {
+      for (const [topic, score] of Object.entries(interests)) {
+        if (!topic.trim() || topic.length > 40) problems.push(`"${topic.slice(0, 40)}" is not a valid topic`);
+        if (score !== null && !(typeof score === 'number' && score >= 0 && score <= 1)) {
+          problems.push(`Interest in "${topic.slice(0, 40)}" must be between 0 and 1, or null`);
+        }
+      }
+    }
+  }
+  if (emotions !== undefined && (!Array.isArray(emotions) || !emotions.every(e => typeof e === 'string'))) {
+    problems.push('emotions must be a list of feelings to forget');
+  }
+  if (responseTypes !== undefined && typeof responseTypes !== 'boolean') {
+    problems.push('responseTypes must be true to clear rating preferences');
+  }
+
+  return problems;
+}
+
+// Applies a validated correction. Scores the user sets are kept as they are from then on,
+// the way a title they chose is never regenerated over.
+function correctUserModel(userModel, { interests = {}, emotions = [], responseTypes = false } = {}) {
+  const now = new Date().toISOString();
+
+  for (const [rawTopic, score] of Object.entries(interests)) {
+    const topic = rawTopic.trim().toLowerCase();
+    if (score === null) {
+      userModel.interests.delete(topic);
+      continue;
+    }
+    const interest = userModel.interests.get(topic) || { mentions: 0 };
+    userModel.interests.set(topic, { ...interest, score, source: 'user', correctedAt: now });
+  }
+
+  for (const emotion of emotions) {
+    userModel.emotionalResponses.delete(emotion);
+  }
+
+  if (responseTypes) {
+    userModel.preferences.delete('responseTypes');
+  }
+}
+
+function resetUserModel(userModel) {
+  userModel.interests.clear();
+  userModel.preferences.clear();
+  userModel.emotionalResponses.clear();
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  learnFromMessage,
+  learnFromFeedback,
+  userModelAtHistory,
+  timeOfDayAt,
+  isValidTimezoneOffset,
+  interestIn,
+  responseTypePreference,
+  describeUserModel,
+  validateCorrection,
+  correctUserModel,
+  resetUserModel
+};
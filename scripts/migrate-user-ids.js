@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// Grand's Stories API - Legacy User Id Migration
+// Moves each listed user's conversations from the id they had before sign-in codes to the
+// one they sign in with now (see lib/auth/legacy). Run once against the configured storage.
+
+const fs = require('fs');
+require('dotenv').config();
+
+const { storageReady } = require('../lib/storage');
+const { migrateLegacyUsers } = require('../lib/auth/legacy');
+
+const USAGE = `Usage: node scripts/migrate-user-ids.js <file>
+
+<file> lists the users' email addresses, one per line, as they typed them to sign in
+before sign-in codes existed (# for comments).`;
+
+async function main() {
+  const [file] = process.argv.slice(2);
+  if (!file || file === '-h' || file === '--help') {
+    console.log(USAGE);
+    process.exitCode = file ? 0 : 1;
+    return;
+  }
+
+  const emails = fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  const storage = await storageReady();
+  const { migrated, skipped } = await migrateLegacyUsers(storage, emails);
+
+  for (const { email, from, to, conversations } of migrated) {
+    console.log(`${email}: ${from} -> ${to} (${conversations} conversation${conversations === 1 ? '' : 's'})`);
+  }
+  for (const { email, from, reason } of skipped) {
+    console.error(`${email}: skipped ${from}, ${reason}`);
+  }
+  if (skipped.length > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
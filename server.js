@@ -0,0 +1,63 @@
+// Grand's Stories - Local HTTP Server
+// Serves index.html and the API routes the same way the Vercel deployment does:
+// /api/* goes through the router, everything else falls back to index.html
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { createRouter } = require('./api');
+const { storageReady } = require('./lib/storage');
+
+const INDEX_PATH = path.join(__dirname, 'index.html');
+
+function createServer({ router = createRouter() } = {}) {
+  const handleApi = router.handler();
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url || '/', 'http://localhost');
+
+    if (pathname === '/api' || pathname.startsWith('/api/')) {
+      return handleApi(req, res);
+    }
+
+    return serveIndex(req, res);
+  });
+}
+
+function serveIndex(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8', Allow: 'GET, HEAD' });
+    res.end('Method not allowed');
+    return;
+  }
+
+  fs.readFile(INDEX_PATH, (error, html) => {
+    if (error) {
+      console.error('Error reading index.html:', error);
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Internal server error');
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Length': html.length,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.end(req.method === 'HEAD' ? undefined : html);
+  });
+}
+
+module.exports = { createServer };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 3000;
+
+  storageReady().then(storage => {
+    createServer().listen(port, () => {
+      console.log(`Grand's Stories running at http://localhost:${port} (${storage.name} storage)`);
+    });
+  });
+}